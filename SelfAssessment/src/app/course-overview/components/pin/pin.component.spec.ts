@@ -11,6 +11,7 @@ import { PinComponent } from './pin.component';
 import { Pipe, PipeTransform } from '@angular/core';
 import { RouterTestingModule } from '@angular/router/testing';
 import { ResultSet } from 'src/app/shared/models/evaluation/result.set';
+import { Evaluation } from 'src/app/shared/models/evaluation/evaluation';
 import { Router } from '@angular/router';
 import { ResultService } from 'src/app/evaluation/services/result.service';
 import { LocalStorageService } from 'src/app/shared/services/local-storage.service';
@@ -36,7 +37,7 @@ describe('PinComponent', () => {
   let overlayService: MaterialOverlayService;
   let router: Router;
 
-  const mockResultSet = [ {}, {} ] as ResultSet[];
+  const mockResultSet = { sets: [ {}, {} ] as ResultSet[], types: [] } as Evaluation;
 
   const mockDataFromDialog = {
     pin: 78923457,
@@ -73,7 +73,7 @@ describe('StartTestComponent', () => {
     };
 
     const configServiceStub = {
-      loadConfigFromCourse(course: string, language: string): Observable<ConfigFile> {
+      loadConfigFromCourse(course: string, language: string, pin: number): Observable<ConfigFile> {
         return of(dummyConfig);
       },
       initJournalFromConfigFile(configFile: ConfigFile): Journal {
@@ -146,7 +146,7 @@ describe('StartTestComponent', () => {
 
     expect(materialOverlayService.chooseCourseLanguage).toHaveBeenCalledWith(dummyCourse.languages, true);
     expect(storageService.persistInStorage).toHaveBeenCalledWith(StorageItem.COURSE_LANGUAGE, 'English');
-    expect(configService.loadConfigFromCourse).toHaveBeenCalledWith(dummyCourse.name, dummyLanguage);
+    expect(configService.loadConfigFromCourse).toHaveBeenCalledWith(dummyCourse.name, dummyLanguage, dummyPin);
     expect(configService.initJournalFromConfigFile).toHaveBeenCalledWith(dummyConfig);
     expect(journalService.saveJournal).toHaveBeenCalledWith(dummyJournal);
     expect(router.navigateByUrl).toHaveBeenCalledWith('/testpanel');
@@ -93,7 +93,7 @@ export class StartTestComponent implements OnInit {
       }),
       switchMap((language: string) => {
         this.storageService.persistInStorage(StorageItem.COURSE_LANGUAGE, language);
-        return this.configService.loadConfigFromCourse(this.course.name, language)
+        return this.configService.loadConfigFromCourse(this.course.name, language, this.pin)
         .pipe(
           switchMap((configFile: ConfigFile) => {
             const journal: Journal = this.configService.initJournalFromConfigFile(configFile);
@@ -5,7 +5,7 @@ import { ResultService } from 'src/app/evaluation/services/result.service';
 import { ActivatedRoute, ActivatedRouteSnapshot, Router } from '@angular/router';
 import { Course } from './../../../shared/models/configuration/course.model';
 import { LocalStorageService } from './../../../shared/services/local-storage.service';
-import { resultSetDummy, dummyJournalStructure } from './../../../spec-helper/dummy.values';
+import { evaluationDummy, dummyJournalStructure } from './../../../spec-helper/dummy.values';
 import { JournalStructure } from './../../../shared/models/state/journal.structure.model';
 import { async, ComponentFixture, TestBed } from '@angular/core/testing';
 
@@ -13,11 +13,12 @@ import { EvaluationOverviewComponent } from './evaluation-overview.component';
 import { MaterialModule } from 'src/app/material/material.module';
 import { SharedModule } from 'src/app/shared/shared.module';
 import { Pipe, PipeTransform, Component, Input } from '@angular/core';
-import { ResultSet } from 'src/app/shared/models/evaluation/result.set';
+import { Evaluation } from 'src/app/shared/models/evaluation/evaluation';
 import { StorageItem } from 'src/app/shared/services/local.storage.values.enum';
 import { of, Observable, throwError } from 'rxjs';
 import { OptionPipe } from '../../pipes/option.pipe';
 import { ResultPipe } from '../../pipes/result.pipe';
+import { ProfilePipe } from '../../pipes/profile.pipe';
 
 
 describe('EvaluationOverviewComponent', () => {
@@ -27,7 +28,7 @@ describe('EvaluationOverviewComponent', () => {
   let storage: LocalStorageService;
   let resultService: ResultService;
 
-  const setDummy: ResultSet[] = resultSetDummy;
+  const setDummy: Evaluation = evaluationDummy;
   const dummyJournalStruc = dummyJournalStructure;
   const dummyPin = 12345678;
   const dummyCourse: Course = {
@@ -85,14 +86,15 @@ class ResultTreeComponent {
 
     const resultServiceMock = {
       evaluation: of(setDummy),
-      getResults(pin): Observable<ResultSet[]> {
+      getResults(pin): Observable<Evaluation> {
         return of(setDummy);
       }
     };
 
     TestBed.configureTestingModule({
       imports: [MaterialModule, SharedModule, HttpClientModule, RouterTestingModule],
-      declarations: [ EvaluationOverviewComponent, ScoreTextPipe, ResultTreeComponent, MockLangPipe, OptionPipe, ResultPipe ],
+      declarations: [ EvaluationOverviewComponent, ScoreTextPipe, ResultTreeComponent, MockLangPipe, OptionPipe, ResultPipe,
+        ProfilePipe ],
       providers: [
         {provide: LocalStorageService, useValue: storageStub},
         {provide: ActivatedRoute, useValue: activatedRouteStub},
@@ -121,6 +123,14 @@ class ResultTreeComponent {
     expect(router.navigateByUrl).toHaveBeenCalled();
   });
 
+  it('should filter the tests by type', () => {
+    component.filterByType(setDummy.types[0], setDummy.sets);
+    expect(component.testsByType.length).toEqual(4);
+
+    component.filterByType(undefined, setDummy.sets);
+    expect(component.testsByType).toEqual([]);
+  });
+
   it('should load the evaluation if it is not present', () => {
 
 
@@ -159,7 +169,7 @@ class ResultTreeComponent {
 
     component.results$.subscribe(
       data => {
-        expect(data).toEqual([]);
+        expect(data.sets).toEqual([]);
       }
     );
 
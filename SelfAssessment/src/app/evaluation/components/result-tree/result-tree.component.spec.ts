@@ -5,6 +5,8 @@ import { async, ComponentFixture, TestBed } from '@angular/core/testing';
 import { TestResultPanelComponent } from './result-tree.component';
 import { resultSetDummy } from 'src/app/spec-helper/dummy.values';
 import { SharedModule } from 'src/app/shared/shared.module';
+import { ResultTest } from 'src/app/shared/models/evaluation/result.test';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
 
 describe('ResultTreeComponent', () => {
   let component: TestResultPanelComponent;
@@ -28,4 +30,24 @@ describe('ResultTreeComponent', () => {
   it('should create', () => {
     expect(component).toBeTruthy();
   });
+
+  it('should get the explanation of an option', () => {
+    const test: ResultTest = Object.assign({}, resultSetDummy[0].tests[0]);
+    test.singleTest = Object.assign({}, test.singleTest, {
+      options: [{ text: 'yes', explanation: 'because' }, { text: 'no' }]
+    });
+
+    expect(component.getExplanation(test, 0)).toEqual('because');
+    expect(component.getExplanation(test, 1)).toBeUndefined();
+  });
+
+  it('should map the positions of ordering tests to their options', () => {
+    const test: ResultTest = Object.assign({}, resultSetDummy[0].tests[0], { log: [1, 0] });
+    test.singleTest = Object.assign({}, test.singleTest, {
+      category: Category.ORDERING,
+      options: [{ text: 'first', explanation: 'a' }, { text: 'second', explanation: 'b' }]
+    });
+
+    expect(component.getExplanation(test, 0)).toEqual('b');
+  });
 });
@@ -1,5 +1,8 @@
 import { Component, Input } from '@angular/core';
 import { ResultTest } from 'src/app/shared/models/evaluation/result.test';
+import { Likert } from 'src/app/shared/models/procedure/categories/likert.test';
+import { Cancellation } from 'src/app/shared/models/procedure/categories/cancellation.test';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
 
 /**
  * Component that displays all the results of every evaluated test
@@ -22,12 +25,45 @@ export class TestResultPanelComponent {
    */
   constructor() {}
 
+  /**
+   * Gets the length of the scale of a profile test, which is the highest possible average.
+   *
+   * @param test The test.
+   */
+  public getScaleLength(test: ResultTest): number {
+    return (test.singleTest as Likert).scale.length;
+  }
+
+  /**
+   * Gets the explanation of an option in the result lists. Ordering tests list positions and
+   * cancellation tests grid cells, so their index is mapped to the option first.
+   *
+   * @param test The test.
+   * @param i The index of the option in the correct or wrong options.
+   */
+  public getExplanation(test: ResultTest, i: number): string {
+    const category = test.singleTest.category;
+    let index = i;
+
+    if (category === Category.ORDERING) {
+      index = test.log[i];
+    } else if (category === Category.CANCELLATION) {
+      index = Cancellation.generateGrid(test.singleTest as Cancellation)[i];
+    }
+
+    const option = test.singleTest.options[index];
+    return (option) ? option.explanation : undefined;
+  }
+
   /**
    * Checks whether the user actually choose an answer.
    *
    * @param test The test.
    */
   public checkDismissed(test: ResultTest): boolean {
+    if (test.dimensions) {
+      return test.dimensions.every(dimension => dimension.answered === 0);
+    }
     return test.correctOptions.length  === 0 &&
       test.wrongOptions.length === 0;
   }
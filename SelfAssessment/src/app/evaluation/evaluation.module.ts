@@ -8,10 +8,12 @@ import { TestResultPanelComponent } from './components/result-tree/result-tree.c
 import { OptionPipe } from './pipes/option.pipe';
 import { ValidationComponent } from './components/validation/validation.component';
 import { ScoreTextPipe } from './pipes/score-text.pipe';
+import { ProfilePipe } from './pipes/profile.pipe';
 
 
 @NgModule({
-  declarations: [EvaluationOverviewComponent, ResultPipe, TestResultPanelComponent, OptionPipe, ValidationComponent, ScoreTextPipe],
+  declarations: [EvaluationOverviewComponent, ResultPipe, TestResultPanelComponent, OptionPipe, ValidationComponent, ScoreTextPipe,
+    ProfilePipe],
   imports: [
     CommonModule,
     MaterialModule,
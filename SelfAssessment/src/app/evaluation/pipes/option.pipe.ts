@@ -2,11 +2,29 @@ import { Category } from './../../shared/models/procedure/enums/category.enum';
 import { Pipe, PipeTransform } from '@angular/core';
 import { ResultTest } from 'src/app/shared/models/evaluation/result.test';
 import { MultipleOptions } from 'src/app/shared/models/procedure/categories/multiple.options.test';
+import { Numeric } from 'src/app/shared/models/procedure/categories/numeric.test';
+import { ShortAnswer } from 'src/app/shared/models/procedure/categories/short.answer.test';
+import { Pairs } from 'src/app/shared/models/procedure/categories/pairs.test';
+import { Cloze } from 'src/app/shared/models/procedure/categories/cloze.test';
+import { Estimate } from 'src/app/shared/models/procedure/categories/estimate.test';
+import { Cancellation } from 'src/app/shared/models/procedure/categories/cancellation.test';
 
 /**
  * Transforms a test option according to the category.
  * - speed test: the picked string is highlighted accordingly.
  * - multiple-options: the choosen header is assigned to the option.
+ * - numeric: the typed value (and unit) is assigned to the option.
+ * - short-answer: the typed text is assigned to the option, followed by the accepted answer once
+ *   the result is locked.
+ * - ordering: `i` is a position, the option the user placed there is shown with its position.
+ * - pairs: the selected target is assigned to the option.
+ * - cloze: the selected choice or typed text is shown with the gap marker.
+ * - hotspot: the click position is assigned to the option in percent of the image size.
+ * - estimate: the chosen value is assigned to the option, followed by the correct value once the
+ *   result is locked.
+ * - cancellation: `i` is a grid cell, its symbol is shown with the row and column.
+ *
+ * The backend sends the answers of the tests (e.g. `correct`, `answers`) with locked results only.
  */
 @Pipe({
   name: 'option'
@@ -50,6 +68,52 @@ export class OptionPipe implements PipeTransform {
       const right = content.substr(test.log[i][0] + (test.log[i][1] + - test.log[i][0]));
       const part = `<span class='${cssClass}'>${match}</span>`;
       optText = left + part + right;
+
+    } else if (category === Category.NUMERIC) {
+      const option = (test.singleTest as Numeric).options[i];
+      const unit = (option.unit) ? ` ${option.unit}` : '';
+      optText = `${option.text}: ${test.log[i]}${unit}`;
+
+    } else if (category === Category.SHORT_ANSWER) {
+      const option = (test.singleTest as ShortAnswer).options[i];
+      optText = `${option.text}: ${test.log[i]}`;
+      if (option.answers) {
+        // prefer a literal answer, a regular expression is hardly readable for the user
+        const accepted = option.answers.find(a => a.mode !== 'regex') || option.answers[0];
+        optText += ` (${accepted.value})`;
+      }
+
+    } else if (category === Category.ORDERING) {
+      optText = `${i + 1}. ${test.singleTest.options[test.log[i]].text}`;
+
+    } else if (category === Category.PAIRS) {
+      const option = test.singleTest.options[i].text;
+      optText = `${option}: ${(test.singleTest as Pairs).targets[test.log[i]]}`;
+
+    } else if (category === Category.CLOZE) {
+      const gap = (test.singleTest as Cloze).options[i];
+      const answer = (gap.choices) ? gap.choices[test.log[i]] : test.log[i];
+      optText = `[[${i + 1}]]: ${answer}`;
+
+    } else if (category === Category.HOTSPOT) {
+      const option = test.singleTest.options[i].text;
+      const [x, y] = test.log[i].map((value: number) => Math.round(value * 100));
+      optText = `${option}: (${x}%, ${y}%)`;
+
+    } else if (category === Category.ESTIMATE) {
+      const option = (test.singleTest as Estimate).options[i];
+      const unit = (option.unit) ? ` ${option.unit}` : '';
+      optText = `${option.text}: ${test.log[i]}${unit}`;
+      if (option.correct !== undefined) {
+        optText += ` (${option.correct}${unit})`;
+      }
+
+    } else if (category === Category.CANCELLATION) {
+      const cancellation = test.singleTest as Cancellation;
+      const symbol = cancellation.options[Cancellation.generateGrid(cancellation)[i]].text;
+      const row = Math.floor(i / cancellation.columns) + 1;
+      const column = i % cancellation.columns + 1;
+      optText = `${symbol} (${row}/${column})`;
     }
 
     return optText;
@@ -0,0 +1,44 @@
+import { ProfilePipe } from './profile.pipe';
+import { ResultSet } from 'src/app/shared/models/evaluation/result.set';
+
+describe('ProfilePipe', () => {
+
+  const mockResultSets = [
+    {
+      tests: [
+        { 'score': 5, 'maxScore': 10 },
+        {
+          'score': 0, 'maxScore': 0,
+          'singleTest': { scale: ['1', '2', '3', '4', '5'] },
+          'dimensions': [
+            { name: 'logic', average: 5, answered: 1 },
+            { name: 'programming', average: 2, answered: 2 }
+          ]
+        }
+      ]
+    },
+    {
+      tests: [
+        {
+          'score': 0, 'maxScore': 0,
+          'singleTest': { scale: ['1', '2', '3'] },
+          'dimensions': [
+            { name: 'programming', average: 3, answered: 2 },
+            { name: 'art', average: null, answered: 0 }
+          ]
+        }
+      ]
+    }
+  ] as any as ResultSet[];
+
+  const profilePipe = new ProfilePipe();
+
+  it('should merge the normalized dimensions of all result sets', () => {
+    expect(profilePipe.transform(mockResultSets)).toEqual([['logic', 1], ['programming', 0.625]]);
+  });
+
+  it('should return an empty profile without profile tests', () => {
+    expect(profilePipe.transform([{ id: 0, tests: [] }])).toEqual([]);
+  });
+
+});
@@ -0,0 +1,44 @@
+import { Pipe, PipeTransform } from '@angular/core';
+import { ResultSet } from 'src/app/shared/models/evaluation/result.set';
+import { Likert } from 'src/app/shared/models/procedure/categories/likert.test';
+
+/**
+ * Pipe that aggregates the dimensions of all profile tests (e.g. likert) of the result sets.
+ * Dimensions with the same name are merged. Since tests may use scales of different lengths, every
+ * average is normalized to the range [0, 1] and weighted by the number of rated statements.
+ * Output: [<dimension name>, <normalized average>][]
+ */
+@Pipe({
+  name: 'profile'
+})
+export class ProfilePipe implements PipeTransform {
+
+  /**
+   * Transforms the result sets into the profile.
+   *
+   * @param sets The result sets.
+   */
+  transform(sets: ResultSet[]): [string, number][] {
+    const sums = new Map<string, [number, number]>();
+
+    sets.forEach(set => {
+      set.tests
+      .filter(test => test.dimensions)
+      .forEach(test => {
+        const scaleLength = (test.singleTest as Likert).scale.length;
+        test.dimensions
+        .filter(dimension => dimension.answered > 0)
+        .forEach(dimension => {
+          const normalized = (dimension.average - 1) / (scaleLength - 1);
+          const [sum, answered] = sums.get(dimension.name) || [0, 0];
+          sums.set(dimension.name, [sum + normalized * dimension.answered, answered + dimension.answered]);
+        });
+      });
+    });
+
+    const profile: [string, number][] = [];
+    sums.forEach(([sum, answered], name) => profile.push([name, sum / answered]));
+    return profile;
+  }
+
+}
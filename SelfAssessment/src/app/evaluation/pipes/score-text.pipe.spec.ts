@@ -9,7 +9,7 @@ describe('ScoreTextPipe', () => {
     [100, 'everything correct message']
   ];
 
-  const fakeScores: [number, number][] = [ [0, 10], [4, 10], [7, 10], [10, 10] ];
+  const fakeScores: number[] = [ 0, 40, 70, 100 ];
 
   const scoreTextPipe = new ScoreTextPipe();
 
@@ -20,4 +20,8 @@ describe('ScoreTextPipe', () => {
     expect(scoreTextPipe.transform(mockScoreDependentText, fakeScores[3])).toBe('everything correct message');
   });
 
+  it('should show no text for sets without a percentage', () => {
+    expect(scoreTextPipe.transform(mockScoreDependentText, null)).toBeUndefined();
+  });
+
 });
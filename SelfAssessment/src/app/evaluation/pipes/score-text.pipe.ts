@@ -12,13 +12,17 @@ export class ScoreTextPipe implements PipeTransform {
    * Checks which score text to display.
    *
    * @param scoreDependentTexts The score dependent texts.
-   * @param score The users score.
+   * @param percentage The users weighted percentage of the set, as calculated by the backend.
    */
-  transform(scoreDependentTexts: [number, string][], score: [number, number]): any {
+  transform(scoreDependentTexts: [number, string][], percentage: number): any {
 
-    const percentage: number = (score[0] / score[1]) * 100.0;
     let text: string;
 
+    if (percentage === null || percentage === undefined) {
+      // nothing to score, e.g. a set of profile tests
+      return text;
+    }
+
     for (const range of scoreDependentTexts) {
       if (percentage <= range[0]) {
         text = range[1];
@@ -1,10 +1,6 @@
-import { LocalStorageService } from 'src/app/shared/services/local-storage.service';
-import { HttpClientModule } from '@angular/common/http';
 import { TestBed } from '@angular/core/testing';
 
 import { ResultService } from './result.service';
-import { StorageItem } from 'src/app/shared/services/local.storage.values.enum';
-import { dummyJournalStructure, dummyJournalLog, resultSetDummy } from 'src/app/spec-helper/dummy.values';
 import { HttpClientTestingModule, HttpTestingController } from '@angular/common/http/testing';
 
 
@@ -13,64 +9,56 @@ describe('ResultService', () => {
   let resultService: ResultService;
   let httpTestingController: HttpTestingController;
   const dummyPin = 12345678;
-  const dataFromApi = [
-    {
-      'id': '1001',
-      'score': 0,
-      'maxScore': 1,
-      'correctOptions': [
-      ],
-      'wrongOptions': [
-        0
-      ]
-    },
-    {
-      'id': '1004',
-      'score': 1,
-      'maxScore': 2,
-      'correctOptions': [
-        1
-      ],
-      'wrongOptions': [0]
-    },
-    {
-      'id': '1002',
-      'score': 0,
-      'maxScore': 2,
-      'correctOptions': [
-        1
-      ],
-      'wrongOptions': [0]
-    },
-    {
-      'id': '1003',
-      'score': 0,
-      'maxScore': 2,
-      'correctOptions': [],
-      'wrongOptions': [0, 1]
-    }
-
-];
-
-  beforeEach(() => {
-
-
-    const storageStub = {
-      retrieveFromStorage(item: StorageItem) {
-        if (item.valueOf() === StorageItem.JOURNAL_LOG.valueOf()) {
-          return dummyJournalLog;
-        } else if (item.valueOf() === StorageItem.JOURNAL_STRUCTURE.valueOf()) {
-          return dummyJournalStructure;
-        }
+  const dataFromApi = {
+    'sets': [
+      {
+        'id': 3001,
+        'score': 1,
+        'maxScore': 3,
+        'percentage': 33.33,
+        'percentile': 62.5,
+        'evaluationTexts': {
+          'scoreIndependent': 'score independent text',
+          'scoreDependent': 'below average message'
+        },
+        'tests': [
+          {
+            'id': '1001',
+            'score': 0,
+            'maxScore': 1,
+            'correctOptions': [],
+            'wrongOptions': [0],
+            'weight': 1,
+            'test': { 'id': 1001, 'type': 'logic', 'category': 'radio-buttons' },
+            'log': [true, false]
+          },
+          {
+            'id': '1004',
+            'score': 1,
+            'maxScore': 2,
+            'correctOptions': [1],
+            'wrongOptions': [0],
+            'weight': 1,
+            'test': { 'id': 1004, 'type': 'language', 'category': 'match' },
+            'log': [[0, 3], [4, 6]]
+          }
+        ]
       }
-    };
+    ],
+    'types': [
+      { 'type': 'logic', 'score': 0, 'maxScore': 1, 'percentage': 0 },
+      { 'type': 'language', 'score': 1, 'maxScore': 2, 'percentage': 50 }
+    ],
+    'score': 1,
+    'maxScore': 3,
+    'percentage': 33.33,
+    'recommendation': { 'outcome': 'recommended', 'text': 'well prepared' }
+  };
 
+  beforeEach(() => {
 
     TestBed.configureTestingModule({
-    imports: [HttpClientTestingModule],
-    providers: [
-      {provide: LocalStorageService, useValue: storageStub}
-    ]
+    imports: [HttpClientTestingModule]
   });
 
   resultService = TestBed.get(ResultService);
@@ -88,6 +76,11 @@ describe('ResultService', () => {
     resultService.loadResults(dummyPin)
     .subscribe(data => {
       expect(data).toBeDefined();
+      expect(data.percentage).toEqual(33.33);
+      expect(data.types.length).toEqual(2);
+      expect(data.sets[0].evaluationTexts.scoreDependent).toEqual('below average message');
+      expect(data.sets[0].tests[1].singleTest.type).toEqual('language');
+      expect(data.sets[0].tests[1].log).toEqual([[0, 3], [4, 6]]);
     });
 
     const mockReq = httpTestingController.expectOne(ResultService.LOAD_RESULT);
@@ -96,5 +89,18 @@ describe('ResultService', () => {
     mockReq.flush(dataFromApi);
   });
 
+  it('should use the evaluation of the update endpoint', () => {
+    resultService.getResults(dummyPin)
+    .subscribe(data => {
+      expect(data.sets[0].percentage).toEqual(33.33);
+      expect(data.sets[0].percentile).toEqual(62.5);
+      expect(data.recommendation.outcome).toEqual('recommended');
+    });
+
+    const mockReq = httpTestingController.expectOne(ResultService.UPDATE_RESULT);
+    expect(mockReq.request.method).toEqual('POST');
+    mockReq.flush(dataFromApi);
+  });
+
 
 });
@@ -8,6 +8,7 @@ import {
   MatChipsModule, MatOptionModule, MatSelectModule,
   MatBottomSheetModule, MatBadgeModule,
 } from '@angular/material';
+import { DragDropModule } from '@angular/cdk/drag-drop';
 @NgModule({
   declarations: [],
   imports: [
@@ -33,7 +34,8 @@ import {
     MatSelectModule,
     MatBottomSheetModule,
     MatExpansionModule,
-    MatBadgeModule
+    MatBadgeModule,
+    DragDropModule
   ]
 })
 export class MaterialModule { }
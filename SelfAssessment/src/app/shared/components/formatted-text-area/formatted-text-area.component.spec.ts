@@ -44,4 +44,12 @@ describe('FormattedTextAreaComponent', () => {
     expect(component.formattedText).toEqual(formattedText);
 
   });
+
+  it('should split the text at the gap markers', () => {
+    component.rawText = 'The cat [[1]] on the $$x$$ mat [[2]].';
+    component.formatImages();
+    component.formatEquations();
+    component.formatGaps();
+    expect(component.gapParts).toEqual([[' The cat ', 0, ' on the '], [], [' mat ', 1, '.']]);
+  });
 });
@@ -1,4 +1,4 @@
-import { Component, OnInit, OnChanges, Input, SimpleChanges } from '@angular/core';
+import { Component, OnInit, OnChanges, Input, SimpleChanges, TemplateRef } from '@angular/core';
 import { environment } from 'src/environments/environment.prod';
 
 /**
@@ -16,11 +16,24 @@ export class FormattedTextAreaComponent implements OnInit, OnChanges {
    */
   @Input() rawText: any;
 
+  /**
+   * Optional template which is rendered in place of every gap marker (e.g. `[[1]]`), used by
+   * cloze tests to render inputs inline. The template receives the index of the gap, starting at
+   * 0, as implicit context. Without a template, the markers are displayed as they are.
+   */
+  @Input() gapTemplate: TemplateRef<any>;
+
   /**
    * The formatted text.
    */
   formattedText: string[];
 
+  /**
+   * The text partials of the formatted text, split at the gap markers. Every odd element is the
+   * index of a gap.
+   */
+  gapParts: any[][];
+
   /**
    * The regex to filter the latex expressions.
    */
@@ -31,6 +44,11 @@ export class FormattedTextAreaComponent implements OnInit, OnChanges {
    */
   imgRegex = /``([^`]*)``/g;
 
+  /**
+   * The regex to find the gap markers.
+   */
+  gapRegex = /\[\[(\d+)\]\]/g;
+
   /**
    * The backend api url.
    */
@@ -44,6 +62,7 @@ export class FormattedTextAreaComponent implements OnInit, OnChanges {
   ngOnInit() {
     this.formatImages();
     this.formatEquations();
+    this.formatGaps();
   }
 
   /**
@@ -70,4 +89,17 @@ export class FormattedTextAreaComponent implements OnInit, OnChanges {
     this.formattedText = this.rawText.split(this.latexRegex);
   }
 
+  /**
+   * Split the text partials at the gap markers. Equations are not searched for gaps.
+   */
+  formatGaps() {
+    this.gapParts = this.formattedText.map((partial, i) => {
+      if (i % 2 !== 0) {
+        return [];
+      }
+      return partial.split(this.gapRegex)
+        .map((part, j) => (j % 2 === 0) ? part : Number(part) - 1);
+    });
+  }
+
 }
@@ -0,0 +1,41 @@
+import { ResultSet } from './result.set';
+import { ResultType } from './result.type';
+
+/**
+ * The evaluation of a user, aggregated by the backend.
+ */
+export interface Evaluation {
+
+    /**
+     * The evaluated sets.
+     */
+    sets: ResultSet[];
+
+    /**
+     * The subtotals per test type.
+     */
+    types: ResultType[];
+
+    /**
+     * The weighted overall score.
+     */
+    score: number;
+
+    /**
+     * The weighted overall max score.
+     */
+    maxScore: number;
+
+    /**
+     * The weighted overall percentage. Null if there is nothing to score.
+     */
+    percentage: number;
+
+    /**
+     * The recommendation of the course, stored once the result is locked. Null otherwise.
+     */
+    recommendation?: {
+        outcome: string;
+        text: string;
+    };
+}
@@ -0,0 +1,21 @@
+/**
+ * The average rating of a profile dimension, e.g. "interest in programming".
+ */
+export interface ResultDimension {
+
+    /**
+     * The name of the dimension.
+     */
+    name: string;
+
+    /**
+     * The average rating on the scale of the test, starting at 1. Null if no statement of the
+     * dimension was rated.
+     */
+    average: number;
+
+    /**
+     * The number of rated statements.
+     */
+    answered: number;
+}
@@ -14,4 +14,33 @@ export class ResultSet {
      * Array containing the results for all the different tests.
      */
     tests: ResultTest[];
+
+    /**
+     * The weighted score of the set, calculated by the backend.
+     */
+    score?: number;
+
+    /**
+     * The weighted max score of the set.
+     */
+    maxScore?: number;
+
+    /**
+     * The weighted percentage of the set. Null if the set contains nothing to score.
+     */
+    percentage?: number;
+
+    /**
+     * The percentile rank of the set among all locked results of the course. Only reported for
+     * courses with norms, null until enough results are locked.
+     */
+    percentile?: number;
+
+    /**
+     * The evaluation texts of the set, the score dependent text matches the percentage.
+     */
+    evaluationTexts?: {
+        scoreIndependent: string;
+        scoreDependent: string;
+    };
 }
@@ -1,4 +1,5 @@
 import { Test } from '../procedure/test.model';
+import { ResultDimension } from './result.dimension';
 
 /**
  * The evaluated single test.
@@ -30,6 +31,27 @@ export interface ResultTest {
      */
     wrongOptions: number[];
 
+    /**
+     * The average ratings per dimension. Only provided for profile tests, e.g. likert.
+     */
+    dimensions?: ResultDimension[];
+
+    /**
+     * The speed bonus for the time left, already part of the score. Only provided for speed tests
+     * with a bonus.
+     */
+    bonus?: number;
+
+    /**
+     * The bonus points of the test, already part of the max score.
+     */
+    maxBonus?: number;
+
+    /**
+     * The weight of the test in the set and overall result.
+     */
+    weight?: number;
+
     /**
      * A reference to the actual test instance.
      */
@@ -0,0 +1,25 @@
+/**
+ * The weighted subtotal of all evaluated tests of a type, e.g. "logic".
+ */
+export interface ResultType {
+
+    /**
+     * The type of the tests.
+     */
+    type: string;
+
+    /**
+     * The weighted score of the tests.
+     */
+    score: number;
+
+    /**
+     * The weighted max score of the tests.
+     */
+    maxScore: number;
+
+    /**
+     * The weighted percentage. Null if the tests contain nothing to score.
+     */
+    percentage: number;
+}
@@ -0,0 +1,26 @@
+import { SetElement } from './set.element.model';
+import { SetElementType } from './enums/element.type.enum';
+import { Test } from './test.model';
+
+/**
+ * Placeholder for a test of an adaptive testgroup.
+ * The backend picks the test when the user reaches the slot, based on the answers so far. The
+ * slot is then replaced by the picked test.
+ */
+export class AdaptiveSlot implements SetElement {
+
+    /**
+     * Set the element type.
+     */
+    elementType: SetElementType = SetElementType.ADAPTIVE;
+
+    /**
+     * ID of the adaptive testgroup.
+     */
+    id: string;
+
+    /**
+     * The tests of the testgroup, one of them replaces the slot.
+     */
+    tests: Test[];
+}
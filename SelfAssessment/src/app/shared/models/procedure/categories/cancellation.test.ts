@@ -0,0 +1,118 @@
+import { Test } from '../test.model';
+import { Category } from '../enums/category.enum';
+
+/**
+ * Modulus and multiplier of the Park-Miller generator, must match the backend implementation.
+ */
+const RANDOM_MODULUS = 2147483647;
+const RANDOM_MULTIPLIER = 48271;
+
+/**
+ * User has to mark all targets in a grid of symbols before the time runs out (d2-style
+ * concentration test). Every option is a symbol, targets are marked as correct.
+ * The grid is generated from a user-specific seed which is stored in the journal structure,
+ * so that the backend can re-create it for the evaluation.
+ *
+ * @example
+ * `options` = [{ text: 'd\'\'', correct: true }, { text: 'd\'' }, { text: 'p\'\'' }]
+ */
+export class Cancellation extends Test {
+
+    /**
+     * Assign the correct enum value.
+     */
+    category: Category =  Category.CANCELLATION;
+
+    /**
+     * Number of grid rows.
+     */
+    rows: number;
+
+    /**
+     * Number of grid columns.
+     */
+    columns: number;
+
+    /**
+     * Share of grid cells that contain a target, defaults to 0.4.
+     */
+    targetRatio?: number;
+
+    /**
+     * Weights of hits, misses and false alarms. Only evaluated by the backend.
+     */
+    weights?: {
+        hits?: number;
+        misses?: number;
+        falseAlarms?: number;
+    };
+
+    /**
+     * The user-specific seed the grid is generated from. Assigned by the journal director.
+     */
+    seed?: number;
+
+    /**
+     * Creates a new seed for a user.
+     *
+     * @returns Integer seed within the range of the generator.
+     */
+    static createSeed(): number {
+        return Math.floor(Math.random() * (RANDOM_MODULUS - 1)) + 1;
+    }
+
+    /**
+     * Creates a pseudo random number generator for a seed. It yields exactly the same sequence as
+     * the one of the backend.
+     *
+     * @param seed The seed.
+     * @returns Function which returns the next number in [0, 1).
+     */
+    static random(seed: number): () => number {
+        let state = Math.abs(Math.floor(seed)) % RANDOM_MODULUS;
+        if (state === 0) {
+            state = 1;
+        }
+
+        return () => {
+            state = (state * RANDOM_MULTIPLIER) % RANDOM_MODULUS;
+            return (state - 1) / (RANDOM_MODULUS - 1);
+        };
+    }
+
+    /**
+     * Generates the grid of a test from its seed.
+     *
+     * @param test The cancellation test.
+     * @returns Array of option indices, one for every cell (row by row).
+     */
+    static generateGrid(test: Cancellation): number[] {
+        const random = Cancellation.random(test.seed);
+        const targets: number[] = [];
+        const distractors: number[] = [];
+        test.options.forEach((option, i) => {
+            if (option.correct === true) {
+                targets.push(i);
+            } else {
+                distractors.push(i);
+            }
+        });
+
+        const cells = test.rows * test.columns;
+        const ratio = (test.targetRatio !== undefined) ? test.targetRatio : 0.4;
+        const targetCount = Math.max(1, Math.round(cells * ratio));
+        const grid: number[] = [];
+        for (let k = 0; k < cells; k++) {
+            const symbols = (k < targetCount) ? targets : distractors;
+            grid.push(symbols[Math.floor(random() * symbols.length)]);
+        }
+
+        // Fisher-Yates shuffle, so the targets are spread across the grid
+        for (let k = cells - 1; k > 0; k--) {
+            const j = Math.floor(random() * (k + 1));
+            [grid[k], grid[j]] = [grid[j], grid[k]];
+        }
+
+        return grid;
+    }
+}
@@ -0,0 +1,36 @@
+import { Test } from '../test.model';
+import { Category } from '../enums/category.enum';
+import { TestOption } from '../testoption.model';
+
+/**
+ * A gap of a cloze test. The text of the option is used as placeholder of free-text gaps.
+ */
+export interface ClozeGap extends TestOption {
+
+    /**
+     * The entries of a dropdown gap. Free-text gaps have no choices.
+     */
+    choices?: string[];
+
+    /**
+     * Whether free-text gaps are compared case-insensitively. Only evaluated by the backend.
+     */
+    ignoreCase?: boolean;
+}
+
+/**
+ * User has to fill the gaps in the task. The task contains gap markers, where `[[1]]` refers to
+ * the first option, `[[2]]` to the second one and so on.
+ */
+export class Cloze extends Test {
+
+    /**
+     * Assign the correct enum value.
+     */
+    category: Category =  Category.CLOZE;
+
+    /**
+     * Options which describe the gaps.
+     */
+    options: ClozeGap[];
+}
@@ -0,0 +1,61 @@
+import { Test } from '../test.model';
+import { Category } from '../enums/category.enum';
+import { TestOption } from '../testoption.model';
+
+/**
+ * An option of an estimate test, rendered as a slider.
+ */
+export interface EstimateOption extends TestOption {
+
+    /**
+     * Lowest value of the slider.
+     */
+    min: number;
+
+    /**
+     * Highest value of the slider.
+     */
+    max: number;
+
+    /**
+     * Step size of the slider, defaults to 1.
+     */
+    step?: number;
+
+    /**
+     * The unit which is displayed next to the chosen value.
+     */
+    unit?: string;
+}
+
+/**
+ * How the credit decreases with the distance from the correct value. Only evaluated by the backend.
+ */
+export interface EstimateFalloff {
+    type: 'linear' | 'step' | 'gaussian';
+    range?: number;
+    bands?: { distance: number, credit: number }[];
+    sigma?: number;
+}
+
+/**
+ * User has to estimate a value for every option with a slider. Values close to the correct
+ * one earn partial credit, so the score may be fractional.
+ */
+export class Estimate extends Test {
+
+    /**
+     * Assign the correct enum value.
+     */
+    category: Category =  Category.ESTIMATE;
+
+    /**
+     * The falloff of the credit.
+     */
+    falloff?: EstimateFalloff;
+
+    /**
+     * Options which contain the slider labels and ranges.
+     */
+    options: EstimateOption[];
+}
@@ -0,0 +1,50 @@
+import { Test } from '../test.model';
+import { Category } from '../enums/category.enum';
+import { TestOption } from '../testoption.model';
+
+/**
+ * A region of the image. All coordinates are relative to the image size, i.e. (0, 0) is the
+ * top left and (1, 1) the bottom right corner. Only evaluated by the backend.
+ */
+export interface HotspotRegion {
+    shape: 'rect' | 'circle' | 'polygon';
+    x?: number;
+    y?: number;
+    width?: number;
+    height?: number;
+    radius?: number;
+    points?: [number, number][];
+}
+
+/**
+ * An option of a hotspot test, i.e. the thing the user has to find on the image.
+ */
+export interface HotspotOption extends TestOption {
+
+    /**
+     * Regions which are accepted for this option.
+     */
+    regions?: HotspotRegion[];
+}
+
+/**
+ * User has to click on the part of the image that every option asks for.
+ * The log contains the relative [x, y] coordinates of the click for every option.
+ */
+export class Hotspot extends Test {
+
+    /**
+     * Assign the correct enum value.
+     */
+    category: Category =  Category.HOTSPOT;
+
+    /**
+     * Path of the image, relative to the public assets of the backend.
+     */
+    image: string;
+
+    /**
+     * Options which contain the prompts.
+     */
+    options: HotspotOption[];
+}
@@ -0,0 +1,55 @@
+import { Test } from '../test.model';
+import { Category } from '../enums/category.enum';
+import { TestOption } from '../testoption.model';
+
+/**
+ * A statement of a likert test.
+ */
+export interface LikertStatement extends TestOption {
+
+    /**
+     * The name of the dimension the statement belongs to.
+     */
+    dimension: string;
+
+    /**
+     * Whether the statement is reverse-coded. Only evaluated by the backend.
+     */
+    reverse?: boolean;
+}
+
+/**
+ * User has to rate every statement on a scale. There are no right or wrong answers, instead the
+ * ratings are averaged per dimension.
+ *
+ * @example
+ * View:
+ * +---------------------+----------+-------+
+ * |                     | disagree | agree |
+ * +---------------------+----------+-------+
+ * | I like puzzles      | o        | o     |
+ * | Programming is fun  | o        | o     |
+ * +---------------------+----------+-------+
+ */
+export class Likert extends Test {
+
+    /**
+     * Assign the correct enum value.
+     */
+    category: Category =  Category.LIKERT;
+
+    /**
+     * The labels of the scale, from the lowest to the highest rating.
+     */
+    scale: string[];
+
+    /**
+     * Whether the ratings contribute to the score.
+     */
+    scored?: boolean;
+
+    /**
+     * The statements.
+     */
+    options: LikertStatement[];
+}
@@ -1,5 +1,18 @@
 import { Test } from '../test.model';
 import { Category } from '../enums/category.enum';
+import { TestOption } from '../testoption.model';
+
+/**
+ * An option of a match test. The substring to pick and its index are not delivered to the
+ * frontend, only its length.
+ */
+export interface MatchOption extends TestOption {
+
+    /**
+     * The number of chars of the substring to pick, used to highlight the picked part.
+     */
+    length?: number;
+}
 
 /**
  * User has to select a substring from a given option.
@@ -11,4 +24,9 @@ export class Match extends Test {
      * Assign match enum value.
      */
     category: Category =  Category.MATCH;
+
+    /**
+     * Options which contain the texts to pick from.
+     */
+    options: MatchOption[];
 }
@@ -0,0 +1,39 @@
+import { Test } from '../test.model';
+import { Category } from '../enums/category.enum';
+import { TestOption } from '../testoption.model';
+
+/**
+ * An option of a numeric test, rendered as a blank input field.
+ */
+export interface NumericOption extends TestOption {
+
+    /**
+     * Accepted deviation from the correct value. Only evaluated by the backend, left out of the
+     * course config while the test is running.
+     */
+    tolerance?: {
+        absolute?: number;
+        relative?: number;
+    };
+
+    /**
+     * The unit which is displayed next to the input field.
+     */
+    unit?: string;
+}
+
+/**
+ * User has to type a number into the input field of every option.
+ */
+export class Numeric extends Test {
+
+    /**
+     * Assign the correct enum value.
+     */
+    category: Category =  Category.NUMERIC;
+
+    /**
+     * Options which contain the input labels and units.
+     */
+    options: NumericOption[];
+}
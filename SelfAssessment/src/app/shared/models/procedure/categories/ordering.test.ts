@@ -0,0 +1,20 @@
+import { Test } from '../test.model';
+import { Category } from '../enums/category.enum';
+
+/**
+ * User has to drag the options into the correct order. The backend delivers the options in an
+ * order of its own for every user, which the journal log refers to, and they are shuffled once
+ * more before they are displayed.
+ */
+export class Ordering extends Test {
+
+    /**
+     * Assign the correct enum value.
+     */
+    category: Category =  Category.ORDERING;
+
+    /**
+     * How the order is scored by the backend. Defaults to `position`.
+     */
+    orderScoring?: 'all-or-nothing' | 'position' | 'subsequence';
+}
@@ -0,0 +1,23 @@
+import { Test } from '../test.model';
+import { Category } from '../enums/category.enum';
+
+/**
+ * User has to connect every option (left item) to one of the targets (right items). There may
+ * be more targets than options and a target may be connected to several options.
+ *
+ * @example
+ * `targets` = ['dog', 'cat', 'horse']
+ * `options` = ['Hund', 'Katze', 'Kater']
+ */
+export class Pairs extends Test {
+
+    /**
+     * Assign enum value for this category.
+     */
+    category: Category =  Category.PAIRS;
+
+    /**
+     * The right items.
+     */
+    targets: string[];
+}
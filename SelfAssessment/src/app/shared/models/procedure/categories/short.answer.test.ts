@@ -0,0 +1,52 @@
+import { Test } from '../test.model';
+import { Category } from '../enums/category.enum';
+import { TestOption } from '../testoption.model';
+
+/**
+ * An accepted answer of a short-answer option.
+ */
+export interface ShortAnswerPattern {
+
+    /**
+     * The accepted answer or regular expression.
+     */
+    value: string;
+
+    /**
+     * How the typed text is compared to the value. Defaults to `exact`.
+     */
+    mode?: 'exact' | 'ignore-case' | 'regex';
+
+    /**
+     * Points awarded for this answer. Defaults to 1.
+     */
+    points?: number;
+}
+
+/**
+ * An option of a short-answer test, rendered as a blank text field.
+ */
+export interface ShortAnswerOption extends TestOption {
+
+    /**
+     * The accepted answers. Only evaluated by the backend and part of the evaluation once the
+     * result is locked.
+     */
+    answers?: ShortAnswerPattern[];
+}
+
+/**
+ * User has to type a word or phrase into the text field of every option.
+ */
+export class ShortAnswer extends Test {
+
+    /**
+     * Assign the correct enum value.
+     */
+    category: Category =  Category.SHORT_ANSWER;
+
+    /**
+     * Options which contain the input labels and accepted answers.
+     */
+    options: ShortAnswerOption[];
+}
@@ -2,5 +2,14 @@ export enum Category {
     RADIO_BUTTONS = 'radio-buttons',
     MULTIPLE_CHOICE = 'multiple-choice',
     MULTIPLE_OPTIONS = 'multiple-options',
-    MATCH = 'match'
+    MATCH = 'match',
+    NUMERIC = 'numeric',
+    SHORT_ANSWER = 'short-answer',
+    ORDERING = 'ordering',
+    PAIRS = 'pairs',
+    CLOZE = 'cloze',
+    LIKERT = 'likert',
+    HOTSPOT = 'hotspot',
+    ESTIMATE = 'estimate',
+    CANCELLATION = 'cancellation'
 }
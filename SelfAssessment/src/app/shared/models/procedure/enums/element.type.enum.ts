@@ -1,4 +1,5 @@
 export enum SetElementType {
     INFOPAGE,
-    TEST
+    TEST,
+    ADAPTIVE
 }
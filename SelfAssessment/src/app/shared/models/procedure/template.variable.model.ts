@@ -0,0 +1,14 @@
+/**
+ * A variable of a parameterized test. It is either a range (`min`, `max` and an optional `step`,
+ * which defaults to 1) or a list of `values`.
+ *
+ * @example
+ * `variables` = { a: { min: 2, max: 9 }, b: { values: [10, 100, 1000] } }
+ * `task` = 'Compute {a}*{b}'
+ */
+export interface TemplateVariable {
+    min?: number;
+    max?: number;
+    step?: number;
+    values?: number[];
+}
@@ -2,6 +2,7 @@ import { TestOption } from './testoption.model';
 import { SetElement } from './set.element.model';
 import { SetElementType } from './enums/element.type.enum';
 import { Category } from './enums/category.enum';
+import { TemplateVariable } from './template.variable.model';
 
 /**
  * A single test which may or may not belong to a test group.
@@ -56,4 +57,20 @@ export abstract class Test implements SetElement {
      */
     seconds?: number;
 
+    /**
+     * The worked solution of the test. Only part of the evaluation once the result is locked.
+     */
+    solution?: string;
+
+    /**
+     * The variables of a parameterized test. Their placeholders (e.g. `{a*b}`) are replaced
+     * when the journal structure is assembled.
+     */
+    variables?: { [name: string]: TemplateVariable };
+
+    /**
+     * The user-specific values of the variables. Assigned by the journal director.
+     */
+    values?: { [name: string]: number };
+
 }
@@ -10,7 +10,15 @@ export interface TestOption {
     text: string;
 
     /**
-     * Indicates whether the answer is correct.
+     * Indicates whether the answer is correct. Categories which grade the option differently
+     * (e.g. short-answer) omit it. Left out of the course config while the test is running,
+     * except for categories which need it to render the test (e.g. cancellation), and part of the
+     * evaluation once the result is locked.
      */
-    correct: boolean | string;
+    correct?: boolean | string | number;
+
+    /**
+     * Why the option is (not) correct. Only part of the evaluation once the result is locked.
+     */
+    explanation?: string;
 }
@@ -22,4 +22,14 @@ export interface JournalStructureMinimal {
      * The minimal representation of the structure sets.
      */
     sets: TestSetMinimal[];
+
+    /**
+     * The seeds of generated tests (e.g. cancellation), keyed by test id.
+     */
+    seeds?: { [testId: string]: number };
+
+    /**
+     * The variable values of parameterized tests, keyed by test id.
+     */
+    values?: { [testId: string]: { [name: string]: number } };
 }
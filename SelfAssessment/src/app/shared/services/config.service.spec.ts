@@ -108,7 +108,7 @@ describe('ConfigService', () => {
 
   it('should load course config from api endpoint', () => {
 
-    configService.loadConfigFromCourse(dummyCourse, dummyLanguage)
+    configService.loadConfigFromCourse(dummyCourse, dummyLanguage, 12345678)
       .subscribe(data => {
         expect(data).toEqual(dummyConfigFile);
       });
@@ -116,7 +116,7 @@ describe('ConfigService', () => {
     const mockReq = httpTestingController.expectOne(ConfigService.LOAD_CONFIG);
 
     expect(mockReq.request.method).toEqual('POST');
-    expect(mockReq.request.body).toEqual({name: dummyCourse, language: dummyLanguage});
+    expect(mockReq.request.body).toEqual({name: dummyCourse, language: dummyLanguage, pin: 12345678});
 
     mockReq.flush(dummyConfigFile);
 
@@ -10,7 +10,7 @@ import { Observable } from 'rxjs';
 import { Course } from '../models/configuration/course.model';
 import { LoggingService } from '../logging/logging.service';
 import { tap } from 'rxjs/operators';
-import { ResultSet } from '../models/evaluation/result.set';
+import { Evaluation } from '../models/evaluation/evaluation';
 import { JournalDirectorService } from './journal/journal.director';
 
 /**
@@ -61,13 +61,16 @@ export class ConfigService {
   }
 
   /**
-  * Fetches the course-specific configuration.
+  * Fetches the course-specific configuration. The backend delivers the options of ordering tests
+  * in an order of its own for every user, so the pin of the user is sent along.
   *
   * @param course The course to fetch.
+  * @param language The language of the config.
+  * @param pin The pin of the user.
   * @returns Observable containing the config file.
   */
-  public loadConfigFromCourse(course: string, language: string): Observable<ConfigFile> {
-    return this.http.post<ConfigFile>(ConfigService.LOAD_CONFIG, { name: course, language: language })
+  public loadConfigFromCourse(course: string, language: string, pin: number): Observable<ConfigFile> {
+    return this.http.post<ConfigFile>(ConfigService.LOAD_CONFIG, { name: course, language: language, pin: pin })
       .pipe(
         tap(data => {
           this.logging.info(`Loaded course config: ${course} for language: ${language}`);
@@ -106,13 +109,13 @@ export class ConfigService {
 
   /**
    * Inits the evaluation instance stored in the result service
-   * using the result set instance which was retrieved with the
+   * using the evaluation which was retrieved with the
    * the users pin.
    *
-   * @param The result set.
+   * @param The evaluation.
    */
-  public initEvaluationFromPin(resultSet: ResultSet[]) {
-   this.resultService.initResultServiceFromPin(resultSet);
+  public initEvaluationFromPin(evaluation: Evaluation) {
+   this.resultService.initResultServiceFromPin(evaluation);
   }
 
 }
@@ -0,0 +1,27 @@
+import { parse, evaluate, variables, format } from './expression';
+
+describe('Expression', () => {
+
+  it('should respect operator precedence', () => {
+    expect(evaluate(parse('1 + 2 * 3 ^ 2'), {})).toEqual(19);
+  });
+
+  it('should evaluate variables and functions', () => {
+    expect(evaluate(parse('round(a / b, 2) - -max(1, c) % 4'), { a: 10, b: 3, c: 6 })).toEqual(5.33);
+  });
+
+  it('should throw an error for invalid expressions', () => {
+    expect(() => parse('1 +')).toThrow();
+    expect(() => parse('alert(1)')).toThrow();
+    expect(() => parse('constructor(1)')).toThrow();
+    expect(() => evaluate(parse('toString'), {})).toThrow();
+  });
+
+  it('should return the used variables without constants', () => {
+    expect(variables(parse('max(a, 2 * pi * r)'))).toEqual(['a', 'r']);
+  });
+
+  it('should remove floating point noise', () => {
+    expect(format(0.1 + 0.2)).toEqual(0.3);
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Evaluator for the arithmetic expressions of parameterized tests. It has to behave exactly like
+ * the one of the backend (app/utils/expression.js). Expressions are never executed as JavaScript,
+ * they may only use numbers, variables, the operators + - * / % ^ (power), parentheses and the
+ * functions abs, ceil, floor, max, min, pow, round and sqrt.
+ */
+
+/**
+ * A node of the syntax tree.
+ */
+export interface ExpressionNode {
+  type: 'number' | 'variable' | 'unary' | 'binary' | 'call';
+  value?: number;
+  name?: string;
+  op?: string;
+  arg?: ExpressionNode;
+  left?: ExpressionNode;
+  right?: ExpressionNode;
+  args?: ExpressionNode[];
+}
+
+/**
+ * A token of an expression.
+ */
+interface Token {
+  type: 'number' | 'name' | 'operator';
+  value: any;
+}
+
+/**
+ * Functions that may be called in expressions, with their number of arguments.
+ */
+const FUNCTIONS: { [name: string]: { args: number[], fn: (...args: number[]) => number } } = {
+  abs: { args: [1, 1], fn: Math.abs },
+  ceil: { args: [1, 1], fn: Math.ceil },
+  floor: { args: [1, 1], fn: Math.floor },
+  max: { args: [1, Infinity], fn: Math.max },
+  min: { args: [1, Infinity], fn: Math.min },
+  pow: { args: [2, 2], fn: Math.pow },
+  round: {
+    args: [1, 2],
+    // round(x, digits) rounds to the given number of decimals
+    fn: (x: number, digits = 0) => Math.round(x * Math.pow(10, digits)) / Math.pow(10, digits)
+  },
+  sqrt: { args: [1, 1], fn: Math.sqrt }
+};
+
+/**
+ * Constants that may be used in expressions.
+ */
+const CONSTANTS: { [name: string]: number } = {
+  pi: Math.PI
+};
+
+/**
+ * Checks whether a lookup table contains a name. Inherited properties (e.g. 'constructor') must
+ * never be resolved, since they would give expressions access to JavaScript objects.
+ */
+function defines(table: object, name: string): boolean {
+  return Object.prototype.hasOwnProperty.call(table, name);
+}
+
+/**
+ * Splits an expression into tokens.
+ *
+ * @param source The expression.
+ * @returns The tokens, throws an error for unknown characters.
+ */
+function tokenize(source: string): Token[] {
+  const tokens: Token[] = [];
+  const pattern = /^\s*(?:(\d+(?:\.\d+)?|\.\d+)|([a-zA-Z_][a-zA-Z0-9_]*)|([-+*/%^(),]))/;
+  let rest = source;
+
+  while (!/^\s*$/.test(rest)) {
+    const match = pattern.exec(rest);
+    if (!match) {
+      throw new Error(`Unexpected character in expression: ${source}`);
+    }
+
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2] });
+    } else {
+      tokens.push({ type: 'operator', value: match[3] });
+    }
+    rest = rest.substring(match[0].length);
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser, one method per precedence level.
+ */
+class Parser {
+
+  /**
+   * Index of the next token.
+   */
+  private pos = 0;
+
+  constructor(
+    private source: string,
+    private tokens: Token[]
+  ) { }
+
+  /**
+   * Parses all tokens.
+   */
+  public parse(): ExpressionNode {
+    const tree = this.expression();
+    if (this.pos < this.tokens.length) {
+      throw new Error(`Unexpected "${this.peek().value}" in expression: ${this.source}`);
+    }
+    return tree;
+  }
+
+  private peek(): Token {
+    return this.tokens[this.pos];
+  }
+
+  private next(): Token {
+    return this.tokens[this.pos++];
+  }
+
+  private consume(value: string): void {
+    const token = this.next();
+    if (!token || token.value !== value) {
+      throw new Error(`Expected "${value}" in expression: ${this.source}`);
+    }
+  }
+
+  /**
+   * expression := term (('+' | '-') term)*
+   */
+  private expression(): ExpressionNode {
+    let node = this.term();
+    while (this.peek() && (this.peek().value === '+' || this.peek().value === '-')) {
+      node = { type: 'binary', op: this.next().value, left: node, right: this.term() };
+    }
+    return node;
+  }
+
+  /**
+   * term := unary (('*' | '/' | '%') unary)*
+   */
+  private term(): ExpressionNode {
+    let node = this.unary();
+    while (this.peek() && ['*', '/', '%'].indexOf(this.peek().value) !== -1) {
+      node = { type: 'binary', op: this.next().value, left: node, right: this.unary() };
+    }
+    return node;
+  }
+
+  /**
+   * unary := ('+' | '-') unary | power
+   */
+  private unary(): ExpressionNode {
+    if (this.peek() && (this.peek().value === '+' || this.peek().value === '-')) {
+      return { type: 'unary', op: this.next().value, arg: this.unary() };
+    }
+    return this.power();
+  }
+
+  /**
+   * power := primary ('^' unary)?, right associative
+   */
+  private power(): ExpressionNode {
+    const node = this.primary();
+    if (this.peek() && this.peek().value === '^') {
+      this.next();
+      return { type: 'binary', op: '^', left: node, right: this.unary() };
+    }
+    return node;
+  }
+
+  /**
+   * primary := number | name | name '(' arguments ')' | '(' expression ')'
+   */
+  private primary(): ExpressionNode {
+    const token = this.next();
+    if (!token) {
+      throw new Error(`Unexpected end of expression: ${this.source}`);
+    }
+
+    if (token.type === 'number') {
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      if (this.peek() && this.peek().value === '(') {
+        this.next();
+        const args: ExpressionNode[] = [];
+        if (this.peek() && this.peek().value !== ')') {
+          args.push(this.expression());
+          while (this.peek() && this.peek().value === ',') {
+            this.next();
+            args.push(this.expression());
+          }
+        }
+        this.consume(')');
+
+        const fn = defines(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+        if (!fn || args.length < fn.args[0] || args.length > fn.args[1]) {
+          throw new Error(`Unknown function or wrong arguments: ${token.value}`);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+      return { type: 'variable', name: token.value };
+    }
+
+    if (token.value === '(') {
+      const node = this.expression();
+      this.consume(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected "${token.value}" in expression: ${this.source}`);
+  }
+}
+
+/**
+ * Parses an expression into a syntax tree.
+ *
+ * @param source The expression, e.g. `round(a / b, 2) + 2^c`.
+ * @returns The syntax tree, throws an error for invalid expressions.
+ */
+export function parse(source: string): ExpressionNode {
+  return new Parser(source, tokenize(source)).parse();
+}
+
+/**
+ * Returns the names of all variables used in a syntax tree (constants excluded).
+ *
+ * @param tree The syntax tree.
+ */
+export function variables(tree: ExpressionNode): string[] {
+  switch (tree.type) {
+    case 'variable':
+      return defines(CONSTANTS, tree.name) ? [] : [tree.name];
+    case 'unary':
+      return variables(tree.arg);
+    case 'binary':
+      return variables(tree.left).concat(variables(tree.right));
+    case 'call':
+      return [].concat(...tree.args.map(variables));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Evaluates a syntax tree.
+ *
+ * @param tree The syntax tree.
+ * @param scope The values of the variables.
+ * @returns The result, throws an error for unknown variables.
+ */
+export function evaluate(tree: ExpressionNode, scope: { [name: string]: number }): number {
+  switch (tree.type) {
+    case 'number':
+      return tree.value;
+    case 'variable':
+      if (defines(scope, tree.name)) {
+        return scope[tree.name];
+      }
+      if (defines(CONSTANTS, tree.name)) {
+        return CONSTANTS[tree.name];
+      }
+      throw new Error(`Unknown variable: ${tree.name}`);
+    case 'unary': {
+      const arg = evaluate(tree.arg, scope);
+      return (tree.op === '-') ? -arg : arg;
+    }
+    case 'binary': {
+      const left = evaluate(tree.left, scope);
+      const right = evaluate(tree.right, scope);
+      switch (tree.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        default: return Math.pow(left, right);
+      }
+    }
+    case 'call':
+      return FUNCTIONS[tree.name].fn(...tree.args.map(arg => evaluate(arg, scope)));
+    default:
+      throw new Error(`Unknown expression node: ${tree.type}`);
+  }
+}
+
+/**
+ * Formats a number for display, without floating point noise (e.g. 0.1 + 0.2).
+ *
+ * @param value The number.
+ * @returns The number rounded to 10 decimals.
+ */
+export function format(value: number): number {
+  return Number(value.toFixed(10));
+}
@@ -0,0 +1,61 @@
+import { TestBed } from '@angular/core/testing';
+
+import { TemplateService } from './template.service';
+
+describe('TemplateService', () => {
+  let service: TemplateService;
+
+  const templateTestDummy = {
+    id: '1014',
+    category: 'numeric',
+    task: 'Compute {a}*{b}',
+    variables: {
+      a: { min: 2, max: 9 },
+      b: { values: [12, 15, 18] }
+    },
+    options: [
+      { text: '{a}*{b} =', correct: '{a*b}' }
+    ]
+  };
+
+  beforeEach(() => {
+    TestBed.configureTestingModule({});
+    service = TestBed.get(TemplateService);
+  });
+
+  it('should be created', () => {
+    expect(service).toBeTruthy();
+  });
+
+  it('should compute the values of a range', () => {
+    const variable = { min: 0.1, max: 0.3, step: 0.1 };
+    expect(service.count(variable)).toBe(3);
+    expect([0, 1, 2].map(index => service.valueAt(variable, index))).toEqual([0.1, 0.2, 0.3]);
+  });
+
+  it('should draw values from the variables', () => {
+    const values = service.drawValues(templateTestDummy.variables);
+    expect(values.a).toBeGreaterThanOrEqual(2);
+    expect(values.a).toBeLessThanOrEqual(9);
+    expect(Number.isInteger(values.a)).toBe(true);
+    expect(templateTestDummy.variables.b.values).toContain(values.b);
+  });
+
+  it('should draw values from large ranges', () => {
+    spyOn(Math, 'random').and.returnValue(0.5);
+    expect(service.drawValues({ a: { min: 0, max: 1e9, step: 0.5 } })).toEqual({ a: 5e8 });
+  });
+
+  it('should replace the placeholders of a copy', () => {
+    const test: any = service.apply(templateTestDummy, { a: 3, b: 12 });
+    expect(test.task).toEqual('Compute 3*12');
+    expect(test.options[0].text).toEqual('3*12 =');
+    expect(test.options[0].correct).toEqual(36);
+    expect(templateTestDummy.task).toEqual('Compute {a}*{b}');
+  });
+
+  it('should leave other curly braces untouched', () => {
+    const test = service.apply({ task: '?ref{1001-2}: $$x^{2} + {a}$$ {1 / (a - 3)}' }, { a: 3 });
+    expect(test.task).toEqual('?ref{1001-2}: $$x^{2} + 3$$ {1 / (a - 3)}');
+  });
+});
@@ -0,0 +1,141 @@
+import { Injectable } from '@angular/core';
+import { TemplateVariable } from '../../models/procedure/template.variable.model';
+import * as expression from './expression';
+
+/**
+ * Placeholders are wrapped in curly braces, references (?ref{...}) are not placeholders.
+ */
+const PLACEHOLDER_REGEX = /(\?ref)?\{([^{}]+)\}/g;
+
+/**
+ * Handles parameterized tests: draws the user-specific values of the variables and replaces the
+ * placeholders of a test. The backend replaces the placeholders the same way before it evaluates
+ * the test (app/core/course/template.js).
+ */
+@Injectable({
+  providedIn: 'root'
+})
+export class TemplateService {
+
+  /**
+   * Returns the number of values a variable may take. A range spans a whole number of steps from
+   * min to max, the backend rejects other configs.
+   *
+   * @param variable The variable definition.
+   */
+  public count(variable: TemplateVariable): number {
+    if (variable.values) {
+      return variable.values.length;
+    }
+
+    return expression.format((variable.max - variable.min) / (variable.step || 1)) + 1;
+  }
+
+  /**
+   * Returns a single value of a variable. The values of a range are computed from their position,
+   * they are never listed.
+   *
+   * @param variable The variable definition.
+   * @param index The position of the value, below [count]{@link TemplateService#count}.
+   */
+  public valueAt(variable: TemplateVariable, index: number): number {
+    if (variable.values) {
+      return variable.values[index];
+    }
+
+    return expression.format(variable.min + index * (variable.step || 1));
+  }
+
+  /**
+   * Randomly draws a value for every variable.
+   *
+   * @param variables The variable definitions.
+   * @returns The values, keyed by variable name.
+   */
+  public drawValues(variables: { [name: string]: TemplateVariable }): { [name: string]: number } {
+    const values = {};
+    Object.keys(variables).forEach(name => {
+      const variable = variables[name];
+      values[name] = this.valueAt(variable, Math.floor(Math.random() * this.count(variable)));
+    });
+    return values;
+  }
+
+  /**
+   * Creates a copy of a test with all placeholders replaced by the given values.
+   * `correct` attributes that consist of a single placeholder become numbers, all other
+   * placeholders are inserted as text.
+   *
+   * @param test The raw test config.
+   * @param values The values, keyed by variable name.
+   * @returns The copy of the test.
+   */
+  public apply<T>(test: T, values: { [name: string]: number }): T {
+    const replace = (node: any, key?: string): any => {
+      if (typeof node === 'string') {
+        return this.applyToString(node, values, key === 'correct');
+      }
+
+      if (Array.isArray(node)) {
+        return node.map(item => replace(item));
+      }
+
+      if (node !== null && typeof node === 'object') {
+        const copy = {};
+        Object.keys(node).forEach(k => {
+          // the definitions themselves are kept as they are
+          copy[k] = (k === 'variables') ? node[k] : replace(node[k], k);
+        });
+        return copy;
+      }
+
+      return node;
+    };
+
+    return replace(test);
+  }
+
+  /**
+   * Replaces the placeholders in a string. A placeholder is only replaced if it is an expression
+   * that uses at least one of the variables, so other curly braces (e.g. LaTeX groups like x^{2})
+   * are left untouched. Expressions without a finite result are left untouched as well, the
+   * backend refuses to evaluate such a test.
+   *
+   * @param input The string which may contain placeholders.
+   * @param values The values, keyed by variable name.
+   * @param numeric Whether a string that consists of a single placeholder becomes a number.
+   */
+  private applyToString(input: string, values: { [name: string]: number }, numeric: boolean): string | number {
+    let number: number = null;
+    const output = input.replace(PLACEHOLDER_REGEX, (match: string, ref: string, source: string) => {
+      if (ref) {
+        return match;
+      }
+
+      let tree: expression.ExpressionNode;
+      try {
+        tree = expression.parse(source);
+      } catch (err) {
+        // not an expression, e.g. text in curly braces
+        return match;
+      }
+
+      const names = expression.variables(tree);
+      if (names.length === 0 || names.some(name => !(name in values))) {
+        return match;
+      }
+
+      const result = expression.evaluate(tree, values);
+      if (!isFinite(result)) {
+        return match;
+      }
+      number = expression.format(result);
+      return String(number);
+    });
+
+    if (numeric && number !== null && /^\s*\{[^{}]+\}\s*$/.test(input)) {
+      return number;
+    }
+    return output;
+  }
+}
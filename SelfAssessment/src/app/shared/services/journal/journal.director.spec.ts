@@ -5,7 +5,12 @@ import { dummyJournal } from './../../../spec-helper/dummy.values';
 import { JournalDirectorService } from './journal.director';
 import { TestBed } from '@angular/core/testing';
 import { file, randTestgroupsFile, infopageFile, minJournalStruc,
-   formattedJournalLog, extractedJournalLog } from 'src/app/spec-helper/journal.director.dummy';
+   formattedJournalLog, extractedJournalLog, cancellationFile, templateFile,
+   adaptiveFile } from 'src/app/spec-helper/journal.director.dummy';
+import { Cancellation } from '../../models/procedure/categories/cancellation.test';
+import { Test } from '../../models/procedure/test.model';
+import { AdaptiveSlot } from '../../models/procedure/adaptive.slot.model';
+import { SetElementType } from '../../models/procedure/enums/element.type.enum';
 
 
 describe('JournalDirectorService', () => {
@@ -52,6 +57,54 @@ describe('JournalDirectorService', () => {
   });
 
 
+  it('should assign seeds to generated tests and keep them when saving', () => {
+    const journal = service.createJournal(cancellationFile);
+    const test = <Cancellation>journal.structure.sets[0].elements[0];
+    expect(test.seed).toBeGreaterThan(0);
+    expect(journal.log.sets[0].get('1013').length).toEqual(12);
+
+    const minStruc = service.prepareJournalStructureForSaving(journal.structure, 'IMIT', 'English');
+    expect(minStruc.seeds).toEqual({ '1013': test.seed });
+
+    const restored = service.createJournalStructure(cancellationFile, minStruc);
+    expect((<Cancellation>restored.sets[0].elements[0]).seed).toEqual(test.seed);
+  });
+
+  it('should draw the values of parameterized tests and keep them when saving', () => {
+    const journal = service.createJournal(templateFile);
+    const test = <Test>journal.structure.sets[0].elements[0];
+    expect(test.task).toEqual(`Compute ${test.values.a}*${test.values.b}`);
+    expect(templateFile.tests[0].task).toEqual('Compute {a}*{b}');
+
+    const minStruc = service.prepareJournalStructureForSaving(journal.structure, 'IMIT', 'English');
+    expect(minStruc.values).toEqual({ '1014': test.values });
+
+    minStruc.values['1014'] = { a: 3, b: 12 };
+    const restored = service.createJournalStructure(templateFile, minStruc);
+    expect((<Test>restored.sets[0].elements[0]).task).toEqual('Compute 3*12');
+  });
+
+  it('should add slots for the tests of adaptive testgroups and fill them', () => {
+    const journal = service.createJournal(adaptiveFile);
+    const elements = journal.structure.sets[0].elements;
+    expect(elements.length).toEqual(2);
+    expect(elements[0].elementType).toEqual(SetElementType.ADAPTIVE);
+    expect((<AdaptiveSlot>elements[0]).tests.length).toEqual(3);
+    expect(journal.log.sets[0].size).toEqual(0);
+
+    const test = service.fillAdaptiveSlot(journal.structure, journal.log, 0, 0, '1002');
+    expect(elements[0]).toBe(test);
+    expect(journal.log.sets[0].get('1002')).toEqual([]);
+    expect(service.fillAdaptiveSlot(journal.structure, journal.log, 0, 1, '9999')).toBeUndefined();
+
+    // the picked tests are kept, the remaining ones are slots again
+    const minStruc = service.prepareJournalStructureForSaving(journal.structure, 'IMIT', 'English');
+    expect(minStruc.sets[0].tests).toEqual(['1002']);
+    const restored = service.createJournalStructure(adaptiveFile, minStruc);
+    expect(restored.sets[0].elements[0].id).toEqual('1002');
+    expect(restored.sets[0].elements[1].elementType).toEqual(SetElementType.ADAPTIVE);
+  });
+
   it('should extract saved journalLog', () => {
     expect(service.extractSavedJournalLog(formattedJournalLog)).toEqual(extractedJournalLog);
   });
@@ -12,6 +12,9 @@ import { Infopage } from '../../models/procedure/infopage.model';
 import { TestSet } from '../../models/procedure/testset.model';
 import { Category } from '../../models/procedure/enums/category.enum';
 import { MultipleOptions } from '../../models/procedure/categories/multiple.options.test';
+import { Cancellation } from '../../models/procedure/categories/cancellation.test';
+import { TemplateService } from '../helper/template.service';
+import { AdaptiveSlot } from '../../models/procedure/adaptive.slot.model';
 
 /**
  * Service that handles all tasks related to formatting and assembling the journal attributes.
@@ -21,6 +24,13 @@ import { MultipleOptions } from '../../models/procedure/categories/multiple.opti
   })
 export class JournalDirectorService {
 
+    /**
+     * @param templateService Replaces the placeholders of parameterized tests.
+     */
+    constructor(
+      private templateService: TemplateService
+    ) { }
+
     /**
      * Creates a new journal instance from a given configuration file.
      *
@@ -100,6 +110,22 @@ export class JournalDirectorService {
             return minSet;
         });
 
+        // generated and parameterized tests can only be re-created with their seed or values
+        struc.sets.forEach(set => {
+          set.elements
+          .filter(e => e.elementType.valueOf() === SetElementType.TEST.valueOf())
+          .forEach(e => {
+            if ((<Cancellation>e).seed !== undefined) {
+              minStruc.seeds = minStruc.seeds || {};
+              minStruc.seeds[e.id] = (<Cancellation>e).seed;
+            }
+            if ((<Test>e).values) {
+              minStruc.values = minStruc.values || {};
+              minStruc.values[e.id] = (<Test>e).values;
+            }
+          });
+        });
+
         return minStruc;
       }
 
@@ -156,9 +182,24 @@ export class JournalDirectorService {
 
     // get all the single tests
     file.tests.forEach((rawTest: any) => {
+
+      // parameterized tests get user-specific values, which are kept when the user continues
+      if (rawTest.variables) {
+        const saved = (minJournalStruc != null && minJournalStruc.values) ? minJournalStruc.values[rawTest.id] : undefined;
+        const values = saved || this.templateService.drawValues(rawTest.variables);
+        rawTest = this.templateService.apply(rawTest, values);
+        rawTest.values = values;
+      }
+
       rawTest.setType = 'test';
       rawTest.elementType = SetElementType.TEST;
       allSingleTests.set(rawTest.id, <Test>rawTest);
+
+      // generated tests get a user-specific seed, which is kept when the user continues
+      if (rawTest.category === Category.CANCELLATION) {
+        const seeds = (minJournalStruc != null && minJournalStruc.seeds) ? minJournalStruc.seeds : {};
+        rawTest.seed = (seeds[rawTest.id] !== undefined) ? seeds[rawTest.id] : Cancellation.createSeed();
+      }
     });
 
     // get all the infopages
@@ -174,7 +215,19 @@ export class JournalDirectorService {
     file.testgroups.forEach((group: any) => {
       const temp = [];
 
-      if (minJournalStruc != null) {
+      if (group.adaptive) {
+        // the backend picks the tests of adaptive groups one after another, so the tests that
+        // were picked so far are followed by slots for the remaining ones
+        journalStrucRawTests
+        .filter(testId => group.tests.includes(testId))
+        .forEach(testId => temp.push(allSingleTests.get(testId)));
+        while (temp.length < group.select) {
+          const slot = new AdaptiveSlot();
+          slot.id = group.id;
+          slot.tests = group.tests.map(testId => allSingleTests.get(testId));
+          temp.push(slot);
+        }
+      } else if (minJournalStruc != null) {
         // the tests were already randomly generated
         group.tests.forEach(testId => {
           if (journalStrucRawTests.includes(testId)) {
@@ -226,7 +279,7 @@ export class JournalDirectorService {
           testsInTestgroup.get(element).forEach(test => {
 
             // check if a test inside the testgroup has a infopage
-            if (allInfopages.has(test.id)) {
+            if (test.elementType === SetElementType.TEST && allInfopages.has(test.id)) {
               set.elements.push(allInfopages.get(test.id));
             }
             set.elements.push(test);
@@ -240,6 +293,30 @@ export class JournalDirectorService {
     return journalStructure;
   }
 
+  /**
+   * Replaces an adaptive slot with the test that the backend picked and adds the initial log of
+   * the test to the journal log.
+   *
+   * @param struc The journal structure instance.
+   * @param log The journal log instance.
+   * @param setIndex The index of the set.
+   * @param elemIndex The index of the slot in the set.
+   * @param testId The id of the picked test.
+   * @returns The picked test, undefined if it does not belong to the testgroup of the slot.
+   */
+  public fillAdaptiveSlot(struc: JournalStructure, log: JournalLog, setIndex: number, elemIndex: number,
+    testId: string): Test {
+    const slot = <AdaptiveSlot>struc.sets[setIndex].elements[elemIndex];
+    const test = slot.tests.find(t => String(t.id) === String(testId));
+    if (!test) {
+      return undefined;
+    }
+
+    struc.sets[setIndex].elements[elemIndex] = test;
+    log.sets[setIndex].set(test.id, this.assembleTestLog(test));
+    return test;
+  }
+
   /**
    * Assembles the journal log from a journal structure instance.
    *
@@ -258,26 +335,53 @@ export class JournalDirectorService {
         // it does not matter if a test belongs to a testgroup
         set.elements.forEach((element: SetElement) => {
             if (element.elementType.valueOf() === SetElementType.TEST.valueOf()) {
-              const optionsLength = (<Test>element).options.length;
-
-                if ((<Test>element).category.valueOf() !== Category.MULTIPLE_OPTIONS.valueOf()) {
-                    journalSet.set(element.id, new Array(optionsLength).fill(null));
-                } else {
-                    const temp = new Array(optionsLength);
-                    for (let i = 0; i < temp.length; i++) {
-                    temp[i] = new Array((<MultipleOptions>element).header.length).fill(null);
-                    }
-                    journalSet.set(element.id, temp);
-                }
+                journalSet.set(element.id, this.assembleTestLog(<Test>element));
             }
         });
         journalLog.sets.push(journalSet);
     });
 
     return journalLog;
-}
-
-
+  }
 
+  /**
+   * Assembles the initial (unanswered) log of a single test. The shape of the log depends on the
+   * category of the test:
+   *
+   * - multiple-options: one array per option with one entry per header value.
+   * - numeric, short-answer: one entry per option which contains the typed value.
+   * - ordering: one entry per position which contains the index of the option placed there.
+   * - pairs: one entry per option which contains the index of the selected target.
+   * - cloze: one entry per gap which contains the selected choice index or the typed text.
+   * - likert: one entry per statement which contains the index of the selected scale label.
+   * - hotspot: one entry per option which contains the relative [x, y] position of the click.
+   * - estimate: one entry per option which contains the value chosen with the slider.
+   * - cancellation: one entry per grid cell (row by row) which contains whether it is marked.
+   * - every other category: one entry per option.
+   *
+   * All entries are null until the user answers.
+   *
+   * @param test The single test.
+   * @returns The initial log array.
+   */
+  public assembleTestLog(test: Test): any[] {
+    const optionsLength = test.options.length;
+
+    switch (test.category) {
+      case Category.MULTIPLE_OPTIONS: {
+        const temp = new Array(optionsLength);
+        for (let i = 0; i < temp.length; i++) {
+          temp[i] = new Array((<MultipleOptions>test).header.length).fill(null);
+        }
+        return temp;
+      }
+      case Category.CANCELLATION: {
+        const cancellation = <Cancellation>test;
+        return new Array(cancellation.rows * cancellation.columns).fill(null);
+      }
+      default:
+        return new Array(optionsLength).fill(null);
+    }
+  }
 
 }
@@ -94,6 +94,44 @@ describe('JournalService', () => {
 
   });
 
+  it('should open the visit of a test', () => {
+    journalService.startTestTiming('1003')
+      .subscribe(data => {
+        expect(data).toBeNull();
+      });
+
+    const mockReq = httpTestingController.expectOne(JournalService.START_JOURNAL_TIMING);
+    expect(mockReq.request.method).toEqual('POST');
+    expect(mockReq.request.body.id).toEqual('1003');
+    mockReq.flush(null);
+  });
+
+  it('should record the visit of a test', () => {
+    journalService.saveTestTiming('1003')
+      .subscribe(data => {
+        expect(data).toBeNull();
+      });
+
+    const mockReq = httpTestingController.expectOne(JournalService.SAVE_JOURNAL_TIMING);
+    expect(mockReq.request.method).toEqual('POST');
+    expect(mockReq.request.body.id).toEqual('1003');
+    expect(mockReq.request.body.duration).toBeUndefined();
+    mockReq.flush(null);
+  });
+
+  it('should load the next test of an adaptive testgroup', () => {
+    journalService.loadNextAdaptiveTest('3001', '2001')
+      .subscribe(id => {
+        expect(id).toEqual('1002');
+      });
+
+    const mockReq = httpTestingController.expectOne(JournalService.NEXT_ADAPTIVE_TEST);
+    expect(mockReq.request.method).toEqual('POST');
+    expect(mockReq.request.body.set).toEqual('3001');
+    expect(mockReq.request.body.group).toEqual('2001');
+    mockReq.flush({ id: '1002' });
+  });
+
   it('should throw error if request failed', () => {
 
     const emsg = 'dummy 404 error occurred';
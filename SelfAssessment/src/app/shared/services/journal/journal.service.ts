@@ -41,6 +41,21 @@ export class JournalService {
    */
   public static readonly SAVE_JOURNAL_STRUCTURE = 'api/v1/journal/structure/save';
 
+  /**
+   * Api route that picks the next test of an adaptive testgroup.
+   */
+  public static readonly NEXT_ADAPTIVE_TEST = 'api/v1/journal/structure/next';
+
+  /**
+   * Api route that opens a visit of a test.
+   */
+  public static readonly START_JOURNAL_TIMING = 'api/v1/journal/timing/start';
+
+  /**
+   * Api route that records the open visit of a test in the journal timing.
+   */
+  public static readonly SAVE_JOURNAL_TIMING = 'api/v1/journal/timing/save';
+
   constructor(
     private http: HttpClient,
     private journalDirector: JournalDirectorService,
@@ -87,7 +102,7 @@ export class JournalService {
         // store name of course in local storage, this information is lost after the proper
         // structure object is created from the minimal representation
         this.storageService.persistInStorage(StorageItem.COURSE, {name: structure.course});
-        return this.configService.loadConfigFromCourse(structure.course, structure.language)
+        return this.configService.loadConfigFromCourse(structure.course, structure.language, pin)
         .pipe(
           map((configFile: ConfigFile) => {
             return this.journalDirector.createJournalStructure(configFile, structure);
@@ -172,6 +187,63 @@ export class JournalService {
     );
   }
 
+  /**
+   * Lets the backend pick the next test of an adaptive testgroup. The backend adds the test to the
+   * journal structure in the database.
+   *
+   * @param setId The id of the set.
+   * @param groupId The id of the adaptive testgroup.
+   * @returns Observable containing the id of the test, null if the testgroup is complete.
+   */
+  public loadNextAdaptiveTest(setId: string, groupId: string): Observable<string> {
+    return this.http.post<{ id: string }>(JournalService.NEXT_ADAPTIVE_TEST, {
+      pin: this.storageService.retrieveFromStorage(StorageItem.PIN),
+      set: setId,
+      group: groupId
+    }).pipe(
+      map(response => response.id),
+      tap((id) => {
+        this.logging.info(`Loaded next test of adaptive testgroup: ${groupId}: ${id}`);
+      })
+    );
+  }
+
+  /**
+   * Opens a visit of a test. The backend measures the visit with its own clock until it is
+   * recorded, see [saveTestTiming]{@link JournalService#saveTestTiming}.
+   *
+   * @param testId The id of the test.
+   * @returns Observable.
+   */
+  public startTestTiming(testId: string): Observable<any> {
+    return this.http.post(JournalService.START_JOURNAL_TIMING, {
+      pin: this.storageService.retrieveFromStorage(StorageItem.PIN),
+      id: testId
+    }).pipe(
+      tap(() => {
+        this.logging.info(`Started timing of test: ${testId}`);
+      })
+    );
+  }
+
+  /**
+   * Records the open visit of a test. The backend sums up the active time and counts the
+   * revisits, speed tests may award a bonus for the time left.
+   *
+   * @param testId The id of the test.
+   * @returns Observable.
+   */
+  public saveTestTiming(testId: string): Observable<any> {
+    return this.http.post(JournalService.SAVE_JOURNAL_TIMING, {
+      pin: this.storageService.retrieveFromStorage(StorageItem.PIN),
+      id: testId
+    }).pipe(
+      tap(() => {
+        this.logging.info(`Saved timing of test: ${testId}`);
+      })
+    );
+  }
+
   public saveJournal(journal: Journal): Observable<any> {
     const storeJournalStruc = this.saveJournalStructure(journal.structure);
     const storeJournalLog = this.saveJournalLog(journal.log);
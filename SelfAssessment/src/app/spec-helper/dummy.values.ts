@@ -10,6 +10,7 @@ import { Category } from '../shared/models/procedure/enums/category.enum';
 import { Match } from '../shared/models/procedure/categories/match.test';
 import { TestSet } from '../shared/models/procedure/testset.model';
 import { ResultSet } from '../shared/models/evaluation/result.set';
+import { Evaluation } from '../shared/models/evaluation/evaluation';
 
 export const dummyTestRadioButtons: RadioButtons = new RadioButtons();
   dummyTestRadioButtons.description = 'dummy radio button test';
@@ -87,11 +88,13 @@ dummyMatchTest.type = 'dummyType';
 dummyMatchTest.options = [
     {
       text: 'dummy first option',
-      correct: 'um'
+      correct: 'um',
+      length: 2
     },
     {
       text: 'dummy second option',
-      correct: 'se'
+      correct: 'se',
+      length: 2
     }
   ];
 
@@ -186,3 +189,18 @@ export const resultSetDummy: ResultSet[] = [
     ]
   }
 ];
+
+export const evaluationDummy: Evaluation = {
+  sets: resultSetDummy,
+  types: [
+    {
+      type: 'dummyType',
+      score: 1,
+      maxScore: 7,
+      percentage: 14.29
+    }
+  ],
+  score: 1,
+  maxScore: 7,
+  percentage: 14.29
+};
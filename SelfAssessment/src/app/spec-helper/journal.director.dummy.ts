@@ -403,3 +403,120 @@ export const file: ConfigFile = {
     }
   ]
 };
+
+export const cancellationFile: ConfigFile = {
+  title: '',
+  icon: '',
+  checksumRegex: '',
+  tests: [
+    {
+      id: '1013',
+      description: '',
+      category: 'cancellation',
+      evaluated: true,
+      task: '',
+      type: 'concentration',
+      seconds: 60,
+      rows: 3,
+      columns: 4,
+      options: [
+        { text: 'd\'\'', correct: true },
+        { text: 'd\'' }
+      ]
+    }
+  ],
+  testgroups: [],
+  sets: [
+    {
+      id: '3001',
+      elements: ['1013']
+    }
+  ],
+  infopages: []
+};
+
+export const templateFile: ConfigFile = {
+  title: '',
+  icon: '',
+  checksumRegex: '',
+  tests: [
+    {
+      id: '1014',
+      description: '',
+      category: 'numeric',
+      evaluated: true,
+      task: 'Compute {a}*{b}',
+      type: 'math',
+      variables: {
+        a: { min: 2, max: 9 },
+        b: { values: [12, 15, 18] }
+      },
+      options: [
+        { text: '{a}*{b} =', correct: '{a*b}' }
+      ]
+    }
+  ],
+  testgroups: [],
+  sets: [
+    {
+      id: '3001',
+      elements: ['1014']
+    }
+  ],
+  infopages: []
+};
+
+export const adaptiveFile: ConfigFile = {
+  title: '',
+  icon: '',
+  checksumRegex: '',
+  tests: [
+    {
+      id: '1001',
+      description: '',
+      category: 'radio-buttons',
+      evaluated: true,
+      task: '',
+      type: '',
+      difficulty: 1,
+      options: []
+    },
+    {
+      id: '1002',
+      description: '',
+      category: 'radio-buttons',
+      evaluated: true,
+      task: '',
+      type: '',
+      difficulty: 2,
+      options: []
+    },
+    {
+      id: '1003',
+      description: '',
+      category: 'radio-buttons',
+      evaluated: true,
+      task: '',
+      type: '',
+      difficulty: 3,
+      options: []
+    }
+  ],
+  testgroups: [
+    {
+      id: '2001',
+      tests: [
+        '1001', '1002', '1003'
+      ],
+      select: 2,
+      adaptive: {}
+    }
+  ],
+  sets: [
+    {
+      id: '3001',
+      elements: ['2001']
+    }
+  ],
+  infopages: []
+};
@@ -10,7 +10,7 @@ import { BehaviorSubject, Observable, of, throwError } from 'rxjs';
 import { JournalLog } from 'src/app/shared/models/state/journal.log.model';
 import { JournalLogService } from '../../services/journal-log.service';
 import { JournalStructure } from 'src/app/shared/models/state/journal.structure.model';
-import { Component, Pipe, PipeTransform, Input } from '@angular/core';
+import { Component, Pipe, PipeTransform, Input, Output, EventEmitter } from '@angular/core';
 import { LoggingService } from 'src/app/shared/logging/logging.service';
 import { RouterTestingModule } from '@angular/router/testing';
 import { LoadingComponentDirective } from 'src/app/shared/directives/loading-component.directive';
@@ -21,6 +21,7 @@ import { MatStepper } from '@angular/material';
 import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
 import { StorageItem } from 'src/app/shared/services/local.storage.values.enum';
 import { Infopage } from 'src/app/shared/models/procedure/infopage.model';
+import { AdaptiveSlot } from 'src/app/shared/models/procedure/adaptive.slot.model';
 
 
 
@@ -76,6 +77,8 @@ describe('MainPanelComponent', () => {
       get journalLogInstance(): JournalLog {
         return this.journalLog.getValue();
       }
+
+      refreshJournalLog(): void { }
     }
 
     const strings = {
@@ -95,6 +98,7 @@ describe('MainPanelComponent', () => {
     })
     class SingleTestCardMockComponent {
       @Input() singleTest: Test;
+      @Output() started = new EventEmitter<void>();
     }
 
 
@@ -109,11 +113,24 @@ describe('MainPanelComponent', () => {
     const journalServiceMock = {
       saveJournalLog(log: JournalLog): Observable<any>  {
         return of('DONE');
+      },
+
+      loadNextAdaptiveTest(setId: string, groupId: string): Observable<string> {
+        return of('6');
+      },
+
+      startTestTiming(testId: string): Observable<any> {
+        return of(null);
+      },
+
+      saveTestTiming(testId: string): Observable<any> {
+        return of(null);
       }
     };
 
     const storageServiceStub = {
       retrieveFromStorage(item: StorageItem) { return journalStructureDummy; },
+      persistInStorage(item: StorageItem, value: any) { },
       prepareJournalLogForSaving(journalLog: JournalLog): Object {
         return new Object();
       }
@@ -286,6 +303,146 @@ describe('MainPanelComponent', () => {
     });
   });
 
+  it('should record the visit of a test when the user moves on', () => {
+    component.updateProtocol = false;
+    fixture.detectChanges();
+
+    spyOn(journalSerivce, 'startTestTiming').and.callThrough();
+    spyOn(journalSerivce, 'saveTestTiming').and.callThrough();
+    const stepper = new MockMatStepper(null, null);
+
+    component.moveToNextSetElement(true, stepper);
+    expect(journalSerivce.saveTestTiming).toHaveBeenCalledWith('1');
+    expect(journalSerivce.startTestTiming).toHaveBeenCalledWith('2');
+    expect(component.setElemIndex).toBe(1);
+
+    component.moveToNextSetElement(false, stepper);
+    expect(journalSerivce.saveTestTiming).toHaveBeenCalledWith('2');
+    expect(journalSerivce.saveTestTiming).toHaveBeenCalledTimes(2);
+  });
+
+  it('should open the visit of a speed test once its task is shown', () => {
+    component.journalStructure = {
+      sets: [{ id: '0', elements: [<Test>{ id: '1', elementType: SetElementType.TEST, seconds: 30 }] }]
+    };
+    component.setIndex = 0;
+    component.setElemIndex = 0;
+
+    spyOn(journalSerivce, 'startTestTiming').and.callThrough();
+    component.startTiming();
+    expect(journalSerivce.startTestTiming).not.toHaveBeenCalled();
+
+    component.openVisit();
+    expect(journalSerivce.startTestTiming).toHaveBeenCalledWith('1');
+  });
+
+  it('should not block the navigation if the timing could not be stored', () => {
+    component.updateProtocol = true;
+    fixture.detectChanges();
+
+    spyOn(journalSerivce, 'saveTestTiming').and.returnValue(throwError({status: 500}));
+    spyOn(component, 'adjustIndices');
+
+    component.moveToNextSetElement(true, new MockMatStepper(null, null));
+    expect(component.adjustIndices).toHaveBeenCalled();
+  });
+
+  it('should let the backend pick the test of an adaptive slot', () => {
+    const test = <Test>{ id: '6', elementType: SetElementType.TEST, category: 'radio-buttons', options: [] };
+    const slot = new AdaptiveSlot();
+    slot.id = '2001';
+    slot.tests = [<Test>{ id: '5', elementType: SetElementType.TEST }, test];
+    component.journalStructure = {
+      sets: [{ id: '0', elements: [{ id: '1', elementType: SetElementType.TEST }, slot] }]
+    };
+    journalLogService.journalLog.next({ sets: [new Map<string, any[]>()] });
+    component.setIndex = 0;
+    component.setElemIndex = 1;
+
+    spyOn(journalSerivce, 'loadNextAdaptiveTest').and.callThrough();
+    spyOn(journalSerivce, 'saveJournalLog').and.callThrough();
+    component.resolveAdaptiveSlot();
+
+    expect(journalSerivce.loadNextAdaptiveTest).toHaveBeenCalledWith('0', '2001');
+    expect(component.journalStructure.sets[0].elements[1]).toBe(test);
+    expect(journalLogService.journalLogInstance.sets[0].has('6')).toBeTruthy();
+    expect(journalSerivce.saveJournalLog).toHaveBeenCalled();
+    expect(component.loading).toBeFalsy();
+  });
+
+  it('should resolve an adaptive slot once when the user moves on to its set', () => {
+    const test = <Test>{ id: '6', elementType: SetElementType.TEST, category: 'radio-buttons', options: [] };
+    const slot = new AdaptiveSlot();
+    slot.id = '2001';
+    slot.tests = [test];
+    component.journalStructure = {
+      sets: [
+        { id: '0', elements: [{ id: '1', elementType: SetElementType.TEST }] },
+        { id: '1', elements: [slot, { id: '3', elementType: SetElementType.TEST }] }
+      ]
+    };
+    journalLogService.journalLog.next({ sets: [new Map<string, any[]>(), new Map<string, any[]>()] });
+    component.setIndex = 0;
+    component.setElemIndex = 0;
+
+    // the stepper emits its selection change right away
+    const stepper = new MockMatStepper(null, null);
+    spyOn(stepper, 'next').and.callFake(() => component.jumpToNextSet(component.setIndex + 1));
+    spyOn(journalSerivce, 'loadNextAdaptiveTest').and.callThrough();
+    spyOn(journalSerivce, 'startTestTiming').and.callThrough();
+    component.adjustIndices(true, stepper);
+
+    expect(journalSerivce.loadNextAdaptiveTest).toHaveBeenCalledTimes(1);
+    expect(journalSerivce.startTestTiming).toHaveBeenCalledTimes(1);
+    expect(component.journalStructure.sets[1].elements.map(elem => elem.id)).toEqual(['6', '3']);
+    expect(component.setIndex).toBe(1);
+    expect(component.setElemIndex).toBe(0);
+  });
+
+  it('should skip an adaptive slot if the backend picks no test', () => {
+    const slot = new AdaptiveSlot();
+    slot.id = '2001';
+    slot.tests = [<Test>{ id: '5', elementType: SetElementType.TEST }];
+    component.journalStructure = {
+      sets: [{ id: '0', elements: [{ id: '1', elementType: SetElementType.TEST }, slot,
+        { id: '3', elementType: SetElementType.TEST }] }]
+    };
+    component.setIndex = 0;
+    component.setElemIndex = 1;
+
+    spyOn(journalSerivce, 'loadNextAdaptiveTest').and.returnValue(of(null));
+    spyOn(journalSerivce, 'saveJournalLog').and.callThrough();
+    spyOn(component, 'startTiming');
+    component.resolveAdaptiveSlot();
+
+    expect(component.journalStructure.sets[0].elements.map(elem => elem.id)).toEqual(['1', '3']);
+    expect(component.setElemIndex).toBe(1);
+    expect(component.startTiming).toHaveBeenCalled();
+    expect(journalSerivce.saveJournalLog).not.toHaveBeenCalled();
+    expect(component.loading).toBeFalsy();
+  });
+
+  it('should move on if the skipped adaptive slot is the last element', () => {
+    const slot = new AdaptiveSlot();
+    slot.id = '2001';
+    slot.tests = [];
+    component.journalStructure = {
+      sets: [{ id: '0', elements: [{ id: '1', elementType: SetElementType.TEST }, slot] }]
+    };
+    component.setIndex = 0;
+    component.setElemIndex = 1;
+    component.updateProtocol = false;
+
+    spyOn(journalSerivce, 'loadNextAdaptiveTest').and.returnValue(of(null));
+    spyOn(component, 'moveToNextSetElement').and.callThrough();
+    spyOn(router, 'navigateByUrl');
+    component.resolveAdaptiveSlot();
+
+    expect(component.journalStructure.sets[0].elements.length).toBe(1);
+    expect(component.moveToNextSetElement).toHaveBeenCalledWith(true, component.stepper);
+    expect(router.navigateByUrl).toHaveBeenCalledWith('/evaluation');
+  });
+
   it('should disable backward button', () => {
     component.setIndex = 0;
     component.setElemIndex = 0;
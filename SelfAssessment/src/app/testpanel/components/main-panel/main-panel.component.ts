@@ -1,4 +1,4 @@
-import { Component, OnInit } from '@angular/core';
+import { Component, OnInit, ViewChild } from '@angular/core';
 import { JournalService } from 'src/app/shared/services/journal/journal.service';
 import { GlobalIndicator } from '../../global.indicators';
 import { MatStepper } from '@angular/material';
@@ -9,6 +9,10 @@ import { LoggingService } from 'src/app/shared/logging/logging.service';
 import { Router } from '@angular/router';
 import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
 import { StorageItem } from 'src/app/shared/services/local.storage.values.enum';
+import { JournalDirectorService } from 'src/app/shared/services/journal/journal.director';
+import { Observable, forkJoin, of, throwError } from 'rxjs';
+import { catchError, map, switchMap } from 'rxjs/operators';
+import { Test } from 'src/app/shared/models/procedure/test.model';
 
 /**
  * Handles the testing procedure.
@@ -29,6 +33,12 @@ import { StorageItem } from 'src/app/shared/services/local.storage.values.enum';
  * The overall progress is tracked via the `GlobalIndicator` injectable which is also used inside
  * other services.
  *
+ * Tests of adaptive testgroups are picked by the backend once the user reaches their
+ * [slot]{@link AdaptiveSlot}, based on the answers so far.
+ *
+ * Every visit of a test is timed and recorded in the journal timing once the user leaves the
+ * test. The time of a speed test starts with its start button.
+ *
  */
 @Component({
   selector: 'app-main-panel',
@@ -65,10 +75,20 @@ export class MainPanelComponent implements OnInit {
    */
   private elementIndex = null;
 
+  /**
+   * The test that is currently timed, null if the current element is no test.
+   */
+  private timedTest: Test = null;
+
   setElementType = SetElementType;
 
   modeProgressBar = 'determinate';
 
+  /**
+   * The stepper of the sets, needed to move on from a skipped adaptive slot.
+   */
+  @ViewChild('stepper') stepper: MatStepper;
+
   /**
    * Constructor for this component.
    */
@@ -78,7 +98,8 @@ export class MainPanelComponent implements OnInit {
     private globals: GlobalIndicator,
     private storageService: LocalStorageService,
     private logging: LoggingService,
-    private router: Router
+    private router: Router,
+    private journalDirector: JournalDirectorService
   ) { }
 
   /**
@@ -99,6 +120,7 @@ export class MainPanelComponent implements OnInit {
         this.logging.debug('Journal log changed', data);
       }
     );
+    this.resolveAdaptiveSlot();
   }
 
   /**
@@ -110,11 +132,15 @@ export class MainPanelComponent implements OnInit {
    * @param stepper The stepper element from the template.
    */
   public moveToNextSetElement(forward: boolean, stepper: MatStepper): void {
+    const timing = this.recordTiming();
+
     // update the journal log if the current set element is a test and changes occured
-    if (this.currentElements[this.setElemIndex].elementType === SetElementType.TEST && this.updateProtocol) {
+    const element = this.currentElements[this.setElemIndex];
+    if (element && element.elementType === SetElementType.TEST && this.updateProtocol) {
       this.loading = true;
       this.modeProgressBar = 'indeterminate';
-      this.journalService.saveJournalLog(this.journalLogService.journalLogInstance).subscribe(
+      // the timing has to be stored before the evaluation, it decides on the speed bonus
+      forkJoin([this.journalService.saveJournalLog(this.journalLogService.journalLogInstance), timing]).subscribe(
         () => {
           this.updateProtocol = false;
           this.adjustIndices(forward, stepper);
@@ -125,15 +151,69 @@ export class MainPanelComponent implements OnInit {
         this.loading = false;
       });
     } else {
+      timing.subscribe();
       this.adjustIndices(forward, stepper);
     }
 
   }
 
+  /**
+   * Starts the timing of the current set element, if it is a test. The visit of a speed test is
+   * opened once its task is shown, see [openVisit]{@link MainPanelComponent#openVisit}.
+   */
+  public startTiming(): void {
+    const element = this.currentElements[this.setElemIndex];
+    this.timedTest = element && element.elementType === SetElementType.TEST ? <Test>element : null;
+    if (this.timedTest && !this.timedTest.seconds) {
+      this.openVisit();
+    }
+  }
+
+  /**
+   * Opens the visit of the timed test, if any. The backend measures the visit with its own clock
+   * and keeps the start of a visit that is already open. Failures are logged only, like in
+   * [recordTiming]{@link MainPanelComponent#recordTiming}.
+   */
+  public openVisit(): void {
+    if (!this.timedTest) {
+      return;
+    }
+
+    const test = this.timedTest;
+    this.journalService.startTestTiming(test.id).subscribe(
+      () => {},
+      err => this.logging.error(`Could not start timing of test: ${test.id}`, err)
+    );
+  }
+
+  /**
+   * Records the visit of the timed test, if any, and stops its timing. Failures are logged only,
+   * they must not keep the user from moving on.
+   *
+   * @returns Observable that completes once the visit is stored.
+   */
+  public recordTiming(): Observable<any> {
+    if (!this.timedTest) {
+      return of(null);
+    }
+
+    const test = this.timedTest;
+    this.timedTest = null;
+    return this.journalService.saveTestTiming(test.id)
+    .pipe(
+      catchError(err => {
+        this.logging.error(`Could not save timing of test: ${test.id}`, err);
+        return of(null);
+      })
+    );
+  }
+
 
   /**
    * Adjusts the global indices for the journal structure
-   * according to the users actions.
+   * according to the users actions. If the stepper moves to another set, the set element is
+   * resolved by [jumpToNextSet]{@link MainPanelComponent#jumpToNextSet}, the stepper emits its
+   * selection change right away.
    *
    * @param forward Indicates the direction.
    * @param stepper The stepper instance.
@@ -148,9 +228,11 @@ export class MainPanelComponent implements OnInit {
     }
 
     // adjust the indices
+    let stepped = false;
     if (forward) {
       if (this.setElemIndex === this.currentElements.length - 1) {
         // Going forward: The last element of a set was reached
+        stepped = true;
         stepper.next();
       } else {
         this.setElemIndex = this.setElemIndex + 1;
@@ -159,6 +241,7 @@ export class MainPanelComponent implements OnInit {
       if (this.setElemIndex === 0) {
         // Going backward: The first element of a set was reached
         this.elementIndex = this.journalStructure.sets[this.setIndex - 1].elements.length - 1;
+        stepped = true;
         stepper.previous();
       } else {
         this.setElemIndex = this.setElemIndex - 1;
@@ -167,6 +250,9 @@ export class MainPanelComponent implements OnInit {
 
     // adjust the progess value
     this.progressVal = Math.ceil(this.setElemIndex / (this.currentElements.length - 1) * 100);
+    if (!stepped) {
+      this.resolveAdaptiveSlot();
+    }
   }
 
   /**
@@ -181,6 +267,7 @@ export class MainPanelComponent implements OnInit {
    * @param selectedIndex The selected index from the mat stepper.
    */
   public jumpToNextSet(selectedIndex: number): void {
+      this.recordTiming().subscribe();
       this.setIndex = selectedIndex;
       if (this.elementIndex) {
         // The user choose the navigation buttons
@@ -191,6 +278,81 @@ export class MainPanelComponent implements OnInit {
         this.setElemIndex = 0;
         this.progressVal = Math.ceil(this.setElemIndex / (this.currentElements.length - 1) * 100);
       }
+      this.resolveAdaptiveSlot();
+  }
+
+  /**
+   * Replaces the current set element with the test that the backend picked, if the element is the
+   * slot of an adaptive testgroup. The initial log of the test is stored right away, so that the
+   * backend can evaluate it when it picks the next test. The timing of the element starts once the
+   * element is known. If the backend picks no test (the testgroup is complete or no test
+   * qualifies), the slot is dropped from the set and the procedure moves on.
+   */
+  public resolveAdaptiveSlot(): void {
+    const slot = this.currentElements[this.setElemIndex];
+    if (!slot || slot.elementType !== SetElementType.ADAPTIVE) {
+      this.startTiming();
+      return;
+    }
+
+    const setIndex = this.setIndex;
+    const elemIndex = this.setElemIndex;
+    let skipped = false;
+    this.loading = true;
+    this.modeProgressBar = 'indeterminate';
+    this.journalService.loadNextAdaptiveTest(this.currentSet.id, slot.id)
+    .pipe(
+      switchMap(testId => {
+        if (testId === null) {
+          this.journalStructure.sets[setIndex].elements.splice(elemIndex, 1);
+          this.storageService.persistInStorage(StorageItem.JOURNAL_STRUCTURE, this.journalStructure);
+          return of(false);
+        }
+
+        const log = this.journalLogService.journalLogInstance;
+        const test = this.journalDirector.fillAdaptiveSlot(this.journalStructure, log, setIndex, elemIndex, testId);
+        if (!test) {
+          return throwError(`No test: ${testId} in adaptive testgroup: ${slot.id}`);
+        }
+
+        this.storageService.persistInStorage(StorageItem.JOURNAL_STRUCTURE, this.journalStructure);
+        this.journalLogService.refreshJournalLog();
+        return this.journalService.saveJournalLog(log).pipe(map(() => true));
+      })
+    ).subscribe(
+      filled => {
+        if (filled) {
+          this.updateProtocol = false;
+          this.startTiming();
+        } else {
+          skipped = true;
+        }
+      },
+      err => this.logging.error('Error occurred', err)
+    ).add(() => {
+      this.modeProgressBar = 'determinate';
+      this.loading = false;
+      if (skipped) {
+        this.skipAdaptiveSlot(elemIndex);
+      }
+    });
+  }
+
+  /**
+   * Moves on from an adaptive slot that was dropped from the current set. The element after the
+   * slot took its place; if there is none, the procedure moves on to the next set or the
+   * evaluation.
+   *
+   * @param elemIndex The index the slot had in the set.
+   */
+  public skipAdaptiveSlot(elemIndex: number): void {
+    if (elemIndex < this.currentElements.length) {
+      this.progressVal = Math.ceil(this.setElemIndex / (this.currentElements.length - 1) * 100);
+      this.resolveAdaptiveSlot();
+    } else {
+      this.setElemIndex = elemIndex - 1;
+      this.moveToNextSetElement(true, this.stepper);
+    }
   }
 
   /**
@@ -5,6 +5,15 @@ import { MultipleChoiceComponent } from './categories/multiple-choice/multiple-c
 import { Type } from '@angular/core';
 import { CategoryComponent } from './categorie.component';
 import { MatchComponent } from './categories/match/match.component';
+import { NumericComponent } from './categories/numeric/numeric.component';
+import { ShortAnswerComponent } from './categories/short-answer/short-answer.component';
+import { OrderingComponent } from './categories/ordering/ordering.component';
+import { PairsComponent } from './categories/pairs/pairs.component';
+import { ClozeComponent } from './categories/cloze/cloze.component';
+import { LikertComponent } from './categories/likert/likert.component';
+import { HotspotComponent } from './categories/hotspot/hotspot.component';
+import { EstimateComponent } from './categories/estimate/estimate.component';
+import { CancellationComponent } from './categories/cancellation/cancellation.component';
 
 /**
  * This class contains a method which returns a component type for a specific [Category]{@linkCategory},
@@ -27,6 +36,24 @@ export class ExistingCategories {
               return MultipleChoiceComponent;
           case Category.MATCH:
               return MatchComponent;
+          case Category.NUMERIC:
+              return NumericComponent;
+          case Category.SHORT_ANSWER:
+              return ShortAnswerComponent;
+          case Category.ORDERING:
+              return OrderingComponent;
+          case Category.PAIRS:
+              return PairsComponent;
+          case Category.CLOZE:
+              return ClozeComponent;
+          case Category.LIKERT:
+              return LikertComponent;
+          case Category.HOTSPOT:
+              return HotspotComponent;
+          case Category.ESTIMATE:
+              return EstimateComponent;
+          case Category.CANCELLATION:
+              return CancellationComponent;
       }
     }
 }
@@ -0,0 +1,82 @@
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { MaterialModule } from 'src/app/material/material.module';
+import { SharedModule } from 'src/app/shared/shared.module';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { GlobalIndicator } from 'src/app/testpanel/global.indicators';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
+import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
+import { async, ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { CancellationComponent } from './cancellation.component';
+import { Cancellation } from 'src/app/shared/models/procedure/categories/cancellation.test';
+
+describe('CancellationComponent', () => {
+  let component: CancellationComponent;
+  let fixture: ComponentFixture<CancellationComponent>;
+  let journalLogService: Partial<JournalLogService>;
+
+
+  const modelsDummy = new Array(12).fill(false);
+
+  const cancellationTestDummy: Cancellation = {
+    category: Category.CANCELLATION,
+    elementType: SetElementType.TEST,
+    description: '',
+    task: '',
+    evaluated: true,
+    id: '0',
+    type: '',
+    seconds: 60,
+    rows: 3,
+    columns: 4,
+    seed: 12345,
+    options: [
+      { text: 'd\'\'', correct: true },
+      { text: 'd\'' },
+      { text: 'p\'\'' }
+    ]
+  };
+
+  beforeEach(async(() => {
+    TestBed.configureTestingModule({
+      declarations: [ CancellationComponent ],
+      providers: [GlobalIndicator, JournalLogService],
+      imports: [MaterialModule, SharedModule, RouterTestingModule, HttpClientTestingModule]
+    })
+    .compileComponents();
+  }));
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(CancellationComponent);
+    component = fixture.componentInstance;
+    journalLogService = TestBed.get(JournalLogService);
+    component.test = cancellationTestDummy;
+    component.models = modelsDummy;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should generate the same grid as the backend', () => {
+    expect(Cancellation.generateGrid(cancellationTestDummy)).toEqual([0, 2, 1, 1, 0, 1, 2, 2, 0, 0, 0, 1]);
+    expect(component.rows).toEqual([[0, 2, 1, 1], [0, 1, 2, 2], [0, 0, 0, 1]]);
+  });
+
+  it('should handle the model if user marks a cell', () => {
+
+    expect(component.models.every(x => x === false)).toBeTruthy();
+
+    spyOn(journalLogService, 'refreshJournalLog');
+
+    component.toggle(1, 0);
+    component.toggle(2, 3);
+    component.toggle(2, 3);
+    fixture.detectChanges();
+    expect(component.models[4]).toBe(true);
+    expect(component.models[11]).toBe(false);
+    expect(journalLogService.refreshJournalLog).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,72 @@
+import { Component, Input, OnInit } from '@angular/core';
+import { Cancellation } from 'src/app/shared/models/procedure/categories/cancellation.test';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { CategoryComponent } from '../../categorie.component';
+
+/**
+ * The Component that realizes the cancellation (d2-style concentration) functionality.
+ * Receives a [Test]{@link Test} of type [Cancellation]{@link Cancellation}.
+ *
+ * The time limit is handled by the [SingleTestCardComponent]{@link SingleTestCardComponent},
+ * which injects this component once the user starts the test.
+ */
+@Component({
+  selector: 'app-cancellation',
+  templateUrl: './cancellation.component.html',
+  styleUrls: ['./cancellation.component.scss']
+})
+export class CancellationComponent implements CategoryComponent, OnInit {
+
+  /**
+   * The cancellation test.
+   */
+  @Input() test: Cancellation;
+
+  /**
+   * The models array which contains whether every grid cell (row by row) is marked.
+   */
+  public models: boolean[];
+
+  /**
+   * The grid rows, every cell contains the index of its symbol (option).
+   */
+  public rows: number[][];
+
+  constructor(
+    private journalLogService: JournalLogService
+  ) { }
+
+  /**
+   * Generates the grid from the seed of the test.
+   */
+  ngOnInit() {
+    const grid = Cancellation.generateGrid(this.test);
+    this.rows = [];
+    for (let r = 0; r < this.test.rows; r++) {
+      this.rows.push(grid.slice(r * this.test.columns, (r + 1) * this.test.columns));
+    }
+  }
+
+  /**
+   * Returns the index of a cell in the model.
+   */
+  public cell(row: number, column: number): number {
+    return row * this.test.columns + column;
+  }
+
+  /**
+   * Marks or unmarks a cell.
+   */
+  public toggle(row: number, column: number): void {
+    const k = this.cell(row, column);
+    this.handleModelChange(this.models[k] !== true, k);
+  }
+
+  /**
+   * Adjusts the model if a cell has been (un)marked and refreshes the journal log.
+   */
+  public handleModelChange(marked: boolean, k: number): void {
+    this.models[k] = marked;
+    this.journalLogService.refreshJournalLog();
+  }
+}
@@ -0,0 +1,80 @@
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { MaterialModule } from 'src/app/material/material.module';
+import { SharedModule } from 'src/app/shared/shared.module';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { GlobalIndicator } from 'src/app/testpanel/global.indicators';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
+import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
+import { async, ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { ClozeComponent } from './cloze.component';
+import { Cloze } from 'src/app/shared/models/procedure/categories/cloze.test';
+
+describe('ClozeComponent', () => {
+  let component: ClozeComponent;
+  let fixture: ComponentFixture<ClozeComponent>;
+  let journalLogService: Partial<JournalLogService>;
+
+
+  const modelsDummy = [null, null];
+
+  const clozeTestDummy: Cloze = {
+    category: Category.CLOZE,
+    elementType: SetElementType.TEST,
+    description: '',
+    task: 'The cat [[1]] on the mat, because it [[2]] tired.',
+    evaluated: true,
+    id: '0',
+    type: '',
+    options: [
+      { text: '', choices: ['sit', 'sat'], correct: 1},
+      { text: 'verb', correct: 'was'}
+    ]
+  };
+
+  beforeEach(async(() => {
+    TestBed.configureTestingModule({
+      declarations: [ ClozeComponent ],
+      providers: [GlobalIndicator, JournalLogService],
+      imports: [MaterialModule, SharedModule, RouterTestingModule, HttpClientTestingModule]
+    })
+    .compileComponents();
+  }));
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(ClozeComponent);
+    component = fixture.componentInstance;
+    journalLogService = TestBed.get(JournalLogService);
+    component.test = clozeTestDummy;
+    component.models = modelsDummy;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should render a field for every gap', () => {
+    const element: HTMLElement = fixture.nativeElement;
+    expect(element.querySelectorAll('.cloze-gap').length).toEqual(2);
+  });
+
+  it('should handle the model if user fills a gap', () => {
+
+    expect(component.models.every(x => x === null)).toBeTruthy();
+
+    spyOn(journalLogService, 'refreshJournalLog');
+
+    component.handleModelChange(1, 0);
+    component.handleModelChange(' was ', 1);
+    fixture.detectChanges();
+    expect(component.models).toEqual([1, 'was']);
+    expect(journalLogService.refreshJournalLog).toHaveBeenCalled();
+
+    // check if clearing the input resets the model
+    component.handleModelChange('', 1);
+    fixture.detectChanges();
+    expect(component.models[1]).toBeNull();
+  });
+});
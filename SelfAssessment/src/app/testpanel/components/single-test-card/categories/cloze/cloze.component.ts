@@ -0,0 +1,44 @@
+import { Component, Input } from '@angular/core';
+import { Cloze } from 'src/app/shared/models/procedure/categories/cloze.test';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { CategoryComponent } from '../../categorie.component';
+
+/**
+ * The Component that realizes the cloze functionality. The task is rendered by this component,
+ * since the gaps are placed inside of it.
+ * Receives a [Test]{@link Test} of type [Cloze]{@link Cloze}.
+ */
+@Component({
+  selector: 'app-cloze',
+  templateUrl: './cloze.component.html',
+  styleUrls: ['./cloze.component.scss']
+})
+export class ClozeComponent implements CategoryComponent {
+
+  /**
+   * The cloze test.
+   */
+  @Input() test: Cloze;
+
+  /**
+   * The models array which contains the selected choice index (dropdown gaps) or the typed text
+   * (free-text gaps) of every gap.
+   */
+  public models: (number | string)[];
+
+  constructor(
+    private journalLogService: JournalLogService
+  ) { }
+
+  /**
+   * Adjusts the model if a gap has changed and refreshes the journal log.
+   * Empty free-text gaps are reset to null, so they are treated as unanswered.
+   */
+  public handleModelChange(value: number | string, i: number): void {
+    if (typeof value === 'string') {
+      value = value.trim().length > 0 ? value.trim() : null;
+    }
+    this.models[i] = value;
+    this.journalLogService.refreshJournalLog();
+  }
+}
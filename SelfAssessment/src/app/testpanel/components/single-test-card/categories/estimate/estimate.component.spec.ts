@@ -0,0 +1,74 @@
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { MaterialModule } from 'src/app/material/material.module';
+import { SharedModule } from 'src/app/shared/shared.module';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { GlobalIndicator } from 'src/app/testpanel/global.indicators';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
+import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
+import { async, ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { EstimateComponent } from './estimate.component';
+import { Estimate } from 'src/app/shared/models/procedure/categories/estimate.test';
+
+describe('EstimateComponent', () => {
+  let component: EstimateComponent;
+  let fixture: ComponentFixture<EstimateComponent>;
+  let journalLogService: Partial<JournalLogService>;
+
+
+  const modelsDummy = [null, null];
+
+  const estimateTestDummy: Estimate = {
+    category: Category.ESTIMATE,
+    elementType: SetElementType.TEST,
+    description: '',
+    task: '',
+    evaluated: true,
+    id: '0',
+    type: '',
+    falloff: { type: 'linear', range: 200 },
+    options: [
+      { text: 'Length of the Rhine', correct: 1230, min: 0, max: 3000, step: 10, unit: 'km' },
+      { text: 'Height of the Zugspitze', correct: 2962, min: 0, max: 5000, unit: 'm' }
+    ]
+  };
+
+  beforeEach(async(() => {
+    TestBed.configureTestingModule({
+      declarations: [ EstimateComponent ],
+      providers: [GlobalIndicator, JournalLogService],
+      imports: [MaterialModule, SharedModule, RouterTestingModule, HttpClientTestingModule]
+    })
+    .compileComponents();
+  }));
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(EstimateComponent);
+    component = fixture.componentInstance;
+    journalLogService = TestBed.get(JournalLogService);
+    component.test = estimateTestDummy;
+    component.models = modelsDummy;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should start unanswered sliders in the middle', () => {
+    expect(component.position(estimateTestDummy.options[0], 0)).toEqual(1500);
+  });
+
+  it('should handle the model if user moves a slider', () => {
+
+    expect(component.models.every(x => x === null)).toBeTruthy();
+
+    spyOn(journalLogService, 'refreshJournalLog');
+
+    component.handleModelChange('1200', 0);
+    fixture.detectChanges();
+    expect(component.models).toEqual([1200, null]);
+    expect(journalLogService.refreshJournalLog).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+import { Component, Input } from '@angular/core';
+import { Estimate, EstimateOption } from 'src/app/shared/models/procedure/categories/estimate.test';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { CategoryComponent } from '../../categorie.component';
+
+/**
+ * The Component that realizes the estimate functionality.
+ * Receives a [Test]{@link Test} of type [Estimate]{@link Estimate}.
+ */
+@Component({
+  selector: 'app-estimate',
+  templateUrl: './estimate.component.html',
+  styleUrls: ['./estimate.component.scss']
+})
+export class EstimateComponent implements CategoryComponent {
+
+  /**
+   * The estimate test.
+   */
+  @Input() test: Estimate;
+
+  /**
+   * The models array which contains the chosen value of every option,
+   * null until the user moves the slider.
+   */
+  public models: number[];
+
+  constructor(
+    private journalLogService: JournalLogService
+  ) { }
+
+  /**
+   * Returns the step size of the slider of an option.
+   */
+  public step(option: EstimateOption): number {
+    return option.step || 1;
+  }
+
+  /**
+   * Returns the position of the slider thumb. Unanswered sliders start in the middle,
+   * rounded to a valid step.
+   */
+  public position(option: EstimateOption, i: number): number {
+    if (this.models[i] !== null) {
+      return this.models[i];
+    }
+    const steps = Math.round((option.max - option.min) / this.step(option) / 2);
+    return option.min + steps * this.step(option);
+  }
+
+  /**
+   * Adjusts the model if a slider has been moved and refreshes the journal log.
+   */
+  public handleModelChange(value: string, i: number): void {
+    this.models[i] = Number(value);
+    this.journalLogService.refreshJournalLog();
+  }
+}
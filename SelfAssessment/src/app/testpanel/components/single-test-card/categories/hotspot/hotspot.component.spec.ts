@@ -0,0 +1,72 @@
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { MaterialModule } from 'src/app/material/material.module';
+import { SharedModule } from 'src/app/shared/shared.module';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { GlobalIndicator } from 'src/app/testpanel/global.indicators';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
+import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
+import { async, ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { HotspotComponent } from './hotspot.component';
+import { Hotspot } from 'src/app/shared/models/procedure/categories/hotspot.test';
+
+describe('HotspotComponent', () => {
+  let component: HotspotComponent;
+  let fixture: ComponentFixture<HotspotComponent>;
+  let journalLogService: Partial<JournalLogService>;
+
+
+  const modelsDummy = [null, null];
+
+  const hotspotTestDummy: Hotspot = {
+    category: Category.HOTSPOT,
+    elementType: SetElementType.TEST,
+    description: '',
+    task: '',
+    evaluated: true,
+    id: '0',
+    type: '',
+    image: 'cell.png',
+    options: [
+      { text: 'Nucleus', regions: [{ shape: 'circle', x: 0.5, y: 0.5, radius: 0.1 }] },
+      { text: 'Cell membrane', regions: [{ shape: 'rect', x: 0, y: 0, width: 1, height: 0.05 }] }
+    ]
+  };
+
+  beforeEach(async(() => {
+    TestBed.configureTestingModule({
+      declarations: [ HotspotComponent ],
+      providers: [GlobalIndicator, JournalLogService],
+      imports: [MaterialModule, SharedModule, RouterTestingModule, HttpClientTestingModule]
+    })
+    .compileComponents();
+  }));
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(HotspotComponent);
+    component = fixture.componentInstance;
+    journalLogService = TestBed.get(JournalLogService);
+    component.test = hotspotTestDummy;
+    component.models = modelsDummy;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should handle the model if user clicks on the image', () => {
+
+    expect(component.models.every(x => x === null)).toBeTruthy();
+
+    spyOn(journalLogService, 'refreshJournalLog');
+
+    const image = { clientWidth: 200, clientHeight: 100 };
+    component.handleClick({ target: image, offsetX: 100, offsetY: 50 } as any);
+    fixture.detectChanges();
+    expect(component.models).toEqual([[0.5, 0.5], null]);
+    expect(component.active).toEqual(1);
+    expect(journalLogService.refreshJournalLog).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,79 @@
+import { Component, Input } from '@angular/core';
+import { Hotspot } from 'src/app/shared/models/procedure/categories/hotspot.test';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { CategoryComponent } from '../../categorie.component';
+import { environment } from 'src/environments/environment';
+
+/**
+ * The Component that realizes the hotspot functionality.
+ * Receives a [Test]{@link Test} of type [Hotspot]{@link Hotspot}.
+ *
+ * The user selects an option and clicks on the image, the click position is stored
+ * relative to the image size so that it does not depend on the rendered size.
+ */
+@Component({
+  selector: 'app-hotspot',
+  templateUrl: './hotspot.component.html',
+  styleUrls: ['./hotspot.component.scss']
+})
+export class HotspotComponent implements CategoryComponent {
+
+  /**
+   * The hotspot test.
+   */
+  @Input() test: Hotspot;
+
+  /**
+   * The models array which contains the relative [x, y] click position for every option.
+   */
+  public models: [number, number][];
+
+  /**
+   * Index of the option the next click is assigned to.
+   */
+  public active = 0;
+
+  /**
+   * The backend url, the image is served by the backend.
+   */
+  public backendUrl = environment.apiUrl;
+
+  constructor(
+    private journalLogService: JournalLogService
+  ) { }
+
+  /**
+   * Selects the option the next click is assigned to.
+   */
+  public select(i: number): void {
+    this.active = i;
+  }
+
+  /**
+   * Converts a click on the image into relative coordinates and assigns them to the active option.
+   */
+  public handleClick(event: MouseEvent): void {
+    const image = event.target as HTMLElement;
+    if (!image.clientWidth || !image.clientHeight) {
+      return;
+    }
+
+    const x = Math.min(Math.max(event.offsetX / image.clientWidth, 0), 1);
+    const y = Math.min(Math.max(event.offsetY / image.clientHeight, 0), 1);
+    this.handleModelChange([x, y], this.active);
+
+    // continue with the next option that has not been answered yet
+    const next = this.models.findIndex(model => model === null);
+    if (next !== -1) {
+      this.active = next;
+    }
+  }
+
+  /**
+   * Adjusts the model if the image has been clicked and refreshes the journal log.
+   */
+  public handleModelChange(position: [number, number], i: number): void {
+    this.models[i] = position;
+    this.journalLogService.refreshJournalLog();
+  }
+}
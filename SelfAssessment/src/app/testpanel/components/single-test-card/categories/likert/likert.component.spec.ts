@@ -0,0 +1,70 @@
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { MaterialModule } from 'src/app/material/material.module';
+import { SharedModule } from 'src/app/shared/shared.module';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { GlobalIndicator } from 'src/app/testpanel/global.indicators';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
+import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
+import { async, ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { LikertComponent } from './likert.component';
+import { Likert } from 'src/app/shared/models/procedure/categories/likert.test';
+
+describe('LikertComponent', () => {
+  let component: LikertComponent;
+  let fixture: ComponentFixture<LikertComponent>;
+  let journalLogService: Partial<JournalLogService>;
+
+
+  const modelsDummy = [null, null];
+
+  const likertTestDummy: Likert = {
+    category: Category.LIKERT,
+    elementType: SetElementType.TEST,
+    description: '',
+    task: '',
+    evaluated: true,
+    id: '0',
+    type: '',
+    scale: ['disagree', 'neutral', 'agree'],
+    options: [
+      { text: 'I like puzzles', dimension: 'logic'},
+      { text: 'Programming bores me', dimension: 'programming', reverse: true}
+    ]
+  };
+
+  beforeEach(async(() => {
+    TestBed.configureTestingModule({
+      declarations: [ LikertComponent ],
+      providers: [GlobalIndicator, JournalLogService],
+      imports: [MaterialModule, SharedModule, RouterTestingModule, HttpClientTestingModule]
+    })
+    .compileComponents();
+  }));
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(LikertComponent);
+    component = fixture.componentInstance;
+    journalLogService = TestBed.get(JournalLogService);
+    component.test = likertTestDummy;
+    component.models = modelsDummy;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should handle the model if user rates a statement', () => {
+
+    expect(component.models.every(x => x === null)).toBeTruthy();
+
+    spyOn(journalLogService, 'refreshJournalLog');
+
+    component.handleModelChange(2, 0);
+    fixture.detectChanges();
+    expect(component.models).toEqual([2, null]);
+    expect(journalLogService.refreshJournalLog).toHaveBeenCalled();
+  });
+});
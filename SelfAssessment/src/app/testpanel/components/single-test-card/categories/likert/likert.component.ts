@@ -0,0 +1,39 @@
+import { Component, Input } from '@angular/core';
+import { Likert } from 'src/app/shared/models/procedure/categories/likert.test';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { CategoryComponent } from '../../categorie.component';
+
+/**
+ * The Component that realizes the likert functionality.
+ * Receives a [Test]{@link Test} of type [Likert]{@link Likert}.
+ */
+@Component({
+  selector: 'app-likert',
+  templateUrl: './likert.component.html',
+  styleUrls: ['../../single-test-card.component.scss']
+})
+export class LikertComponent implements CategoryComponent {
+
+  /**
+   * The likert test.
+   */
+  @Input() test: Likert;
+
+  /**
+   * The models array which contains the index of the selected [scale]{@link Likert#scale} label
+   * for every statement.
+   */
+  public models: number[];
+
+  constructor(
+    private journalLogService: JournalLogService
+  ) { }
+
+  /**
+   * Adjusts the model if a statement has been rated and refreshes the journal log.
+   */
+  public handleModelChange(rating: number, i: number): void {
+    this.models[i] = rating;
+    this.journalLogService.refreshJournalLog();
+  }
+}
@@ -28,11 +28,11 @@ describe('MatchComponent', () => {
     options: [
       {
         text: 'dummy first option',
-        correct: 'um'
+        length: 2
       },
       {
         text: 'dummy second option',
-        correct: 'se'
+        length: 2
       }
     ]
   };
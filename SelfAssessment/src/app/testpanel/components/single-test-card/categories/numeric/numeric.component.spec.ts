@@ -0,0 +1,75 @@
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { MaterialModule } from 'src/app/material/material.module';
+import { SharedModule } from 'src/app/shared/shared.module';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { GlobalIndicator } from 'src/app/testpanel/global.indicators';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
+import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
+import { async, ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { NumericComponent } from './numeric.component';
+import { Numeric } from 'src/app/shared/models/procedure/categories/numeric.test';
+
+describe('NumericComponent', () => {
+  let component: NumericComponent;
+  let fixture: ComponentFixture<NumericComponent>;
+  let journalLogService: Partial<JournalLogService>;
+
+
+  const modelsDummy = [null, null];
+
+  const numericTestDummy: Numeric = {
+    category: Category.NUMERIC,
+    elementType: SetElementType.TEST,
+    description: '',
+    task: '',
+    evaluated: true,
+    id: '0',
+    type: '',
+    options: [
+      { text: '2*6', correct: 12},
+      { text: 'Speed of light', correct: 300000, unit: 'km/s'}
+    ]
+  };
+
+  beforeEach(async(() => {
+    TestBed.configureTestingModule({
+      declarations: [ NumericComponent ],
+      providers: [GlobalIndicator, JournalLogService],
+      imports: [MaterialModule, SharedModule, RouterTestingModule, HttpClientTestingModule]
+    })
+    .compileComponents();
+  }));
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(NumericComponent);
+    component = fixture.componentInstance;
+    journalLogService = TestBed.get(JournalLogService);
+    component.test = numericTestDummy;
+    component.models = modelsDummy;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should handle the model if user types a value', () => {
+
+    expect(component.models.every(x => x === null)).toBeTruthy();
+
+    spyOn(journalLogService, 'refreshJournalLog');
+
+    component.handleModelChange(' 12 ', 0);
+    fixture.detectChanges();
+    expect(component.models[0]).toEqual('12');
+    expect(component.models[1]).toBeNull();
+    expect(journalLogService.refreshJournalLog).toHaveBeenCalled();
+
+    // check if clearing the input resets the model
+    component.handleModelChange('', 0);
+    fixture.detectChanges();
+    expect(component.models[0]).toBeNull();
+  });
+});
@@ -0,0 +1,41 @@
+import { Component, Input } from '@angular/core';
+import { Numeric } from 'src/app/shared/models/procedure/categories/numeric.test';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { CategoryComponent } from '../../categorie.component';
+
+/**
+ * The Component that realizes the numeric input functionality.
+ * Receives a [Test]{@link Test} of type [Numeric]{@link Numeric}.
+ */
+@Component({
+  selector: 'app-numeric',
+  templateUrl: './numeric.component.html',
+  styleUrls: ['./numeric.component.scss']
+})
+export class NumericComponent implements CategoryComponent {
+
+  /**
+   * The numeric test.
+   */
+  @Input() test: Numeric;
+
+  /**
+   * The models array which contains the raw input of every option. Inputs are stored as they
+   * were typed, parsing (e.g. of decimal commas) is done by the backend.
+   */
+  public models: string[];
+
+  constructor(
+    private journalLogService: JournalLogService
+  ) { }
+
+  /**
+   * Adjusts the model if an input value has changed and refreshes the journal log.
+   * Empty inputs are reset to null, so they are treated as unanswered.
+   */
+  public handleModelChange(value: string, i: number): void {
+    const trimmed = value.trim();
+    this.models[i] = trimmed.length > 0 ? trimmed : null;
+    this.journalLogService.refreshJournalLog();
+  }
+}
@@ -0,0 +1,77 @@
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { MaterialModule } from 'src/app/material/material.module';
+import { SharedModule } from 'src/app/shared/shared.module';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { GlobalIndicator } from 'src/app/testpanel/global.indicators';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
+import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
+import { async, ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { OrderingComponent } from './ordering.component';
+import { Ordering } from 'src/app/shared/models/procedure/categories/ordering.test';
+
+describe('OrderingComponent', () => {
+  let component: OrderingComponent;
+  let fixture: ComponentFixture<OrderingComponent>;
+  let journalLogService: Partial<JournalLogService>;
+
+  const orderingTestDummy: Ordering = {
+    category: Category.ORDERING,
+    elementType: SetElementType.TEST,
+    description: '',
+    task: '',
+    evaluated: true,
+    id: '0',
+    type: '',
+    options: [
+      { text: 'first' },
+      { text: 'second' },
+      { text: 'third' }
+    ]
+  };
+
+  beforeEach(async(() => {
+    TestBed.configureTestingModule({
+      declarations: [ OrderingComponent ],
+      providers: [GlobalIndicator, JournalLogService],
+      imports: [MaterialModule, SharedModule, RouterTestingModule, HttpClientTestingModule]
+    })
+    .compileComponents();
+  }));
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(OrderingComponent);
+    component = fixture.componentInstance;
+    journalLogService = TestBed.get(JournalLogService);
+    component.test = orderingTestDummy;
+    component.models = [null, null, null];
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should shuffle the options of an unanswered test', () => {
+    expect(component.order.slice().sort()).toEqual([0, 1, 2]);
+    expect(component.order).not.toEqual([0, 1, 2]);
+    expect(component.models.every(x => x === null)).toBeTruthy();
+  });
+
+  it('should store the order if the user moves an option', () => {
+    spyOn(journalLogService, 'refreshJournalLog');
+    const order = component.order.slice();
+
+    component.handleModelChange(0, 2);
+    fixture.detectChanges();
+    expect(component.models).toEqual([order[1], order[2], order[0]]);
+    expect(journalLogService.refreshJournalLog).toHaveBeenCalled();
+  });
+
+  it('should restore the order of an answered test', () => {
+    component.models = [2, 0, 1];
+    component.ngOnInit();
+    expect(component.order).toEqual([2, 0, 1]);
+  });
+});
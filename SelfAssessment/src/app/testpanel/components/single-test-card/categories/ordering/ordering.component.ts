@@ -0,0 +1,79 @@
+import { Component, Input, OnInit } from '@angular/core';
+import { moveItemInArray } from '@angular/cdk/drag-drop';
+import { Ordering } from 'src/app/shared/models/procedure/categories/ordering.test';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { CategoryComponent } from '../../categorie.component';
+
+/**
+ * The Component that realizes the ordering functionality.
+ * Receives a [Test]{@link Test} of type [Ordering]{@link Ordering}.
+ */
+@Component({
+  selector: 'app-ordering',
+  templateUrl: './ordering.component.html',
+  styleUrls: ['./ordering.component.scss']
+})
+export class OrderingComponent implements CategoryComponent, OnInit {
+
+  /**
+   * The ordering test.
+   */
+  @Input() test: Ordering;
+
+  /**
+   * The models array which contains the option index at every position. It only contains nulls
+   * until the user moves an option for the first time.
+   */
+  public models: number[];
+
+  /**
+   * The option indices in the order in which they are currently displayed.
+   */
+  public order: number[];
+
+  constructor(
+    private journalLogService: JournalLogService
+  ) { }
+
+  /**
+   * Restores the order the user chose, or shuffles the options if the test was not answered yet.
+   */
+  ngOnInit() {
+    if (this.models.every(i => typeof i === 'number')) {
+      this.order = this.models.slice();
+    } else {
+      this.order = this.shuffle(this.test.options.map((_, i) => i));
+    }
+  }
+
+  /**
+   * Moves an option to a new position, stores the resulting order and refreshes the journal log.
+   * Dropping an option at its current position confirms the displayed order.
+   *
+   * @param from The previous position of the option.
+   * @param to The new position of the option.
+   */
+  public handleModelChange(from: number, to: number): void {
+    moveItemInArray(this.order, from, to);
+    this.order.forEach((option, i) => this.models[i] = option);
+    this.journalLogService.refreshJournalLog();
+  }
+
+  /**
+   * Shuffles the option indices. The order of delivery is never returned, so the user has to
+   * move the options at least once.
+   *
+   * @param indices The option indices in the order of delivery.
+   * @returns The shuffled indices.
+   */
+  private shuffle(indices: number[]): number[] {
+    const shuffled = indices.slice();
+    do {
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+    } while (shuffled.length > 1 && shuffled.every((option, i) => option === i));
+    return shuffled;
+  }
+}
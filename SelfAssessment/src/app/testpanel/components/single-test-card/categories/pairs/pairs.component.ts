@@ -0,0 +1,39 @@
+import { Component, Input } from '@angular/core';
+import { Pairs } from 'src/app/shared/models/procedure/categories/pairs.test';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { CategoryComponent } from '../../categorie.component';
+
+/**
+ * The Component that realizes the pairs functionality.
+ * Receives a [Test]{@link Test} of type [Pairs]{@link Pairs}.
+ */
+@Component({
+  selector: 'app-pairs',
+  templateUrl: './pairs.component.html',
+  styleUrls: ['./pairs.component.scss']
+})
+export class PairsComponent implements CategoryComponent {
+
+  /**
+   * The pairs test.
+   */
+  @Input() test: Pairs;
+
+  /**
+   * The models array which contains the index of the selected [target]{@link Pairs#targets}
+   * for every option.
+   */
+  public models: number[];
+
+  constructor(
+    private journalLogService: JournalLogService
+  ) { }
+
+  /**
+   * Adjusts the model if a target has been selected and refreshes the journal log.
+   */
+  public handleModelChange(target: number, i: number): void {
+    this.models[i] = target;
+    this.journalLogService.refreshJournalLog();
+  }
+}
@@ -0,0 +1,75 @@
+import { HttpClientTestingModule } from '@angular/common/http/testing';
+import { RouterTestingModule } from '@angular/router/testing';
+import { MaterialModule } from 'src/app/material/material.module';
+import { SharedModule } from 'src/app/shared/shared.module';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { GlobalIndicator } from 'src/app/testpanel/global.indicators';
+import { Category } from 'src/app/shared/models/procedure/enums/category.enum';
+import { SetElementType } from 'src/app/shared/models/procedure/enums/element.type.enum';
+import { async, ComponentFixture, TestBed } from '@angular/core/testing';
+
+import { ShortAnswerComponent } from './short-answer.component';
+import { ShortAnswer } from 'src/app/shared/models/procedure/categories/short.answer.test';
+
+describe('ShortAnswerComponent', () => {
+  let component: ShortAnswerComponent;
+  let fixture: ComponentFixture<ShortAnswerComponent>;
+  let journalLogService: Partial<JournalLogService>;
+
+
+  const modelsDummy = [null, null];
+
+  const shortAnswerTestDummy: ShortAnswer = {
+    category: Category.SHORT_ANSWER,
+    elementType: SetElementType.TEST,
+    description: '',
+    task: '',
+    evaluated: true,
+    id: '0',
+    type: '',
+    options: [
+      { text: 'Capital of France', answers: [{ value: 'Paris' }]},
+      { text: 'Plural of mouse', answers: [{ value: 'mice', mode: 'ignore-case' }]}
+    ]
+  };
+
+  beforeEach(async(() => {
+    TestBed.configureTestingModule({
+      declarations: [ ShortAnswerComponent ],
+      providers: [GlobalIndicator, JournalLogService],
+      imports: [MaterialModule, SharedModule, RouterTestingModule, HttpClientTestingModule]
+    })
+    .compileComponents();
+  }));
+
+  beforeEach(() => {
+    fixture = TestBed.createComponent(ShortAnswerComponent);
+    component = fixture.componentInstance;
+    journalLogService = TestBed.get(JournalLogService);
+    component.test = shortAnswerTestDummy;
+    component.models = modelsDummy;
+    fixture.detectChanges();
+  });
+
+  it('should create', () => {
+    expect(component).toBeTruthy();
+  });
+
+  it('should handle the model if user types a text', () => {
+
+    expect(component.models.every(x => x === null)).toBeTruthy();
+
+    spyOn(journalLogService, 'refreshJournalLog');
+
+    component.handleModelChange(' Paris ', 0);
+    fixture.detectChanges();
+    expect(component.models[0]).toEqual('Paris');
+    expect(component.models[1]).toBeNull();
+    expect(journalLogService.refreshJournalLog).toHaveBeenCalled();
+
+    // check if clearing the input resets the model
+    component.handleModelChange('  ', 0);
+    fixture.detectChanges();
+    expect(component.models[0]).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+import { Component, Input } from '@angular/core';
+import { ShortAnswer } from 'src/app/shared/models/procedure/categories/short.answer.test';
+import { JournalLogService } from 'src/app/testpanel/services/journal-log.service';
+import { CategoryComponent } from '../../categorie.component';
+
+/**
+ * The Component that realizes the short-answer functionality.
+ * Receives a [Test]{@link Test} of type [ShortAnswer]{@link ShortAnswer}.
+ */
+@Component({
+  selector: 'app-short-answer',
+  templateUrl: './short-answer.component.html',
+  styleUrls: ['./short-answer.component.scss']
+})
+export class ShortAnswerComponent implements CategoryComponent {
+
+  /**
+   * The short-answer test.
+   */
+  @Input() test: ShortAnswer;
+
+  /**
+   * The models array which contains the typed text of every option.
+   */
+  public models: string[];
+
+  constructor(
+    private journalLogService: JournalLogService
+  ) { }
+
+  /**
+   * Adjusts the model if an input value has changed and refreshes the journal log.
+   * Empty inputs are reset to null, so they are treated as unanswered.
+   */
+  public handleModelChange(value: string, i: number): void {
+    const trimmed = value.trim();
+    this.models[i] = trimmed.length > 0 ? trimmed : null;
+    this.journalLogService.refreshJournalLog();
+  }
+}
@@ -1,5 +1,5 @@
 import { isArray } from 'util';
-import { Component, Input, OnChanges, ViewChild, ComponentFactory, ViewContainerRef } from '@angular/core';
+import { Component, Input, OnChanges, ViewChild, ComponentFactory, ViewContainerRef, Output, EventEmitter } from '@angular/core';
 import { Test } from 'src/app/shared/models/procedure/test.model';
 import { ExistingCategories } from './categories';
 import { TestDirective } from './test.directive';
@@ -23,6 +23,12 @@ export class SingleTestCardComponent implements OnChanges {
    */
   @Input() singleTest: Test;
 
+  /**
+   * Emits once the task of a speed test is shown, the time on task starts then. That is when the
+   * user starts the test, or right away if the test was done before.
+   */
+  @Output() started = new EventEmitter<void>();
+
   /**
    * The reference to the anchor directive.
    */
@@ -91,6 +97,9 @@ export class SingleTestCardComponent implements OnChanges {
     if (!this.singleTest.seconds ||
       (this.singleTest.seconds && this.disableComponent())) {
         this.injectComponent();
+        if (this.singleTest.seconds) {
+          this.started.emit();
+        }
     }
   }
 
@@ -122,6 +131,7 @@ export class SingleTestCardComponent implements OnChanges {
     }
 
     this.injectComponent();
+    this.started.emit();
   }
 
   /**
@@ -12,14 +12,27 @@ import { MultipleOptionsComponent } from './components/single-test-card/categori
 import { MultipleChoiceComponent } from './components/single-test-card/categories/multiple-choice/multiple-choice.component';
 import { TestDirective } from './components/single-test-card/test.directive';
 import { MatchComponent } from './components/single-test-card/categories/match/match.component';
+import { NumericComponent } from './components/single-test-card/categories/numeric/numeric.component';
+import { ShortAnswerComponent } from './components/single-test-card/categories/short-answer/short-answer.component';
+import { OrderingComponent } from './components/single-test-card/categories/ordering/ordering.component';
+import { PairsComponent } from './components/single-test-card/categories/pairs/pairs.component';
+import { ClozeComponent } from './components/single-test-card/categories/cloze/cloze.component';
+import { LikertComponent } from './components/single-test-card/categories/likert/likert.component';
+import { HotspotComponent } from './components/single-test-card/categories/hotspot/hotspot.component';
+import { EstimateComponent } from './components/single-test-card/categories/estimate/estimate.component';
+import { CancellationComponent } from './components/single-test-card/categories/cancellation/cancellation.component';
 
 /**
  * Main module which implements the actual testing procedure.
  */
 @NgModule({
-  entryComponents: [ MatchComponent, RadioButtonsComponent, MultipleOptionsComponent, MultipleChoiceComponent ],
+  entryComponents: [ MatchComponent, RadioButtonsComponent, MultipleOptionsComponent, MultipleChoiceComponent,
+    NumericComponent, ShortAnswerComponent, OrderingComponent, PairsComponent, ClozeComponent, LikertComponent,
+    HotspotComponent, EstimateComponent, CancellationComponent ],
   declarations: [MainPanelComponent, SingleTestCardComponent, InfopageComponent,
-    MatchComponent, RadioButtonsComponent, MultipleOptionsComponent, MultipleChoiceComponent, TestDirective],
+    MatchComponent, RadioButtonsComponent, MultipleOptionsComponent, MultipleChoiceComponent, NumericComponent,
+    ShortAnswerComponent, OrderingComponent, PairsComponent, ClozeComponent, LikertComponent, HotspotComponent,
+    EstimateComponent, CancellationComponent, TestDirective],
   imports: [
     CommonModule,
     MaterialModule,
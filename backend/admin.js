@@ -1,9 +1,14 @@
 // 3rdparty dependencies
 const crypto = require('crypto');
 const mongoose = require('mongoose');
+const path = require('path');
 
 // local dependencies
+const CourseManager = require('./app/core/course/course.manager');
 const db = require('./app/db/db');
+const i18n = require('./app/utils/i18n');
+const validator = require('./app/core/course/course.validator');
+const rasch = require('./app/core/user/rasch');
 const logger = require('./app/utils/logger');
 
 const ACTIONS = {
@@ -87,6 +92,108 @@ const ACTIONS = {
             description: 'List all user objects by pin.',
             handler: listUsers
         }
+    },
+    'course': {
+        'calibrate': {
+            args: [{
+                name: 'name',
+                type: 'String'
+            }],
+            description: 'Calibrate Rasch item difficulties from all locked results of a course.',
+            handler: calibrateCourse
+        },
+        'import': {
+            args: [{
+                name: 'file',
+                type: 'String'
+            }, {
+                name: 'name',
+                type: 'String'
+            }, {
+                name: 'title',
+                type: 'String'
+            }, {
+                name: 'languages',
+                type: 'String'
+            }, {
+                name: 'validationSchema',
+                type: 'String'
+            }, {
+                name: 'output',
+                type: 'String'
+            }],
+            description: 'Import a question bank from a CSV or XLSX sheet as a new course (no DB ' +
+                         'needed).',
+            handler: importCourse,
+            offline: true
+        },
+        'qti': {
+            'export': {
+                args: [{
+                    name: 'file',
+                    type: 'String'
+                }, {
+                    name: 'language',
+                    type: 'String'
+                }, {
+                    name: 'output',
+                    type: 'String'
+                }],
+                description: 'Export the tests of a course as QTI 2.1 package (no DB needed).',
+                handler: exportQti,
+                offline: true
+            },
+            'import': {
+                args: [{
+                    name: 'file',
+                    type: 'String'
+                }, {
+                    name: 'name',
+                    type: 'String'
+                }, {
+                    name: 'title',
+                    type: 'String'
+                }, {
+                    name: 'type',
+                    type: 'String'
+                }, {
+                    name: 'language',
+                    type: 'String'
+                }, {
+                    name: 'validationSchema',
+                    type: 'String'
+                }, {
+                    name: 'output',
+                    type: 'String'
+                }],
+                description: 'Import the items of a QTI 2.1 package or item file as a new course ' +
+                             '(no DB needed).',
+                handler: importQti,
+                offline: true
+            }
+        },
+        'validate': {
+            args: [{
+                name: 'file',
+                type: 'String'
+            }],
+            description: 'Validate a course config file and its language files (no DB needed).',
+            handler: validateCourse,
+            // runs without a DB connection
+            offline: true
+        }
+    },
+    'i18n': {
+        'check': {
+            args: [{
+                name: 'reference',
+                type: 'String'
+            }],
+            description: 'Check the course and frontend language files for missing, unused or ' +
+                         'inconsistent translations (no DB needed).',
+            handler: checkTranslations,
+            offline: true
+        }
     }
 }
 
@@ -351,6 +458,232 @@ async function listUsers(args) { // eslint-disable-line no-unused-vars
     return true;
 }
 
+/**
+ * Calibrate the Rasch item difficulties of a course from the locked results of all its users.
+ * Prints a 'rasch' block that can be pasted into the course config.
+ * @param {JSON} args Must contain a key 'name' with the name of the course.
+ * @returns True on success, false otherwise.
+ */
+async function calibrateCourse(args) {
+    let result;
+    let persons = [];
+
+    if (!('name' in args)) {
+        logger.error('missing arg: name');
+        return false;
+    }
+
+    const query = {
+        'journal.structure.course': args.name,
+        'result.validationCode': {
+            '$ne': null
+        }
+    };
+
+    logger.info('calibrateCourse(' + JSON.stringify(query) + ')');
+
+    try {
+        result = await db.User.find(query, 'result.tests');
+    } catch (err) {
+        logger.error(err);
+        return false;
+    }
+
+    for (const user of result) {
+        let answers = {};
+        for (const test of user.result.tests) {
+            if (test.maxScore > 0) {
+                answers[String(test.id)] = rasch.solved(test);
+            }
+        }
+        persons.push(answers);
+    }
+
+    const calibration = rasch.calibrate(persons);
+    logger.info('Calibrated from ' + calibration.persons + ' of ' + persons.length +
+                ' locked results');
+    if (calibration.skipped.length > 0) {
+        logger.warn('Skipped tests solved by all or none: ' + calibration.skipped);
+    }
+
+    console.log(JSON.stringify({ rasch: { difficulties: calibration.difficulties } }, null, 2));
+    return true;
+}
+
+/**
+ * Import a question bank from a spreadsheet as a new course and write its config and language
+ * files, see CourseManager.importSheet().
+ * @param {JSON} args Must contain the keys 'file' with the path to the CSV or XLSX file, 'name'
+ *                    with the name of the course files and 'title' with the course title. May
+ *                    contain the optional keys 'languages' with the language names (e.g.
+ *                    'en:English,de:Deutsch'), 'validationSchema' (default: the standard schema
+ *                    with the first two letters of the name) and 'output' with the course config
+ *                    directory (default: ./data/configs/courses).
+ * @returns True on success, false otherwise.
+ */
+async function importCourse(args) {
+    for (const arg of ['file', 'name', 'title']) {
+        if (!(arg in args)) {
+            logger.error('missing arg: ' + arg);
+            return false;
+        }
+    }
+
+    logger.info('importCourse(' + args.file + ')');
+
+    let languages = {};
+    for (const item of (args.languages || '').split(',').filter(item => item)) {
+        const elems = item.split(':');
+        languages[elems[0]] = elems.slice(1).join(':') || elems[0];
+    }
+
+    const result = CourseManager.importSheet(args.file, args.output || './data/configs/courses', {
+        name: args.name,
+        title: args.title,
+        validationSchema: args.validationSchema || defaultSchema(args.name),
+        languages: languages
+    });
+
+    for (const problem of result.problems) {
+        console.log(args.file + (problem.row ? ':' + problem.row : '') + ': ' + problem.message);
+    }
+    for (const file of result.files) {
+        console.log('Wrote: ' + file);
+    }
+
+    return result.problems.length === 0;
+}
+
+/**
+ * Import the items of a QTI 2.1 package as a new course and write its config and language file,
+ * see CourseManager.importQti().
+ * @param {JSON} args Must contain the keys 'file' with the path to the package (.zip) or item
+ *                    (.xml), 'name' with the name of the course files and 'title' with the course
+ *                    title. May contain the optional keys 'type' with the type of the tests
+ *                    (default: qti), 'language' of the items (default: xml:lang of the items),
+ *                    'validationSchema' and 'output' like importCourse().
+ * @returns True if the course was written, false otherwise.
+ */
+async function importQti(args) {
+    for (const arg of ['file', 'name', 'title']) {
+        if (!(arg in args)) {
+            logger.error('missing arg: ' + arg);
+            return false;
+        }
+    }
+
+    logger.info('importQti(' + args.file + ')');
+
+    const result = CourseManager.importQti(args.file, args.output || './data/configs/courses', {
+        name: args.name,
+        title: args.title,
+        type: args.type || 'qti',
+        language: args.language,
+        validationSchema: args.validationSchema || defaultSchema(args.name)
+    });
+
+    for (const item of result.skipped) {
+        console.log(args.file + ': ' + item.item + ': skipped: ' + item.message);
+    }
+    for (const problem of result.problems) {
+        console.log(args.file + (problem.item ? ': ' + problem.item : '') + ': ' +
+            problem.message);
+    }
+    for (const file of result.files) {
+        console.log('Wrote: ' + file);
+    }
+
+    return result.files.length > 0;
+}
+
+/**
+ * Export the tests of a course as QTI 2.1 package, see CourseManager.exportQti().
+ * @param {JSON} args Must contain the keys 'file' with the path to the course config file and
+ *                    'language' of the texts. May contain the optional key 'output' with the path
+ *                    of the package (default: <name>_<language>.zip).
+ * @returns True if the package was written, false otherwise.
+ */
+async function exportQti(args) {
+    for (const arg of ['file', 'language']) {
+        if (!(arg in args)) {
+            logger.error('missing arg: ' + arg);
+            return false;
+        }
+    }
+
+    logger.info('exportQti(' + args.file + ')');
+
+    const output = args.output || path.basename(args.file).split('.')[0] + '_' + args.language +
+        '.zip';
+    const result = CourseManager.exportQti(args.file, args.language, output);
+
+    for (const item of result.skipped) {
+        console.log(args.file + ': test ' + item.test + ': ' + item.message);
+    }
+    for (const problem of result.problems) {
+        console.log(args.file + ': ' + problem.message);
+    }
+    for (const file of result.files) {
+        console.log('Wrote: ' + file);
+    }
+
+    return result.files.length > 0;
+}
+
+/**
+ * Get the standard validation schema for a course: two letters of its name followed by the
+ * pattern of the pin.
+ * @param {String} name Name of the course files.
+ * @returns Validation schema.
+ */
+function defaultSchema(name) {
+    return name.substring(0, 2).toUpperCase() +
+        '([A-Z][A-Z][A-Z][a-z][a-z][a-z][a-z][a-z][0-9][0-9])%9';
+}
+
+/**
+ * Validate a course config file and its language files the same way the server does when it
+ * loads the courses, and print every problem with its location.
+ * @param {JSON} args Must contain a key 'file' with the path to the course config file.
+ * @returns True if the config is valid, false otherwise.
+ */
+async function validateCourse(args) {
+    if (!('file' in args)) {
+        logger.error('missing arg: file');
+        return false;
+    }
+
+    logger.info('validateCourse(' + args.file + ')');
+
+    const problems = validator.validateFile(args.file);
+    for (const problem of problems) {
+        console.log(validator.format(problem));
+    }
+
+    console.log(problems.length + ' problem(s) found in: ' + args.file);
+    return problems.length === 0;
+}
+
+/**
+ * Check the translations of all course and frontend configs in ./data/configs and print every
+ * problem.
+ * @param {JSON} args May contain an optional key 'reference' with the language the others are
+ *                    compared to, defaults to the first language in alphabetical order.
+ * @returns True if no problems were found, false otherwise.
+ */
+async function checkTranslations(args) {
+    logger.info('checkTranslations(' + (args.reference || '') + ')');
+
+    const reports = i18n.report(args.reference);
+    for (const line of i18n.format(reports)) {
+        console.log(line);
+    }
+
+    const problems = i18n.count(reports);
+    console.log(problems + ' problem(s) found in ' + reports.length + ' config(s)');
+    return problems === 0;
+}
+
 /**
  * Load configuration from the environment.
  * Gathers settings for things like the log level, DB user and password, etc.
@@ -387,9 +720,9 @@ function loadEnvironment() {
 }
 
 /**
- * Retrieve the handler function for a set of script arguments.
+ * Retrieve the action for a set of script arguments.
  * @param {*} args Node.js script run parameters.
- * @returns Handler function on success, null otherwise.
+ * @returns Action with the handler function on success, null otherwise.
  */
 function run(args) {
     let arg = args[0];
@@ -418,7 +751,7 @@ function run(args) {
         return null;
     }
 
-    return dict.handler;
+    return dict;
 }
 
 /**
@@ -434,18 +767,20 @@ async function main() {
     // load env config for DB parameters and such
     loadEnvironment();
 
-    const handler = await run(args);
-    if (handler === null) {
+    const action = await run(args);
+    if (action === null) {
         return null;
     }
 
     // connect to DB
-    logger.all('Connecting to MongoDB: ' + db.config.uri);
-    try {
-        await db.connect(db.config.uri, db.config.options);
-    } catch(err) {
-        logger.error('Failed to connect to DB: ' + err);
-        return null;
+    if (!action.offline) {
+        logger.all('Connecting to MongoDB: ' + db.config.uri);
+        try {
+            await db.connect(db.config.uri, db.config.options);
+        } catch(err) {
+            logger.error('Failed to connect to DB: ' + err);
+            return null;
+        }
     }
 
     const handlerArgs = {};
@@ -459,7 +794,7 @@ async function main() {
         handlerArgs[elems[0]] = elems[1];
     }
 
-    return await handler(handlerArgs);
+    return await action.handler(handlerArgs);
 }
 
 if (require.main == module) {
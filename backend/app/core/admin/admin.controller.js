@@ -1,12 +1,14 @@
 const crypto = require('crypto');
 
 const db = require('../../db/db');
+const i18n = require('../../utils/i18n');
 const logger = require('../../utils/logger');
 const error = require('../../shared/error');
 
 module.exports = {
     find,
-    deleteMany
+    deleteMany,
+    i18nReport
 }
 
 /**
@@ -113,3 +115,45 @@ function deleteMany(req, res, next) {
         next(err);
     });
 }
+
+/**
+ * Express.js controller.
+ * Check the translations of all course and frontend configs on disk and return the report (see
+ * i18n.report()) in the response object. The request body may contain the 'reference' language.
+ * HTTP 200 will be set on success, HTTP 500 otherwise.
+ *
+ * @param {*} req HTTP request
+ * @param {*} res HTTP response
+ * @param {*} next ...
+ */
+function i18nReport(req, res, next) {
+    const reference = req.body.reference;
+    const secret = req.body.secret;
+
+    // check whether the admin feature is enabled at all
+    if (!process.env.ADMIN_ENABLE) {
+        logger.warn('Admin feature requested, but disabled');
+        res.status(403).send();
+        return;
+    }
+
+    if (!validateSecret(secret)) {
+        logger.warn('Admin secret validation failed');
+        res.status(401).send();
+        return;
+    }
+
+    logger.info('i18n.report(' + (reference || '') + ')');
+
+    let reports;
+    try {
+        reports = i18n.report(reference);
+    } catch (err) {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_UNKNOWN });
+        next(err);
+        return;
+    }
+
+    res.status(200).json({ problems: i18n.count(reports), configs: reports });
+}
@@ -11,4 +11,6 @@ function v1(app) {
     app.post('/api/v1/admin/user/find', overlord.wrapFunction(controller.find));
     // delete users
     app.post('/api/v1/admin/user/deleteMany', overlord.wrapFunction(controller.deleteMany));
+    // check the translations
+    app.post('/api/v1/admin/i18n/report', overlord.wrapFunction(controller.i18nReport));
 }
@@ -0,0 +1,118 @@
+/**
+ * Schema for the adaptive mode of a test group.
+ * Instead of picking 'select' tests at random, the backend picks one test after another based on
+ * the previous answers of the user (staircase):
+ *
+ *   "adaptive": {
+ *       "start": 2,            // difficulty of the first test (default: the median difficulty)
+ *       "up": 2,               // solved tests in a row before the difficulty goes up (default 1)
+ *       "down": 1              // failed tests in a row before the difficulty goes down (default 1)
+ *   }
+ *
+ * Every test of an adaptive group needs a 'difficulty'. A test counts as solved if the user
+ * reached its max score.
+ */
+const ADAPTIVE_SCHEMA = {
+    "type": "object",
+    "properties": {
+        "start": {"type": "number"},
+        "up": {"type": "integer", "minimum": 1},
+        "down": {"type": "integer", "minimum": 1}
+    },
+    "additionalProperties": false
+};
+
+module.exports = {
+    ADAPTIVE_SCHEMA,
+    level,
+    next
+}
+
+/**
+ * Find the difficulty level that is closest to a given difficulty.
+ *
+ * @param {Array} levels Available difficulties in ascending order
+ * @param {Number} difficulty Wanted difficulty
+ * @returns Index into levels, the lower level wins ties
+ */
+function closest(levels, difficulty) {
+    let index = 0;
+    for (let k = 1; k < levels.length; k++) {
+        if (Math.abs(levels[k] - difficulty) < Math.abs(levels[index] - difficulty)) {
+            index = k;
+        }
+    }
+    return index;
+}
+
+/**
+ * Walk the staircase for the answers of a user.
+ *
+ * @param {Object} group Adaptive test group config
+ * @param {Array} tests Test configs of the group
+ * @param {Array} answers Whether the presented tests were solved, in the order of presentation
+ * @returns Difficulty of the next test
+ */
+function level(group, tests, answers) {
+    const settings = group['adaptive'];
+    const up = settings['up'] || 1;
+    const down = settings['down'] || 1;
+    const levels = Array.from(new Set(tests.map(test => test['difficulty'])))
+        .sort((a, b) => a - b);
+
+    let index = ('start' in settings) ? closest(levels, settings['start']) :
+        Math.floor((levels.length - 1) / 2);
+    let solved = 0;
+    let failed = 0;
+
+    for (const answer of answers) {
+        if (answer) {
+            solved++;
+            failed = 0;
+        } else {
+            failed++;
+            solved = 0;
+        }
+
+        if (solved >= up) {
+            index = Math.min(index + 1, levels.length - 1);
+            solved = 0;
+        } else if (failed >= down) {
+            index = Math.max(index - 1, 0);
+            failed = 0;
+        }
+    }
+
+    return levels[index];
+}
+
+/**
+ * Pick the next test of an adaptive test group.
+ *
+ * @param {Object} group Adaptive test group config
+ * @param {Array} tests Test configs of the group
+ * @param {Array} presented Ids of the tests that were presented, in order
+ * @param {Array} answers Whether the presented tests were solved, in the same order
+ * @returns Id of the next test, null if 'select' tests were presented or none is left
+ */
+function next(group, tests, presented, answers) {
+    if (presented.length >= group['select']) {
+        return null;
+    }
+
+    const candidates = tests.filter(test =>
+        !presented.some(id => String(id) === String(test['id'])));
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    // the test with the closest difficulty, the first one in the group wins ties
+    const difficulty = level(group, tests, answers);
+    let pick = candidates[0];
+    for (const test of candidates) {
+        if (Math.abs(test['difficulty'] - difficulty) < Math.abs(pick['difficulty'] - difficulty)) {
+            pick = test;
+        }
+    }
+    return pick['id'];
+}
@@ -0,0 +1,47 @@
+/**
+ * Schema for the speed bonus of a single test.
+ * Speed tests (tests with a time limit in 'seconds') may award bonus points for the time that is
+ * left when the user moves on:
+ *
+ *   "seconds": 60,
+ *   "bonus": {
+ *       "points": 2            // bonus for a fully correct answer without any time spent
+ *   }
+ *
+ * The bonus is the share of the time left times the share of the score reached, e.g. 0.5 points
+ * for a fully correct answer after 45 of 60 seconds. It is added to the score of the test and the
+ * points to its max score. The time is the active time of the journal timing, which the server
+ * measures (see journal.controller.saveTiming()); tests without timing get no bonus.
+ */
+const BONUS_SCHEMA = {
+    "type": "object",
+    "properties": {
+        "points": {"type": "number", "exclusiveMinimum": 0}
+    },
+    "required": ["points"],
+    "additionalProperties": false
+};
+
+module.exports = {
+    BONUS_SCHEMA,
+    award
+}
+
+/**
+ * Calculate the speed bonus of a single test.
+ *
+ * @param {Object} config Test config with 'seconds' and 'bonus'
+ * @param {Object} result Single test result before the bonus, see result.controller.calculate()
+ * @param {Object} timing Journal timing of the test, may be missing
+ * @returns Bonus points, rounded to two decimals
+ */
+function award(config, result, timing) {
+    if (!config['bonus'] || !config['seconds'] || !timing || result.maxScore <= 0) {
+        return 0;
+    }
+
+    const limit = config['seconds'] * 1000;
+    const left = Math.min(Math.max(limit - timing.active, 0), limit) / limit;
+    const reached = Math.max(result.score, 0) / result.maxScore;
+    return Math.round(config['bonus']['points'] * left * reached * 100) / 100;
+}
@@ -1,5 +1,7 @@
 const db = require('../../db/db');
 const logger = require('../../utils/logger');
+const testmodels = require('./testmodels');
+const OrderingTest = require('./testmodels/ordering');
 const error = require('../../shared/error');
 
 module.exports = {
@@ -7,43 +9,117 @@ module.exports = {
     showCourses
 }
 
+/**
+ * Get the delivery view of a course config: a copy that is safe to send to the browser while the
+ * test is running. The secret fields of every single test (see BaseTest.secretFields) and its
+ * feedback (see feedback.js) are left out, ordering tests list their options in the order of
+ * delivery of the user.
+ *
+ * @param {JSON} config Course config
+ * @param {Object} permutations Order of delivery of the ordering tests, see permutationsOf()
+ * @returns Sanitized copy of the config
+ */
+function delivery(config, permutations) {
+    let copy = JSON.parse(JSON.stringify(config));
+    copy['tests'] = (copy['tests'] || []).map(test => {
+        if (test['category'] === OrderingTest.name) {
+            test['permutation'] = permutations[test['id']];
+        }
+        return testmodels.delivery(test);
+    });
+    return copy;
+}
+
+/**
+ * Get the order in which the options of the ordering tests are delivered to a user. The course
+ * config lists them in their correct order, so every test gets an order of its own (see
+ * OrderingTest.permutation()). Users keep the order they got first, since their journal log
+ * refers to it.
+ *
+ * @param {JSON} config Course config
+ * @param {Object} stored Order of delivery per test id that the user got so far
+ * @returns Object with the order of delivery per test id
+ */
+function permutationsOf(config, stored) {
+    let permutations = Object.assign({}, stored);
+    for (const test of config['tests'] || []) {
+        const length = test['options'].length;
+        if (test['category'] === OrderingTest.name &&
+            !OrderingTest.isPermutation(permutations[test['id']], length)) {
+            permutations[test['id']] = OrderingTest.permutation(length);
+        }
+    }
+    return permutations;
+}
+
 /**
  * Express.js controller.
  * Load course configurations from the database and return them in the response object.
- * HTTP 200 will be set on success, HTTP 500 otherwise.
+ * Only the delivery view (see delivery()) is returned, the answers and the feedback of the single
+ * tests are not part of it. If a user (pin) is given, the order of delivery of the ordering tests
+ * is stored with their journal, it is needed to evaluate them.
+ * HTTP 200 will be set on success, HTTP 404 if the course or language do not exist,
+ * HTTP 500 otherwise.
  *
  * @param {*} req HTTP request
  * @param {*} res HTTP response
  * @param {*} next ...
  */
-function loadConfig(req, res, next) {
+async function loadConfig(req, res, next) {
     const name = req.body.name;
     const language = req.body.language;
+    const bodyPin = Number.parseInt(req.body.pin);
+    let course;
+    let user = null;
 
-    db.Course.findOne({
-        name: name
-    }).then(course => {
-        if (!course) {
-            logger.warn('No such course: ' + name);
-            res.status(404).json({ error: error.ServerError.E_DBQUERY });
-            return;
-        }
+    try {
+        course = await db.Course.findOne({
+            name: name
+        });
 
-        for (const config of course.configs) {
-            if (language === config.language) {
-                logger.info('Loaded course config: ' + name + ' for language: ' + language);
-                res.status(200).json(config.config);
-                return;
-            }
+        // users without a pin (e.g. a preview) get a new order of delivery with every request
+        if (course && !isNaN(bodyPin)) {
+            user = await db.User.findOne({
+                pin: bodyPin
+            });
         }
-
-        logger.warn('Language: ' + language + ' not available for course: ' + name);
-        res.status(404).json({ error: error.ServerError.E_DBQUERY });
-    }).catch(err => {
+    } catch(err) {
         logger.error(err);
         res.status(500).json({ error: error.ServerError.E_DBIO });
         next(err);
-    });
+        return;
+    }
+
+    if (!course) {
+        logger.warn('No such course: ' + name);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    const config = course.configs.find(obj => language === obj.language);
+    if (!config) {
+        logger.warn('Language: ' + language + ' not available for course: ' + name);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    const stored = (user && user.journal && user.journal.permutations) || {};
+    const permutations = permutationsOf(config.config, stored);
+    if (user && Object.keys(permutations).some(id => permutations[id] !== stored[id])) {
+        try {
+            await db.User.updateOne({ pin: bodyPin }, {
+                'journal.permutations': permutations
+            }, { upsert: false });
+        } catch(err) {
+            logger.error(err);
+            res.status(500).json({ error: error.ServerError.E_DBIO });
+            next(err);
+            return;
+        }
+    }
+
+    logger.info('Loaded course config: ' + name + ' for language: ' + language);
+    res.status(200).json(delivery(config.config, permutations));
 }
 
 /**
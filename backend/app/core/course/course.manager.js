@@ -5,8 +5,18 @@ const path = require('path');
 const db = require('../../db/db');
 const JSONUtils = require('./../../utils/json');
 const logger = require('./../../utils/logger');
+const sheet = require('./../../utils/sheet');
+const source = require('./../../utils/source');
+const qti = require('./qti');
+const spreadsheet = require('./spreadsheet');
+
+// images of the course texts, served by the frontend server (see server.js)
+const ASSETS_PATH = 'data/assets/public';
 
 module.exports = {
+    exportQti,
+    importQti,
+    importSheet,
     loadCourses,
     setupAutodeploy
 }
@@ -16,9 +26,11 @@ module.exports = {
  * currently present/cached in the DB.
  *
  * @param {string} inputPath Path to course configuration files.
- *     This path should include several .json files, one for each course.
+ *     This path should include several .json or .yaml files, one for each course.
  *     Additionally, each course can have localized strings, which must reside in their own
- *     respective .json files in path/i18n/<json>.
+ *     respective files in path/i18n/<course>_<language>.json (or .yaml).
+ *     Any of these files may include others, e.g. the tests from a subdirectory, see
+ *     source.INCLUDE.
  */
 async function loadCourses(inputPath) {
     let configFiles = [];
@@ -56,23 +68,23 @@ async function loadCourses(inputPath) {
     for (const item of configFiles) {
         let courseConfigs = [];
         const configName = item.split('.')[0];
-        if (!item.endsWith('.json')) {
-            // we only handle JSON files, so just exit in this case
+        if (!source.isSource(item)) {
+            // we only handle JSON and YAML files, so just exit in this case
             continue;
         }
 
         let courseConfig;
         try {
-            courseConfig = JSON.parse(fs.readFileSync(path.join(inputPath, item)));
+            courseConfig = source.readSource(path.join(inputPath, item));
         } catch (err) {
-            logger.warn('Not a valid JSON file: ' + item + ': ' + err);
+            logger.warn('Not a valid config source: ' + item + ': ' + err);
             continue;
         }
 
         // see what languages are available
         for (const lang of languageFiles) {
-            if (!lang.endsWith('.json')) {
-                // we only handle JSON files, so just exit in this case
+            if (!source.isSource(lang)) {
+                // we only handle JSON and YAML files, so just exit in this case
                 continue;
             }
 
@@ -89,9 +101,9 @@ async function loadCourses(inputPath) {
 
             let languageConfig;
             try {
-                languageConfig = JSON.parse(fs.readFileSync(path.join(i18nPath, lang)));
+                languageConfig = source.readSource(path.join(i18nPath, lang));
             } catch (err) {
-                logger.warn('Not a valid JSON file: ' + lang + ': ' + err);
+                logger.warn('Not a valid config source: ' + lang + ': ' + err);
                 continue;
             }
 
@@ -144,6 +156,199 @@ async function loadCourses(inputPath) {
     }
 }
 
+/**
+ * Import a question bank from a spreadsheet (see spreadsheet.COLUMNS) as a new course. The course
+ * config is written to outputPath/<name>.json, its language files to
+ * outputPath/i18n/<name>_<language>.json. Nothing is written if the sheet has problems, if the
+ * course does not pass Course.validateConfig(), if a reference does not resolve with one of the
+ * languages or if the course config exists already.
+ *
+ * @param {string} file Path to the CSV or XLSX file
+ * @param {string} outputPath Path to course configuration files, e.g. ./data/configs/courses
+ * @param {Object} options 'name' of the course files and the course attributes, see
+ *                         spreadsheet.convert()
+ * @returns {Object} The 'problems' found ({ row, message }, row is missing for problems of the
+ *                   whole course) and the 'files' written
+ */
+function importSheet(file, outputPath, options) {
+    let rows;
+    try {
+        rows = sheet.readSheet(file);
+    } catch (err) {
+        return { problems: [{ message: 'Cannot read sheet: ' + err.message }], files: [] };
+    }
+
+    const course = spreadsheet.convert(rows, options);
+    const result = saveCourse(course, outputPath, options['name'], course.problems, pointer => {
+        // point to the row of the test or option
+        while (!(pointer in course.rows) && pointer !== '') {
+            pointer = pointer.substring(0, pointer.lastIndexOf('/'));
+        }
+        const row = course.rows[pointer];
+        return row ? { row: row } : {};
+    });
+
+    if (result.files.length > 0) {
+        logger.info('Imported course: ' + course.config['title'] + ' from: ' + file);
+    }
+    return result;
+}
+
+/**
+ * Import QTI 2.1 items (see qti.js) as a new course, like importSheet(). Items that cannot be
+ * mapped are reported and skipped, the course is written as long as the other items are valid.
+ *
+ * @param {string} file Path to a QTI content package (.zip) or a single item (.xml)
+ * @param {string} outputPath Path to course configuration files, e.g. ./data/configs/courses
+ * @param {Object} options 'name' of the course files and the course attributes, see
+ *                         qti.importItems()
+ * @returns {Object} The 'problems' found ({ item, message }, item is missing for problems of the
+ *                   whole course), the items that were 'skipped' ({ item, message }) and the
+ *                   'files' written
+ */
+function importQti(file, outputPath, options) {
+    let items;
+    try {
+        items = file.endsWith('.zip') ? qti.readPackage(fs.readFileSync(file)) :
+            [{ href: path.basename(file), text: fs.readFileSync(file, 'utf8') }];
+    } catch (err) {
+        return {
+            problems: [{ message: 'Cannot read QTI file: ' + err.message }],
+            skipped: [],
+            files: []
+        };
+    }
+
+    const course = qti.importItems(items, options);
+    let problems = [];
+    if (course.config['tests'].length === 0) {
+        problems.push({ message: 'No item could be imported' });
+    }
+
+    const result = saveCourse(course, outputPath, options['name'], problems, pointer => {
+        const test = pointer.split('/').slice(0, 3).join('/');
+        return test in course.items ? { item: course.items[test] } : {};
+    });
+
+    if (result.files.length > 0) {
+        logger.info('Imported course: ' + course.config['title'] + ' from: ' + file);
+    }
+    return Object.assign(result, { skipped: course.skipped });
+}
+
+/**
+ * Export the tests of a course in one language as QTI 2.1 content package (see qti.js). The course
+ * has to pass Course.validateConfig() and its references have to resolve with the language.
+ *
+ * @param {string} file Path to the course config, its language files are read from
+ *                      <directory>/i18n/<name>_<language>.*
+ * @param {string} language Language of the texts
+ * @param {string} output Path of the package zip, overwritten if it exists
+ * @returns {Object} The 'problems' found ({ message }), the tests that were 'skipped' or exported
+ *                   with escaped markup or without their images ({ test, message }) and the
+ *                   'files' written
+ */
+function exportQti(file, language, output) {
+    const name = path.basename(file).split('.')[0];
+    const i18nPath = path.join(path.dirname(file), 'i18n');
+    const failed = message => ({ problems: [{ message: message }], skipped: [], files: [] });
+
+    let config;
+    let languageConfig;
+    try {
+        config = source.readSource(file);
+        const languageFile = fs.readdirSync(i18nPath).find(item => source.isSource(item) &&
+            item.split('.')[0] === name + '_' + language);
+        if (!languageFile) {
+            return failed('No language file: ' + path.join(i18nPath, name + '_' + language));
+        }
+        languageConfig = source.readSource(path.join(i18nPath, languageFile));
+    } catch (err) {
+        return failed('Cannot read course: ' + err.message);
+    }
+
+    // validate the same way loadCourses() does
+    if (!db.Course.validateConfig(config)) {
+        return {
+            problems: db.Course.checkConfig(config).map(problem =>
+                ({ message: (problem.pointer || '/') + ': ' + problem.message })),
+            skipped: [],
+            files: []
+        };
+    }
+
+    const merged = JSONUtils.mergeObjects([config, languageConfig]);
+    if (merged === null) {
+        return failed('Failed to merge course config with language: ' + language);
+    }
+
+    const exported = qti.createPackage(merged, language, ASSETS_PATH);
+    if (exported.buffer === null) {
+        return { problems: [{ message: 'No test could be exported' }], skipped: exported.skipped,
+            files: [] };
+    }
+
+    fs.writeFileSync(output, exported.buffer);
+    logger.info('Exported ' + exported.items + ' tests of course: ' + config['title'] + ' to: ' +
+        output);
+    return { problems: [], skipped: exported.skipped, files: [output] };
+}
+
+/**
+ * Write an imported course unless it has problems. The course is validated the same way
+ * loadCourses() does, and all references have to resolve with every language.
+ *
+ * @param {Object} course The course 'config' and its 'languages' files keyed by language
+ * @param {string} outputPath Path to course configuration files
+ * @param {string} name Name of the course files
+ * @param {Array} problems Problems found by the import so far, nothing is written if not empty
+ * @param {Function} locate Maps the JSON pointer of a validation problem to the properties that
+ *                          locate it in the imported file, e.g. { row: 3 }
+ * @returns {Object} The 'problems' found and the 'files' written
+ */
+function saveCourse(course, outputPath, name, problems, locate) {
+    const configFile = path.join(outputPath, name + '.json');
+    const i18nPath = path.join(outputPath, 'i18n');
+
+    if (problems.length === 0 && !db.Course.validateConfig(course.config)) {
+        for (const problem of db.Course.checkConfig(course.config)) {
+            problems.push(Object.assign(locate(problem.pointer), {
+                message: (problem.pointer || '/') + ': ' + problem.message
+            }));
+        }
+    }
+
+    for (const language of Object.keys(course.languages)) {
+        // mergeObjects() drops the refs of its inputs
+        const languageConfig = Object.assign({}, course.languages[language]);
+        if (problems.length === 0 &&
+            JSONUtils.mergeObjects([course.config, languageConfig]) === null) {
+            problems.push({ message: 'Failed to merge course config with language: ' +
+                language });
+        }
+    }
+
+    if (fs.existsSync(configFile)) {
+        problems.push({ message: 'Course config exists already: ' + configFile });
+    }
+
+    if (problems.length > 0) {
+        return { problems: problems, files: [] };
+    }
+
+    let files = [configFile];
+    fs.mkdirSync(i18nPath, { recursive: true });
+    fs.writeFileSync(configFile, JSON.stringify(course.config, null, 2) + '\n');
+    for (const language of Object.keys(course.languages)) {
+        const languageFile = path.join(i18nPath, name + '_' + language + '.json');
+        fs.writeFileSync(languageFile, JSON.stringify(course.languages[language], null, 2) +
+            '\n');
+        files.push(languageFile);
+    }
+
+    return { problems: [], files: files };
+}
+
 /**
  * Watch a directory on the local filesystem for new .zip files and consume them, extracting their
  * contents to the specified output path.
@@ -2,9 +2,15 @@ const Ajv = require('ajv');
 const mongoose = require('mongoose');
 
 // load local dependencies
+const JSONUtils = require('../../utils/json');
 const logger = require('../../utils/logger');
+const adaptive = require('./adaptive');
+const recommendation = require('./recommendation');
+const scoring = require('./scoring');
 const baseTestModel = require('./testmodels/base');
 const testsmodels = require('./testmodels');
+const template = require('./template');
+const rasch = require('../user/rasch');
 
 const CourseSchema = new mongoose.Schema({
     name: String,
@@ -16,6 +22,10 @@ const CourseSchema = new mongoose.Schema({
             title: String,
             icon: String,
             validationSchema: String,
+            scoring: Object,
+            norms: Object,
+            recommendations: [Object],
+            rasch: Object,
             tests: [Object],
             testgroups: [Object],
             sets: [Object],
@@ -53,6 +63,13 @@ const SINGLE_TEST_SCHEMA = baseTestModel.baseSchema;
  *                Allows for randomization of tests, so users have to possibly work on different
  *                tasks.
  * ------------------------------------------------------------------------------------------------
+ *   weight       Number: factor for the scores of all tests in this group (default 1)
+ *                Multiplies with the weights of the single tests.
+ * ------------------------------------------------------------------------------------------------
+ *   adaptive     Object: let the backend pick the 'select' tests one after another based on the
+ *                previous answers of the user, see adaptive.js
+ *                Requires 'select' and a 'difficulty' for every test of the group.
+ * ------------------------------------------------------------------------------------------------
  */
 const TEST_GROUP_SCHEMA = {
     "$id": "/TestGroup",
@@ -64,6 +81,8 @@ const TEST_GROUP_SCHEMA = {
             "items": {"type": "integer"}
         },
         "select": {"type": "integer"},
+        "weight": {"type": "number", "minimum": 0},
+        "adaptive": adaptive.ADAPTIVE_SCHEMA
     },
     "required": ["id", "tests"]
 };
@@ -81,6 +100,21 @@ const TEST_GROUP_SCHEMA = {
  * ------------------------------------------------------------------------------------------------
  *   elements     Array: single test ids
  * ------------------------------------------------------------------------------------------------
+ *
+ * ================
+ * === OPTIONAL ===
+ * ================
+ *
+ * ------------------------------------------------------------------------------------------------
+ *   weight       Number: factor for the scores of this set in the overall result (default 1)
+ * ------------------------------------------------------------------------------------------------
+ *   evaluationTexts
+ *                Object: texts shown in the evaluation of this set
+ *                'scoreIndependent' is shown to every user, 'scoreDependent' is a list of
+ *                [percentage, text] bands, e.g. [[33, "..."], [100, "..."]]. The text of the
+ *                first band whose percentage is not below the weighted percentage of the user
+ *                is shown.
+ * ------------------------------------------------------------------------------------------------
  */
 const TEST_SET_SCHEMA = {
     "$id": "/TestSet",
@@ -90,6 +124,22 @@ const TEST_SET_SCHEMA = {
         "elements": {
             "type": "array",
             "items": {"type": "integer"}
+        },
+        "weight": {"type": "number", "minimum": 0},
+        "evaluationTexts": {
+            "type": "object",
+            "properties": {
+                "scoreIndependent": {"type": "string"},
+                "scoreDependent": {
+                    "type": "array",
+                    "items": {
+                        "type": "array",
+                        "items": [{"type": "number"}, {"type": "string"}],
+                        "minItems": 2,
+                        "maxItems": 2
+                    }
+                }
+            }
         }
     },
     "required": ["id", "elements"]
@@ -168,6 +218,25 @@ const INFO_PAGE_SCHEMA = {
  * ------------------------------------------------------------------------------------------------
  *   infopages    Array: list of INFO_PAGE_SCHEMA instances
  * ------------------------------------------------------------------------------------------------
+ *   scoring      Object: default scoring policy for all single tests, see scoring.js
+ *                Single tests may override its members with their own 'scoring' block.
+ * ------------------------------------------------------------------------------------------------
+ *   norms        Object: report the percentile rank of each set among the locked results of
+ *                this course and language, see user/norms.js
+ *                'minCohort' (Integer) locked results with a percentage of a set are needed
+ *                before its rank is shown.
+ * ------------------------------------------------------------------------------------------------
+ *   recommendations
+ *                Array: rules that combine the percentages of several sets to a recommendation
+ *                ('recommended', 'conditionally-recommended' or 'not-recommended') with a text,
+ *                see recommendation.js
+ *                The first matching rule is stored with the validation code once the result is
+ *                locked.
+ * ------------------------------------------------------------------------------------------------
+ *   rasch        Object: item difficulties (logits) of the evaluated single tests, keyed by test
+ *                id, see user/rasch.js
+ *                An ability estimate with standard error is stored per set with the result.
+ * ------------------------------------------------------------------------------------------------
  */
 const TEST_SCHEMA = {
     "$id": "/Test",
@@ -176,6 +245,17 @@ const TEST_SCHEMA = {
         "title": {"type": "string"},
         "icon": {"type": "string"},
         "validationSchema": {"type": "string"},
+        "scoring": scoring.SCORING_SCHEMA,
+        "norms": {
+            "type": "object",
+            "properties": {
+                "minCohort": {"type": "integer", "minimum": 1}
+            },
+            "required": ["minCohort"],
+            "additionalProperties": false
+        },
+        "recommendations": recommendation.RECOMMENDATIONS_SCHEMA,
+        "rasch": rasch.RASCH_SCHEMA,
         "tests": {
             "type": "array",
             "items": {"$ref": "/BaseTest"}
@@ -197,144 +277,282 @@ const TEST_SCHEMA = {
 };
 
 /**
- * Validate a given JSON object against our internal config format scheme.
- * Returns true for valid configs, false otherwise.
+ * Get an array member of a config, tolerating configs that failed the schema validation.
+ *
+ * @param value Array member of the config, may be missing or of the wrong type
+ * @returns The value if it is an array, an empty array otherwise
+ */
+function list(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Describe a schema validation error.
+ *
+ * @param {Object} err Ajv error object
+ * @returns Message as String
+ */
+function describe(err) {
+    if (err.keyword === 'additionalProperties') {
+        return err.message + ': ' + err.params.additionalProperty;
+    }
+    if (err.keyword === 'enum' || err.keyword === 'const') {
+        return err.message + ': ' + JSON.stringify(err.params.allowedValues ||
+            err.params.allowedValue);
+    }
+    return err.message;
+}
+
+/**
+ * Check a given JSON object against our internal config format scheme and collect all problems
+ * instead of stopping at the first one.
  *
  * @param {JSON} config The config object as JSON
+ * @returns Array of problems, empty for valid configs. Every problem has the JSON 'pointer' of
+ *          the offending element, a 'message' and the 'test' id if it concerns a single test.
  */
-CourseSchema.statics.validateConfig = function(config) {
+function checkConfig(config) {
+    let problems = [];
+    const report = (pointer, message, test) => {
+        // the course schema and the category schemas may report the same error
+        if (!problems.some(p => p.pointer === pointer && p.message === message)) {
+            problems.push(test === undefined ? { pointer, message } : { pointer, message, test });
+        }
+    };
+    const testAt = pointer => {
+        const match = /^\/tests\/(\d+)(\/|$)/.exec(pointer);
+        const test = match ? list(config['tests'])[Number(match[1])] : undefined;
+        return test && typeof test === 'object' ? test['id'] : undefined;
+    };
+
     // 1. validate config against the pre-defined schemas
-    const ajv = new Ajv();
+    const ajv = new Ajv({ allErrors: true, jsonPointers: true });
     const validate = ajv.addSchema(SINGLE_TEST_SCHEMA).addSchema(TEST_GROUP_SCHEMA)
         .addSchema(TEST_SET_SCHEMA).addSchema(INFO_PAGE_SCHEMA).compile(TEST_SCHEMA);
     if (!validate(config)) {
-        logger.warn(JSON.stringify(validate.errors));
-        return false;
+        for (const err of validate.errors) {
+            report(err.dataPath, describe(err), testAt(err.dataPath));
+        }
+    }
+
+    if (!config || typeof config !== 'object') {
+        return problems;
     }
 
     // 2. check for valid single test attributes
-    const tests = config['tests'];
+    const tests = list(config['tests']);
     let testIDs = [];
-    for (const test of tests) {
-        let schema = null;
+    tests.forEach((test, index) => {
+        const pointer = '/tests/' + index;
+        if (!test || typeof test !== 'object') {
+            return;
+        }
 
         // check whether the test ID is unique
         if (testIDs.indexOf(test['id']) > -1) {
-            logger.warn('CourseModel: validateConfig: "id" not unique: ' + test['id']);
-            return false;
+            report(pointer + '/id', '"id" not unique: ' + test['id'], test['id']);
         }
 
-        // load the single test schema
-        for (const model of testsmodels.Models) {
-            if (model.name === test['category']) {
-                schema = model.schema;
-                break;
+        // keep track of all single test IDs
+        testIDs.push(test['id']);
+
+        // load the single test model
+        const testModel = testsmodels.Models.find(model => model.name === test['category']);
+        if (!testModel) {
+            // a missing category is reported by the schema validation already
+            if ('category' in test) {
+                report(pointer + '/category', 'No schema for single test category: ' +
+                    test['category'], test['id']);
             }
+            return;
         }
 
-        if (schema === null) {
-            logger.warn('CourseModel: validateConfig: No schema for single test category: ' +
-                        test['category']);
-            return false;
+        // validate the single test config
+        // the model validates it against its schema and performs additional checks that the
+        // schema cannot express (e.g. references between attributes)
+        // parameterized tests are validated with sample values, since the placeholders are only
+        // replaced per user
+        let sample = test;
+        try {
+            if ('variables' in test) {
+                sample = template.apply(test, template.sample(test['variables']));
+            }
+        } catch (err) {
+            report(pointer + '/variables', 'Failed to apply sample values: ' + err.message,
+                test['id']);
+            return;
         }
 
-        // validate the single test schema
-        const validate = new Ajv().compile(schema);
-        if (!validate(test)) {
-            logger.warn('CourseModel: validateConfig: Failed to validate against schema for' +
-                        ' single test: ' + test['id']);
-            logger.warn(JSON.stringify(validate.errors));
-            return false;
+        const validateTest = new Ajv({ allErrors: true, jsonPointers: true })
+            .compile(testModel.schema);
+        if (!validateTest(sample)) {
+            for (const err of validateTest.errors) {
+                report(pointer + err.dataPath, describe(err), test['id']);
+            }
+            return;
         }
 
-        // keep track of all single test IDs
-        testIDs.push(test['id']);
-    }
+        // the values of a range are computed from their position, see template.js
+        const ranges = Object.keys(sample['variables'] || {}).filter(name =>
+            Number.isNaN(template.count(sample['variables'][name])));
+        for (const name of ranges) {
+            report(pointer + '/variables/' + name, 'Range must span a whole number of steps ' +
+                'from min to max: ' + name, test['id']);
+        }
+        if (ranges.length > 0) {
+            return;
+        }
+
+        try {
+            new testModel(sample);
+        } catch (err) {
+            report(pointer, 'Rejected by the ' + test['category'] + ' test model', test['id']);
+        }
+    });
 
     // 3. check for valid testgroup definitions, if any
-    const testgroups = config['testgroups'];
     let testgroupIDs = [];
-    if (testgroups) {
-        for (const group of testgroups) {
-            // check whether the testgroup ID is unique
-            if (testgroupIDs.indexOf(group['id']) > -1) {
-                logger.warn('CourseModel: validateConfig: "id" not unique: ' + group['id']);
-                return false;
+    list(config['testgroups']).forEach((group, index) => {
+        const pointer = '/testgroups/' + index;
+        if (!group || typeof group !== 'object') {
+            return;
+        }
+
+        // check whether the testgroup ID is unique
+        if (testgroupIDs.indexOf(group['id']) > -1) {
+            report(pointer + '/id', '"id" not unique: ' + group['id']);
+        }
+
+        // keep track of all testgroup IDs
+        testgroupIDs.push(group['id']);
+
+        // check whether the referenced tests exist
+        const groupTests = list(group['tests']);
+        groupTests.forEach((testID, k) => {
+            if (testIDs.indexOf(testID) == -1) {
+                report(pointer + '/tests/' + k, 'testgroup references element ID: ' + testID +
+                    ', which is unknown');
             }
+        });
 
-            // keep track of all testgroup IDs
-            testgroupIDs.push(group['id']);
+        // adaptive groups pick 'select' tests by their difficulty, which the backend can only
+        // do for evaluated tests
+        if ('adaptive' in group) {
+            if (!group['select'] || group['select'] > groupTests.length) {
+                report(pointer + '/select', 'adaptive testgroup: ' + group['id'] +
+                    ' needs a "select" of at most ' + groupTests.length);
+            }
 
-            // check whether the referenced tests exist
-            const tests = group['tests'];
-            for (const testID of tests) {
-                if (testIDs.indexOf(testID) == -1) {
-                    logger.warn('CourseModel: validateConfig: testgroup references element ID: ' +
-                                testID + ', which is unknown');
-                    return false;
+            groupTests.forEach((testID, k) => {
+                const test = tests.find(test => test && test['id'] === testID);
+                if (test && (!('difficulty' in test) || test['evaluated'] === false)) {
+                    report(pointer + '/tests/' + k, 'adaptive testgroup: ' + group['id'] +
+                        ' contains test: ' + testID + ' without difficulty or evaluation');
                 }
-            }
+            });
         }
-    }
+    });
 
     // 4. check for valid set definitions, if any
-    const testsets = config['sets'];
     let testsetIDs = [];
-    if (testsets) {
-        for (const set of testsets) {
-            // check whether the testset ID is unique
-            if (testsetIDs.indexOf(set['id']) > -1) {
-                logger.warn('CourseModel: validateConfig: "id" not unique: ' + set['id']);
-                return false;
-            }
+    list(config['sets']).forEach((set, index) => {
+        const pointer = '/sets/' + index;
+        if (!set || typeof set !== 'object') {
+            return;
+        }
 
-            // keep track of all testset IDs
-            testsetIDs.push(set['id']);
+        // check whether the testset ID is unique
+        if (testsetIDs.indexOf(set['id']) > -1) {
+            report(pointer + '/id', '"id" not unique: ' + set['id']);
+        }
 
-            // check whether the referenced elements exist
-            const elems = set['elements'];
+        // keep track of all testset IDs
+        testsetIDs.push(set['id']);
 
-            for (const elemID of elems) {
-                if (testIDs.indexOf(elemID) == -1 && testgroupIDs.indexOf(elemID) == -1) {
-                    logger.warn('CourseModel: validateConfig: test set references element ID: ' +
-                                elemID + ', which is unknown');
-                    return false;
-                }
+        // check whether the referenced elements exist
+        list(set['elements']).forEach((elemID, k) => {
+            if (testIDs.indexOf(elemID) == -1 && testgroupIDs.indexOf(elemID) == -1) {
+                report(pointer + '/elements/' + k, 'test set references element ID: ' + elemID +
+                    ', which is unknown');
             }
-        }
-    }
+        });
+    });
 
     // 5. check for valid infopage definitions, if any
-    const infopages = config['infopages'];
     let infopageIDs = [];
-    if (infopages) {
-        for (const page of infopages) {
-            // check whether the infopage ID is unique
-            if (infopageIDs.indexOf(page['id']) > -1) {
-                logger.warn('CourseModel: validateConfig: "id" not unique: ' + page['id']);
-                return false;
+    list(config['infopages']).forEach((page, index) => {
+        const pointer = '/infopages/' + index;
+        if (!page || typeof page !== 'object') {
+            return;
+        }
+
+        // check whether the infopage ID is unique
+        if (infopageIDs.indexOf(page['id']) > -1) {
+            report(pointer + '/id', '"id" not unique: ' + page['id']);
+        }
+
+        // keep track of all infopage IDs
+        infopageIDs.push(page['id']);
+
+        // check whether the referenced elements exist
+        list(page['belongs']).forEach((elemID, k) => {
+            if (testIDs.indexOf(elemID) == -1 && testgroupIDs.indexOf(elemID) == -1 &&
+                testsetIDs.indexOf(elemID) == -1) {
+                report(pointer + '/belongs/' + k, 'infopage references element ID: ' + elemID +
+                    ', which is unknown');
             }
+        });
+    });
 
-            // keep track of all infopage IDs
-            infopageIDs.push(page['id']);
-
-            // check whether the referenced elements exist
-            const elems = page['belongs'];
-            if (elems) {
-                for (const elemID of elems) {
-                    if (testIDs.indexOf(elemID) == -1 && testgroupIDs.indexOf(elemID) == -1 &&
-                        testsetIDs.indexOf(elemID) == -1) {
-                        logger.warn('CourseModel: validateConfig: infopage references element' +
-                                    ' ID: ' + elemID + ', which is unknown');
-                        return false;
-                    }
-                }
+    // 6. check for valid recommendation rules, if any
+    list(config['recommendations']).forEach((rule, index) => {
+        // check whether the referenced sets exist
+        list(rule && rule['conditions']).forEach((condition, k) => {
+            if (condition && testsetIDs.indexOf(condition['set']) == -1) {
+                report('/recommendations/' + index + '/conditions/' + k + '/set',
+                    'recommendation references set ID: ' + condition['set'] +
+                    ', which is unknown');
+            }
+        });
+    });
+
+    // 7. check for valid Rasch parameters, if any
+    const difficulties = config['rasch'] && config['rasch']['difficulties'];
+    if (difficulties && typeof difficulties === 'object') {
+        for (const testID of Object.keys(difficulties)) {
+            if (!testIDs.some(id => String(id) === testID)) {
+                report('/rasch/difficulties/' + JSONUtils.escapePointer(testID),
+                    'rasch references test ID: ' + testID + ', which is unknown');
             }
         }
     }
 
+    return problems;
+}
+
+/**
+ * Check a given JSON object against our internal config format scheme, see checkConfig().
+ *
+ * @param {JSON} config The config object as JSON
+ * @returns Array of problems, empty for valid configs
+ */
+CourseSchema.statics.checkConfig = checkConfig;
+
+/**
+ * Validate a given JSON object against our internal config format scheme.
+ * Returns true for valid configs, false otherwise. Every problem is logged, see checkConfig().
+ *
+ * @param {JSON} config The config object as JSON
+ */
+CourseSchema.statics.validateConfig = function(config) {
+    const problems = checkConfig(config);
+    for (const problem of problems) {
+        logger.warn('CourseModel: validateConfig: ' + (problem.pointer || '/') + ': ' +
+                    problem.message);
+    }
+
     // looks like we're clear
-    return true;
+    return problems.length === 0;
 }
 
 const CourseModel = mongoose.model('Course', CourseSchema);
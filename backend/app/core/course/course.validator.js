@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+
+const CourseModel = require('./course.model');
+const JSONUtils = require('./../../utils/json');
+const source = require('./../../utils/source');
+
+module.exports = {
+    format,
+    validateFile
+}
+
+/**
+ * Read and parse a config source, see source.readSource().
+ *
+ * @param {string} file Path to the file
+ * @returns Object with the parsed 'json' and the 'positions' of its values (see
+ *          JSONUtils.locate()) on success, with a 'problem' otherwise. Positions are only known for
+ *          JSON files without includes.
+ */
+function readFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        return { problem: { file: file, pointer: '', message: 'Cannot read file: ' + err.message } };
+    }
+
+    let parsed;
+    try {
+        parsed = source.parse(text, file);
+    } catch (err) {
+        const format = path.extname(file).toLowerCase() === '.json' ? 'JSON' : 'YAML';
+        let problem = { file: file, pointer: '', message: 'Not a valid ' + format + ' file: ' +
+            err.message };
+        // the JSON parser reports the character offset of the error, the YAML parser its mark
+        const match = /at position (\d+)/.exec(err.message);
+        if (match) {
+            Object.assign(problem, JSONUtils.position(text, Number(match[1])));
+        } else if (err.mark) {
+            Object.assign(problem, { line: err.mark.line + 1, column: err.mark.column + 1 });
+        }
+        return { problem: problem };
+    }
+
+    let json;
+    try {
+        json = source.readSource(file);
+    } catch (err) {
+        return { problem: { file: file, pointer: '', message: 'Invalid include: ' + err.message } };
+    }
+
+    const isPlain = path.extname(file).toLowerCase() === '.json' &&
+        JSON.stringify(parsed) === JSON.stringify(json);
+    return { json: json, positions: isPlain ? JSONUtils.locate(text) : {} };
+}
+
+/**
+ * Add the file, line and column to a problem. Problems of missing elements point to the closest
+ * element that exists. Without positions only the file is added.
+ *
+ * @param {string} file Path to the file
+ * @param {Object} positions Positions of the values in the file, see JSONUtils.locate()
+ * @param {Object} problem Problem with a JSON 'pointer'
+ * @returns Problem with 'file', 'line' and 'column'
+ */
+function locateProblem(file, positions, problem) {
+    let pointer = problem.pointer;
+    while (!(pointer in positions) && pointer !== '') {
+        pointer = pointer.substring(0, pointer.lastIndexOf('/'));
+    }
+
+    const position = positions[pointer];
+    if (!position) {
+        return Object.assign({ file: file }, problem);
+    }
+    return Object.assign({ file: file, line: position.line, column: position.column }, problem);
+}
+
+/**
+ * Get the id of the single test a JSON pointer belongs to.
+ *
+ * @param {JSON} config Course config
+ * @param {string} pointer JSON pointer into the config
+ * @returns Test id, undefined if the pointer is not part of a single test
+ */
+function testAt(config, pointer) {
+    const match = /^\/tests\/(\d+)(\/|$)/.exec(pointer);
+    const test = match && Array.isArray(config['tests']) ? config['tests'][Number(match[1])] :
+        undefined;
+    return test && typeof test === 'object' ? test['id'] : undefined;
+}
+
+/**
+ * Validate a course config file and its language files without touching the DB.
+ * Runs the same checks as CourseManager.loadCourses(): the course schema and the schemas of the
+ * test categories (see CourseModel.checkConfig()), the 'language' attribute of the language files
+ * in path/i18n/<course>_<language>.json (or .yaml) and the resolution of all references.
+ *
+ * @param {string} file Path to the course config file
+ * @returns Array of all problems found, each with the 'file', 'line', 'column', the JSON
+ *          'pointer' of the offending element, a 'message' and the 'test' id if any
+ */
+function validateFile(file) {
+    const course = readFile(file);
+    if (course.problem) {
+        return [course.problem];
+    }
+
+    let problems = CourseModel.checkConfig(course.json).map(problem =>
+        locateProblem(file, course.positions, problem));
+
+    // same lookup as CourseManager.loadCourses()
+    const configName = path.basename(file).split('.')[0];
+    const i18nPath = path.join(path.dirname(file), 'i18n');
+    let languageFiles = [];
+    try {
+        languageFiles = fs.readdirSync(i18nPath).filter(lang => source.isSource(lang) &&
+            lang.split('_').length >= 2 && lang.split('_')[0] === configName);
+    } catch (err) {
+        // no language files at all, reported below
+    }
+
+    if (languageFiles.length === 0) {
+        problems.push(locateProblem(file, course.positions, {
+            pointer: '',
+            message: 'No language files: ' + path.join(i18nPath, configName + '_<language>.json')
+        }));
+    }
+
+    const courseRefs = course.json['?refs'] || {};
+    const courseConfig = Object.assign({}, course.json);
+    delete courseConfig['?refs'];
+
+    const refProblem = (found, message) => {
+        const test = testAt(courseConfig, found.pointer);
+        const problem = { pointer: found.pointer, message: message };
+        return locateProblem(file, course.positions,
+            test === undefined ? problem : Object.assign(problem, { test: test }));
+    };
+
+    // references are only resolved in values
+    let refs = JSONUtils.findReferences(courseConfig);
+    for (const found of refs.filter(found => found.ref === null)) {
+        problems.push(refProblem(found, 'Keys must not contain references'));
+    }
+    refs = refs.filter(found => found.ref !== null);
+
+    for (const lang of languageFiles) {
+        const langFile = path.join(i18nPath, lang);
+        const language = readFile(langFile);
+        if (language.problem) {
+            problems.push(language.problem);
+            continue;
+        }
+
+        // language files must have a 'language' attribute
+        if (!('language' in language.json)) {
+            problems.push(locateProblem(langFile, language.positions, {
+                pointer: '',
+                message: 'Language config lacks "language" attribute'
+            }));
+        }
+
+        // all refs must be unique
+        const langRefs = language.json['?refs'] || {};
+        for (const ref of Object.keys(langRefs)) {
+            if (ref in courseRefs) {
+                problems.push(locateProblem(langFile, language.positions, {
+                    pointer: '/?refs/' + JSONUtils.escapePointer(ref),
+                    message: 'Duplicate ref: ' + ref + ', but all refs must be unique'
+                }));
+            }
+        }
+
+        // every reference of the course must resolve with this language
+        const references = Object.assign({}, courseRefs, langRefs);
+        for (const found of refs.filter(found => !(found.ref in references))) {
+            problems.push(refProblem(found, 'Failed to resolve ref: ' + found.ref + ' with ' +
+                lang));
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Format a problem for the console, e.g.
+ *
+ *   example.json:12:21: /tests/0/options/1/correct (test 1001): should be boolean
+ *
+ * @param {Object} problem Problem, see validateFile()
+ * @returns Problem as String
+ */
+function format(problem) {
+    let location = problem.file;
+    if (problem.line !== undefined) {
+        location += ':' + problem.line + ':' + problem.column;
+    }
+
+    const test = (problem.test !== undefined) ? ' (test ' + problem.test + ')' : '';
+    return location + ': ' + (problem.pointer || '/') + test + ': ' + problem.message;
+}
@@ -0,0 +1,40 @@
+/*
+ * Single tests may carry feedback for the evaluation:
+ *
+ *   "solution": "The sequence doubles every step.",     // worked solution of the test
+ *   "options": [
+ *       {
+ *           "text": "32",
+ *           "correct": true,
+ *           "explanation": "16 * 2 = 32"                 // why the option is (not) correct
+ *       }
+ *   ]
+ *
+ * The feedback gives the answers away, so it is left out of everything the frontend gets while
+ * the test is running and only served with the evaluation of a locked result.
+ */
+
+module.exports = {
+    strip
+}
+
+/**
+ * Remove the feedback from a single test config.
+ *
+ * @param {JSON} test Single test config
+ * @returns Copy of the config without 'solution' and option 'explanation' fields
+ */
+function strip(test) {
+    let copy = Object.assign({}, test);
+    delete copy['solution'];
+
+    if (Array.isArray(copy['options'])) {
+        copy['options'] = copy['options'].map(option => {
+            let stripped = Object.assign({}, option);
+            delete stripped['explanation'];
+            return stripped;
+        });
+    }
+
+    return copy;
+}
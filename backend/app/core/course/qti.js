@@ -0,0 +1,480 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const path = require('path');
+
+const xml = require('../../utils/xml');
+
+/**
+ * IMS QTI 2.1 items supported by the converter:
+ *
+ *   QTI                                                   course
+ *   choiceInteraction, cardinality single               radio-buttons
+ *   choiceInteraction, cardinality multiple             multiple-choice
+ *   matchInteraction, one match per choice of the       multiple-options (the first match set
+ *   first match set                                     holds the options, the second the header)
+ *
+ * The content of the item body outside of the interaction becomes the description of the test,
+ * the prompt of the interaction its task. Images are kept as ``name``, the image files have to be
+ * copied to the assets of the course. Exported items carry the images they show next to them in the
+ * package. Items without a correct response are imported as tests that
+ * are not evaluated. Everything else, e.g. other interactions or items with several
+ * interactions, cannot be mapped and is reported.
+ */
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const CP_NAMESPACE = 'http://www.imsglobal.org/xsd/imscp_v1p1';
+const ITEM_TYPE = 'imsqti_item_xmlv2p1';
+
+// response processing templates
+const MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rp_templates/match_correct';
+const MAP_RESPONSE = 'http://www.imsglobal.org/question/qti_v2p1/rp_templates/map_response';
+
+module.exports = {
+    ITEM_TYPE,
+    createPackage,
+    exportItem,
+    importItems,
+    readPackage
+}
+
+/**
+ * Convert the content of a QTI element to the HTML of a config text.
+ *
+ * @param {Array} nodes Child nodes of the element
+ * @returns {String} Text with images as ``name``
+ */
+function html(nodes) {
+    const images = node => {
+        if (typeof node === 'string') {
+            return node;
+        }
+        if (node.name.substring(node.name.indexOf(':') + 1) === 'img') {
+            return '``' + path.posix.basename(node.attributes['src'] || '') + '``';
+        }
+        return Object.assign({}, node, { children: node.children.map(images) });
+    };
+    return nodes.map(node => xml.stringify(images(node))).join('').trim();
+}
+
+/**
+ * Convert a config text to QTI content. Images (``name``) become img elements; texts that are no
+ * well-formed XML after closing the void elements are escaped.
+ *
+ * @param {String} input Config text
+ * @returns {Object} The QTI 'content', whether the markup had to be 'escaped' and the names of
+ *                   the 'images'
+ */
+function content(input) {
+    let images = [];
+    let output = input
+        .replace(/``([^`]*)``/g, (match, name) => {
+            images.push(name);
+            return '<img src="' + xml.escape(name) + '" alt="' + xml.escape(name) + '"/>';
+        })
+        .replace(new RegExp('<(' + xml.VOID_ELEMENTS.join('|') + ')\\b([^>]*?)\\s*/?>', 'gi'),
+            '<$1$2/>')
+        .replace(/&nbsp;/g, '&#160;');
+
+    try {
+        xml.parse('<div>' + output + '</div>');
+        return { content: output, escaped: false, images: images };
+    } catch (err) {
+        return { content: xml.escape(input), escaped: true, images: [] };
+    }
+}
+
+/**
+ * Get the correct response of an interaction.
+ *
+ * @param {Object} item assessmentItem element
+ * @param {Object} interaction Interaction element
+ * @returns {Object} The 'cardinality' of the response and its correct 'values', null if the item
+ *                   has no correct response
+ */
+function correctResponse(item, interaction) {
+    const identifier = interaction.attributes['responseIdentifier'];
+    const declaration = xml.children(item, 'responseDeclaration').find(element =>
+        element.attributes['identifier'] === identifier);
+    if (!declaration) {
+        throw new Error('No response declaration: ' + identifier);
+    }
+
+    const correct = xml.child(declaration, 'correctResponse');
+    return {
+        cardinality: declaration.attributes['cardinality'],
+        values: correct ? xml.children(correct, 'value').map(value => xml.text(value).trim()) :
+            null
+    };
+}
+
+/**
+ * Convert a single QTI item to a test.
+ *
+ * @param {Object} item assessmentItem element
+ * @returns {Object} Test config with plain texts, without 'id' and 'type'
+ * @throws Error if the item cannot be mapped
+ */
+function importItem(item) {
+    const body = xml.child(item, 'itemBody');
+    if (!body) {
+        throw new Error('Item has no body');
+    }
+
+    // interactions may be nested into blocks of the body
+    let interactions = [];
+    let description = [];
+    const walk = (nodes, output) => {
+        for (const node of nodes) {
+            if (typeof node !== 'string' && node.name.endsWith('Interaction')) {
+                interactions.push(node);
+            } else if (typeof node !== 'string' && xml.children(node).length > 0) {
+                let copy = Object.assign({}, node, { children: [] });
+                walk(node.children, copy.children);
+                output.push(copy);
+            } else {
+                output.push(node);
+            }
+        }
+    };
+    walk(body.children, description);
+
+    // unwrap the description block of exported items
+    const blocks = description.filter(node => typeof node !== 'string' || node.trim() !== '');
+    if (blocks.length === 1 && typeof blocks[0] !== 'string' &&
+        blocks[0].name.substring(blocks[0].name.indexOf(':') + 1) === 'div') {
+        description = blocks[0].children;
+    }
+
+    if (interactions.length !== 1) {
+        throw new Error('Item must have exactly one interaction, found ' + interactions.length);
+    }
+
+    const interaction = interactions[0];
+    const name = interaction.name.substring(interaction.name.indexOf(':') + 1);
+    if (name !== 'choiceInteraction' && name !== 'matchInteraction') {
+        throw new Error('Interaction is not supported: ' + name);
+    }
+
+    const prompt = xml.child(interaction, 'prompt');
+    const response = correctResponse(item, interaction);
+    let test = {
+        category: null,
+        description: prompt ? html(description) : '',
+        task: prompt ? html(prompt.children) : html(description),
+        options: [],
+        evaluated: response.values !== null
+    };
+    const correct = response.values || [];
+
+    if (name === 'choiceInteraction') {
+        test['category'] = response.cardinality === 'single' ? 'radio-buttons' :
+            'multiple-choice';
+        for (const choice of xml.children(interaction, 'simpleChoice')) {
+            let option = { text: html(choice.children) };
+            if (correct.includes(choice.attributes['identifier'])) {
+                option['correct'] = true;
+            }
+            test['options'].push(option);
+        }
+    } else {
+        const sets = xml.children(interaction, 'simpleMatchSet');
+        if (sets.length !== 2) {
+            throw new Error('matchInteraction needs two match sets');
+        }
+
+        const sources = xml.children(sets[0], 'simpleAssociableChoice');
+        const targets = xml.children(sets[1], 'simpleAssociableChoice');
+        const pairs = correct.map(value => value.split(/\s+/));
+        test['category'] = 'multiple-options';
+        test['header'] = targets.map(target => html(target.children));
+        for (const source of sources) {
+            const matches = pairs.filter(pair => pair[0] === source.attributes['identifier']);
+            if (matches.length !== 1) {
+                throw new Error('Every choice of the first match set needs exactly one correct ' +
+                    'match: ' + source.attributes['identifier']);
+            }
+            test['options'].push({
+                text: html(source.children),
+                correct: targets.findIndex(target =>
+                    target.attributes['identifier'] === matches[0][1])
+            });
+        }
+        test['evaluated'] = true;
+    }
+
+    if (test['options'].length === 0) {
+        throw new Error('Interaction has no choices');
+    }
+    return test;
+}
+
+/**
+ * Read the items of a QTI content package.
+ *
+ * @param {Buffer} buffer Contents of the package zip
+ * @returns {Array} Items listed in the manifest, each with its 'href' and XML 'text'
+ * @throws Error if the package has no manifest
+ */
+function readPackage(buffer) {
+    const zip = new AdmZip(buffer);
+    const manifest = zip.getEntry('imsmanifest.xml');
+    if (!manifest) {
+        throw new Error('Not a content package, missing: imsmanifest.xml');
+    }
+
+    const resources = xml.child(xml.parse(manifest.getData().toString('utf8')), 'resources');
+    let items = [];
+    for (const resource of resources ? xml.children(resources, 'resource') : []) {
+        if (!(resource.attributes['type'] || '').startsWith(ITEM_TYPE)) {
+            continue;
+        }
+
+        const href = resource.attributes['href'];
+        const entry = href ? zip.getEntry(href) : null;
+        items.push({ href: href, text: entry ? entry.getData().toString('utf8') : null });
+    }
+    return items;
+}
+
+/**
+ * Convert QTI items to a course config with one set and a language file. Tests get the ids 1001,
+ * 1002, ... in order and every text a reference <test id>-<n>, like the example course.
+ *
+ * @param {Array} items Items with their 'href' and XML 'text', see readPackage()
+ * @param {Object} options Course attributes: 'title', 'validationSchema', the 'type' of the tests
+ *                         and optionally the 'language' of the texts (default: the language of the
+ *                         first item or 'en') and its name ('languageName')
+ * @returns {Object} The course 'config', the 'languages' files keyed by language, the 'skipped'
+ *                   items ({ item, message }) and the item of every test keyed by its JSON pointer
+ *                   ('items')
+ */
+function importItems(items, options) {
+    let config = {
+        title: options['title'],
+        validationSchema: options['validationSchema'],
+        tests: []
+    };
+    let refs = {};
+    let skipped = [];
+    let locations = {};
+    let language = options['language'];
+
+    for (const item of items) {
+        let test;
+        try {
+            if (item.text === null) {
+                throw new Error('Item file is missing');
+            }
+            const root = xml.parse(item.text);
+            if (!root.name.endsWith('assessmentItem')) {
+                throw new Error('Not an assessmentItem');
+            }
+            language = language || root.attributes['xml:lang'];
+            test = importItem(root);
+        } catch (err) {
+            skipped.push({ item: item.href, message: err.message });
+            continue;
+        }
+
+        const id = 1001 + config['tests'].length;
+        let count = 0;
+        const ref = value => {
+            if (value === '') {
+                return value;
+            }
+            const name = id + '-' + (++count);
+            refs[name] = value;
+            return '?ref{' + name + '}';
+        };
+
+        let translated = {
+            id: id,
+            type: options['type'],
+            category: test['category'],
+            description: ref(test['description']),
+            task: ref(test['task']),
+            options: test['options'].map(option =>
+                Object.assign({}, option, { text: ref(option['text']) })),
+            evaluated: test['evaluated']
+        };
+        if (test['header']) {
+            translated['header'] = test['header'].map(ref);
+        }
+
+        locations['/tests/' + config['tests'].length] = item.href;
+        config['tests'].push(translated);
+    }
+
+    config['sets'] = [{ id: 3001, elements: config['tests'].map(test => test['id']) }];
+
+    language = language || 'en';
+    let languages = {};
+    languages[language] = { language: options['languageName'] || language, '?refs': refs };
+
+    return { config: config, languages: languages, skipped: skipped, items: locations };
+}
+
+/**
+ * Convert a test to a QTI item.
+ *
+ * @param {JSON} test Test config with resolved references
+ * @param {String} language Language of the texts
+ * @returns {Object} The item 'identifier', its XML 'text', the 'escaped' texts whose markup is
+ *                   no XML and the 'images' the item refers to (see content())
+ * @throws Error if the category cannot be mapped
+ */
+function exportItem(test, language) {
+    const identifier = 'test-' + test['id'];
+    let escaped = [];
+    let images = [];
+    const text = (value, name) => {
+        const converted = content(value || '');
+        if (converted.escaped) {
+            escaped.push(name);
+        }
+        images.push(...converted.images.filter(image => !images.includes(image)));
+        return converted.content;
+    };
+
+    let declaration;
+    let interaction;
+    let template = MAP_RESPONSE;
+    const options = test['options'];
+
+    switch (test['category']) {
+    case 'radio-buttons':
+    case 'multiple-choice': {
+        const single = test['category'] === 'radio-buttons';
+        const correct = options.map((option, index) => option['correct'] === true ?
+            'choice-' + index : null).filter(value => value !== null);
+        template = single ? MATCH_CORRECT : MAP_RESPONSE;
+        // tests that are not evaluated have no correct response
+        declaration = '<responseDeclaration identifier="RESPONSE" cardinality="' +
+            (single ? 'single' : 'multiple') + '" baseType="identifier">' +
+            (test['evaluated'] === false ? '' : '<correctResponse>' + correct.map(value =>
+                '<value>' + value + '</value>').join('') + '</correctResponse>' +
+            (single ? '' : '<mapping defaultValue="0">' + correct.map(value =>
+                '<mapEntry mapKey="' + value + '" mappedValue="1"/>').join('') + '</mapping>')) +
+            '</responseDeclaration>';
+        interaction = '<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" ' +
+            'maxChoices="' + (single ? 1 : 0) + '"><prompt>' + text(test['task'], 'task') +
+            '</prompt>' + options.map((option, index) => '<simpleChoice identifier="choice-' +
+            index + '">' + text(option['text'], 'options/' + index) + '</simpleChoice>').join('') +
+            '</choiceInteraction>';
+        break;
+    }
+    case 'multiple-options': {
+        const pairs = options.map((option, index) => 'row-' + index + ' column-' +
+            option['correct']);
+        const values = pairs.map(value => '<value>' + value + '</value>');
+        const entries = pairs.map(value => '<mapEntry mapKey="' + value + '" mappedValue="1"/>');
+        const rows = options.map((option, index) => '<simpleAssociableChoice identifier="row-' +
+            index + '" matchMax="1">' + text(option['text'], 'options/' + index) +
+            '</simpleAssociableChoice>');
+        const columns = test['header'].map((label, index) =>
+            '<simpleAssociableChoice identifier="column-' + index + '" matchMax="' +
+            options.length + '">' + text(label, 'header/' + index) + '</simpleAssociableChoice>');
+        declaration = '<responseDeclaration identifier="RESPONSE" cardinality="multiple" ' +
+            'baseType="directedPair">' + (test['evaluated'] === false ? '' : '<correctResponse>' +
+            values.join('') + '</correctResponse><mapping defaultValue="0">' + entries.join('') +
+            '</mapping>') + '</responseDeclaration>';
+        interaction = '<matchInteraction responseIdentifier="RESPONSE" shuffle="false" ' +
+            'maxAssociations="' + options.length + '"><prompt>' + text(test['task'], 'task') +
+            '</prompt><simpleMatchSet>' + rows.join('') + '</simpleMatchSet><simpleMatchSet>' +
+            columns.join('') + '</simpleMatchSet></matchInteraction>';
+        break;
+    }
+    default:
+        throw new Error('Category cannot be exported: ' + test['category']);
+    }
+
+    const description = test['description'] ?
+        '<div>' + text(test['description'], 'description') + '</div>' : '';
+    const item = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<assessmentItem xmlns="' + QTI_NAMESPACE + '" identifier="' + identifier + '" title="' +
+        identifier + '" adaptive="false" timeDependent="' + ('seconds' in test) + '" xml:lang="' +
+        xml.escape(language) + '">' + declaration +
+        '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>' +
+        '<itemBody>' + description + interaction + '</itemBody>' +
+        '<responseProcessing template="' + template + '"/></assessmentItem>\n';
+
+    return { identifier: identifier, text: item, escaped: escaped, images: images };
+}
+
+/**
+ * Export the tests of a course as QTI content package.
+ *
+ * @param {JSON} config Course config with resolved references (one language)
+ * @param {String} language Language of the texts
+ * @param {String} assets Directory of the images the texts refer to (optional), the images are
+ *                        packaged next to the items
+ * @returns {Object} The package zip as 'buffer' (null without items), the number of 'items' and
+ *                   the tests that were 'skipped', exported with escaped markup or without their
+ *                   images ({ test, message })
+ */
+function createPackage(config, language, assets) {
+    const zip = new AdmZip();
+    let skipped = [];
+    let resources = [];
+
+    // the path of an image in the assets, null if there is no such file
+    const asset = name => {
+        if (!assets) {
+            return null;
+        }
+        const root = path.resolve(assets);
+        const file = path.resolve(root, name);
+        return file.startsWith(root + path.sep) && fs.existsSync(file) &&
+            fs.statSync(file).isFile() ? file : null;
+    };
+
+    for (const test of config['tests']) {
+        let item;
+        try {
+            item = exportItem(test, language);
+        } catch (err) {
+            skipped.push({ test: test['id'], message: err.message });
+            continue;
+        }
+
+        for (const name of item.escaped) {
+            skipped.push({ test: test['id'], message: 'Markup is no XML, exported as plain ' +
+                'text: ' + name });
+        }
+
+        // images are referenced relative to the item
+        let files = [];
+        for (const name of item.images) {
+            const file = asset(name);
+            if (!file) {
+                skipped.push({ test: test['id'], message: 'Image is not in the assets, ' +
+                    'exported without it: ' + name });
+                continue;
+            }
+
+            const imageHref = path.posix.join('items', name);
+            if (!zip.getEntry(imageHref)) {
+                zip.addFile(imageHref, fs.readFileSync(file));
+            }
+            files.push(imageHref);
+        }
+
+        const href = 'items/' + item.identifier + '.xml';
+        zip.addFile(href, Buffer.from(item.text, 'utf8'));
+        resources.push('<resource identifier="' + item.identifier + '" type="' + ITEM_TYPE +
+            '" href="' + href + '">' + [href].concat(files).map(file => '<file href="' +
+            xml.escape(file) + '"/>').join('') + '</resource>');
+    }
+
+    if (resources.length === 0) {
+        return { buffer: null, items: 0, skipped: skipped };
+    }
+
+    const manifest = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<manifest xmlns="' + CP_NAMESPACE + '" identifier="MANIFEST-1">' +
+        '<metadata><schema>QTIv2.1 Package</schema><schemaversion>1.0.0</schemaversion>' +
+        '</metadata><organizations/><resources>' + resources.join('') + '</resources>' +
+        '</manifest>\n';
+    zip.addFile('imsmanifest.xml', Buffer.from(manifest, 'utf8'));
+
+    return { buffer: zip.toBuffer(), items: resources.length, skipped: skipped };
+}
@@ -0,0 +1,94 @@
+/**
+ * Schema for the recommendation rules of a course.
+ * A rule combines conditions on the weighted percentages of several sets:
+ *
+ *   "recommendations": [
+ *       {
+ *           "outcome": "recommended",
+ *           "text": "You are well prepared for this course.",
+ *           "conditions": [
+ *               { "set": 3001, "min": 50 },             // logic >= 50%
+ *               { "set": 3002, "min": 40 }              // maths >= 40%
+ *           ]
+ *       },
+ *       {
+ *           "outcome": "not-recommended",
+ *           "text": "..."                               // no conditions: fallback rule
+ *       }
+ *   ]
+ *
+ * The rules are checked in order and the first one whose conditions all hold is the outcome.
+ * A condition holds if the percentage of the set is at least 'min' and at most 'max' (both
+ * optional). Sets without a percentage never fulfill a condition.
+ */
+const RECOMMENDATIONS_SCHEMA = {
+    "type": "array",
+    "items": {
+        "type": "object",
+        "properties": {
+            "outcome": {"enum": ["recommended", "conditionally-recommended", "not-recommended"]},
+            "text": {"type": "string"},
+            "conditions": {
+                "type": "array",
+                "items": {
+                    "type": "object",
+                    "properties": {
+                        "set": {"type": "integer"},
+                        "min": {"type": "number", "minimum": 0, "maximum": 100},
+                        "max": {"type": "number", "minimum": 0, "maximum": 100}
+                    },
+                    "required": ["set"],
+                    "additionalProperties": false
+                }
+            }
+        },
+        "required": ["outcome", "text"],
+        "additionalProperties": false
+    }
+};
+
+module.exports = {
+    RECOMMENDATIONS_SCHEMA,
+    recommend
+}
+
+/**
+ * Check whether a condition holds for the weighted sets of a user.
+ *
+ * @param {Object} condition Condition of a rule
+ * @param {Array} sets Weighted sets of the user, see result.controller.weigh()
+ * @returns true if the condition holds, false otherwise
+ */
+function holds(condition, sets) {
+    const set = sets.find(set => String(set.id) === String(condition['set']));
+    if (!set || set.percentage === null || set.percentage === undefined) {
+        return false;
+    }
+
+    if ('min' in condition && set.percentage < condition['min']) {
+        return false;
+    }
+    if ('max' in condition && set.percentage > condition['max']) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Find the recommendation for the weighted sets of a user.
+ *
+ * @param {Array} rules Recommendation rules of the course config, may be missing
+ * @param {Array} sets Weighted sets of the user, see result.controller.weigh()
+ * @returns Object with the 'outcome' and 'text' of the first matching rule, null if there is none
+ */
+function recommend(rules, sets) {
+    for (const rule of rules || []) {
+        if ((rule['conditions'] || []).every(condition => holds(condition, sets))) {
+            return {
+                outcome: rule['outcome'],
+                text: rule['text']
+            };
+        }
+    }
+    return null;
+}
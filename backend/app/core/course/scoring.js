@@ -0,0 +1,106 @@
+/**
+ * Schema for the scoring policy of a test.
+ * The policy may be given for a single test and as a default for the whole course:
+ *
+ *   "scoring": {
+ *       "mode": "partial",      // 'sum' (default), 'all-or-nothing' or 'partial'
+ *       "points": 2,            // points for a fully correct answer (default: max score), only
+ *                               // for the modes 'all-or-nothing' and 'partial'
+ *       "penalty": 0.5,         // points deducted per wrong answer/selection (default 0)
+ *       "floor": true           // the score never drops below zero (default true)
+ *   }
+ *
+ * Members of the test block override the ones of the course block, except for 'points': they
+ * belong to the mode, so a test block with an own 'mode' drops the 'points' of the course. The
+ * policy is applied to the raw result of the test category, so it works the same way for every
+ * category. Categories that deduct points for wrong answers on their own (see
+ * BaseTest.deductsWrong) get no additional penalty.
+ */
+const SCORING_SCHEMA = {
+    "type": "object",
+    "properties": {
+        "mode": {"enum": ["sum", "all-or-nothing", "partial"]},
+        "points": {"type": "number", "minimum": 0},
+        "penalty": {"type": "number", "minimum": 0},
+        "floor": {"type": "boolean"}
+    },
+    "additionalProperties": false,
+    "dependencies": {
+        // the 'sum' mode keeps the raw points
+        "points": {
+            "properties": {
+                "mode": {"enum": ["all-or-nothing", "partial"]}
+            },
+            "required": ["mode"]
+        }
+    }
+};
+
+// policy used for tests without any scoring block, leaves the raw result untouched
+const DEFAULT_POLICY = {
+    mode: 'sum',
+    penalty: 0,
+    floor: true
+};
+
+module.exports = {
+    SCORING_SCHEMA,
+    apply,
+    resolve
+}
+
+/**
+ * Resolve the scoring policy of a test.
+ *
+ * @param {Object} course Scoring block of the course config, may be missing
+ * @param {Object} test Scoring block of the test config, may be missing
+ * @returns Policy object with all members set ('points' only if configured)
+ */
+function resolve(course, test) {
+    let inherited = Object.assign({}, course);
+    if (test && 'mode' in test) {
+        // the points of the course belong to its mode
+        delete inherited['points'];
+    }
+    return Object.assign({}, DEFAULT_POLICY, inherited, test);
+}
+
+/**
+ * Apply a scoring policy to the raw result of a test.
+ *
+ * @param {Object} policy Resolved policy, see resolve()
+ * @param {Object} result Raw result of the test category ('score', 'correct', 'wrong')
+ * @param {Number} maxScore Raw max score of the test category
+ * @returns Object with the 'score' and 'maxScore' under the policy
+ */
+function apply(policy, result, maxScore) {
+    const points = ('points' in policy) ? policy['points'] : maxScore;
+    const wrong = result.wrong ? result.wrong.length : 0;
+    let score = result.score - policy['penalty'] * wrong;
+
+    if (policy['mode'] === 'all-or-nothing') {
+        // a single wrong answer or a missing one costs all points
+        return {
+            score: (wrong === 0 && result.score >= maxScore && maxScore > 0) ? points : 0,
+            maxScore: points
+        };
+    }
+
+    if (policy['floor'] && score < 0) {
+        score = 0;
+    }
+
+    if (policy['mode'] === 'partial') {
+        // the share of the raw max score that was reached is awarded
+        score = (maxScore > 0) ? points * score / maxScore : 0;
+        return {
+            score: Math.round(score * 100) / 100,
+            maxScore: points
+        };
+    }
+
+    return {
+        score: Math.round(score * 100) / 100,
+        maxScore: maxScore
+    };
+}
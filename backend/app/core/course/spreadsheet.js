@@ -0,0 +1,302 @@
+const testmodels = require('./testmodels');
+
+/**
+ * Layout of a question bank sheet (CSV or XLSX), one row per option:
+ *
+ *   category      | type  | evaluated | set | task:en      | task:de       | option:en | correct
+ *   radio-buttons | logic | yes       | 1   | Pick a prime | Wähle eine... | 4         |
+ *                 |       |           |     |              |               | 7         | x
+ *   ...
+ *
+ * The first row names the columns, in any order. A row with a 'category' starts a new test, the
+ * rows below it add options to that test. Columns:
+ *
+ *   category       category of the test, e.g. radio-buttons (first row of a test)
+ *   type           type of the test, e.g. logic (first row of a test)
+ *   evaluated      yes/no, x/empty, true/false or 1/0; empty means no (first row of a test)
+ *   seconds        processing time (first row of a test), optional
+ *   set            name of the set the test belongs to (first row of a test), optional; tests
+ *                  without a name stay in the set of the previous test
+ *   correct        whether the option is correct (radio-buttons, multiple-choice: same values as
+ *                  'evaluated'), the index of its header column (multiple-options) or the value of
+ *                  the 'correct' attribute (numeric, cloze); it is a number only if the schema of
+ *                  the category expects one, e.g. the answer '007' of a cloze gap stays a string
+ *
+ * Texts are given per language: 'description:en' and 'task:en' (first row of a test),
+ * 'option:en', 'explanation:en' and 'header:en' (the header labels of multiple-options tests, one
+ * per row). The same columns without a language hold texts that are the same in all languages,
+ * e.g. LaTeX equations or images; they are appended to the translated text. The 'solution' of a
+ * test works the same way.
+ *
+ * Only the categories in CATEGORIES can be written in a sheet, the others need attributes that
+ * have no column (e.g. the 'index' of match options or the 'answers' of short-answer options).
+ */
+const COLUMNS = {
+    test: ['category', 'type', 'evaluated', 'seconds', 'set'],
+    option: ['correct'],
+    text: ['description', 'task', 'solution', 'option', 'explanation', 'header']
+};
+
+// categories that can be written in a sheet
+const CATEGORIES = ['radio-buttons', 'multiple-choice', 'multiple-options', 'numeric', 'cloze',
+    'ordering'];
+
+// categories that grade options as correct or not
+const BOOLEAN_CATEGORIES = ['radio-buttons', 'multiple-choice'];
+
+module.exports = {
+    CATEGORIES,
+    COLUMNS,
+    convert
+}
+
+/**
+ * Check whether the options of a category hold a number in their 'correct' attribute.
+ *
+ * @param {String} category Test category
+ * @returns true if the schema of the category expects a number, false otherwise
+ */
+function numericCorrect(category) {
+    const model = testmodels.Models.find(model => model.name === category);
+    const correct = model ? model.schema['properties']['options']['items']['properties']['correct']
+        : null;
+    return !!correct && ['number', 'integer'].includes(correct['type']);
+}
+
+/**
+ * Parse a yes/no cell.
+ *
+ * @param {String} value Cell value
+ * @returns true or false, null if the value is neither
+ */
+function flag(value) {
+    const normalized = value.trim().toLowerCase();
+    if (['x', 'yes', 'y', 'true', '1'].includes(normalized)) {
+        return true;
+    }
+    if (['', 'no', 'n', 'false', '0'].includes(normalized)) {
+        return false;
+    }
+    return null;
+}
+
+/**
+ * Parse the header row of a sheet.
+ *
+ * @param {Array} header Cells of the first row
+ * @param {Array} problems Problems found so far, extended in place
+ * @returns {Object} Column index of every known column keyed by 'name' or 'name:language' and the
+ *                   'languages' found
+ */
+function parseHeader(header, problems) {
+    let columns = {};
+    let languages = [];
+
+    header.forEach((cell, index) => {
+        const parts = cell.trim().split(':');
+        const name = parts[0].trim().toLowerCase();
+        if (name === '') {
+            return;
+        }
+
+        const known = COLUMNS.test.includes(name) || COLUMNS.option.includes(name) ||
+            COLUMNS.text.includes(name);
+        if (!known || parts.length > 2 || (parts.length === 2 && !COLUMNS.text.includes(name))) {
+            problems.push({ row: 1, message: 'Unknown column: ' + cell });
+            return;
+        }
+
+        let key = name;
+        if (parts.length === 2) {
+            const language = parts[1].trim();
+            if (!languages.includes(language)) {
+                languages.push(language);
+            }
+            key += ':' + language;
+        }
+
+        if (key in columns) {
+            problems.push({ row: 1, message: 'Duplicate column: ' + cell });
+            return;
+        }
+        columns[key] = index;
+    });
+
+    if (languages.length === 0) {
+        problems.push({ row: 1, message: 'No language columns, e.g. task:en' });
+    }
+    if (!('category' in columns)) {
+        problems.push({ row: 1, message: 'Missing column: category' });
+    }
+
+    return { columns: columns, languages: languages };
+}
+
+/**
+ * Convert the rows of a question bank sheet (see COLUMNS) to a course config and its language
+ * files. Tests get the ids 1001, 1002, ... in order of the sheet, sets 3001, 3002, ... and every
+ * translated text a reference <test id>-<n>, the same scheme as the example course.
+ *
+ * @param {Array} rows Rows of the sheet, see sheet.readSheet()
+ * @param {Object} options Course attributes: 'title', 'validationSchema' and optionally 'icon' and
+ *                         the 'languages' names keyed by language (default: the language itself)
+ * @returns {Object} The course 'config', the 'languages' files keyed by language, the 'problems'
+ *                   found ({ row, message }) and the sheet row of every test and option keyed by
+ *                   its JSON pointer ('rows')
+ */
+function convert(rows, options) {
+    let problems = [];
+    const header = parseHeader(rows[0] || [], problems);
+    const columns = header.columns;
+    const names = options['languages'] || {};
+
+    let config = {
+        title: options['title'],
+        validationSchema: options['validationSchema']
+    };
+    if (options['icon']) {
+        config['icon'] = options['icon'];
+    }
+    config['tests'] = [];
+
+    let languages = {};
+    for (const language of header.languages) {
+        languages[language] = { language: names[language] || language, '?refs': {} };
+    }
+
+    let locations = {};
+    let sets = [];
+    let setName = null;
+    let test = null;
+    let refs = 0;
+
+    const cell = (row, key) => (key in columns && row[columns[key]] !== undefined) ?
+        String(row[columns[key]]).trim() : '';
+
+    // a text of the config: the reference to the translations followed by the common text
+    const text = (row, number, name) => {
+        const common = cell(row, name);
+        const translated = header.languages.filter(language => cell(row, name + ':' + language));
+        if (translated.length === 0) {
+            return common;
+        }
+
+        const ref = test['id'] + '-' + (++refs);
+        for (const language of header.languages) {
+            if (!translated.includes(language)) {
+                problems.push({ row: number, message: 'Missing translation: ' + name + ':' +
+                    language });
+            }
+            languages[language]['?refs'][ref] = cell(row, name + ':' + language);
+        }
+        return '?ref{' + ref + '}' + (common ? ' ' + common : '');
+    };
+
+    rows.slice(1).forEach((row, index) => {
+        const number = index + 2;
+        if (row.every(value => String(value).trim() === '')) {
+            return;
+        }
+
+        if (cell(row, 'category')) {
+            test = {
+                id: 1001 + config['tests'].length,
+                type: cell(row, 'type'),
+                category: cell(row, 'category')
+            };
+            if (!CATEGORIES.includes(test['category'])) {
+                problems.push({ row: number, message: 'Category cannot be written in a sheet: ' +
+                    test['category'] + ', use one of ' + CATEGORIES.join(', ') });
+            }
+            refs = 0;
+            const pointer = '/tests/' + config['tests'].length;
+            locations[pointer] = number;
+            config['tests'].push(test);
+
+            for (const name of ['description', 'task', 'solution']) {
+                const value = text(row, number, name);
+                if (value || name !== 'solution') {
+                    test[name] = value;
+                }
+            }
+            test['options'] = [];
+
+            const evaluated = flag(cell(row, 'evaluated'));
+            if (evaluated === null) {
+                problems.push({ row: number, message: 'Not a yes/no value: evaluated' });
+            }
+            test['evaluated'] = evaluated === true;
+
+            if (cell(row, 'seconds')) {
+                test['seconds'] = Number(cell(row, 'seconds'));
+                if (!Number.isInteger(test['seconds'])) {
+                    problems.push({ row: number, message: 'Not an integer: seconds' });
+                }
+            }
+
+            setName = cell(row, 'set') || setName;
+            let set = sets.find(item => item.name === setName);
+            if (!set) {
+                set = { name: setName, elements: [] };
+                sets.push(set);
+            }
+            set.elements.push(test['id']);
+        } else if (test === null) {
+            problems.push({ row: number, message: 'Option without a test, start the test with a ' +
+                'category' });
+            return;
+        }
+
+        const label = text(row, number, 'header');
+        if (label) {
+            test['header'] = (test['header'] || []).concat([label]);
+        }
+
+        const optionText = text(row, number, 'option');
+        const correct = cell(row, 'correct');
+        if (!optionText) {
+            if (correct) {
+                problems.push({ row: number, message: 'Correct value without an option' });
+            }
+            return;
+        }
+
+        let option = { text: optionText };
+        if (BOOLEAN_CATEGORIES.includes(test['category'])) {
+            const value = flag(correct);
+            if (value === null) {
+                problems.push({ row: number, message: 'Not a yes/no value: correct' });
+            } else if (value) {
+                option['correct'] = true;
+            }
+        } else if (test['category'] === 'multiple-options') {
+            option['correct'] = Number(correct);
+            if (correct === '' || !Number.isInteger(option['correct'])) {
+                problems.push({ row: number, message: 'Not a header index: correct' });
+            }
+        } else if (correct && numericCorrect(test['category'])) {
+            option['correct'] = Number(correct);
+            if (isNaN(option['correct'])) {
+                problems.push({ row: number, message: 'Not a number: correct' });
+            }
+        } else if (correct) {
+            option['correct'] = correct;
+        }
+
+        const explanation = text(row, number, 'explanation');
+        if (explanation) {
+            option['explanation'] = explanation;
+        }
+
+        locations['/tests/' + (test['id'] - 1001) + '/options/' + test['options'].length] = number;
+        test['options'].push(option);
+    });
+
+    if (config['tests'].length === 0) {
+        problems.push({ row: 1, message: 'The sheet has no tests' });
+    }
+
+    config['sets'] = sets.map((set, index) => ({ id: 3001 + index, elements: set.elements }));
+
+    return { config: config, languages: languages, problems: problems, rows: locations };
+}
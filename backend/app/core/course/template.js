@@ -0,0 +1,218 @@
+const expression = require('../../utils/expression');
+
+/**
+ * Schema for the variables of a parameterized test.
+ * Every variable is either a range or a list of numbers:
+ *
+ *   "variables": {
+ *       "a": { "min": 2, "max": 9 },           // 2, 3, ..., 9
+ *       "b": { "min": 0.5, "max": 2, "step": 0.5 },
+ *       "c": { "values": [10, 100, 1000] }
+ *   }
+ *
+ * A range has to span a whole number of steps from min to max. Its values are never listed, they
+ * are computed from their position, so ranges may be large.
+ *
+ * The frontend draws a value for every variable when the journal structure is assembled and
+ * stores it in the journal structure, so every user may get different numbers.
+ */
+const VARIABLES_SCHEMA = {
+    "type": "object",
+    "propertyNames": {"pattern": "^[a-zA-Z_][a-zA-Z0-9_]*$"},
+    "additionalProperties": {
+        "oneOf": [{
+            "type": "object",
+            "properties": {
+                "min": {"type": "number"},
+                "max": {"type": "number"},
+                "step": {"type": "number", "exclusiveMinimum": 0}
+            },
+            "required": ["min", "max"],
+            "additionalProperties": false
+        }, {
+            "type": "object",
+            "properties": {
+                "values": {
+                    "type": "array",
+                    "minItems": 1,
+                    "items": {"type": "number"}
+                }
+            },
+            "required": ["values"],
+            "additionalProperties": false
+        }]
+    }
+};
+
+module.exports = {
+    VARIABLES_SCHEMA,
+    apply,
+    count,
+    includes,
+    sample,
+    validateValues,
+    valueAt
+}
+
+// placeholders are wrapped in curly braces, references (?ref{...}) are not placeholders
+const PLACEHOLDER_REGEX = /(\?ref)?\{([^{}]+)\}/g;
+
+/**
+ * Get the number of values a variable may take.
+ *
+ * @param {Object} variable Variable definition (range or list)
+ * @returns Integer, NaN if the range does not span a whole number of steps from min to max
+ */
+function count(variable) {
+    if ('values' in variable) {
+        return variable['values'].length;
+    }
+
+    const steps = expression.format((variable['max'] - variable['min']) / (variable['step'] || 1));
+    return Number.isInteger(steps) && steps >= 0 ? steps + 1 : NaN;
+}
+
+/**
+ * Get a single value of a variable.
+ *
+ * @param {Object} variable Variable definition (range or list)
+ * @param {Number} index Position of the value, 0 <= index < count(variable)
+ * @returns Number
+ */
+function valueAt(variable, index) {
+    if ('values' in variable) {
+        return variable['values'][index];
+    }
+
+    return expression.format(variable['min'] + index * (variable['step'] || 1));
+}
+
+/**
+ * Check whether a variable may take a value.
+ *
+ * @param {Object} variable Variable definition (range or list)
+ * @param {Number} value Number
+ * @returns true if the value is one of the values of the variable, false otherwise
+ */
+function includes(variable, value) {
+    if ('values' in variable) {
+        return variable['values'].includes(value);
+    }
+
+    const index = expression.format((value - variable['min']) / (variable['step'] || 1));
+    return Number.isInteger(index) && index >= 0 && index < count(variable) &&
+        valueAt(variable, index) === value;
+}
+
+/**
+ * Get a fixed set of values for the variables, used to validate a test without a user.
+ *
+ * @param {Object} variables Variable definitions
+ * @returns Object with the first value of every variable
+ */
+function sample(variables) {
+    const values = {};
+    for (const name in variables) {
+        values[name] = valueAt(variables[name], 0);
+    }
+    return values;
+}
+
+/**
+ * Check whether values (e.g. from a journal structure) were drawn from the variable definitions.
+ *
+ * @param {Object} variables Variable definitions
+ * @param {Object} values Values keyed by variable name
+ * @returns true if there is a valid value for every variable, false otherwise
+ */
+function validateValues(variables, values) {
+    if (!values || typeof values !== 'object') {
+        return false;
+    }
+
+    for (const name in variables) {
+        if (typeof values[name] !== 'number' || !includes(variables[name], values[name])) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Replace the placeholders in a string.
+ * A placeholder is only replaced if it is an expression that uses at least one of the variables,
+ * so other curly braces (e.g. LaTeX groups like x^{2}) are left untouched.
+ *
+ * @param {String} input String that may contain placeholders
+ * @param {Object} values Values keyed by variable name
+ * @param {Boolean} numeric Whether a string that consists of a single placeholder should be
+ *                          replaced by the number itself
+ * @returns String or Number, throws an Error if an expression does not yield a finite number
+ */
+function applyToString(input, values, numeric) {
+    let number = null;
+    const output = input.replace(PLACEHOLDER_REGEX, (match, ref, source) => {
+        if (ref) {
+            return match;
+        }
+
+        let tree;
+        try {
+            tree = expression.parse(source);
+        } catch (err) {
+            // not an expression, e.g. text in curly braces
+            return match;
+        }
+
+        const names = expression.variables(tree);
+        if (names.length === 0 || names.some(name => !(name in values))) {
+            return match;
+        }
+
+        const result = expression.evaluate(tree, values);
+        if (!Number.isFinite(result)) {
+            throw new Error('Expression does not yield a finite number: ' + source);
+        }
+        number = expression.format(result);
+        return String(number);
+    });
+
+    if (numeric && number !== null && /^\s*\{[^{}]+\}\s*$/.test(input)) {
+        return number;
+    }
+    return output;
+}
+
+/**
+ * Create a copy of a test config with all placeholders replaced by the given values.
+ * 'correct' attributes that consist of a single placeholder (e.g. "{a*b}") become numbers, all
+ * other placeholders are inserted as text.
+ *
+ * @param {Object} config Test config with 'variables'
+ * @param {Object} values Values keyed by variable name
+ * @returns Test config without placeholders, throws an Error for invalid expressions
+ */
+function apply(config, values) {
+    const replace = (node, key) => {
+        if (typeof node === 'string') {
+            return applyToString(node, values, key === 'correct');
+        }
+
+        if (Array.isArray(node)) {
+            return node.map(item => replace(item));
+        }
+
+        if (node !== null && typeof node === 'object') {
+            const copy = {};
+            for (const key in node) {
+                // the definitions themselves are kept as they are
+                copy[key] = (key === 'variables') ? node[key] : replace(node[key], key);
+            }
+            return copy;
+        }
+
+        return node;
+    };
+
+    return replace(config);
+}
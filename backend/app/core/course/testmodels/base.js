@@ -1,3 +1,8 @@
+const bonus = require('../bonus');
+const feedback = require('../feedback');
+const scoring = require('../scoring');
+const template = require('../template');
+
 class BaseTest {
     constructor() {
         if (new.target === BaseTest) {
@@ -39,7 +44,8 @@ class BaseTest {
          * ----------------------------------------------------------------------------------------
          *   options      Array: possible options for this task
          *                A correct option will increase the test
-         *                score by one, a wrong one will not affect the score.
+         *                score by one, a wrong one will not affect the score. Some tests award
+         *                partial credit (e.g. estimate), so scores are not always integers.
          * ----------------------------------------------------------------------------------------
          *   evaluated    Boolean: whether the backend should evaluate this test
          *                If false, no scores will be calculated for this test.
@@ -52,6 +58,27 @@ class BaseTest {
          *----------------------------------------------------------------------------------------
          *   seconds      Integer: processing time before the test is locked down
          * ----------------------------------------------------------------------------------------
+         *   bonus        Object: speed bonus for the time left, requires 'seconds', see bonus.js
+         * ----------------------------------------------------------------------------------------
+         *   variables    Object: variables of a parameterized test, see template.js
+         *                Every user gets own values, which replace the placeholders (e.g.
+         *                "Compute {a}*{b}", "correct": "{a*b}") before the test is evaluated.
+         * ----------------------------------------------------------------------------------------
+         *   weight       Number: factor for the score of this test in the set and overall result
+         *                (default 1), see result.controller.weigh()
+         * ----------------------------------------------------------------------------------------
+         *   difficulty   Number: difficulty level of this test, required in adaptive test groups
+         *                (see adaptive.js), a higher number is more difficult
+         * ----------------------------------------------------------------------------------------
+         *   scoring      Object: scoring policy of this test, see scoring.js
+         *                Supports a penalty per wrong answer, a floor at zero, all-or-nothing and
+         *                proportional partial credit. Overrides the 'scoring' block of the course.
+         *                Category-specific scoring settings use keys of their own.
+         * ----------------------------------------------------------------------------------------
+         *   solution     String: worked solution of this test, shown in the evaluation once the
+         *                result is locked (see feedback.js)
+         *                Options may carry an 'explanation' String the same way.
+         * ----------------------------------------------------------------------------------------
          *   **           Extended attributes for tests
          *                See child testmodels for specifications.
          * ----------------------------------------------------------------------------------------
@@ -71,19 +98,72 @@ class BaseTest {
                         "type": "object",
                         "properties": {
                             "text": {"type": "string"},
-                            "correct": {}
+                            "correct": {},
+                            "explanation": {"type": "string"}
                         },
                         "required": ["text"]
                     }
                 },
                 "evaluated": {"type": "boolean"},
-                "seconds": {"type": "integer"}
+                "seconds": {"type": "integer"},
+                "bonus": bonus.BONUS_SCHEMA,
+                "weight": {"type": "number", "minimum": 0},
+                "difficulty": {"type": "number"},
+                "scoring": scoring.SCORING_SCHEMA,
+                "solution": {"type": "string"},
+                "variables": template.VARIABLES_SCHEMA
             },
-            "required": ["id", "type", "category", "description", "task", "options", "evaluated"]
+            "required": ["id", "type", "category", "description", "task", "options", "evaluated"],
+            "dependencies": {
+                "bonus": ["seconds"]
+            }
         };
         return schema;
     }
 
+    /**
+     * Get the fields of this category that give the answers away. They are left out of the config
+     * that is delivered to the frontend while the test is running, see delivery().
+     * Most categories grade the 'correct' attribute of the options.
+     *
+     * @returns Object with the names of the secret 'test' and 'option' fields
+     */
+    static get secretFields() {
+        return {
+            test: [],
+            option: ['correct']
+        };
+    }
+
+    /**
+     * Get the delivery view of a test config: a copy without the secret fields of this category
+     * and without the feedback of the test (see feedback.js).
+     * Categories whose frontend needs something derived from a secret field add it here.
+     *
+     * @param {JSON} config Single test config
+     * @returns Sanitized copy of the config
+     */
+    static delivery(config) {
+        const secret = this.secretFields;
+        let copy = feedback.strip(config);
+
+        for (const field of secret.test) {
+            delete copy[field];
+        }
+
+        if (Array.isArray(copy['options'])) {
+            copy['options'] = copy['options'].map(option => {
+                let stripped = Object.assign({}, option);
+                for (const field of secret.option) {
+                    delete stripped[field];
+                }
+                return stripped;
+            });
+        }
+
+        return copy;
+    }
+
     /**
      * Get the max score that is possible for this test.
      *
@@ -93,6 +173,16 @@ class BaseTest {
         throw new Error('maxScore() not implemented');
     }
 
+    /**
+     * Whether calculateResult() deducts points for wrong answers on its own. The 'penalty' of a
+     * scoring policy is not applied on top of that, see evaluate().
+     *
+     * @returns true if wrong answers already cost points, false otherwise
+     */
+    get deductsWrong() {
+        return false;
+    }
+
     /**
      * Load test configuration from a JSON object.
      *
@@ -107,17 +197,40 @@ class BaseTest {
      * Calculate the score for this test based on the given journal log.
      *
      * @param log Journal log as array containing selected single test options
+     * @param context Optional object with user-specific information from the journal structure,
+     *                e.g. the 'seed' of generated tests
      * @returns Object with three fields:
-     *      1. score (Integer)
-     *          Test score
+     *      1. score (Number)
+     *          Test score, may be fractional for tests with partial credit
      *      2. correct (Array)
      *          List of correct option indices
      *      3. wrong (Array)
      *          List of wrong option indices
      */
-    calculateResult(log) { // eslint-disable-line no-unused-vars
+    calculateResult(log, context) { // eslint-disable-line no-unused-vars
         throw new Error('calculateScore(...) not implemented');
     }
+
+    /**
+     * Calculate the score for this test and apply its scoring policy.
+     * The policy is the same for every category: calculateResult() yields the raw result, which
+     * is then adjusted according to the 'scoring' blocks of the test and the course. Wrong answers
+     * are only penalized once: categories that deduct points on their own get no policy penalty.
+     *
+     * @param log Journal log as array containing selected single test options
+     * @param context Optional object, see calculateResult(); its 'scoring' member holds the
+     *                scoring block of the course
+     * @returns Result of calculateResult() with the 'score' adjusted by the policy and the
+     *          'maxScore' under the policy
+     */
+    evaluate(log, context) {
+        const result = this.calculateResult(log, context);
+        let policy = scoring.resolve((context || {})['scoring'], this.config['scoring']);
+        if (this.deductsWrong) {
+            policy['penalty'] = 0;
+        }
+        return Object.assign({}, result, scoring.apply(policy, result, this.maxScore));
+    }
 }
 
 module.exports = BaseTest;
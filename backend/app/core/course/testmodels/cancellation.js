@@ -0,0 +1,290 @@
+const Ajv = require('ajv');
+
+// load local dependencies
+const logger = require('../../../utils/logger');
+const BaseTest = require('./base');
+
+// modulus and multiplier of the Park-Miller generator, must match the frontend implementation
+const RANDOM_MODULUS = 2147483647;
+const RANDOM_MULTIPLIER = 48271;
+
+class CancellationTest extends BaseTest {
+    constructor(config) {
+        super();
+        this.config = config;
+
+        if (!this.loadConfig(config)) {
+            throw new Error('Invalid test config');
+        }
+    }
+
+    /**
+     * Get the name of this test. Should always match the 'category' property of the test config
+     * in a config.json file.
+     *
+     * @returns Name as String
+     */
+    static get name() {
+        return 'cancellation';
+    }
+
+    /**
+     * Get the static schema that is shared across all instances of this class.
+     * When loading a config file to instantiate an object of this class, the config file contents
+     * are validated against this schema.
+     *
+     * @returns Schema as String
+     */
+    static get schema() {
+        // deep copy
+        const schema = JSON.parse(JSON.stringify(BaseTest.baseSchema));
+
+        /**
+         * Schema for a cancellation (d2-style concentration) test.
+         * The frontend renders a grid of symbols and the user has to mark all targets before the
+         * time runs out. The grid is generated from a seed that is stored in the journal structure,
+         * so the backend can re-create it for scoring.
+         *
+         * ================
+         * === REQUIRED ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   **           See BaseTest.schema
+         *                Cancellation: every option is a symbol, targets are marked with
+         *                '"correct": true'. At least one target and one distractor are required.
+         * ----------------------------------------------------------------------------------------
+         *   seconds      Integer: time limit, see BaseTest.schema (required for this test)
+         * ----------------------------------------------------------------------------------------
+         *   rows         Integer: number of grid rows
+         * ----------------------------------------------------------------------------------------
+         *   columns      Integer: number of grid columns
+         * ----------------------------------------------------------------------------------------
+         *
+         * ================
+         * === OPTIONAL ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   targetRatio  Number: share of grid cells that contain a target (default 0.4)
+         * ----------------------------------------------------------------------------------------
+         *   weights      Object: weights of the 'hits' (default 1), 'misses' (default 0) and
+         *                'falseAlarms' (default -1). The score is the weighted sum of the counts,
+         *                but never less than 0. A scoring policy (see BaseTest.schema) is applied
+         *                to that score, its 'penalty' only if false alarms are not weighted.
+         * ----------------------------------------------------------------------------------------
+         */
+        schema['$id'] = 'CancellationTest';
+        schema['properties']['category'] = {"const": "cancellation"};
+        schema['properties']['options']['minItems'] = 2;
+        schema['properties']['options']['items']['properties']['correct'] = {"type": "boolean"};
+        schema['properties']['rows'] = {"type": "integer", "minimum": 1};
+        schema['properties']['columns'] = {"type": "integer", "minimum": 1};
+        schema['properties']['targetRatio'] = {
+            "type": "number",
+            "exclusiveMinimum": 0,
+            "maximum": 1
+        };
+        schema['properties']['weights'] = {
+            "type": "object",
+            "properties": {
+                "hits": {"type": "number"},
+                "misses": {"type": "number"},
+                "falseAlarms": {"type": "number"}
+            },
+            "additionalProperties": false
+        };
+        schema['required'].push('seconds', 'rows', 'columns');
+        return schema;
+    }
+
+    /**
+     * Get the fields that give the answers away, see BaseTest.secretFields.
+     * The targets are part of the task (the user is told which symbols to mark) and the frontend
+     * needs them to generate the grid, so nothing is secret.
+     *
+     * @returns Object with the names of the secret 'test' and 'option' fields
+     */
+    static get secretFields() {
+        return {
+            test: [],
+            option: []
+        };
+    }
+
+    /**
+     * Get the number of grid cells that contain a target. It does not depend on the seed, so the
+     * max score is the same for every user.
+     *
+     * @returns Number of targets as Integer
+     */
+    get targetCount() {
+        const cells = this.config['rows'] * this.config['columns'];
+        const ratio = ('targetRatio' in this.config) ? this.config['targetRatio'] : 0.4;
+        return Math.max(1, Math.round(cells * ratio));
+    }
+
+    /**
+     * Get the scoring weights of this test.
+     *
+     * @returns Object with the 'hits', 'misses' and 'falseAlarms' weights
+     */
+    get weights() {
+        return Object.assign({hits: 1, misses: 0, falseAlarms: -1}, this.config['weights']);
+    }
+
+    /**
+     * False alarms cost points on their own unless their weight is 0, see calculateResult().
+     *
+     * @returns true if false alarms are weighted negatively, false otherwise
+     */
+    get deductsWrong() {
+        return this.weights['falseAlarms'] < 0;
+    }
+
+    /**
+     * Get the max score that is possible for this test.
+     *
+     * @returns Score as Number
+     */
+    get maxScore() {
+        return Math.max(0, this.targetCount * this.weights['hits']);
+    }
+
+    /**
+     * Load test configuration from a JSON object.
+     *
+     * @param {String} config JSON config object
+     * @returns true on success, false otherwise
+     */
+    loadConfig(config) {
+        const ajv = new Ajv();
+        const validate = ajv.compile(CancellationTest.schema);
+        if (!validate(config)) {
+            logger.warn('CancellationTest: ' + JSON.stringify(validate.errors));
+            return false;
+        }
+
+        // the grid needs symbols of both kinds
+        const targets = config['options'].filter(opt => opt['correct'] === true);
+        if (targets.length === 0 || targets.length === config['options'].length) {
+            logger.warn('CancellationTest: at least one target and one distractor are required');
+            return false;
+        }
+
+        this.config = config;
+        return true;
+    }
+
+    /**
+     * Create a pseudo random number generator for a seed. The generator has to yield exactly the
+     * same sequence as the one of the frontend, which is why no bitwise operations are used.
+     *
+     * @param {Number} seed Integer seed
+     * @returns Function that returns the next number in [0, 1)
+     */
+    static random(seed) {
+        let state = Math.abs(Math.floor(seed)) % RANDOM_MODULUS;
+        if (state === 0) {
+            state = 1;
+        }
+
+        return () => {
+            state = (state * RANDOM_MULTIPLIER) % RANDOM_MODULUS;
+            return (state - 1) / (RANDOM_MODULUS - 1);
+        };
+    }
+
+    /**
+     * Generate the grid of this test.
+     *
+     * @param {Number} seed Integer seed, stored in the journal structure
+     * @returns Array of option indices, one for every cell (row by row)
+     */
+    generateGrid(seed) {
+        const random = CancellationTest.random(seed);
+        const targets = [];
+        const distractors = [];
+        this.config['options'].forEach((opt, i) => {
+            if (opt['correct'] === true) {
+                targets.push(i);
+            } else {
+                distractors.push(i);
+            }
+        });
+
+        const grid = [];
+        const cells = this.config['rows'] * this.config['columns'];
+        for (let k = 0; k < cells; k++) {
+            const symbols = (k < this.targetCount) ? targets : distractors;
+            grid.push(symbols[Math.floor(random() * symbols.length)]);
+        }
+
+        // Fisher-Yates shuffle, so the targets are spread across the grid
+        for (let k = cells - 1; k > 0; k--) {
+            const j = Math.floor(random() * (k + 1));
+            [grid[k], grid[j]] = [grid[j], grid[k]];
+        }
+
+        return grid;
+    }
+
+    /**
+     * Calculate the score for this test based on the given journal log.
+     *
+     * @param log Journal log as array containing whether each grid cell was marked
+     * @param context Object with information from the journal structure, must contain the 'seed'
+     * @returns Object with three fields:
+     *      1. score (Number)
+     *          Test score
+     *      2. correct (Array)
+     *          List of marked cells that contain a target (hits)
+     *      3. wrong (Array)
+     *          List of marked cells that contain a distractor (false alarms)
+     */
+    calculateResult(log, context) {
+        let result = {
+            score: 0,
+            correct: [],
+            wrong: []
+        };
+
+        if (log.every(val => val === null)) {
+            // the user did not start the test
+            return result;
+        }
+
+        if (log.length !== this.config['rows'] * this.config['columns']) {
+            logger.error('CancellationTest: calculateResult: log does not match the grid size');
+            return result;
+        }
+
+        if (!context || typeof context['seed'] !== 'number') {
+            logger.error('CancellationTest: calculateResult: no seed to re-create the grid');
+            return result;
+        }
+
+        const grid = this.generateGrid(context['seed']);
+        for (let k = 0; k < grid.length; k++) {
+            if (log[k] !== true) {
+                continue;
+            }
+
+            if (this.config['options'][grid[k]]['correct'] === true) {
+                result.correct.push(k);
+            } else {
+                result.wrong.push(k);
+            }
+        }
+
+        const weights = this.weights;
+        const hits = result.correct.length;
+        const misses = this.targetCount - hits;
+        const falseAlarms = result.wrong.length;
+        result.score = Math.max(0, hits * weights['hits'] + misses * weights['misses']
+            + falseAlarms * weights['falseAlarms']);
+        return result;
+    }
+}
+
+module.exports = CancellationTest;
@@ -0,0 +1,191 @@
+const Ajv = require('ajv');
+
+// load local dependencies
+const logger = require('../../../utils/logger');
+const BaseTest = require('./base');
+
+class ClozeTest extends BaseTest {
+    constructor(config) {
+        super();
+        this.config = config;
+
+        if (!this.loadConfig(config)) {
+            throw new Error('Invalid test config');
+        }
+    }
+
+    /**
+     * Get the name of this test. Should always match the 'category' property of the test config
+     * in a config.json file.
+     *
+     * @returns Name as String
+     */
+    static get name() {
+        return 'cloze';
+    }
+
+    /**
+     * Get the static schema that is shared across all instances of this class.
+     * When loading a config file to instantiate an object of this class, the config file contents
+     * are validated against this schema.
+     *
+     * @returns Schema as String
+     */
+    static get schema() {
+        // deep copy
+        const schema = JSON.parse(JSON.stringify(BaseTest.baseSchema));
+
+        /**
+         * Schema for a cloze test.
+         * The 'task' text contains gap markers: [[1]] refers to the first option, [[2]] to the
+         * second one and so on. Every option describes one gap, which is rendered inline as a
+         * dropdown (if 'choices' are given) or as a free-text input.
+         *
+         * ================
+         * === REQUIRED ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   **           See BaseTest.schema
+         *                Cloze: 'correct' attribute is enforced. For dropdown gaps, it is the
+         *                       Integer index of the correct choice, for free-text gaps the
+         *                       String that has to be entered.
+         *                       'text' is optional and used as placeholder of free-text gaps.
+         * ----------------------------------------------------------------------------------------
+         *
+         * ================
+         * === OPTIONAL ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   choices      Array: the entries of a dropdown gap
+         * ----------------------------------------------------------------------------------------
+         *   ignoreCase   Boolean: whether free-text gaps are compared case-insensitively
+         * ----------------------------------------------------------------------------------------
+         */
+        schema['$id'] = 'ClozeTest';
+        schema['properties']['category'] = {"const": "cloze"};
+        schema['properties']['options']['items']['properties']['correct'] = {
+            "type": ["integer", "string"]
+        };
+        schema['properties']['options']['items']['properties']['choices'] = {
+            "type": "array",
+            "minItems": 2,
+            "items": {"type": "string"}
+        };
+        schema['properties']['options']['items']['properties']['ignoreCase'] = {
+            "type": "boolean"
+        };
+        schema['properties']['options']['items']['required'] = ['correct'];
+        return schema;
+    }
+
+    /**
+     * Get the max score that is possible for this test.
+     *
+     * @returns Score as Integer
+     */
+    get maxScore() {
+        let score = 0;
+        for (const opt of this.config['options']) {
+            if ('correct' in opt) {
+                score++;
+            }
+        }
+        return score;
+    }
+
+    /**
+     * Load test configuration from a JSON object.
+     *
+     * @param {String} config JSON config object
+     * @returns true on success, false otherwise
+     */
+    loadConfig(config) {
+        const ajv = new Ajv();
+        const validate = ajv.compile(ClozeTest.schema);
+        if (!validate(config)) {
+            logger.warn('ClozeTest: ' + JSON.stringify(validate.errors));
+            return false;
+        }
+
+        // the type of 'correct' depends on the kind of gap, which the schema cannot express
+        for (let i = 0; i < config['options'].length; i++) {
+            const opt = config['options'][i];
+            if ('choices' in opt) {
+                if (!Number.isInteger(opt['correct']) || opt['correct'] < 0
+                        || opt['correct'] >= opt['choices'].length) {
+                    logger.warn('ClozeTest: gap ' + (i + 1) + ': correct must be the index of a' +
+                                ' choice');
+                    return false;
+                }
+            } else if (typeof opt['correct'] !== 'string') {
+                logger.warn('ClozeTest: gap ' + (i + 1) + ': correct must be a string for' +
+                            ' free-text gaps');
+                return false;
+            }
+        }
+
+        this.config = config;
+        return true;
+    }
+
+    /**
+     * Calculate the score for this test based on the given journal log.
+     * Every gap is scored on its own.
+     *
+     * @param log Journal log as array containing the selected choice index (dropdown gaps) or the
+     *            entered text (free-text gaps) for each gap
+     * @returns Object with three fields:
+     *      1. score (Integer)
+     *          Test score
+     *      2. correct (Array)
+     *          List of correct gap indices
+     *      3. wrong (Array)
+     *          List of wrong gap indices
+     */
+    calculateResult(log) {
+        let result = {
+            score: 0,
+            correct: [],
+            wrong: []
+        };
+        for (let i = 0; i < log.length; i++) {
+            const gap = this.config['options'][i];
+            let isCorrect;
+
+            if ('choices' in gap) {
+                if (!Number.isInteger(log[i])) {
+                    // no choice was selected for this gap
+                    continue;
+                }
+                isCorrect = log[i] === gap['correct'];
+            } else {
+                if (typeof log[i] !== 'string' || log[i].trim().length === 0) {
+                    // no text was entered for this gap
+                    continue;
+                }
+
+                let input = log[i].trim();
+                let expected = gap['correct'].trim();
+                if (gap['ignoreCase']) {
+                    input = input.toLowerCase();
+                    expected = expected.toLowerCase();
+                }
+                isCorrect = input === expected;
+            }
+
+            if (isCorrect) {
+                // gap was filled correctly, award a point
+                result.correct.push(i);
+                result.score++;
+            } else {
+                result.wrong.push(i);
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = ClozeTest;
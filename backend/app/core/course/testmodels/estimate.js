@@ -0,0 +1,235 @@
+const Ajv = require('ajv');
+
+// load local dependencies
+const logger = require('../../../utils/logger');
+const BaseTest = require('./base');
+
+// scores are rounded to this many decimals to keep floating point noise out of the results
+const SCORE_DECIMALS = 2;
+
+class EstimateTest extends BaseTest {
+    constructor(config) {
+        super();
+        this.config = config;
+
+        if (!this.loadConfig(config)) {
+            throw new Error('Invalid test config');
+        }
+    }
+
+    /**
+     * Get the name of this test. Should always match the 'category' property of the test config
+     * in a config.json file.
+     *
+     * @returns Name as String
+     */
+    static get name() {
+        return 'estimate';
+    }
+
+    /**
+     * Get the static schema that is shared across all instances of this class.
+     * When loading a config file to instantiate an object of this class, the config file contents
+     * are validated against this schema.
+     *
+     * @returns Schema as String
+     */
+    static get schema() {
+        // deep copy
+        const schema = JSON.parse(JSON.stringify(BaseTest.baseSchema));
+
+        /**
+         * Schema for an estimate test.
+         * Each option is rendered as a slider the user picks a value with. Answers close to the
+         * correct value earn partial credit, so the score of this test may be fractional.
+         *
+         * ================
+         * === REQUIRED ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   **           See BaseTest.schema
+         *                Estimate: 'correct' attribute is enforced and of type number.
+         * ----------------------------------------------------------------------------------------
+         *   min, max     Number (option): range of the slider, 'correct' has to lie within
+         * ----------------------------------------------------------------------------------------
+         *   falloff      Object: how the credit of an option decreases with the distance between
+         *                the chosen and the correct value (distances are given in slider units)
+         *                  type 'linear'    -> 'range': distance at which the credit reaches 0
+         *                  type 'step'      -> 'bands': array of {distance, credit}, the first
+         *                                      band the distance lies within is awarded
+         *                  type 'gaussian'  -> 'sigma': standard deviation of the bell curve
+         * ----------------------------------------------------------------------------------------
+         *
+         * ================
+         * === OPTIONAL ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   step         Number (option): step size of the slider (default 1)
+         * ----------------------------------------------------------------------------------------
+         *   unit         String (option): unit displayed next to the chosen value, e.g. "km"
+         * ----------------------------------------------------------------------------------------
+         */
+        schema['$id'] = 'EstimateTest';
+        schema['properties']['category'] = {"const": "estimate"};
+        schema['properties']['options']['items']['properties']['correct'] = {"type": "number"};
+        schema['properties']['options']['items']['properties']['min'] = {"type": "number"};
+        schema['properties']['options']['items']['properties']['max'] = {"type": "number"};
+        schema['properties']['options']['items']['properties']['step'] = {
+            "type": "number",
+            "exclusiveMinimum": 0
+        };
+        schema['properties']['options']['items']['properties']['unit'] = {"type": "string"};
+        schema['properties']['options']['items']['required'].push('correct', 'min', 'max');
+        schema['properties']['falloff'] = {
+            "oneOf": [{
+                "type": "object",
+                "properties": {
+                    "type": {"const": "linear"},
+                    "range": {"type": "number", "exclusiveMinimum": 0}
+                },
+                "required": ["type", "range"],
+                "additionalProperties": false
+            }, {
+                "type": "object",
+                "properties": {
+                    "type": {"const": "step"},
+                    "bands": {
+                        "type": "array",
+                        "minItems": 1,
+                        "items": {
+                            "type": "object",
+                            "properties": {
+                                "distance": {"type": "number", "minimum": 0},
+                                "credit": {"type": "number", "minimum": 0, "maximum": 1}
+                            },
+                            "required": ["distance", "credit"],
+                            "additionalProperties": false
+                        }
+                    }
+                },
+                "required": ["type", "bands"],
+                "additionalProperties": false
+            }, {
+                "type": "object",
+                "properties": {
+                    "type": {"const": "gaussian"},
+                    "sigma": {"type": "number", "exclusiveMinimum": 0}
+                },
+                "required": ["type", "sigma"],
+                "additionalProperties": false
+            }]
+        };
+        schema['required'].push('falloff');
+        return schema;
+    }
+
+    /**
+     * Get the max score that is possible for this test.
+     *
+     * @returns Score as Integer
+     */
+    get maxScore() {
+        return this.config['options'].length;
+    }
+
+    /**
+     * Load test configuration from a JSON object.
+     *
+     * @param {String} config JSON config object
+     * @returns true on success, false otherwise
+     */
+    loadConfig(config) {
+        const ajv = new Ajv();
+        const validate = ajv.compile(EstimateTest.schema);
+        if (!validate(config)) {
+            logger.warn('EstimateTest: ' + JSON.stringify(validate.errors));
+            return false;
+        }
+
+        // the slider has to be able to reach the correct value
+        for (const opt of config['options']) {
+            if (opt['min'] >= opt['max']) {
+                logger.warn('EstimateTest: min must be lower than max: ' + opt['text']);
+                return false;
+            }
+
+            if (opt['correct'] < opt['min'] || opt['correct'] > opt['max']) {
+                logger.warn('EstimateTest: correct value is out of range: ' + opt['text']);
+                return false;
+            }
+        }
+
+        this.config = config;
+        return true;
+    }
+
+    /**
+     * Calculate the credit for a distance between the chosen and the correct value.
+     *
+     * @param {Number} distance Absolute distance between the chosen and the correct value
+     * @param {Object} falloff Falloff object as described in the schema
+     * @returns Credit as Number between 0 and 1
+     */
+    static credit(distance, falloff) {
+        switch (falloff['type']) {
+        case 'linear':
+            return Math.max(0, 1 - distance / falloff['range']);
+        case 'step': {
+            // bands may be listed in any order, the narrowest matching one wins
+            const bands = falloff['bands'].slice().sort((a, b) => a['distance'] - b['distance']);
+            const band = bands.find(b => distance <= b['distance']);
+            return band ? band['credit'] : 0;
+        }
+        case 'gaussian':
+            return Math.exp(-(distance * distance) / (2 * falloff['sigma'] * falloff['sigma']));
+        default:
+            return 0;
+        }
+    }
+
+    /**
+     * Calculate the score for this test based on the given journal log.
+     *
+     * @param log Journal log as array containing the value chosen for each option
+     * @returns Object with three fields:
+     *      1. score (Number)
+     *          Test score, the sum of the (fractional) option credits
+     *      2. correct (Array)
+     *          List of option indices that earned credit
+     *      3. wrong (Array)
+     *          List of option indices that earned no credit
+     */
+    calculateResult(log) {
+        let result = {
+            score: 0,
+            correct: [],
+            wrong: []
+        };
+        const factor = Math.pow(10, SCORE_DECIMALS);
+        for (let i = 0; i < log.length; i++) {
+            const testOptions = this.config['options'];
+            if (typeof log[i] !== 'number' || isNaN(log[i])) {
+                // the user did not move the slider of this option
+                continue;
+            }
+
+            const distance = Math.abs(log[i] - testOptions[i]['correct']);
+            const credit = Math.round(EstimateTest.credit(distance, this.config['falloff']) * factor)
+                / factor;
+            if (credit > 0) {
+                // value is close enough, award (partial) credit
+                result.correct.push(i);
+                result.score += credit;
+            } else {
+                result.wrong.push(i);
+            }
+        }
+
+        result.score = Math.round(result.score * factor) / factor;
+        return result;
+    }
+}
+
+module.exports = EstimateTest;
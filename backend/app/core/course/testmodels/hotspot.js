@@ -0,0 +1,232 @@
+const Ajv = require('ajv');
+
+// load local dependencies
+const logger = require('../../../utils/logger');
+const BaseTest = require('./base');
+
+// relative coordinate, 0 is the left/top and 1 the right/bottom edge of the image
+const COORDINATE_SCHEMA = {"type": "number", "minimum": 0, "maximum": 1};
+
+class HotspotTest extends BaseTest {
+    constructor(config) {
+        super();
+        this.config = config;
+
+        if (!this.loadConfig(config)) {
+            throw new Error('Invalid test config');
+        }
+    }
+
+    /**
+     * Get the name of this test. Should always match the 'category' property of the test config
+     * in a config.json file.
+     *
+     * @returns Name as String
+     */
+    static get name() {
+        return 'hotspot';
+    }
+
+    /**
+     * Get the static schema that is shared across all instances of this class.
+     * When loading a config file to instantiate an object of this class, the config file contents
+     * are validated against this schema.
+     *
+     * @returns Schema as String
+     */
+    static get schema() {
+        // deep copy
+        const schema = JSON.parse(JSON.stringify(BaseTest.baseSchema));
+
+        /**
+         * Schema for a hotspot test.
+         * Every option asks the user to click on a certain part of the image (e.g. "the
+         * mitochondrion"). All coordinates are relative to the image size, i.e. (0, 0) is the
+         * top left and (1, 1) the bottom right corner.
+         *
+         * ================
+         * === REQUIRED ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   **           See BaseTest.schema
+         *                Hotspot: 'correct' is ignored.
+         * ----------------------------------------------------------------------------------------
+         *   image        String: path of the image, relative to data/assets/public
+         * ----------------------------------------------------------------------------------------
+         *   regions      Array (option): regions that are accepted for the option
+         *                A click within any of the regions is correct. Each region has a 'shape':
+         *                  rect     x, y (top left corner), width, height
+         *                  circle   x, y (center), radius (relative to the image width and
+         *                           height, which makes it an ellipse on non-square images)
+         *                  polygon  points: array of at least three [x, y] pairs
+         * ----------------------------------------------------------------------------------------
+         */
+        schema['$id'] = 'HotspotTest';
+        schema['properties']['category'] = {"const": "hotspot"};
+        schema['properties']['image'] = {"type": "string"};
+        schema['required'].push('image');
+        schema['properties']['options']['items']['properties']['regions'] = {
+            "type": "array",
+            "minItems": 1,
+            "items": {
+                "oneOf": [{
+                    "type": "object",
+                    "properties": {
+                        "shape": {"const": "rect"},
+                        "x": COORDINATE_SCHEMA,
+                        "y": COORDINATE_SCHEMA,
+                        "width": COORDINATE_SCHEMA,
+                        "height": COORDINATE_SCHEMA
+                    },
+                    "required": ["shape", "x", "y", "width", "height"],
+                    "additionalProperties": false
+                }, {
+                    "type": "object",
+                    "properties": {
+                        "shape": {"const": "circle"},
+                        "x": COORDINATE_SCHEMA,
+                        "y": COORDINATE_SCHEMA,
+                        "radius": COORDINATE_SCHEMA
+                    },
+                    "required": ["shape", "x", "y", "radius"],
+                    "additionalProperties": false
+                }, {
+                    "type": "object",
+                    "properties": {
+                        "shape": {"const": "polygon"},
+                        "points": {
+                            "type": "array",
+                            "minItems": 3,
+                            "items": {
+                                "type": "array",
+                                "items": [COORDINATE_SCHEMA, COORDINATE_SCHEMA],
+                                "minItems": 2,
+                                "additionalItems": false
+                            }
+                        }
+                    },
+                    "required": ["shape", "points"],
+                    "additionalProperties": false
+                }]
+            }
+        };
+        schema['properties']['options']['items']['required'].push('regions');
+        return schema;
+    }
+
+    /**
+     * Get the fields that give the answers away, see BaseTest.secretFields.
+     *
+     * @returns Object with the names of the secret 'test' and 'option' fields
+     */
+    static get secretFields() {
+        return {
+            test: [],
+            option: ['regions']
+        };
+    }
+
+    /**
+     * Get the max score that is possible for this test.
+     *
+     * @returns Score as Integer
+     */
+    get maxScore() {
+        return this.config['options'].length;
+    }
+
+    /**
+     * Load test configuration from a JSON object.
+     *
+     * @param {String} config JSON config object
+     * @returns true on success, false otherwise
+     */
+    loadConfig(config) {
+        const ajv = new Ajv();
+        const validate = ajv.compile(HotspotTest.schema);
+        if (!validate(config)) {
+            logger.warn('HotspotTest: ' + JSON.stringify(validate.errors));
+            return false;
+        }
+
+        this.config = config;
+        return true;
+    }
+
+    /**
+     * Check whether a point lies within a region.
+     *
+     * @param {Number} x Relative x coordinate of the point
+     * @param {Number} y Relative y coordinate of the point
+     * @param {Object} region Region as described in the schema
+     * @returns true if the point is inside the region (or on its border), false otherwise
+     */
+    static contains(x, y, region) {
+        switch (region['shape']) {
+        case 'rect':
+            return x >= region['x'] && x <= region['x'] + region['width']
+                && y >= region['y'] && y <= region['y'] + region['height'];
+        case 'circle':
+            return Math.pow(x - region['x'], 2) + Math.pow(y - region['y'], 2)
+                <= Math.pow(region['radius'], 2);
+        case 'polygon': {
+            // ray casting: count the edges that a horizontal ray starting at the point crosses
+            const points = region['points'];
+            let inside = false;
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const [xi, yi] = points[i];
+                const [xj, yj] = points[j];
+                if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        }
+        default:
+            return false;
+        }
+    }
+
+    /**
+     * Calculate the score for this test based on the given journal log.
+     *
+     * @param log Journal log as array containing the relative [x, y] click coordinates for each
+     *            option
+     * @returns Object with three fields:
+     *      1. score (Integer)
+     *          Test score
+     *      2. correct (Array)
+     *          List of correct option indices
+     *      3. wrong (Array)
+     *          List of wrong option indices
+     */
+    calculateResult(log) {
+        let result = {
+            score: 0,
+            correct: [],
+            wrong: []
+        };
+        for (let i = 0; i < log.length; i++) {
+            const testOptions = this.config['options'];
+            if (!Array.isArray(log[i]) || log[i].length !== 2
+                    || typeof log[i][0] !== 'number' || typeof log[i][1] !== 'number') {
+                // the user did not click on the image for this option
+                continue;
+            }
+
+            const [x, y] = log[i];
+            if (testOptions[i]['regions'].some(region => HotspotTest.contains(x, y, region))) {
+                // click is inside one of the regions, award a point
+                result.correct.push(i);
+                result.score++;
+            } else {
+                result.wrong.push(i);
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = HotspotTest;
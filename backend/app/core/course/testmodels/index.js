@@ -1,11 +1,22 @@
 // this is just a proxy that loads the test models from this directory
 
+const BaseTest = require('./base');
+
 module.exports = {
     Models: [
+        require('./cancellation'),
+        require('./cloze'),
+        require('./estimate'),
+        require('./hotspot'),
+        require('./likert'),
         require('./match'),
         require('./multiple_choice'),
         require('./multiple_option'),
-        require('./radio_button')
+        require('./numeric'),
+        require('./ordering'),
+        require('./pairs'),
+        require('./radio_button'),
+        require('./short_answer')
     ],
     Factory: {
         create: (name, config) => {
@@ -18,4 +29,9 @@ module.exports = {
             return null;
         }
     },
+    // delivery view of a single test config, see BaseTest.delivery()
+    delivery: (config) => {
+        const model = module.exports.Models.find(model => model.name === config['category']);
+        return (model || BaseTest).delivery(config);
+    }
 }
@@ -0,0 +1,186 @@
+const Ajv = require('ajv');
+
+// load local dependencies
+const logger = require('../../../utils/logger');
+const BaseTest = require('./base');
+
+class LikertTest extends BaseTest {
+    constructor(config) {
+        super();
+        this.config = config;
+
+        if (!this.loadConfig(config)) {
+            throw new Error('Invalid test config');
+        }
+    }
+
+    /**
+     * Get the name of this test. Should always match the 'category' property of the test config
+     * in a config.json file.
+     *
+     * @returns Name as String
+     */
+    static get name() {
+        return 'likert';
+    }
+
+    /**
+     * Get the static schema that is shared across all instances of this class.
+     * When loading a config file to instantiate an object of this class, the config file contents
+     * are validated against this schema.
+     *
+     * @returns Schema as String
+     */
+    static get schema() {
+        // deep copy
+        const schema = JSON.parse(JSON.stringify(BaseTest.baseSchema));
+
+        /**
+         * Schema for a likert (self-rating) test.
+         * Every option is a statement the user rates on the scale. There are no right or wrong
+         * answers, instead the ratings are averaged per dimension.
+         *
+         * ================
+         * === REQUIRED ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   **           See BaseTest.schema
+         *                Likert: 'correct' is ignored.
+         * ----------------------------------------------------------------------------------------
+         *   dimension    String (option): name of the dimension the statement belongs to
+         *                e.g. "interest in programming"
+         * ----------------------------------------------------------------------------------------
+         *   scale        Array: labels of the scale, from lowest to highest rating
+         *                The first label has the value 1, the second one the value 2 and so on.
+         *                "scale": [
+         *                  "strongly disagree",
+         *                  "disagree",
+         *                  "agree",
+         *                  "strongly agree"
+         *                ]
+         * ----------------------------------------------------------------------------------------
+         *
+         * ================
+         * === OPTIONAL ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   reverse      Boolean (option): whether the statement is reverse-coded
+         *                A reverse-coded statement contributes the mirrored value, i.e. the
+         *                lowest rating counts as the highest one.
+         * ----------------------------------------------------------------------------------------
+         *   scored       Boolean: whether the ratings contribute to the score
+         *                If true, every statement is worth (scale length - 1) points and the
+         *                (coded) rating minus one is awarded. Defaults to false, in which case
+         *                the test only reports its dimensions.
+         * ----------------------------------------------------------------------------------------
+         */
+        schema['$id'] = 'LikertTest';
+        schema['properties']['category'] = {"const": "likert"};
+        schema['properties']['options']['items']['properties']['dimension'] = {"type": "string"};
+        schema['properties']['options']['items']['properties']['reverse'] = {"type": "boolean"};
+        schema['properties']['options']['items']['required'].push('dimension');
+        schema['properties']['scale'] = {
+            "type": "array",
+            "minItems": 2,
+            "items": {"type": "string"}
+        };
+        schema['properties']['scored'] = {"type": "boolean"};
+        schema['required'].push('scale');
+        return schema;
+    }
+
+    /**
+     * Get the max score that is possible for this test.
+     *
+     * @returns Score as Integer
+     */
+    get maxScore() {
+        if (!this.config['scored']) {
+            return 0;
+        }
+
+        return this.config['options'].length * (this.config['scale'].length - 1);
+    }
+
+    /**
+     * Load test configuration from a JSON object.
+     *
+     * @param {String} config JSON config object
+     * @returns true on success, false otherwise
+     */
+    loadConfig(config) {
+        const ajv = new Ajv();
+        const validate = ajv.compile(LikertTest.schema);
+        if (!validate(config)) {
+            logger.warn('LikertTest: ' + JSON.stringify(validate.errors));
+            return false;
+        }
+
+        this.config = config;
+        return true;
+    }
+
+    /**
+     * Calculate the score for this test based on the given journal log.
+     *
+     * @param log Journal log as array containing the selected scale index for each statement
+     * @returns Object with four fields:
+     *      1. score (Integer)
+     *          Test score, 0 unless the test is scored
+     *      2. correct (Array)
+     *          Always empty, ratings are neither correct nor wrong
+     *      3. wrong (Array)
+     *          Always empty, ratings are neither correct nor wrong
+     *      4. dimensions (Array)
+     *          One object per dimension (in order of appearance) with the members 'name',
+     *          'average' (average coded rating on the 1..n scale, null if no statement of the
+     *          dimension was rated) and 'answered' (number of rated statements)
+     */
+    calculateResult(log) {
+        let result = {
+            score: 0,
+            correct: [],
+            wrong: [],
+            dimensions: []
+        };
+        const scaleLength = this.config['scale'].length;
+        const sums = new Map();
+
+        for (const opt of this.config['options']) {
+            if (!sums.has(opt['dimension'])) {
+                sums.set(opt['dimension'], { sum: 0, answered: 0 });
+            }
+        }
+
+        for (let i = 0; i < log.length; i++) {
+            const statement = this.config['options'][i];
+            if (!Number.isInteger(log[i]) || log[i] < 0 || log[i] >= scaleLength) {
+                // statement was not rated
+                continue;
+            }
+
+            const coded = statement['reverse'] ? scaleLength - 1 - log[i] : log[i];
+            const dimension = sums.get(statement['dimension']);
+            dimension.sum += coded + 1;
+            dimension.answered++;
+
+            if (this.config['scored']) {
+                result.score += coded;
+            }
+        }
+
+        for (const [name, dimension] of sums) {
+            result.dimensions.push({
+                name: name,
+                average: (dimension.answered > 0) ? dimension.sum / dimension.answered : null,
+                answered: dimension.answered
+            });
+        }
+
+        return result;
+    }
+}
+
+module.exports = LikertTest;
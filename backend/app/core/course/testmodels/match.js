@@ -67,6 +67,34 @@ class MatchTest extends BaseTest {
         return schema;
     }
 
+    /**
+     * Get the fields that give the answers away, see BaseTest.secretFields.
+     *
+     * @returns Object with the names of the secret 'test' and 'option' fields
+     */
+    static get secretFields() {
+        return {
+            test: [],
+            option: ['correct', 'index']
+        };
+    }
+
+    /**
+     * Get the delivery view of a test config, see BaseTest.delivery().
+     * The frontend highlights as many chars as the substring to pick has, so every option gets
+     * the 'length' of its substring instead.
+     *
+     * @param {JSON} config Single test config
+     * @returns Sanitized copy of the config
+     */
+    static delivery(config) {
+        let copy = super.delivery(config);
+        copy['options'] = copy['options'].map((option, i) => Object.assign(option, {
+            length: String(config['options'][i]['correct']).length
+        }));
+        return copy;
+    }
+
     /**
      * Get the max score that is possible for this test.
      *
@@ -68,6 +68,15 @@ class MultipleChoiceTest extends BaseTest {
         return score;
     }
 
+    /**
+     * Every wrong selection costs a point, see calculateResult().
+     *
+     * @returns true
+     */
+    get deductsWrong() {
+        return true;
+    }
+
     /**
      * Load test configuration from a JSON object.
      *
@@ -0,0 +1,222 @@
+const Ajv = require('ajv');
+
+// load local dependencies
+const logger = require('../../../utils/logger');
+const BaseTest = require('./base');
+
+class NumericTest extends BaseTest {
+    constructor(config) {
+        super();
+        this.config = config;
+
+        if (!this.loadConfig(config)) {
+            throw new Error('Invalid test config');
+        }
+    }
+
+    /**
+     * Get the name of this test. Should always match the 'category' property of the test config
+     * in a config.json file.
+     *
+     * @returns Name as String
+     */
+    static get name() {
+        return 'numeric';
+    }
+
+    /**
+     * Get the static schema that is shared across all instances of this class.
+     * When loading a config file to instantiate an object of this class, the config file contents
+     * are validated against this schema.
+     *
+     * @returns Schema as String
+     */
+    static get schema() {
+        // deep copy
+        const schema = JSON.parse(JSON.stringify(BaseTest.baseSchema));
+
+        /**
+         * Schema for a numeric test.
+         * Each option is rendered as a blank input field the user has to type a number into.
+         *
+         * ================
+         * === REQUIRED ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   **           See BaseTest.schema
+         *                Numeric: 'correct' attribute is enforced and of type number.
+         * ----------------------------------------------------------------------------------------
+         *
+         * ================
+         * === OPTIONAL ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   tolerance    Object: accepted deviation from the 'correct' value
+         *                May contain an 'absolute' (e.g. 0.5 -> 10 +/- 0.5) and/or a 'relative'
+         *                (e.g. 0.01 -> 10 +/- 1%) number. If both are given, an answer is
+         *                accepted if it lies within either bound. Without a tolerance, the
+         *                answer must match exactly.
+         * ----------------------------------------------------------------------------------------
+         *   unit         String: unit displayed next to the input field, e.g. "km/h"
+         * ----------------------------------------------------------------------------------------
+         */
+        schema['$id'] = 'NumericTest';
+        schema['properties']['category'] = {"const": "numeric"};
+        schema['properties']['options']['items']['properties']['correct'] = {"type": "number"};
+        schema['properties']['options']['items']['required'].push('correct');
+        schema['properties']['options']['items']['properties']['tolerance'] = {
+            "type": "object",
+            "properties": {
+                "absolute": {"type": "number", "minimum": 0},
+                "relative": {"type": "number", "minimum": 0}
+            },
+            "additionalProperties": false
+        };
+        schema['properties']['options']['items']['properties']['unit'] = {"type": "string"};
+        return schema;
+    }
+
+    /**
+     * Get the fields that give the answers away, see BaseTest.secretFields.
+     *
+     * @returns Object with the names of the secret 'test' and 'option' fields
+     */
+    static get secretFields() {
+        return {
+            test: [],
+            option: ['correct', 'tolerance']
+        };
+    }
+
+    /**
+     * Get the max score that is possible for this test.
+     *
+     * @returns Score as Integer
+     */
+    get maxScore() {
+        let score = 0;
+        for (const opt of this.config['options']) {
+            if ('correct' in opt) {
+                score++;
+            }
+        }
+        return score;
+    }
+
+    /**
+     * Load test configuration from a JSON object.
+     *
+     * @param {String} config JSON config object
+     * @returns true on success, false otherwise
+     */
+    loadConfig(config) {
+        const ajv = new Ajv();
+        const validate = ajv.compile(NumericTest.schema);
+        if (!validate(config)) {
+            logger.warn('NumericTest: ' + JSON.stringify(validate.errors));
+            return false;
+        }
+
+        this.config = config;
+        return true;
+    }
+
+    /**
+     * Parse a user input into a number.
+     * Accepts finite numbers as well as strings of decimal digits with an optional sign and a
+     * decimal point or comma. Anything else, e.g. '', '0x1A', '1e3' or 'Infinity', is rejected.
+     *
+     * @param input Raw user input (journal log entry)
+     * @returns Number on success, NaN otherwise
+     */
+    static parseInput(input) {
+        if (typeof input === 'number') {
+            return isFinite(input) ? input : NaN;
+        }
+
+        if (typeof input !== 'string') {
+            return NaN;
+        }
+
+        const trimmed = input.trim();
+        if (!/^[+-]?([0-9]+([.,][0-9]*)?|[.,][0-9]+)$/.test(trimmed)) {
+            return NaN;
+        }
+
+        return Number(trimmed.replace(',', '.'));
+    }
+
+    /**
+     * Check whether a value lies within the tolerance of the expected value.
+     *
+     * @param {Number} value User value
+     * @param {Number} expected Expected ('correct') value
+     * @param {Object} tolerance Optional tolerance object with 'absolute' and 'relative' members
+     * @returns true if the value is accepted, false otherwise
+     */
+    static withinTolerance(value, expected, tolerance) {
+        const deviation = Math.abs(value - expected);
+
+        if (!tolerance) {
+            return deviation === 0;
+        }
+
+        if ('absolute' in tolerance && deviation <= tolerance['absolute']) {
+            return true;
+        }
+
+        if ('relative' in tolerance && deviation <= Math.abs(expected) * tolerance['relative']) {
+            return true;
+        }
+
+        return deviation === 0;
+    }
+
+    /**
+     * Calculate the score for this test based on the given journal log.
+     *
+     * @param log Journal log as array containing the values entered for each option
+     * @returns Object with three fields:
+     *      1. score (Integer)
+     *          Test score
+     *      2. correct (Array)
+     *          List of correct option indices
+     *      3. wrong (Array)
+     *          List of wrong option indices
+     */
+    calculateResult(log) {
+        let result = {
+            score: 0,
+            correct: [],
+            wrong: []
+        };
+        for (let i = 0; i < log.length; i++) {
+            const testOptions = this.config['options'];
+            if (log[i] === null || log[i] === false || log[i] === '') {
+                // no value was entered for this option
+                continue;
+            }
+
+            const value = NumericTest.parseInput(log[i]);
+            if (isNaN(value)) {
+                // not a decimal number, treat it like an empty input
+                continue;
+            }
+
+            if (NumericTest.withinTolerance(value, testOptions[i]['correct'],
+                testOptions[i]['tolerance'])) {
+                // correct value was entered, award a point
+                result.correct.push(i);
+                result.score++;
+            } else {
+                result.wrong.push(i);
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = NumericTest;
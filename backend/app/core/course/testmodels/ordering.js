@@ -0,0 +1,270 @@
+const Ajv = require('ajv');
+
+// load local dependencies
+const logger = require('../../../utils/logger');
+const BaseTest = require('./base');
+
+class OrderingTest extends BaseTest {
+    constructor(config) {
+        super();
+        this.config = config;
+
+        if (!this.loadConfig(config)) {
+            throw new Error('Invalid test config');
+        }
+    }
+
+    /**
+     * Get the name of this test. Should always match the 'category' property of the test config
+     * in a config.json file.
+     *
+     * @returns Name as String
+     */
+    static get name() {
+        return 'ordering';
+    }
+
+    /**
+     * Get the static schema that is shared across all instances of this class.
+     * When loading a config file to instantiate an object of this class, the config file contents
+     * are validated against this schema.
+     *
+     * @returns Schema as String
+     */
+    static get schema() {
+        // deep copy
+        const schema = JSON.parse(JSON.stringify(BaseTest.baseSchema));
+
+        /**
+         * Schema for an ordering test.
+         * The options are listed in their correct order and the user has to restore it. Every
+         * user gets the options in an order of their own (see delivery()), which is stored with
+         * the journal; the journal log refers to the options in that order.
+         *
+         * ================
+         * === REQUIRED ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   **           See BaseTest.schema
+         *                Ordering: at least two options are required, 'correct' is ignored.
+         * ----------------------------------------------------------------------------------------
+         *
+         * ================
+         * === OPTIONAL ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   orderScoring String: how the order is scored
+         *                'all-or-nothing' -> one point if every option is in its position
+         *                'position'       -> one point per option in its position (default)
+         *                'subsequence'    -> one point per option in the longest subsequence
+         *                                    that is in the correct relative order
+         *                A scoring policy (see BaseTest.schema) is applied to that score.
+         * ----------------------------------------------------------------------------------------
+         */
+        schema['$id'] = 'OrderingTest';
+        schema['properties']['category'] = {"const": "ordering"};
+        schema['properties']['options']['minItems'] = 2;
+        schema['properties']['orderScoring'] = {
+            "enum": ["all-or-nothing", "position", "subsequence"]
+        };
+        return schema;
+    }
+
+    /**
+     * Draw the order in which the options are delivered to a user. The correct order is never
+     * drawn, since it would give the answer away.
+     *
+     * @param {Number} length Number of options
+     * @returns Array with the index of the option (in the config) at every delivered position
+     */
+    static permutation(length) {
+        const permutation = [...Array(length).keys()];
+        do {
+            for (let k = length - 1; k > 0; k--) {
+                const j = Math.floor(Math.random() * (k + 1));
+                [permutation[k], permutation[j]] = [permutation[j], permutation[k]];
+            }
+        } while (length > 1 && permutation.every((val, k) => val === k));
+        return permutation;
+    }
+
+    /**
+     * Get the delivery view of a single test config, see BaseTest.delivery().
+     * The options are delivered in the order of the 'permutation' field (see permutation()),
+     * which is not part of the delivery view itself.
+     *
+     * @param {JSON} config Single test config
+     * @returns Sanitized copy of the config
+     */
+    static delivery(config) {
+        let copy = super.delivery(config);
+        if (Array.isArray(config['permutation'])) {
+            copy['options'] = config['permutation'].map(k => copy['options'][k]);
+        }
+        delete copy['permutation'];
+        return copy;
+    }
+
+    /**
+     * Get the scoring mode of this test.
+     *
+     * @returns Scoring mode as String
+     */
+    get orderScoring() {
+        return this.config['orderScoring'] || 'position';
+    }
+
+    /**
+     * Get the max score that is possible for this test.
+     *
+     * @returns Score as Integer
+     */
+    get maxScore() {
+        if (this.orderScoring === 'all-or-nothing') {
+            return 1;
+        }
+
+        return this.config['options'].length;
+    }
+
+    /**
+     * Load test configuration from a JSON object.
+     *
+     * @param {String} config JSON config object
+     * @returns true on success, false otherwise
+     */
+    loadConfig(config) {
+        const ajv = new Ajv();
+        const validate = ajv.compile(OrderingTest.schema);
+        if (!validate(config)) {
+            logger.warn('OrderingTest: ' + JSON.stringify(validate.errors));
+            return false;
+        }
+
+        this.config = config;
+        return true;
+    }
+
+    /**
+     * Check whether an array holds every option index exactly once.
+     *
+     * @param {Array} values Option indices
+     * @param {Number} length Number of options
+     * @returns true if the array is a permutation of the option indices, false otherwise
+     */
+    static isPermutation(values, length) {
+        return Array.isArray(values) && values.length === length
+            && new Set(values).size === length
+            && values.every(val => Number.isInteger(val) && val >= 0 && val < length);
+    }
+
+    /**
+     * Find the longest subsequence of a permutation that is in the correct (ascending) order.
+     *
+     * @param {Array} permutation Option indices in the order chosen by the user
+     * @returns Array of positions (indices into the permutation) that form the subsequence
+     */
+    static longestOrderedSubsequence(permutation) {
+        // length[k]: length of the longest ascending subsequence ending at position k
+        // prev[k]: previous position in that subsequence
+        const length = new Array(permutation.length).fill(1);
+        const prev = new Array(permutation.length).fill(-1);
+        let end = 0;
+
+        for (let k = 0; k < permutation.length; k++) {
+            for (let j = 0; j < k; j++) {
+                if (permutation[j] < permutation[k] && length[j] + 1 > length[k]) {
+                    length[k] = length[j] + 1;
+                    prev[k] = j;
+                }
+            }
+            if (length[k] > length[end]) {
+                end = k;
+            }
+        }
+
+        const positions = [];
+        for (let k = end; k !== -1; k = prev[k]) {
+            positions.unshift(k);
+        }
+        return positions;
+    }
+
+    /**
+     * Calculate the score for this test based on the given journal log.
+     *
+     * @param log Journal log as array containing the option index placed at each position
+     * @param context Object with the delivered order of the options ('permutation', see
+     *                permutation()), the log refers to the options in that order
+     * @returns Object with three fields:
+     *      1. score (Integer)
+     *          Test score
+     *      2. correct (Array)
+     *          List of correct positions
+     *      3. wrong (Array)
+     *          List of wrong positions
+     */
+    calculateResult(log, context) {
+        const permutation = (context || {})['permutation'];
+        let result = {
+            score: 0,
+            correct: [],
+            wrong: []
+        };
+        const length = this.config['options'].length;
+
+        if (log.some(val => val === null || val === false)) {
+            // the user did not arrange the options
+            return result;
+        }
+
+        if (!OrderingTest.isPermutation(log, length)) {
+            logger.error('OrderingTest: calculateResult: log is not a permutation of the options');
+            return result;
+        }
+
+        if (permutation !== undefined && permutation !== null) {
+            if (!OrderingTest.isPermutation(permutation, length)) {
+                logger.error('OrderingTest: calculateResult: invalid order of delivery');
+                return result;
+            }
+
+            // map the delivered option indices back to the options of the config
+            log = log.map(val => permutation[val]);
+        }
+
+        if (this.orderScoring === 'subsequence') {
+            const ordered = OrderingTest.longestOrderedSubsequence(log);
+            for (let k = 0; k < log.length; k++) {
+                if (ordered.includes(k)) {
+                    result.correct.push(k);
+                } else {
+                    result.wrong.push(k);
+                }
+            }
+            result.score = ordered.length;
+            return result;
+        }
+
+        for (let k = 0; k < log.length; k++) {
+            if (log[k] === k) {
+                // option is in its position
+                result.correct.push(k);
+            } else {
+                result.wrong.push(k);
+            }
+        }
+
+        if (this.orderScoring === 'all-or-nothing') {
+            result.score = (result.wrong.length === 0) ? 1 : 0;
+        } else {
+            result.score = result.correct.length;
+        }
+
+        return result;
+    }
+}
+
+module.exports = OrderingTest;
@@ -0,0 +1,159 @@
+const Ajv = require('ajv');
+
+// load local dependencies
+const logger = require('../../../utils/logger');
+const BaseTest = require('./base');
+
+class PairsTest extends BaseTest {
+    constructor(config) {
+        super();
+        this.config = config;
+
+        if (!this.loadConfig(config)) {
+            throw new Error('Invalid test config');
+        }
+    }
+
+    /**
+     * Get the name of this test. Should always match the 'category' property of the test config
+     * in a config.json file.
+     *
+     * @returns Name as String
+     */
+    static get name() {
+        return 'pairs';
+    }
+
+    /**
+     * Get the static schema that is shared across all instances of this class.
+     * When loading a config file to instantiate an object of this class, the config file contents
+     * are validated against this schema.
+     *
+     * @returns Schema as String
+     */
+    static get schema() {
+        // deep copy
+        const schema = JSON.parse(JSON.stringify(BaseTest.baseSchema));
+
+        /**
+         * Schema for a pairs test.
+         * Every option (left item) has to be connected to one of the targets (right items).
+         *
+         * ================
+         * === REQUIRED ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   **           See BaseTest.schema
+         *                Pairs: 'correct' attribute is enforced and of type integer. It is the
+         *                       index of the matching target.
+         * ----------------------------------------------------------------------------------------
+         *   targets      Array: list of right items
+         *                There may be more targets than options (distractors), and several
+         *                options may share the same target.
+         *                "targets": [
+         *                  "dog",
+         *                  "cat",
+         *                  "horse"
+         *                ]
+         * ----------------------------------------------------------------------------------------
+         */
+        schema['$id'] = 'PairsTest';
+        schema['properties']['category'] = {"const": "pairs"};
+        schema['properties']['options']['items']['properties']['correct'] = {
+            "type": "integer",
+            "minimum": 0
+        };
+        schema['properties']['options']['items']['required'].push('correct');
+        schema['properties']['targets'] = {
+            "type": "array",
+            "minItems": 1,
+            "items": {"type": "string"}
+        };
+        schema['required'].push('targets');
+        return schema;
+    }
+
+    /**
+     * Get the max score that is possible for this test.
+     *
+     * @returns Score as Integer
+     */
+    get maxScore() {
+        let score = 0;
+        for (const opt of this.config['options']) {
+            if ('correct' in opt) {
+                score++;
+            }
+        }
+        return score;
+    }
+
+    /**
+     * Load test configuration from a JSON object.
+     *
+     * @param {String} config JSON config object
+     * @returns true on success, false otherwise
+     */
+    loadConfig(config) {
+        const ajv = new Ajv();
+        const validate = ajv.compile(PairsTest.schema);
+        if (!validate(config)) {
+            logger.warn('PairsTest: ' + JSON.stringify(validate.errors));
+            return false;
+        }
+
+        // the schema cannot express that 'correct' must refer to an existing target
+        for (const opt of config['options']) {
+            if (opt['correct'] >= config['targets'].length) {
+                logger.warn('PairsTest: unknown target ' + opt['correct'] + ' for option: '
+                            + opt['text']);
+                return false;
+            }
+        }
+
+        this.config = config;
+        return true;
+    }
+
+    /**
+     * Calculate the score for this test based on the given journal log.
+     * Every correctly connected option is worth one point, so partially correct answers still
+     * score.
+     *
+     * @param log Journal log as array containing the selected target index for each option
+     * @returns Object with three fields:
+     *      1. score (Integer)
+     *          Test score
+     *      2. correct (Array)
+     *          List of correct option indices
+     *      3. wrong (Array)
+     *          List of wrong option indices
+     */
+    calculateResult(log) {
+        let result = {
+            score: 0,
+            correct: [],
+            wrong: []
+        };
+        for (let i = 0; i < log.length; i++) {
+            const testOptions = this.config['options'];
+            if (!Number.isInteger(log[i])) {
+                // option was not connected to any target
+                continue;
+            }
+
+            if (log[i] === testOptions[i]['correct']) {
+                // correct target was selected, award a point
+                result.correct.push(i);
+                result.score++;
+            } else {
+                result.wrong.push(i);
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = PairsTest;
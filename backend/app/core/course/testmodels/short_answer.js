@@ -0,0 +1,218 @@
+const Ajv = require('ajv');
+
+// load local dependencies
+const logger = require('../../../utils/logger');
+const BaseTest = require('./base');
+
+class ShortAnswerTest extends BaseTest {
+    constructor(config) {
+        super();
+        this.config = config;
+
+        if (!this.loadConfig(config)) {
+            throw new Error('Invalid test config');
+        }
+    }
+
+    /**
+     * Get the name of this test. Should always match the 'category' property of the test config
+     * in a config.json file.
+     *
+     * @returns Name as String
+     */
+    static get name() {
+        return 'short-answer';
+    }
+
+    /**
+     * Get the static schema that is shared across all instances of this class.
+     * When loading a config file to instantiate an object of this class, the config file contents
+     * are validated against this schema.
+     *
+     * @returns Schema as String
+     */
+    static get schema() {
+        // deep copy
+        const schema = JSON.parse(JSON.stringify(BaseTest.baseSchema));
+
+        /**
+         * Schema for a short-answer test.
+         * Each option is rendered as a blank input field the user has to type a word or phrase
+         * into.
+         *
+         * ================
+         * === REQUIRED ===
+         * ================
+         *
+         * ----------------------------------------------------------------------------------------
+         *   **           See BaseTest.schema
+         * ----------------------------------------------------------------------------------------
+         *   answers      Array: accepted answers for the option
+         *                Each answer is an object with the following members:
+         *                  value   String (required): the accepted answer or pattern
+         *                  mode    String (optional): how the input is compared to 'value'
+         *                          'exact'        -> input must equal value (default)
+         *                          'ignore-case'  -> like 'exact', but case-insensitive
+         *                          'regex'        -> value is a regular expression that has to
+         *                                            match the whole input
+         *                  points  Integer (optional): points awarded for this answer (default 1)
+         *                Leading/trailing whitespace of the input is always ignored. If several
+         *                answers match, the one with the most points is used.
+         * ----------------------------------------------------------------------------------------
+         */
+        schema['$id'] = 'ShortAnswerTest';
+        schema['properties']['category'] = {"const": "short-answer"};
+        schema['properties']['options']['items']['properties']['answers'] = {
+            "type": "array",
+            "minItems": 1,
+            "items": {
+                "type": "object",
+                "properties": {
+                    "value": {"type": "string"},
+                    "mode": {"enum": ["exact", "ignore-case", "regex"]},
+                    "points": {"type": "integer", "minimum": 0}
+                },
+                "required": ["value"],
+                "additionalProperties": false
+            }
+        };
+        schema['properties']['options']['items']['required'].push('answers');
+        return schema;
+    }
+
+    /**
+     * Get the fields that give the answers away, see BaseTest.secretFields.
+     *
+     * @returns Object with the names of the secret 'test' and 'option' fields
+     */
+    static get secretFields() {
+        return {
+            test: [],
+            option: ['answers']
+        };
+    }
+
+    /**
+     * Get the max score that is possible for this test.
+     *
+     * @returns Score as Integer
+     */
+    get maxScore() {
+        let score = 0;
+        for (const opt of this.config['options']) {
+            score += Math.max(...opt['answers'].map(ShortAnswerTest.answerPoints));
+        }
+        return score;
+    }
+
+    /**
+     * Load test configuration from a JSON object.
+     *
+     * @param {String} config JSON config object
+     * @returns true on success, false otherwise
+     */
+    loadConfig(config) {
+        const ajv = new Ajv();
+        const validate = ajv.compile(ShortAnswerTest.schema);
+        if (!validate(config)) {
+            logger.warn('ShortAnswerTest: ' + JSON.stringify(validate.errors));
+            return false;
+        }
+
+        // regular expressions are not covered by the schema, so make sure they compile
+        for (const opt of config['options']) {
+            for (const answer of opt['answers']) {
+                if (answer['mode'] !== 'regex') {
+                    continue;
+                }
+
+                try {
+                    new RegExp(answer['value']);
+                } catch (err) {
+                    logger.warn('ShortAnswerTest: invalid regular expression: ' + answer['value']);
+                    return false;
+                }
+            }
+        }
+
+        this.config = config;
+        return true;
+    }
+
+    /**
+     * Get the points awarded for an accepted answer.
+     *
+     * @param {Object} answer Answer object of an option
+     * @returns Points as Integer
+     */
+    static answerPoints(answer) {
+        return ('points' in answer) ? answer['points'] : 1;
+    }
+
+    /**
+     * Check whether a user input is matched by an accepted answer.
+     *
+     * @param {String} input User input, already trimmed
+     * @param {Object} answer Answer object of an option
+     * @returns true if the answer matches, false otherwise
+     */
+    static matches(input, answer) {
+        switch (answer['mode']) {
+        case 'ignore-case':
+            return input.toLowerCase() === answer['value'].trim().toLowerCase();
+        case 'regex':
+            // anchor the pattern, partial matches are not accepted
+            return new RegExp('^(?:' + answer['value'] + ')$').test(input);
+        default:
+            return input === answer['value'].trim();
+        }
+    }
+
+    /**
+     * Calculate the score for this test based on the given journal log.
+     *
+     * @param log Journal log as array containing the text entered for each option
+     * @returns Object with three fields:
+     *      1. score (Integer)
+     *          Test score
+     *      2. correct (Array)
+     *          List of correct option indices
+     *      3. wrong (Array)
+     *          List of wrong option indices
+     */
+    calculateResult(log) {
+        let result = {
+            score: 0,
+            correct: [],
+            wrong: []
+        };
+        for (let i = 0; i < log.length; i++) {
+            const testOptions = this.config['options'];
+            if (typeof log[i] !== 'string' || log[i].trim().length === 0) {
+                // no text was entered for this option
+                continue;
+            }
+
+            const input = log[i].trim();
+            let points = null;
+            for (const answer of testOptions[i]['answers']) {
+                if (ShortAnswerTest.matches(input, answer)) {
+                    points = Math.max(points || 0, ShortAnswerTest.answerPoints(answer));
+                }
+            }
+
+            if (points) {
+                // accepted answer was entered, award its points
+                result.correct.push(i);
+                result.score += points;
+            } else {
+                // no answer matched, or only answers that are worth nothing
+                result.wrong.push(i);
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = ShortAnswerTest;
@@ -1,12 +1,20 @@
 const db = require('../../db/db');
 const logger = require('../../utils/logger');
+const adaptive = require('../course/adaptive');
+const rasch = require('./rasch');
+const ResultController = require('./result.controller');
 const error = require('../../shared/error');
 
 module.exports = {
+    arrange,
     loadLog,
     loadStructure,
+    loadTiming,
+    nextTest,
     saveLog,
-    saveStructure
+    saveStructure,
+    saveTiming,
+    startTiming
 }
 
 /**
@@ -132,3 +140,375 @@ function saveStructure(req, res, next) {
         next(err);
     });
 }
+
+/**
+ * Express.js controller.
+ * Load the journal timing for a given user (pin) and return it in the response object.
+ * HTTP 200 will be set on success, HTTP 404 if the user or the journal do not exist,
+ * HTTP 500 otherwise.
+ *
+ * @param {*} req HTTP request
+ * @param {*} res HTTP response
+ * @param {*} next ...
+ */
+function loadTiming(req, res, next) {
+    const bodyPin = Number.parseInt(req.body.pin);
+
+    db.User.findOne({
+        pin: bodyPin
+    }).then(user => {
+        if (!user) {
+            logger.warn('No user for pin: ' + bodyPin);
+            res.status(404).json({ error: error.ServerError.E_DBQUERY });
+            return;
+        }
+
+        if (!user.journal) {
+            logger.warn('No journal timing for pin: ' + bodyPin);
+            res.status(404).json({ error: error.ServerError.E_DBQUERY });
+            return;
+        }
+        logger.info('Loaded journal timing for pin: ' + bodyPin);
+        res.status(200).json(user.journal.timing || { tests: [] });
+    }).catch(err => {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_DBIO });
+        next(err);
+    });
+}
+
+/**
+ * Get the path of the open visit of a single test in the user document, see startTiming().
+ *
+ * @param id Single test id from the request body
+ * @returns Path as String, null if the id is no plain string or number
+ */
+function visitPath(id) {
+    if ((typeof id !== 'string' && typeof id !== 'number') || !/^[\w-]+$/.test(String(id))) {
+        return null;
+    }
+
+    return 'journal.visits.' + id;
+}
+
+/**
+ * Express.js controller.
+ * Open a visit of a single test for a given user (pin). The request body contains the test 'id'.
+ * The visit starts now, by the clock of the server; it is recorded once the user leaves the test,
+ * see saveTiming(). Opening a visit that is already open keeps its start, so that the visit cannot
+ * be shortened right before it is recorded.
+ * HTTP 200 will be set on success, HTTP 400 for invalid test ids, HTTP 403 for locked results,
+ * HTTP 404 if the user does not exist, HTTP 500 otherwise.
+ *
+ * @param {*} req HTTP request
+ * @param {*} res HTTP response
+ * @param {*} next ...
+ */
+async function startTiming(req, res, next) {
+    const bodyPin = Number.parseInt(req.body.pin);
+    const path = visitPath(req.body.id);
+    let user;
+
+    if (path === null) {
+        logger.warn('Invalid test visit for pin: ' + bodyPin);
+        res.status(400).json({ error: error.ServerError.E_INVAL });
+        return;
+    }
+
+    // fetch the user for the given pincode
+    try {
+        user = await db.User.findOne({
+            pin: bodyPin
+        });
+    } catch(err) {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_DBIO });
+        next(err);
+        return;
+    }
+
+    if (!user) {
+        logger.warn('No user for pin: ' + bodyPin);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    // the timing of locked results must match the stored results
+    if (user.result && user.result.validationCode) {
+        logger.warn('Results for pin: ' + bodyPin + ' are already locked, not opening visits');
+        res.status(403).json({ error: error.ServerError.E_ACCESS });
+        return;
+    }
+
+    // only open visits that are not open yet, in one update to be safe from concurrent requests
+    db.User.updateOne({ pin: bodyPin, [path]: { $exists: false } }, {
+        [path]: new Date()
+    }, { upsert: false }).then(result => { // eslint-disable-line no-unused-vars
+        logger.info('Opened visit of test: ' + req.body.id + ' for pin: ' + bodyPin);
+        res.status(200).send();
+    }).catch(err => {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_DBIO });
+        next(err);
+    });
+}
+
+/**
+ * Express.js controller.
+ * Record the open visit of a single test for a given user (pin), see startTiming(). The request
+ * body contains the test 'id'. The duration of the visit is measured by the clock of the server,
+ * durations reported by the browser are ignored since they decide on the speed bonus (see
+ * bonus.js). The first visit sets the first view of the test, later visits count as revisits;
+ * the durations of all visits are summed up as active time.
+ * HTTP 200 will be set on success, HTTP 400 for invalid test ids or if the test has no open visit,
+ * HTTP 403 for locked results, HTTP 404 if the user does not exist, HTTP 500 otherwise.
+ *
+ * @param {*} req HTTP request
+ * @param {*} res HTTP response
+ * @param {*} next ...
+ */
+async function saveTiming(req, res, next) {
+    const bodyPin = Number.parseInt(req.body.pin);
+    const path = visitPath(req.body.id);
+    let user;
+
+    if (path === null) {
+        logger.warn('Invalid test visit for pin: ' + bodyPin);
+        res.status(400).json({ error: error.ServerError.E_INVAL });
+        return;
+    }
+
+    // fetch the user for the given pincode
+    try {
+        user = await db.User.findOne({
+            pin: bodyPin
+        });
+    } catch(err) {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_DBIO });
+        next(err);
+        return;
+    }
+
+    if (!user) {
+        logger.warn('No user for pin: ' + bodyPin);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    // the timing of locked results must match the stored results
+    if (user.result && user.result.validationCode) {
+        logger.warn('Results for pin: ' + bodyPin + ' are already locked, not recording visits');
+        res.status(403).json({ error: error.ServerError.E_ACCESS });
+        return;
+    }
+
+    const visits = (user.journal && user.journal.visits) || {};
+    const start = new Date(visits[req.body.id]);
+    if (isNaN(start.getTime())) {
+        logger.warn('No open visit of test: ' + req.body.id + ' for pin: ' + bodyPin);
+        res.status(400).json({ error: error.ServerError.E_INVAL });
+        return;
+    }
+
+    const now = new Date();
+    const duration = Math.max(now.getTime() - start.getTime(), 0);
+    const timing = JSON.parse(JSON.stringify((user.journal && user.journal.timing) || {}));
+    const tests = timing.tests || [];
+    const entry = tests.find(test => String(test.id) === String(req.body.id));
+    if (entry) {
+        entry.active += duration;
+        entry.revisits++;
+    } else {
+        tests.push({
+            id: req.body.id,
+            firstView: start,
+            active: duration,
+            revisits: 0
+        });
+    }
+
+    db.User.updateOne({ pin: bodyPin }, {
+        'journal.lastUpdate': now,
+        'journal.timing': { tests: tests },
+        $unset: { [path]: '' }
+    }, { upsert: false }).then(result => { // eslint-disable-line no-unused-vars
+        logger.info('Recorded visit of test: ' + req.body.id + ' for pin: ' + bodyPin);
+        res.status(200).send();
+    }).catch(err => {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_DBIO });
+        next(err);
+    });
+}
+
+/**
+ * Sort the tests of a journal set in the order of the set config.
+ * Every test is placed at the position of the set element it belongs to (the test itself or its
+ * test group); tests of the same element keep their order.
+ *
+ * @param {JSON} config Course config
+ * @param {JSON} setConfig Set config
+ * @param {Array} tests Single test ids of the journal set
+ * @returns Array of single test ids
+ */
+function arrange(config, setConfig, tests) {
+    const position = id => setConfig['elements'].findIndex(elem => {
+        if (String(elem) === String(id)) {
+            return true;
+        }
+        const group = (config['testgroups'] || []).find(group =>
+            String(group['id']) === String(elem));
+        return group !== undefined && group['tests'].some(test => String(test) === String(id));
+    });
+
+    // Array.prototype.sort is not guaranteed to be stable, so the index breaks ties
+    return tests
+        .map((id, index) => ({ id: id, index: index, position: position(id) }))
+        .sort((a, b) => (a.position - b.position) || (a.index - b.index))
+        .map(entry => entry.id);
+}
+
+/**
+ * Express.js controller.
+ * Pick the next test of an adaptive test group for a given user (pin) and add it to the journal
+ * structure. The request body contains the 'set' and the adaptive test 'group'. The answers of
+ * the tests that were presented so far decide on the difficulty, see adaptive.js.
+ * Responds with the id of the test, which is null once the group is complete.
+ * HTTP 200 will be set on success, HTTP 400 for invalid sets or groups, HTTP 403 for locked
+ * results, HTTP 404 if the user or the course do not exist, HTTP 500 otherwise.
+ *
+ * @param {*} req HTTP request
+ * @param {*} res HTTP response
+ * @param {*} next ...
+ */
+async function nextTest(req, res, next) {
+    const bodyPin = Number.parseInt(req.body.pin);
+    let course;
+    let user;
+    let courseConfig = null;
+
+    // fetch the user for the given pincode
+    try {
+        user = await db.User.findOne({
+            pin: bodyPin
+        });
+    } catch(err) {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_DBIO });
+        next(err);
+        return;
+    }
+
+    if (!user) {
+        logger.warn('No user for pin: ' + bodyPin);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    // fetch the course config for the given pincode, it contains the adaptive test group
+    try {
+        course = await db.Course.findOne({
+            name: user.journal.structure.course
+        });
+    } catch(err) {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_DBIO });
+        next(err);
+        return;
+    }
+
+    if (!course) {
+        logger.warn('Could not find course: ' + user.journal.structure.course + ' for pin: ' +
+                    bodyPin);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    // get the config for the selected language
+    for (const obj of course.configs) {
+        if (obj.language === user.journal.structure.language) {
+            courseConfig = obj.config;
+            break;
+        }
+    }
+
+    if (courseConfig === null) {
+        logger.warn('Could not find course: ' + user.journal.structure.course + ' config for' +
+                    ' language: ' + user.journal.structure.language);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    // the structure of locked results must match the stored results
+    if (user.result && user.result.validationCode) {
+        logger.warn('Results for pin: ' + bodyPin + ' are already locked, not adding tests');
+        res.status(403).json({ error: error.ServerError.E_ACCESS });
+        return;
+    }
+
+    const structure = JSON.parse(JSON.stringify(user.journal.structure));
+    const journalSet = structure.sets.find(set => String(set.set) === String(req.body.set));
+    const setConfig = (courseConfig['sets'] || []).find(set =>
+        String(set['id']) === String(req.body.set));
+    const group = (courseConfig['testgroups'] || []).find(group =>
+        String(group['id']) === String(req.body.group));
+
+    if (!journalSet || !setConfig || !group || !('adaptive' in group) ||
+        !setConfig['elements'].some(elem => String(elem) === String(group['id']))) {
+        logger.warn('No adaptive test group: ' + req.body.group + ' in set: ' + req.body.set +
+                    ' for pin: ' + bodyPin);
+        res.status(400).json({ error: error.ServerError.E_INVAL });
+        return;
+    }
+
+    // the tests of the group that were presented so far, in the order they were presented
+    const presented = journalSet.tests.filter(id =>
+        group['tests'].some(test => String(test) === String(id)));
+
+    // evaluate them to find out which ones were solved
+    const results = ResultController.calculate(courseConfig, {
+        structure: {
+            sets: [{ set: journalSet.set, tests: presented }],
+            seeds: structure.seeds,
+            values: structure.values
+        },
+        log: user.journal.log,
+        permutations: user.journal.permutations
+    });
+
+    if (results === null) {
+        logger.warn('Could not evaluate adaptive test group: ' + group['id'] + ' for pin: ' +
+                    bodyPin);
+        res.status(400).json({ error: error.ServerError.E_INVAL });
+        return;
+    }
+
+    const answers = presented.map(id => {
+        const result = results.find(result => String(result.id) === String(id));
+        return result !== undefined && rasch.solved(result);
+    });
+    const tests = group['tests'].map(id => courseConfig['tests'].find(test => test['id'] === id));
+    const id = adaptive.next(group, tests, presented, answers);
+
+    if (id === null) {
+        logger.info('Adaptive test group: ' + group['id'] + ' is complete for pin: ' + bodyPin);
+        res.status(200).json({ id: null });
+        return;
+    }
+
+    journalSet.tests = arrange(courseConfig, setConfig, journalSet.tests.concat([id]));
+
+    db.User.updateOne({ pin: bodyPin }, {
+        'journal.lastUpdate': new Date(),
+        'journal.structure': structure
+    }, { upsert: false }).then(result => { // eslint-disable-line no-unused-vars
+        logger.info('Added test: ' + id + ' of adaptive test group: ' + group['id'] +
+                    ' for pin: ' + bodyPin);
+        res.status(200).json({ id: id });
+    }).catch(err => {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_DBIO });
+        next(err);
+    });
+}
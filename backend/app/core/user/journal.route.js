@@ -12,4 +12,10 @@ function v1(app) {
     app.post('/api/v1/journal/log/save', overlord.wrapFunction(controller.saveLog));
     app.post('/api/v1/journal/structure/load', overlord.wrapFunction(controller.loadStructure));
     app.post('/api/v1/journal/structure/save', overlord.wrapFunction(controller.saveStructure));
+    app.post('/api/v1/journal/timing/load', overlord.wrapFunction(controller.loadTiming));
+    app.post('/api/v1/journal/timing/start', overlord.wrapFunction(controller.startTiming));
+    app.post('/api/v1/journal/timing/save', overlord.wrapFunction(controller.saveTiming));
+
+    // adaptive test groups
+    app.post('/api/v1/journal/structure/next', overlord.wrapFunction(controller.nextTest));
 }
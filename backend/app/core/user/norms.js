@@ -0,0 +1,193 @@
+const db = require('../../db/db');
+const logger = require('../../utils/logger');
+
+/*
+ * Courses opt in to percentile ranks with a norms block in the course config:
+ *
+ *   "norms": {
+ *       "minCohort": 30        // locked results with a percentage of a set needed before
+ *                              // its percentile is reported
+ *   }
+ *
+ * The percentile rank of a set compares the weighted set percentage of a user with the ones of
+ * all locked results (the ones with a validation code) for the same course and language.
+ */
+
+// distributions older than this are recomputed on access, even if no refresh task is scheduled
+const MAX_AGE = 24 * 60 * 60 * 1000;
+
+// cached distributions, keyed by course and language
+const CACHE = {};
+
+module.exports = {
+    compute,
+    distribution,
+    percentileRank,
+    percentiles,
+    refresh,
+    reset
+}
+
+/**
+ * Get the cache key for a course and language.
+ *
+ * @param {String} course Course name
+ * @param {String} language Config language
+ * @returns Key as String
+ */
+function key(course, language) {
+    return course + '|' + language;
+}
+
+/**
+ * Compute the distribution of the set percentages of all locked results for a course and
+ * language and store it in the cache.
+ *
+ * @param {String} course Course name
+ * @param {String} language Config language
+ * @returns Distribution object with three fields:
+ *      1. cohort (Integer)
+ *          Number of locked results
+ *      2. sets (Object)
+ *          Sorted percentages of the locked results, keyed by set id
+ *      3. updated (Number)
+ *          Timestamp of the computation
+ */
+async function compute(course, language) {
+    const users = await db.User.find({
+        'journal.structure.course': course,
+        'journal.structure.language': language,
+        'result.validationCode': { '$ne': null }
+    }, 'result.sets');
+
+    let entry = {
+        cohort: users.length,
+        sets: {},
+        updated: Date.now()
+    };
+
+    for (const user of users) {
+        for (const set of user.result.sets || []) {
+            if (set.percentage === null || set.percentage === undefined) {
+                // nothing to compare, e.g. profile tests
+                continue;
+            }
+            if (!(set.id in entry.sets)) {
+                entry.sets[set.id] = [];
+            }
+            entry.sets[set.id].push(set.percentage);
+        }
+    }
+
+    for (const id of Object.keys(entry.sets)) {
+        entry.sets[id].sort((a, b) => a - b);
+    }
+
+    CACHE[key(course, language)] = entry;
+    return entry;
+}
+
+/**
+ * Get the cached distribution for a course and language.
+ * Missing or outdated distributions are computed first.
+ *
+ * @param {String} course Course name
+ * @param {String} language Config language
+ * @returns Distribution object, see compute()
+ */
+async function distribution(course, language) {
+    const entry = CACHE[key(course, language)];
+    if (entry && Date.now() - entry.updated < MAX_AGE) {
+        return entry;
+    }
+
+    return compute(course, language);
+}
+
+/**
+ * Recompute the distributions of all courses that opted in to norms.
+ * Meant to be run as a scheduled task, see utils/gc.js.
+ *
+ * @returns Number of recomputed distributions
+ */
+async function refresh() {
+    const courses = await db.Course.find();
+    let count = 0;
+
+    for (const course of courses) {
+        for (const obj of course.configs) {
+            if (!obj.config || !obj.config['norms']) {
+                continue;
+            }
+            await compute(course.name, obj.language);
+            count++;
+        }
+    }
+
+    logger.debug('Norms: recomputed ' + count + ' distributions');
+    return count;
+}
+
+/**
+ * Clear the cache.
+ */
+function reset() {
+    for (const id of Object.keys(CACHE)) {
+        delete CACHE[id];
+    }
+}
+
+/**
+ * Calculate the percentile rank of a value in a sorted list: the share of values below it,
+ * counting equal values half.
+ *
+ * @param {Array} sorted Values in ascending order
+ * @param {Number} value Value to rank
+ * @returns Percentile rank (0 - 100) rounded to two decimals, null for empty lists
+ */
+function percentileRank(sorted, value) {
+    if (sorted.length === 0) {
+        return null;
+    }
+
+    let below = 0;
+    let equal = 0;
+    for (const other of sorted) {
+        if (other < value) {
+            below++;
+        } else if (other === value) {
+            equal++;
+        } else {
+            break;
+        }
+    }
+
+    return Math.round((below + 0.5 * equal) / sorted.length * 10000) / 100;
+}
+
+/**
+ * Rank the set percentages of a user in a distribution.
+ *
+ * @param {Object} norms Norms block of the course config
+ * @param {Object} entry Distribution, see compute()
+ * @param {Array} sets Weighted sets of the user, see result.controller.weigh()
+ * @returns Object of percentile ranks keyed by set id; a rank is null if fewer locked results
+ *          than the configured minimum have a percentage for the set or the set has no percentage
+ */
+function percentiles(norms, entry, sets) {
+    let ranks = {};
+    for (const set of sets) {
+        ranks[set.id] = null;
+        if (!norms || !entry || set.percentage === null || set.percentage === undefined) {
+            continue;
+        }
+
+        // sets that few users reached are not ranked, even if the cohort is large enough
+        const sorted = entry.sets[set.id] || [];
+        if (sorted.length < norms['minCohort']) {
+            continue;
+        }
+        ranks[set.id] = percentileRank(sorted, set.percentage);
+    }
+    return ranks;
+}
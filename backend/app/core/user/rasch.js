@@ -0,0 +1,300 @@
+/**
+ * Schema for the Rasch model parameters of a course.
+ * Courses that want an ability estimate per set list the item difficulties (logits) of their
+ * evaluated single tests, keyed by test id:
+ *
+ *   "rasch": {
+ *       "difficulties": {
+ *           "1002": -0.35,
+ *           "1003": 1.2
+ *       }
+ *   }
+ *
+ * The difficulties can be calibrated offline from the locked results of a course, see
+ * 'node admin.js course calibrate'. A test counts as solved if the user reached its max score.
+ */
+const RASCH_SCHEMA = {
+    "type": "object",
+    "properties": {
+        "difficulties": {
+            "type": "object",
+            "additionalProperties": {"type": "number"}
+        }
+    },
+    "required": ["difficulties"],
+    "additionalProperties": false
+};
+
+// Newton-Raphson settings
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 0.0001;
+// largest step in logits, keeps the iteration from overshooting for very uneven responses
+const MAX_STEP = 1;
+// extreme scores are moved this far towards the center (in raw score points)
+const EXTREME = 0.3;
+
+module.exports = {
+    RASCH_SCHEMA,
+    abilities,
+    calibrate,
+    estimate,
+    probability,
+    solved
+}
+
+/**
+ * Probability of a correct answer in the Rasch model.
+ *
+ * @param {Number} theta Ability of the person (logits)
+ * @param {Number} difficulty Difficulty of the item (logits)
+ * @returns Probability between 0 and 1
+ */
+function probability(theta, difficulty) {
+    return 1 / (1 + Math.exp(difficulty - theta));
+}
+
+/**
+ * Check whether a single test result counts as a correct answer.
+ *
+ * @param {Object} result Single test result, see result.controller.calculate()
+ * @returns true if the user reached the max score without the speed bonus, false otherwise
+ */
+function solved(result) {
+    const score = result.score - (result.bonus || 0);
+    const maxScore = result.maxScore - (result.maxBonus || 0);
+    return maxScore > 0 && score >= maxScore;
+}
+
+/**
+ * Round a value to four decimals.
+ *
+ * @param {Number} value Value to round
+ * @returns Rounded value
+ */
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Estimate the ability of a person from its answers to items with known difficulties (maximum
+ * likelihood). Extreme scores (nothing or everything solved) have no finite estimate, so their
+ * raw score is moved slightly towards the center.
+ *
+ * @param {Array} difficulties Difficulties of the answered items
+ * @param {Array} answers Whether the items were solved, in the same order
+ * @returns Object with the ability 'theta' and its standard error 'se', null without items
+ */
+function estimate(difficulties, answers) {
+    const count = difficulties.length;
+    if (count === 0) {
+        return null;
+    }
+
+    let raw = answers.filter(answer => answer).length;
+    raw = Math.min(Math.max(raw, EXTREME), count - EXTREME);
+
+    let theta = Math.log(raw / (count - raw));
+    let information = 0;
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        let expected = 0;
+        information = 0;
+        for (const difficulty of difficulties) {
+            const p = probability(theta, difficulty);
+            expected += p;
+            information += p * (1 - p);
+        }
+
+        let step = (raw - expected) / information;
+        step = Math.min(Math.max(step, -MAX_STEP), MAX_STEP);
+        theta += step;
+        if (Math.abs(step) < TOLERANCE) {
+            break;
+        }
+    }
+
+    return {
+        theta: round(theta),
+        se: round(1 / Math.sqrt(information))
+    };
+}
+
+/**
+ * Estimate the ability per set for the test results of a user.
+ * Tests without a difficulty in the Rasch block are ignored.
+ *
+ * @param {JSON} config Course config
+ * @param {JSON} structure Journal structure
+ * @param {Array} tests Single test results, see result.controller.calculate()
+ * @returns Array of objects with the 'set' id, the ability 'theta', its standard error 'se' and
+ *          the number of 'items' used; theta and se are null if the set has no such items. Null
+ *          if the course has no Rasch block.
+ */
+function abilities(config, structure, tests) {
+    if (!config['rasch']) {
+        return null;
+    }
+
+    const known = config['rasch']['difficulties'];
+    let estimates = [];
+
+    for (const journalSet of structure.sets) {
+        let difficulties = [];
+        let answers = [];
+
+        for (const singleTestID of journalSet.tests) {
+            const result = tests.find(test => String(test.id) === String(singleTestID));
+            if (!result || !(String(singleTestID) in known)) {
+                continue;
+            }
+            difficulties.push(known[String(singleTestID)]);
+            answers.push(solved(result));
+        }
+
+        const ability = estimate(difficulties, answers);
+        estimates.push({
+            set: journalSet.set,
+            theta: ability ? ability.theta : null,
+            se: ability ? ability.se : null,
+            items: difficulties.length
+        });
+    }
+
+    return estimates;
+}
+
+/**
+ * Calibrate item difficulties from the answers of many persons (joint maximum likelihood).
+ * Persons and items with extreme scores carry no information about the others and are left out;
+ * the difficulties are centered at zero.
+ *
+ * @param {Array} persons Answers of each person, objects of solved flags keyed by item id
+ * @returns Object with the calibrated 'difficulties' keyed by item id, the 'persons' used and the
+ *          'skipped' item ids
+ */
+function calibrate(persons) {
+    let items = {};
+    for (const person of persons) {
+        for (const id of Object.keys(person)) {
+            items[id] = items[id] || { answers: 0, solved: 0 };
+            items[id].answers++;
+            items[id].solved += person[id] ? 1 : 0;
+        }
+    }
+
+    // drop extreme items and persons until none are left, one can turn the other extreme
+    let used = persons;
+    let skipped = [];
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const id of Object.keys(items)) {
+            if (items[id].solved === 0 || items[id].solved === items[id].answers) {
+                skipped.push(id);
+                delete items[id];
+                changed = true;
+            }
+        }
+
+        const before = used.length;
+        used = used.map(person => {
+            let answers = {};
+            for (const id of Object.keys(person)) {
+                if (id in items) {
+                    answers[id] = person[id];
+                }
+            }
+            return answers;
+        }).filter(person => {
+            const answers = Object.values(person);
+            const raw = answers.filter(answer => answer).length;
+            return raw > 0 && raw < answers.length;
+        });
+
+        if (used.length !== before) {
+            changed = true;
+        }
+
+        for (const id of Object.keys(items)) {
+            items[id] = { answers: 0, solved: 0 };
+        }
+        for (const person of used) {
+            for (const id of Object.keys(person)) {
+                items[id].answers++;
+                items[id].solved += person[id] ? 1 : 0;
+            }
+        }
+    }
+
+    // start from the log odds of failing the item, resp. solving the items
+    let difficulties = {};
+    for (const id of Object.keys(items)) {
+        difficulties[id] = Math.log((items[id].answers - items[id].solved) / items[id].solved);
+    }
+    let thetas = used.map(person => {
+        const answers = Object.values(person);
+        const raw = answers.filter(answer => answer).length;
+        return Math.log(raw / (answers.length - raw));
+    });
+
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        let change = 0;
+
+        // persons, given the current difficulties
+        thetas = thetas.map((theta, index) => {
+            const person = used[index];
+            let expected = 0;
+            let information = 0;
+            let raw = 0;
+            for (const id of Object.keys(person)) {
+                const p = probability(theta, difficulties[id]);
+                expected += p;
+                information += p * (1 - p);
+                raw += person[id] ? 1 : 0;
+            }
+            let step = (raw - expected) / information;
+            step = Math.min(Math.max(step, -MAX_STEP), MAX_STEP);
+            change = Math.max(change, Math.abs(step));
+            return theta + step;
+        });
+
+        // items, given the current abilities
+        for (const id of Object.keys(difficulties)) {
+            let expected = 0;
+            let information = 0;
+            used.forEach((person, index) => {
+                if (!(id in person)) {
+                    return;
+                }
+                const p = probability(thetas[index], difficulties[id]);
+                expected += p;
+                information += p * (1 - p);
+            });
+            let step = (expected - items[id].solved) / information;
+            step = Math.min(Math.max(step, -MAX_STEP), MAX_STEP);
+            change = Math.max(change, Math.abs(step));
+            difficulties[id] += step;
+        }
+
+        // center the difficulties to fix the scale
+        const ids = Object.keys(difficulties);
+        const mean = ids.reduce((sum, id) => sum + difficulties[id], 0) / ids.length;
+        for (const id of ids) {
+            difficulties[id] -= mean;
+        }
+        thetas = thetas.map(theta => theta - mean);
+
+        if (change < TOLERANCE) {
+            break;
+        }
+    }
+
+    for (const id of Object.keys(difficulties)) {
+        difficulties[id] = round(difficulties[id]);
+    }
+
+    return {
+        difficulties: difficulties,
+        persons: used.length,
+        skipped: skipped.sort()
+    };
+}
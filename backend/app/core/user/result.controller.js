@@ -1,21 +1,29 @@
 const db = require('../../db/db');
 const logger = require('../../utils/logger');
+const norms = require('./norms');
+const bonus = require('../course/bonus');
 const courseTestModels = require('../course/testmodels');
+const rasch = require('./rasch');
+const recommendation = require('../course/recommendation');
+const template = require('../course/template');
 const error = require('../../shared/error');
 
 module.exports = {
+    aggregate,
     calculate,
     generateValidationCode,
     load,
     lock,
-    update
+    update,
+    weigh
 }
 
 /**
  * Calculate result for a user based on the course config and journal (log and structure).
  *
  * @param {JSON} config Course config
- * @param {JSON} journal Journal object containing log and structure
+ * @param {JSON} journal Journal object containing log, structure and the delivered order of the
+ *                       ordering tests ('permutations')
  * @returns Array of single test results on success, null otherwise
  *
  * Example output array:
@@ -74,17 +82,26 @@ function calculate(config, journal) {
                 continue;
             }
 
-            // get the test log
-            for (const set of journal.log.sets) {
-                for (const map of set.maps) {
-                    if (map['key'] === singleTestID) {
-                        // found the test config
-                        testLog = map['val'];
-                        break;
-                    }
+            // parameterized tests are evaluated with the values the user got
+            if ('variables' in testConfig) {
+                const values = (journal.structure.values || {})[singleTestID];
+                if (!template.validateValues(testConfig['variables'], values)) {
+                    logger.warn('Invalid variable values for test: ' + singleTestID);
+                    return null;
+                }
+
+                try {
+                    testConfig = template.apply(testConfig, values);
+                } catch (err) {
+                    logger.warn('Failed to apply variable values for test: ' + singleTestID +
+                                ': ' + err.message);
+                    return null;
                 }
             }
 
+            // get the test log
+            testLog = findLog(journal, singleTestID);
+
             // again, this should never happen, but just in case..
             if (testLog === null) {
                 logger.warn('Could not find test log for id: ' + singleTestID);
@@ -94,7 +111,17 @@ function calculate(config, journal) {
             // everything we need is available by now
             testsData[singleTestID] = {
                 config: testConfig,
-                log: testLog
+                log: testLog,
+                // time spent on the test, needed for the speed bonus
+                timing: findTiming(journal, singleTestID),
+                context: {
+                    // generated tests (e.g. cancellation) are re-created from their seed
+                    seed: (journal.structure.seeds || {})[singleTestID],
+                    // ordering tests are logged in the order their options were delivered in
+                    permutation: (journal.permutations || {})[singleTestID],
+                    // course-wide scoring policy, single tests may override it
+                    scoring: config['scoring']
+                }
             };
         }
     }
@@ -105,9 +132,17 @@ function calculate(config, journal) {
      * tests: Array of objects containing information about each single test:
      *   id: test ID
      *   score: test score, aka the number of correct answers (selected options)
+     *          Tests with partial credit (e.g. estimate) may yield fractional scores.
+     *          The scoring policy of the test (penalties, all-or-nothing, ...) is applied.
      *   maxScore: maximum achievable test score, calculated by the number of 'correct'
-     *             attributes in the test configs' options[] array
+     *             attributes in the test configs' options[] array or set by the scoring
+     *             policy
      *   correctOptions: Array of indices of correctly answered questions (options)
+     *   bonus: (speed tests with a 'bonus' only) Speed bonus for the time left, which is
+     *          included in the score
+     *   maxBonus: (speed tests with a 'bonus' only) Bonus points, included in the max score
+     *   dimensions: (profile tests only) Array of objects with the average rating per
+     *               dimension: { name, average, answered }
      */
     let tests = [];
     for (const key in testsData) {
@@ -127,19 +162,432 @@ function calculate(config, journal) {
             continue;
         }
 
-        result.maxScore = testInstance.maxScore;
-
-        const testResult = testInstance.calculateResult(test.log);
+        const testResult = testInstance.evaluate(test.log, test.context);
         result.score = testResult.score;
+        result.maxScore = testResult.maxScore;
         result.correctOptions = testResult.correct;
         result.wrongOptions = testResult.wrong;
 
+        // speed tests may award extra points for the time left, see bonus.js
+        if ('bonus' in test.config) {
+            result.bonus = bonus.award(test.config, result, test.timing);
+            result.maxBonus = test.config['bonus']['points'];
+            result.score = round(result.score + result.bonus);
+            result.maxScore += result.maxBonus;
+        }
+
+        // profile tests (e.g. likert) report dimension averages next to the score
+        if ('dimensions' in testResult) {
+            result.dimensions = testResult.dimensions;
+        }
+
         tests.push(result);
     }
 
     return tests;
 }
 
+/**
+ * Find the journal log of a single test.
+ *
+ * @param {JSON} journal Journal object containing log and structure
+ * @param singleTestID Single test id as stored in the journal structure
+ * @returns Log array on success, null otherwise
+ */
+function findLog(journal, singleTestID) {
+    for (const set of journal.log.sets) {
+        for (const map of set.maps) {
+            if (map['key'] === singleTestID) {
+                return map['val'];
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the journal timing of a single test.
+ *
+ * @param {JSON} journal Journal object, the timing may be missing
+ * @param singleTestID Single test id as stored in the journal structure
+ * @returns Timing object on success, null otherwise
+ */
+function findTiming(journal, singleTestID) {
+    const tests = (journal.timing && journal.timing.tests) || [];
+    return tests.find(test => String(test.id) === String(singleTestID)) || null;
+}
+
+/**
+ * Find an element of a course config array (tests, testgroups, sets) by its id.
+ *
+ * @param {Array} elements Config array, may be missing
+ * @param id Element id, compared as string since the journal may contain either type
+ * @returns Element on success, undefined otherwise
+ */
+function findById(elements, id) {
+    return (elements || []).find(elem => String(elem['id']) === String(id));
+}
+
+/**
+ * Get the weight of a course config element.
+ *
+ * @param {Object} element Single test, test group or set config, may be missing
+ * @returns Weight as Number (default 1)
+ */
+function weightOf(element) {
+    return (element && ('weight' in element)) ? element['weight'] : 1;
+}
+
+/**
+ * Get the weight of a single test within a set.
+ * Tests picked from a test group inherit the weight of the group.
+ *
+ * @param {JSON} config Course config
+ * @param {Object} setConfig Config of the set the test belongs to, may be missing
+ * @param singleTestID Single test id
+ * @returns Weight as Number
+ */
+function testWeight(config, setConfig, singleTestID) {
+    let weight = weightOf(findById(config['tests'], singleTestID));
+    const elements = setConfig ? setConfig['elements'] : [];
+
+    if (!elements.some(elem => String(elem) === String(singleTestID))) {
+        const group = (config['testgroups'] || []).find(group =>
+            elements.some(elem => String(elem) === String(group['id'])) &&
+            group['tests'].some(test => String(test) === String(singleTestID)));
+        weight *= weightOf(group);
+    }
+
+    return weight;
+}
+
+/**
+ * Calculate a percentage, rounded to two decimals.
+ *
+ * @param {Number} score Reached score
+ * @param {Number} maxScore Max score
+ * @returns Percentage as Number, null if there is nothing to score
+ */
+function percentage(score, maxScore) {
+    if (maxScore <= 0) {
+        return null;
+    }
+    return Math.round(score / maxScore * 10000) / 100;
+}
+
+/**
+ * Round a score to two decimals.
+ *
+ * @param {Number} score Score, possibly with floating point errors from weighting
+ * @returns Rounded score as Number
+ */
+function round(score) {
+    return Math.round(score * 100) / 100;
+}
+
+/**
+ * Calculate the weighted scores of the sets and the overall percentage.
+ * The score and max score of a single test are multiplied with its weight and the weight of the
+ * test group it was picked from. The weighted scores of a set are summed up and multiplied with
+ * the weight of the set for the overall percentage. Without any weights, every point counts the
+ * same.
+ *
+ * @param {JSON} config Course config
+ * @param {JSON} structure Journal structure
+ * @param {Array} tests Single test results, see calculate()
+ * @returns Object with the weighted 'sets' (id, score, maxScore, percentage) and the overall
+ *          'score', 'maxScore' and 'percentage'
+ */
+function weigh(config, structure, tests) {
+    let sets = [];
+    let score = 0;
+    let maxScore = 0;
+
+    for (const journalSet of structure.sets) {
+        const setConfig = findById(config['sets'], journalSet.set);
+        let set = {
+            id: journalSet.set,
+            score: 0,
+            maxScore: 0,
+            percentage: null
+        };
+
+        for (const singleTestID of journalSet.tests) {
+            const result = tests.find(test => String(test.id) === String(singleTestID));
+            if (!result) {
+                // not evaluated
+                continue;
+            }
+
+            const weight = testWeight(config, setConfig, singleTestID);
+            set.score += weight * result.score;
+            set.maxScore += weight * result.maxScore;
+        }
+
+        set.score = round(set.score);
+        set.maxScore = round(set.maxScore);
+        set.percentage = percentage(set.score, set.maxScore);
+        score += weightOf(setConfig) * set.score;
+        maxScore += weightOf(setConfig) * set.maxScore;
+        sets.push(set);
+    }
+
+    return {
+        sets: sets,
+        score: round(score),
+        maxScore: round(maxScore),
+        percentage: percentage(score, maxScore)
+    };
+}
+
+/**
+ * Resolve the evaluation texts of a set.
+ * The score dependent text is the first band whose upper bound is not below the percentage, e.g.
+ * [[33, "A"], [66, "B"], [100, "C"]] yields "B" for 50%.
+ *
+ * @param {Object} setConfig Set config, may be missing
+ * @param {Number} setPercentage Weighted percentage of the set, may be null
+ * @returns Object with the 'scoreIndependent' and 'scoreDependent' text, null if there is none
+ */
+function resolveTexts(setConfig, setPercentage) {
+    const texts = (setConfig && setConfig['evaluationTexts']) || {};
+    let scoreDependent = null;
+
+    if (setPercentage !== null) {
+        for (const band of texts['scoreDependent'] || []) {
+            if (setPercentage <= band[0]) {
+                scoreDependent = band[1];
+                break;
+            }
+        }
+    }
+
+    return {
+        scoreIndependent: texts['scoreIndependent'] || null,
+        scoreDependent: scoreDependent
+    };
+}
+
+/**
+ * Get the config of a single test as it was presented to the user.
+ * Parameterized tests get the values of the user, generated tests their seed and ordering tests
+ * list their options in the order they were delivered in.
+ *
+ * @param {JSON} config Course config
+ * @param {JSON} journal Journal object containing the structure
+ * @param singleTestID Single test id
+ * @returns Single test config
+ */
+function presentedTest(config, journal, singleTestID) {
+    const structure = journal.structure;
+    let test = Object.assign({}, findById(config['tests'], singleTestID));
+    const values = (structure.values || {})[singleTestID];
+    const seed = (structure.seeds || {})[singleTestID];
+    const permutation = (journal.permutations || {})[singleTestID];
+
+    if (('variables' in test) && values !== undefined) {
+        try {
+            test = template.apply(test, values);
+        } catch (err) {
+            logger.warn('Failed to apply variable values for test: ' + singleTestID + ': ' +
+                        err.message);
+        }
+        test['values'] = values;
+    }
+
+    if (seed !== undefined) {
+        test['seed'] = seed;
+    }
+
+    if (Array.isArray(permutation) && Array.isArray(test['options'])) {
+        test['options'] = permutation.map(k => test['options'][k]);
+    }
+
+    return test;
+}
+
+/**
+ * Get the stored recommendation of a result.
+ *
+ * @param {JSON} result Result object of a user
+ * @returns Object with the 'outcome' and 'text', null if the result is not locked or no rule
+ *          matched
+ */
+function recommendationOf(result) {
+    if (!result.validationCode || !result.recommendation || !result.recommendation.outcome) {
+        return null;
+    }
+
+    return {
+        outcome: result.recommendation.outcome,
+        text: result.recommendation.text
+    };
+}
+
+/**
+ * Get the distribution of the locked results for the course and language of a journal.
+ * Only courses with a 'norms' block have one. Failures are logged and leave out the percentile
+ * ranks instead of failing the request.
+ *
+ * @param {JSON} config Course config
+ * @param {JSON} structure Journal structure
+ * @returns Distribution object (see norms.compute()) or null
+ */
+async function normsOf(config, structure) {
+    if (!config['norms']) {
+        return null;
+    }
+
+    try {
+        return await norms.distribution(structure.course, structure.language);
+    } catch (err) {
+        logger.error(err);
+        return null;
+    }
+}
+
+/**
+ * Aggregate the results of a user for the evaluation.
+ * Everything the evaluation needs is part of the output, so it can be shown without any client
+ * state (e.g. on a new device with just the pin).
+ *
+ * @param {JSON} config Course config
+ * @param {JSON} journal Journal object containing log and structure
+ * @param {Array} tests Single test results, see calculate()
+ * @param {Object} distribution Optional distribution of the locked results, see norms.compute()
+ * @param {Boolean} locked Whether the result is locked; only locked results contain the answers
+ *                         and the feedback of the tests, unlocked ones their delivery view
+ *                         (see BaseTest.delivery())
+ * @returns Aggregated result object
+ *
+ * Example output object:
+  {
+    "sets": [
+      {
+        "id": 3001,
+        "score": 1,
+        "maxScore": 2,
+        "percentage": 50,
+        "percentile": 62.5,
+        "evaluationTexts": {
+          "scoreIndependent": "Thanks for taking the logic tests.",
+          "scoreDependent": "Not bad, but there is room for improvement."
+        },
+        "tests": [
+          {
+            "id": "1002",
+            "score": 1,
+            "maxScore": 2,
+            "correctOptions": [0],
+            "wrongOptions": [1],
+            "weight": 1,
+            "test": { "id": 1002, "type": "logic", "category": "multiple-choice", ... },
+            "log": [true, true]
+          }
+        ]
+      }
+    ],
+    "types": [
+      { "type": "logic", "score": 1, "maxScore": 2, "percentage": 50 }
+    ],
+    "score": 1,
+    "maxScore": 2,
+    "percentage": 50
+  }
+ *
+ */
+function aggregate(config, journal, tests, distribution, locked) {
+    /*
+     * OUTPUT DATA LAYOUT
+     *
+     * sets: Array of the sets that contain evaluated tests, in the order of the journal:
+     *   id, score, maxScore, percentage: weighted scores, see weigh()
+     *   percentile: percentile rank among the locked results, only for courses with 'norms'
+     *   evaluationTexts: texts of the set config, the score dependent band is resolved
+     *   tests: Array of single test results (see calculate()) with the 'weight' of the test,
+     *          the single test config as it was presented ('test', with its answers,
+     *          'solution' and option 'explanation' once the result is locked) and the journal 'log'
+     * types: Array of weighted subtotals per test 'type': type, score, maxScore, percentage
+     * score, maxScore, percentage: weighted overall scores, see weigh()
+     */
+    const weighted = weigh(config, journal.structure, tests);
+    const ranks = norms.percentiles(config['norms'], distribution, weighted.sets);
+    let sets = [];
+    let types = [];
+
+    journal.structure.sets.forEach((journalSet, index) => {
+        const setConfig = findById(config['sets'], journalSet.set);
+        let set = Object.assign({}, weighted.sets[index], {
+            evaluationTexts: resolveTexts(setConfig, weighted.sets[index].percentage),
+            tests: []
+        });
+        if (config['norms']) {
+            set.percentile = ranks[set.id];
+        }
+
+        for (const singleTestID of journalSet.tests) {
+            const result = tests.find(test => String(test.id) === String(singleTestID));
+            if (!result) {
+                // not evaluated
+                continue;
+            }
+
+            const weight = testWeight(config, setConfig, singleTestID);
+            const test = presentedTest(config, journal, singleTestID);
+            let setTest = {
+                id: result.id,
+                score: result.score,
+                maxScore: result.maxScore,
+                correctOptions: result.correctOptions,
+                wrongOptions: result.wrongOptions,
+                weight: weight,
+                test: locked ? test : courseTestModels.delivery(test),
+                log: findLog(journal, singleTestID)
+            };
+            if (result.dimensions) {
+                setTest.dimensions = result.dimensions;
+            }
+            if (result.bonus !== undefined && result.bonus !== null) {
+                setTest.bonus = result.bonus;
+                setTest.maxBonus = result.maxBonus;
+            }
+            set.tests.push(setTest);
+
+            let subtotal = types.find(entry => entry.type === test['type']);
+            if (!subtotal) {
+                subtotal = {
+                    type: test['type'],
+                    score: 0,
+                    maxScore: 0,
+                    percentage: null
+                };
+                types.push(subtotal);
+            }
+            subtotal.score += weight * result.score;
+            subtotal.maxScore += weight * result.maxScore;
+        }
+
+        // sets without evaluated tests are not part of the evaluation
+        if (set.tests.length > 0) {
+            sets.push(set);
+        }
+    });
+
+    for (const subtotal of types) {
+        subtotal.score = round(subtotal.score);
+        subtotal.maxScore = round(subtotal.maxScore);
+        subtotal.percentage = percentage(subtotal.score, subtotal.maxScore);
+    }
+
+    return {
+        sets: sets,
+        types: types,
+        score: weighted.score,
+        maxScore: weighted.maxScore,
+        percentage: weighted.percentage
+    };
+}
+
 /**
  * Generate a validation code for a given schema.
  *
@@ -273,39 +721,88 @@ function generateValidationCode(schema) {
 /**
  * Express.js controller.
  * Load the results for a given user (pin) and return them in the response object.
- * HTTP 200 will be set on success, HTTP 404 if no result object exists for the user,
+ * The results are aggregated for the evaluation, see aggregate(). Locked results also contain
+ * their 'recommendation' (null otherwise) and the answers and feedback of the tests.
+ * HTTP 200 will be set on success, HTTP 404 if the user or the course do not exist,
  * HTTP 500 otherwise.
  *
  * @param {*} req HTTP request
  * @param {*} res HTTP response
  * @param {*} next ...
  */
-function load(req, res, next) {
+async function load(req, res, next) {
     const bodyPin = Number.parseInt(req.body.pin);
+    let course;
+    let user;
+    let courseConfig = null;
 
-    // save the result to the database
-    db.User.findOne({
-        pin: bodyPin
-    }).then(user => {
-        if (!user) {
-            logger.warn('No user for pin: ' + bodyPin);
-            res.status(404).json({ error: error.ServerError.E_DBQUERY });
-            return;
-        }
+    // fetch the user for the given pincode
+    try {
+        user = await db.User.findOne({
+            pin: bodyPin
+        });
+    } catch(err) {
+        logger.error(err);
+        res.status(500).json({ error: error.ServerError.E_DBIO });
+        next(err);
+        return;
+    }
 
-        logger.info('Loaded result for pin: ' + bodyPin);
-        res.status(200).json(user.result.tests);
-    }).catch(err => {
+    if (!user) {
+        logger.warn('No user for pin: ' + bodyPin);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    // fetch the course config for the given pincode, it is needed to aggregate the results
+    try {
+        course = await db.Course.findOne({
+            name: user.journal.structure.course
+        });
+    } catch(err) {
         logger.error(err);
         res.status(500).json({ error: error.ServerError.E_DBIO });
         next(err);
-    });
+        return;
+    }
+
+    if (!course) {
+        logger.warn('Could not find course: ' + user.journal.structure.course + ' for pin: ' +
+                    bodyPin);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    // get the config for the selected language
+    for (const obj of course.configs) {
+        if (obj.language === user.journal.structure.language) {
+            courseConfig = obj.config;
+            break;
+        }
+    }
+
+    if (courseConfig === null) {
+        logger.warn('Could not find course: ' + user.journal.structure.course + ' config for' +
+                    ' language: ' + user.journal.structure.language);
+        res.status(404).json({ error: error.ServerError.E_DBQUERY });
+        return;
+    }
+
+    const distribution = await normsOf(courseConfig, user.journal.structure);
+
+    const locked = !!user.result.validationCode;
+    let evaluation = aggregate(courseConfig, user.journal, user.result.tests, distribution, locked);
+    evaluation.recommendation = recommendationOf(user.result);
+
+    logger.info('Loaded result for pin: ' + bodyPin);
+    res.status(200).json(evaluation);
 }
 
 /**
  * Express.js controller.
  * Lock results for a user (by pin).
- * This makes the result immutable to any further update API calls.
+ * This makes the result immutable to any further update API calls. The recommendation rules of
+ * the course are evaluated and their outcome is stored next to the validation code.
  * HTTP 200 will be set on success, HTTP 404 if the user or the course do not exist,
  * HTTP 500 otherwise.
  *
@@ -382,8 +879,13 @@ async function lock(req, res, next) {
 
     const validationCode = generateValidationCode(courseConfig['validationSchema']);
 
+    // the recommendation is final as well, so it is evaluated once with the locked results
+    const weighted = weigh(courseConfig, user.journal.structure, user.result.tests);
+    const outcome = recommendation.recommend(courseConfig['recommendations'], weighted.sets);
+
     db.User.updateOne({ pin: bodyPin }, {
-        'result.validationCode': validationCode
+        'result.validationCode': validationCode,
+        'result.recommendation': outcome
     }, { upsert: false }).then(result => { // eslint-disable-line no-unused-vars
         logger.info('Locked and generated validation code for pin: ' + bodyPin);
         res.status(200).json(validationCode);
@@ -396,8 +898,10 @@ async function lock(req, res, next) {
 
 /**
  * Express.js controller.
- * Update results for a user (by pin).
- * If a result is locked (by calling the lock API), this returns an error.
+ * Update results for a user (by pin) and return them in the response object, aggregated for the
+ * evaluation (see aggregate()).
+ * If a result is locked (by calling the lock API), the stored results are returned along with
+ * the stored 'recommendation' and the answers and feedback of the tests.
  * HTTP 200 will be set on success, HTTP 404 if the user or the course do not exist,
  * HTTP 500 otherwise.
  *
@@ -429,14 +933,6 @@ async function update(req, res, next) {
         return;
     }
 
-    // check whether the test results are frozen
-    if (user.result.validationCode) {
-        logger.warn('Results for pin: ' + bodyPin + ' are already locked, not updating them');
-        // TODO: respond with error indicating that results are locked
-        res.status(200).json(user.result.tests);
-        return;
-    }
-
     // fetch the course config for the given pincode
     try {
         course = await db.Course.findOne({
@@ -470,18 +966,44 @@ async function update(req, res, next) {
         return;
     }
 
+    const distribution = await normsOf(courseConfig, user.journal.structure);
+
+    // check whether the test results are frozen
+    if (user.result.validationCode) {
+        logger.warn('Results for pin: ' + bodyPin + ' are already locked, not updating them');
+        // TODO: respond with error indicating that results are locked
+        let evaluation = aggregate(courseConfig, user.journal, user.result.tests,
+            distribution, true);
+        evaluation.recommendation = recommendationOf(user.result);
+        res.status(200).json(evaluation);
+        return;
+    }
+
     const testResults = calculate(courseConfig, user.journal);
     if (testResults === null) {
         res.status(404).json({ error: error.ServerError.E_DBQUERY });
         return;
     }
 
+    const weighted = weigh(courseConfig, user.journal.structure, testResults);
+    let fields = {
+        'result.tests': testResults,
+        'result.sets': weighted.sets,
+        'result.percentage': weighted.percentage
+    };
+
+    // ability estimates for research use, see rasch.js
+    const abilities = rasch.abilities(courseConfig, user.journal.structure, testResults);
+    if (abilities !== null) {
+        fields['result.abilities'] = abilities;
+    }
+
     // save the result to the database
-    db.User.updateOne({ pin: bodyPin }, {
-        'result.tests': testResults
-    }, { upsert: false }).then(result => { // eslint-disable-line no-unused-vars
+    db.User.updateOne({ pin: bodyPin }, fields, { upsert: false }).then(result => { // eslint-disable-line no-unused-vars
         logger.info('Updated result for pin: ' + bodyPin);
-        res.status(200).send();
+        let evaluation = aggregate(courseConfig, user.journal, testResults, distribution, false);
+        evaluation.recommendation = recommendationOf(user.result);
+        res.status(200).json(evaluation);
     }).catch(err => {
         logger.error(err);
         res.status(500).json({ error: error.ServerError.E_DBIO });
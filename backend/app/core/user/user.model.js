@@ -24,6 +24,31 @@ const UserSchema = new mongoose.Schema({
                 _id: false, // stop generating id for nested document object
                 set: Object,
                 tests: Array
+            }],
+            /* seeds of generated tests (e.g. cancellation), keyed by test id */
+            seeds: Object,
+            /* variable values of parameterized tests, keyed by test id */
+            values: Object
+        },
+        /*
+         * order in which the options of ordering tests were delivered, keyed by test id, see
+         * course.controller.loadConfig(); never sent to the frontend
+         */
+        permutations: Object,
+        /* start of the open visit per test id, see journal.controller.startTiming() */
+        visits: Object,
+        /* time spent on the single tests, see journal.controller.saveTiming() */
+        timing: {
+            _id: false, // stop generating id for nested document object
+            tests: [{
+                _id: false, // stop generating id for nested document object
+                id: Object,
+                /* when the test was shown the first time */
+                firstView: Date,
+                /* total active time in milliseconds over all visits */
+                active: Number,
+                /* how often the test was shown again after the first visit */
+                revisits: Number
             }]
         }
     },
@@ -33,16 +58,57 @@ const UserSchema = new mongoose.Schema({
         * -- > generated once, immutable
         */
         validationCode: String,
+        /* outcome of the recommendation rules of the course, evaluated when the result is locked */
+        recommendation: {
+            outcome: String,
+            text: String
+        },
         tests: [{
             _id: false, // stop generating id for nested document object
             id: Object, // TODO: allow only a specific type once the spec is final
+            /* may be fractional for tests with partial credit (e.g. estimate, scoring policies) */
             score: Number,
             maxScore: Number,
             /* the options that were correctly selected by the user */
             correctOptions: [Number],
             /* the options that were wrongly selected by the user */
-            wrongOptions: [Number]
-        }]
+            wrongOptions: [Number],
+            /* speed bonus, already part of the score; only set for tests with a 'bonus' */
+            bonus: Number,
+            maxBonus: Number,
+            /* average ratings per dimension, only set for profile tests (e.g. likert) */
+            dimensions: {
+                type: [{
+                    _id: false,
+                    name: String,
+                    average: Number,
+                    answered: Number
+                }],
+                default: undefined
+            }
+        }],
+        /* weighted scores per set, see result.controller.weigh() */
+        sets: [{
+            _id: false, // stop generating id for nested document object
+            id: Object,
+            score: Number,
+            maxScore: Number,
+            /* null if the set contains nothing to score (e.g. only profile tests) */
+            percentage: Number
+        }],
+        /* weighted overall percentage */
+        percentage: Number,
+        /* Rasch ability estimates per set, only set if the course has a 'rasch' block */
+        abilities: {
+            type: [{
+                _id: false,
+                set: Object,
+                theta: Number,
+                se: Number,
+                items: Number
+            }],
+            default: undefined
+        }
     }
 });
 
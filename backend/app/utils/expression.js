@@ -0,0 +1,262 @@
+module.exports = {
+    evaluate,
+    format,
+    parse,
+    variables
+}
+
+/**
+ * Functions that may be called in expressions, with their number of arguments.
+ */
+const FUNCTIONS = {
+    abs: { args: [1, 1], fn: Math.abs },
+    ceil: { args: [1, 1], fn: Math.ceil },
+    floor: { args: [1, 1], fn: Math.floor },
+    max: { args: [1, Infinity], fn: Math.max },
+    min: { args: [1, Infinity], fn: Math.min },
+    pow: { args: [2, 2], fn: Math.pow },
+    round: {
+        args: [1, 2],
+        // round(x, digits) rounds to the given number of decimals
+        fn: (x, digits = 0) => Math.round(x * Math.pow(10, digits)) / Math.pow(10, digits)
+    },
+    sqrt: { args: [1, 1], fn: Math.sqrt }
+};
+
+/**
+ * Constants that may be used in expressions.
+ */
+const CONSTANTS = {
+    pi: Math.PI
+};
+
+/**
+ * Check whether a lookup table contains a name. Inherited properties (e.g. 'constructor') must
+ * never be resolved, since they would give expressions access to JavaScript objects.
+ *
+ * @param {Object} table FUNCTIONS, CONSTANTS or a scope
+ * @param {String} name Name to look up
+ * @returns true if the name is defined by the table itself, false otherwise
+ */
+function defines(table, name) {
+    return Object.prototype.hasOwnProperty.call(table, name);
+}
+
+/**
+ * Parse an arithmetic expression into a syntax tree.
+ * The expression is never executed as JavaScript, so it cannot access anything but the values
+ * passed to evaluate(). Supported are numbers, variables, the operators + - * / % ^ (power),
+ * parentheses and the functions abs, ceil, floor, max, min, pow, round and sqrt.
+ *
+ * Example:
+ *
+ *   round(a / b, 2) + 2^c
+ *
+ * @param {String} source Expression
+ * @returns Syntax tree (Object), throws an Error for invalid expressions
+ */
+function parse(source) {
+    const tokens = tokenize(source);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const consume = (value) => {
+        const token = next();
+        if (!token || token.value !== value) {
+            throw new Error('Expected "' + value + '" in expression: ' + source);
+        }
+    };
+
+    // expression := term (('+' | '-') term)*
+    const expression = () => {
+        let node = term();
+        while (peek() && (peek().value === '+' || peek().value === '-')) {
+            node = { type: 'binary', op: next().value, left: node, right: term() };
+        }
+        return node;
+    };
+
+    // term := unary (('*' | '/' | '%') unary)*
+    const term = () => {
+        let node = unary();
+        while (peek() && ['*', '/', '%'].includes(peek().value)) {
+            node = { type: 'binary', op: next().value, left: node, right: unary() };
+        }
+        return node;
+    };
+
+    // unary := ('+' | '-') unary | power
+    const unary = () => {
+        if (peek() && (peek().value === '+' || peek().value === '-')) {
+            return { type: 'unary', op: next().value, arg: unary() };
+        }
+        return power();
+    };
+
+    // power := primary ('^' unary)?, right associative
+    const power = () => {
+        const node = primary();
+        if (peek() && peek().value === '^') {
+            next();
+            return { type: 'binary', op: '^', left: node, right: unary() };
+        }
+        return node;
+    };
+
+    // primary := number | name | name '(' arguments ')' | '(' expression ')'
+    const primary = () => {
+        const token = next();
+        if (!token) {
+            throw new Error('Unexpected end of expression: ' + source);
+        }
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            if (peek() && peek().value === '(') {
+                next();
+                const args = [];
+                if (peek() && peek().value !== ')') {
+                    args.push(expression());
+                    while (peek() && peek().value === ',') {
+                        next();
+                        args.push(expression());
+                    }
+                }
+                consume(')');
+
+                const fn = defines(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+                if (!fn || args.length < fn.args[0] || args.length > fn.args[1]) {
+                    throw new Error('Unknown function or wrong arguments: ' + token.value);
+                }
+                return { type: 'call', name: token.value, args };
+            }
+            return { type: 'variable', name: token.value };
+        }
+
+        if (token.value === '(') {
+            const node = expression();
+            consume(')');
+            return node;
+        }
+
+        throw new Error('Unexpected "' + token.value + '" in expression: ' + source);
+    };
+
+    const tree = expression();
+    if (pos < tokens.length) {
+        throw new Error('Unexpected "' + peek().value + '" in expression: ' + source);
+    }
+    return tree;
+}
+
+/**
+ * Split an expression into tokens.
+ *
+ * @param {String} source Expression
+ * @returns Array of tokens, throws an Error for unknown characters
+ */
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([a-zA-Z_][a-zA-Z0-9_]*)|([-+*/%^(),]))/y;
+    let pos = 0;
+
+    while (pos < source.length) {
+        if (/^\s*$/.test(source.substring(pos))) {
+            break;
+        }
+
+        pattern.lastIndex = pos;
+        const match = pattern.exec(source);
+        if (!match) {
+            throw new Error('Unexpected character in expression: ' + source);
+        }
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2] });
+        } else {
+            tokens.push({ type: 'operator', value: match[3] });
+        }
+        pos = pattern.lastIndex;
+    }
+
+    return tokens;
+}
+
+/**
+ * Get the names of all variables used in a syntax tree (constants excluded).
+ *
+ * @param {Object} tree Syntax tree as returned by parse()
+ * @returns Array of variable names
+ */
+function variables(tree) {
+    switch (tree.type) {
+    case 'variable':
+        return defines(CONSTANTS, tree.name) ? [] : [tree.name];
+    case 'unary':
+        return variables(tree.arg);
+    case 'binary':
+        return variables(tree.left).concat(variables(tree.right));
+    case 'call':
+        return [].concat(...tree.args.map(variables));
+    default:
+        return [];
+    }
+}
+
+/**
+ * Evaluate a syntax tree.
+ *
+ * @param {Object} tree Syntax tree as returned by parse()
+ * @param {Object} scope Values of the variables, keyed by name
+ * @returns Result as Number, throws an Error for unknown variables
+ */
+function evaluate(tree, scope) {
+    switch (tree.type) {
+    case 'number':
+        return tree.value;
+    case 'variable':
+        if (defines(scope, tree.name)) {
+            return scope[tree.name];
+        }
+        if (defines(CONSTANTS, tree.name)) {
+            return CONSTANTS[tree.name];
+        }
+        throw new Error('Unknown variable: ' + tree.name);
+    case 'unary': {
+        const arg = evaluate(tree.arg, scope);
+        return (tree.op === '-') ? -arg : arg;
+    }
+    case 'binary': {
+        const left = evaluate(tree.left, scope);
+        const right = evaluate(tree.right, scope);
+        switch (tree.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        default: return Math.pow(left, right);
+        }
+    }
+    case 'call':
+        return FUNCTIONS[tree.name].fn(...tree.args.map(arg => evaluate(arg, scope)));
+    default:
+        throw new Error('Unknown expression node: ' + tree.type);
+    }
+}
+
+/**
+ * Format a number for display, without floating point noise (e.g. 0.1 + 0.2).
+ *
+ * @param {Number} value Number
+ * @returns Number rounded to 10 decimals
+ */
+function format(value) {
+    return Number(value.toFixed(10));
+}
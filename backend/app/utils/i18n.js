@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+
+const JSONUtils = require('./json');
+const source = require('./source');
+const xml = require('./xml');
+
+/**
+ * Config directories checked by default, the same ones the server loads on startup.
+ * Each holds <name>.json (or .yaml) configs and their language files in
+ * i18n/<name>_<language>.json (or .yaml).
+ */
+const CONFIG_DIRS = [
+    './data/configs/courses',
+    './data/configs/frontend'
+];
+
+module.exports = {
+    CONFIG_DIRS,
+    checkConfig,
+    checkDirectory,
+    count,
+    format,
+    markers,
+    report,
+    tags
+}
+
+/**
+ * Find the LaTeX equations ($$...$$) and images (``name``) of a text.
+ *
+ * @param {String} text Translated text
+ * @returns {Array} Markers in order of appearance, including their delimiters
+ */
+function markers(text) {
+    return text.match(/\$\$[\s\S]*?\$\$|``[^`]*``/g) || [];
+}
+
+/**
+ * Check whether the HTML tags of a text are balanced. Void elements (e.g. <br>) and self-closing
+ * tags need no closing tag.
+ *
+ * @param {String} text Translated text
+ * @returns {Array} Messages for every unexpected closing tag and every unclosed tag
+ */
+function tags(text) {
+    const pattern = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)\b[^>]*?(\/?)>/g;
+    let open = [];
+    let problems = [];
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const name = match[2].toLowerCase();
+        if (xml.VOID_ELEMENTS.includes(name) || match[3]) {
+            continue;
+        }
+
+        if (!match[1]) {
+            open.push(name);
+        } else if (open.includes(name)) {
+            // everything opened after the matching tag was left open
+            while (open[open.length - 1] !== name) {
+                problems.push('Unclosed <' + open.pop() + '>');
+            }
+            open.pop();
+        } else {
+            problems.push('Unexpected </' + name + '>');
+        }
+    }
+
+    return problems.concat(open.map(name => 'Unclosed <' + name + '>'));
+}
+
+/**
+ * Get the names of all references used in a JSON object, including the ones in reference values.
+ *
+ * @param {JSON} input JSON object
+ * @returns {Set} Reference names
+ */
+function usedRefs(input) {
+    return new Set(JSONUtils.findReferences(input)
+        .filter(found => found.ref !== null)
+        .map(found => found.ref));
+}
+
+/**
+ * Check the translations of a config.
+ * Every language is checked for references that are used but not defined (missing), defined but
+ * never used (unused) and for texts with unbalanced HTML tags. Texts that are translated in the
+ * reference language as well must contain the same LaTeX equations and images.
+ *
+ * @param {JSON} config Config the language files belong to, e.g. a course config
+ * @param {Object} languages Parsed language files keyed by language, e.g. { "en": {...} }
+ * @param {String} reference Reference language, defaults to the first language in alphabetical
+ *                           order
+ * @returns {Object} The 'reference' language and the problems of every language keyed by language:
+ *                   'missing' and 'unused' ref names, 'markers' ({ ref, expected, found }) and
+ *                   'html' ({ ref, message })
+ */
+function checkConfig(config, languages, reference) {
+    const names = Object.keys(languages).sort();
+    if (!(reference in languages)) {
+        reference = names[0];
+    }
+
+    const configRefs = config['?refs'] || {};
+    const referenceRefs = reference ? languages[reference]['?refs'] || {} : {};
+    let result = {
+        reference: reference || null,
+        languages: {}
+    };
+
+    for (const name of names) {
+        const langRefs = languages[name]['?refs'] || {};
+        const defined = Object.assign({}, configRefs, langRefs);
+        const used = usedRefs([config, languages[name]]);
+
+        let problems = {
+            missing: Array.from(used).filter(ref => !(ref in defined)).sort(),
+            unused: Object.keys(langRefs).filter(ref => !used.has(ref)).sort(),
+            markers: [],
+            html: []
+        };
+
+        for (const ref of Object.keys(langRefs)) {
+            const text = langRefs[ref];
+            if (typeof text !== 'string') {
+                continue;
+            }
+
+            if (name !== reference && typeof referenceRefs[ref] === 'string') {
+                const expected = markers(referenceRefs[ref]);
+                const found = markers(text);
+                if (expected.slice().sort().join('\n') !== found.slice().sort().join('\n')) {
+                    problems.markers.push({ ref: ref, expected: expected, found: found });
+                }
+            }
+
+            for (const message of tags(text)) {
+                problems.html.push({ ref: ref, message: message });
+            }
+        }
+
+        result.languages[name] = problems;
+    }
+
+    return result;
+}
+
+/**
+ * Check the translations of all configs in a directory, see checkConfig().
+ * Uses the same file lookup as the server: <dir>/<name>.json (or .yaml) with its language files
+ * in <dir>/i18n/<name>_<language>.json (or .yaml).
+ *
+ * @param {string} dir Config directory
+ * @param {String} reference Reference language, optional
+ * @returns {Array} Report of every config with its 'file', the 'files' of its languages and the
+ *                  'errors' of files that could not be read in addition to the result of
+ *                  checkConfig()
+ */
+function checkDirectory(dir, reference) {
+    let configFiles = [];
+    let languageFiles = [];
+    try {
+        configFiles = fs.readdirSync(dir).filter(source.isSource).sort();
+        languageFiles = fs.readdirSync(path.join(dir, 'i18n')).filter(item =>
+            source.isSource(item) && item.split('_').length >= 2);
+    } catch (err) {
+        return [{ file: dir, files: {}, errors: [err.message], reference: null, languages: {} }];
+    }
+
+    let reports = [];
+    for (const item of configFiles) {
+        const configName = item.split('.')[0];
+        const file = path.join(dir, item);
+        let errors = [];
+        let files = {};
+        let languages = {};
+
+        let config;
+        try {
+            config = source.readSource(file);
+        } catch (err) {
+            reports.push({ file: file, files: {}, errors: [err.message], reference: null,
+                languages: {} });
+            continue;
+        }
+
+        for (const lang of languageFiles) {
+            if (lang.split('_')[0] !== configName) {
+                continue;
+            }
+
+            // <name>_<language>.json
+            const name = lang.substring(configName.length + 1, lang.length -
+                path.extname(lang).length);
+            files[name] = path.join(dir, 'i18n', lang);
+            try {
+                languages[name] = source.readSource(files[name]);
+            } catch (err) {
+                errors.push(err.message);
+            }
+        }
+
+        reports.push(Object.assign({ file: file, files: files, errors: errors },
+            checkConfig(config, languages, reference)));
+    }
+
+    return reports;
+}
+
+/**
+ * Check the translations of all course and frontend configs.
+ *
+ * @param {String} reference Reference language, optional
+ * @param {Array} dirs Config directories, defaults to CONFIG_DIRS
+ * @returns {Array} Reports of all configs, see checkDirectory()
+ */
+function report(reference, dirs = CONFIG_DIRS) {
+    let reports = [];
+    for (const dir of dirs) {
+        reports = reports.concat(checkDirectory(dir, reference));
+    }
+    return reports;
+}
+
+/**
+ * Count the problems of a report.
+ *
+ * @param {Array} reports Reports, see report()
+ * @returns {Number} Number of problems
+ */
+function count(reports) {
+    let problems = 0;
+    for (const config of reports) {
+        problems += config.errors.length;
+        for (const name of Object.keys(config.languages)) {
+            const language = config.languages[name];
+            problems += language.missing.length + language.unused.length +
+                language.markers.length + language.html.length;
+        }
+    }
+    return problems;
+}
+
+/**
+ * Format a report for the console, one line per problem, e.g.
+ *
+ *   data/configs/courses/i18n/example_de.json: missing ref: 1001-1
+ *
+ * @param {Array} reports Reports, see report()
+ * @returns {Array} Problems as Strings
+ */
+function format(reports) {
+    let lines = [];
+    for (const config of reports) {
+        for (const message of config.errors) {
+            lines.push(message);
+        }
+
+        for (const name of Object.keys(config.languages)) {
+            const file = config.files[name];
+            const language = config.languages[name];
+            for (const ref of language.missing) {
+                lines.push(file + ': missing ref: ' + ref);
+            }
+            for (const ref of language.unused) {
+                lines.push(file + ': unused ref: ' + ref);
+            }
+            for (const problem of language.markers) {
+                lines.push(file + ': ' + problem.ref + ': markers differ from ' +
+                    config.reference + ': ' + JSON.stringify(problem.found) + ' instead of ' +
+                    JSON.stringify(problem.expected));
+            }
+            for (const problem of language.html) {
+                lines.push(file + ': ' + problem.ref + ': ' + problem.message);
+            }
+        }
+    }
+    return lines;
+}
@@ -1,7 +1,11 @@
 const logger = require('./logger');
 
 module.exports = {
+    escapePointer,
+    findReferences,
+    locate,
     mergeObjects,
+    position,
     resolveReferencesinString,
     resolveReferences
 }
@@ -175,3 +179,149 @@ function resolveReferences(input, references) {
 
     return true;
 }
+
+/**
+ * Escape a key for use as a JSON pointer token (RFC 6901).
+ *
+ * @param {String} key Object key
+ * @returns {String} Escaped key
+ */
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Find all references in the keys and values of a JSON object.
+ *
+ * @param {JSON} input JSON object
+ * @param {String} pointer JSON pointer of the input, used as prefix for the results
+ * @returns {Array} Objects with the JSON 'pointer' of the string and the referenced 'ref' name;
+ *                  references in keys have a null 'ref' since they are never resolved
+ */
+function findReferences(input, pointer = '') {
+    let found = [];
+
+    if (typeof input === 'string') {
+        const pattern = /\?ref\{([^}]*)\}/g;
+        let match;
+        while ((match = pattern.exec(input)) !== null) {
+            found.push({ pointer: pointer, ref: match[1] });
+        }
+        return found;
+    }
+
+    if (!input || typeof input !== 'object') {
+        return found;
+    }
+
+    for (const key of Object.keys(input)) {
+        const child = pointer + '/' + escapePointer(key);
+        if (key.includes('?ref')) {
+            found.push({ pointer: child, ref: null });
+        }
+        found = found.concat(findReferences(input[key], child));
+    }
+    return found;
+}
+
+/**
+ * Get the line and column of an offset in a text.
+ *
+ * @param {String} text Input text
+ * @param {Number} offset Character offset into the text
+ * @returns {Object} 'line' and 'column', both starting at 1
+ */
+function position(text, offset) {
+    const before = text.substring(0, offset).split('\n');
+    return {
+        line: before.length,
+        column: before[before.length - 1].length + 1
+    };
+}
+
+/**
+ * Find the position of every value in a JSON text, e.g. to point authors to the line of an
+ * invalid config element.
+ *
+ * @param {String} text JSON text
+ * @returns {Object} Offset, line and column (see position()) of every value keyed by its JSON
+ *                   pointer, the root is ''; empty if the text is no valid JSON
+ */
+function locate(text) {
+    let positions = {};
+    let index = 0;
+
+    try {
+        JSON.parse(text);
+    } catch (err) {
+        return positions;
+    }
+
+    // the text is valid JSON, so the scanner only has to find the start of every value
+    const whitespace = () => {
+        while (index < text.length && ' \t\r\n'.includes(text[index])) {
+            index++;
+        }
+    };
+    const string = () => {
+        const start = index++;
+        while (text[index] !== '"') {
+            index += (text[index] === '\\') ? 2 : 1;
+        }
+        index++;
+        return JSON.parse(text.substring(start, index));
+    };
+    const value = pointer => {
+        whitespace();
+        positions[pointer] = index;
+
+        if (text[index] === '{' || text[index] === '[') {
+            const object = text[index] === '{';
+            const close = object ? '}' : ']';
+            let count = 0;
+            index++;
+            whitespace();
+            while (text[index] !== close) {
+                let key = count++;
+                if (object) {
+                    whitespace();
+                    key = string();
+                    whitespace();
+                    // skip the colon
+                    index++;
+                }
+                value(pointer + '/' + escapePointer(key));
+                whitespace();
+                if (text[index] === ',') {
+                    index++;
+                    whitespace();
+                }
+            }
+            index++;
+        } else if (text[index] === '"') {
+            string();
+        } else {
+            while (index < text.length && !',]} \t\r\n'.includes(text[index])) {
+                index++;
+            }
+        }
+    };
+
+    value('');
+
+    // the values were found in order of appearance, so a single pass yields their lines
+    let line = 1;
+    let lineStart = 0;
+    let scanned = 0;
+    for (const pointer of Object.keys(positions)) {
+        const offset = positions[pointer];
+        for (; scanned < offset; scanned++) {
+            if (text[scanned] === '\n') {
+                line++;
+                lineStart = scanned + 1;
+            }
+        }
+        positions[pointer] = { offset: offset, line: line, column: offset - lineStart + 1 };
+    }
+    return positions;
+}
@@ -0,0 +1,174 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const path = require('path');
+
+const xml = require('./xml');
+
+module.exports = {
+    parseCsv,
+    readSheet,
+    readXlsx
+}
+
+/**
+ * Parse CSV text (RFC 4180). The delimiter is detected from the first line: comma, semicolon (as
+ * written by spreadsheet applications in many locales) or tab.
+ *
+ * @param {String} text CSV text
+ * @returns {Array} Rows, each an Array of cell values as Strings
+ */
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, '');
+    const firstLine = input.split(/\r?\n/)[0].replace(/"[^"]*"/g, '');
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best);
+
+    let rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+        if (quoted) {
+            if (char === '"' && input[index + 1] === '"') {
+                cell += '"';
+                index++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[index + 1] === '\n') {
+                index++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    // the last line may lack a line break
+    if (cell.length > 0 || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Get the column index of a cell reference, e.g. 2 for 'C7'.
+ *
+ * @param {String} reference Cell reference
+ * @returns {Number} Column index starting at 0
+ */
+function column(reference) {
+    const letters = /^[A-Z]+/.exec(reference)[0];
+    let index = 0;
+    for (const letter of letters) {
+        index = index * 26 + letter.charCodeAt(0) - 'A'.charCodeAt(0) + 1;
+    }
+    return index - 1;
+}
+
+/**
+ * Read the first worksheet of an Office Open XML workbook (XLSX).
+ * Only the cell values are read, formulas yield their cached result.
+ *
+ * @param {Buffer} buffer Contents of the XLSX file
+ * @returns {Array} Rows, each an Array of cell values as Strings; empty rows are kept so the row
+ *                  numbers match the sheet
+ * @throws Error if the workbook cannot be read
+ */
+function readXlsx(buffer) {
+    const zip = new AdmZip(buffer);
+    const entry = name => {
+        const found = zip.getEntry(name);
+        if (!found) {
+            throw new Error('Not a valid XLSX file, missing: ' + name);
+        }
+        return xml.parse(found.getData().toString('utf8'));
+    };
+
+    // the workbook lists the sheets, its relationships point to their parts
+    const workbook = entry('xl/workbook.xml');
+    const sheet = xml.child(xml.child(workbook, 'sheets') || { children: [] }, 'sheet');
+    if (!sheet) {
+        throw new Error('Workbook has no sheets');
+    }
+    const id = sheet.attributes['r:id'];
+    const relation = xml.children(entry('xl/_rels/workbook.xml.rels'), 'Relationship')
+        .find(item => item.attributes['Id'] === id);
+    if (!relation) {
+        throw new Error('Workbook has no part for sheet: ' + sheet.attributes['name']);
+    }
+    const target = relation.attributes['Target'];
+    const worksheet = entry(target.startsWith('/') ? target.substring(1) : 'xl/' + target);
+
+    let strings = [];
+    if (zip.getEntry('xl/sharedStrings.xml')) {
+        strings = xml.children(entry('xl/sharedStrings.xml'), 'si').map(item =>
+            // rich text consists of several runs, phonetic hints are not part of the text
+            xml.children(item).filter(node => node.name !== 'rPh').map(xml.text).join(''));
+    }
+
+    let rows = [];
+    for (const row of xml.children(xml.child(worksheet, 'sheetData') || { children: [] }, 'row')) {
+        const number = row.attributes['r'] ? Number(row.attributes['r']) : rows.length + 1;
+        while (rows.length < number) {
+            rows.push([]);
+        }
+
+        let cells = rows[number - 1];
+        for (const cell of xml.children(row, 'c')) {
+            const index = cell.attributes['r'] ? column(cell.attributes['r']) : cells.length;
+            const value = xml.child(cell, 'v');
+            let content = value ? xml.text(value) : '';
+
+            switch (cell.attributes['t']) {
+            case 's':
+                content = strings[Number(content)];
+                break;
+            case 'inlineStr':
+                content = xml.child(cell, 'is') ? xml.text(xml.child(cell, 'is')) : '';
+                break;
+            case 'b':
+                content = content === '1' ? 'TRUE' : 'FALSE';
+                break;
+            }
+
+            while (cells.length < index) {
+                cells.push('');
+            }
+            cells[index] = content;
+        }
+    }
+    return rows;
+}
+
+/**
+ * Read a spreadsheet file, CSV or XLSX (first worksheet).
+ *
+ * @param {string} file Path to the file
+ * @returns {Array} Rows, see parseCsv() and readXlsx()
+ * @throws Error if the file cannot be read or has an unknown format
+ */
+function readSheet(file) {
+    switch (path.extname(file).toLowerCase()) {
+    case '.csv':
+        return parseCsv(fs.readFileSync(file, 'utf8'));
+    case '.xlsx':
+        return readXlsx(fs.readFileSync(file));
+    default:
+        throw new Error('Unknown spreadsheet format: ' + file + ', use .csv or .xlsx');
+    }
+}
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * File extensions of config sources, JSON or YAML.
+ */
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Key of an include. Large configs can be split into several files, e.g.
+ *
+ *   tests:
+ *     - ?include: tests/*.yaml
+ *
+ * An object with this key as its only key is replaced by the contents of the included files. The
+ * path is relative to the including file and may end in a wildcard pattern or name a directory
+ * (all sources in it). Multiple files are merged in alphabetical order: inside arrays every file
+ * adds its elements (or itself if it is no array), everywhere else the files must be objects
+ * whose keys are combined. Included files may include other files.
+ */
+const INCLUDE = '?include';
+
+module.exports = {
+    EXTENSIONS,
+    INCLUDE,
+    isSource,
+    parse,
+    readSource
+}
+
+/**
+ * Check whether a file name is a config source, see EXTENSIONS.
+ *
+ * @param {string} file File name or path
+ * @returns true for JSON and YAML files, false otherwise
+ */
+function isSource(file) {
+    return EXTENSIONS.includes(path.extname(file).toLowerCase());
+}
+
+/**
+ * Parse the text of a config source. JSON is parsed as before, everything else as YAML.
+ *
+ * @param {string} text Contents of the file
+ * @param {string} file File name, used to pick the format and for error messages
+ * @returns {JSON} Parsed object
+ * @throws Error if the text cannot be parsed
+ */
+function parse(text, file) {
+    if (path.extname(file).toLowerCase() === '.json') {
+        return JSON.parse(text);
+    }
+    return yaml.safeLoad(text, { filename: file });
+}
+
+/**
+ * Find the files an include refers to.
+ *
+ * @param {string} dir Directory of the including file
+ * @param {string} pattern Included path, see INCLUDE
+ * @returns {Array} Paths of the included files in alphabetical order
+ * @throws Error if nothing matches
+ */
+function expand(dir, pattern) {
+    const target = path.join(dir, pattern);
+    let files;
+
+    if (!path.basename(target).includes('*')) {
+        if (!fs.statSync(target).isDirectory()) {
+            return [target];
+        }
+        files = fs.readdirSync(target).filter(isSource).map(item => path.join(target, item));
+    } else {
+        const escaped = path.basename(target).replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        const wildcard = new RegExp('^' + escaped.replace(/\*/g, '.*') + '$');
+        files = fs.readdirSync(path.dirname(target)).filter(item => wildcard.test(item))
+            .map(item => path.join(path.dirname(target), item));
+    }
+
+    if (files.length === 0) {
+        throw new Error('No files match include: ' + pattern);
+    }
+    return files.sort();
+}
+
+/**
+ * Replace all includes of a parsed config source, see INCLUDE.
+ *
+ * @param {JSON} input Parsed config source
+ * @param {string} file Path of the source
+ * @param {Array} parents Paths of the including sources, to detect cycles
+ * @returns {JSON} Config without includes
+ * @throws Error if an include is invalid or cannot be read
+ */
+function resolveIncludes(input, file, parents) {
+    if (!input || typeof input !== 'object') {
+        return input;
+    }
+
+    const include = value => {
+        if (typeof value[INCLUDE] !== 'string' || Object.keys(value).length !== 1) {
+            throw new Error(file + ': ' + INCLUDE + ' must be the only key and a path');
+        }
+        let files;
+        try {
+            files = expand(path.dirname(file), value[INCLUDE]);
+        } catch (err) {
+            throw new Error(file + ': ' + err.message);
+        }
+        return files.map(included => read(included, parents.concat([file])));
+    };
+    const isInclude = value => value !== null && typeof value === 'object' && INCLUDE in value;
+
+    if (Array.isArray(input)) {
+        let output = [];
+        for (const value of input) {
+            if (!isInclude(value)) {
+                output.push(resolveIncludes(value, file, parents));
+                continue;
+            }
+            for (const contents of include(value)) {
+                output = output.concat(Array.isArray(contents) ? contents : [contents]);
+            }
+        }
+        return output;
+    }
+
+    if (isInclude(input)) {
+        const contents = include(input);
+        if (contents.length === 1) {
+            return contents[0];
+        }
+
+        let output = {};
+        for (const part of contents) {
+            if (!part || typeof part !== 'object' || Array.isArray(part)) {
+                throw new Error(file + ': ' + input[INCLUDE] + ' must only match objects');
+            }
+            for (const key of Object.keys(part)) {
+                if (key in output) {
+                    throw new Error(file + ': Duplicate key: ' + key + ' in ' + input[INCLUDE]);
+                }
+                output[key] = part[key];
+            }
+        }
+        return output;
+    }
+
+    let output = {};
+    for (const key of Object.keys(input)) {
+        output[key] = resolveIncludes(input[key], file, parents);
+    }
+    return output;
+}
+
+/**
+ * Read and parse a single config source and the files it includes.
+ *
+ * @param {string} file Path of the source
+ * @param {Array} parents Paths of the including sources
+ * @returns {JSON} Config without includes
+ */
+function read(file, parents) {
+    if (parents.includes(file)) {
+        throw new Error(file + ': Circular include: ' + parents.concat([file]).join(' -> '));
+    }
+
+    let contents;
+    try {
+        contents = parse(fs.readFileSync(file, 'utf8'), file);
+    } catch (err) {
+        throw new Error(file + ': ' + err.message);
+    }
+    return resolveIncludes(contents, file, parents);
+}
+
+/**
+ * Read a JSON or YAML config source, e.g. a course config or a language file, and merge the files
+ * it includes (see INCLUDE).
+ *
+ * @param {string} file Path of the source
+ * @returns {JSON} Config without includes
+ * @throws Error naming the file if a source cannot be read or parsed or an include is invalid
+ */
+function readSource(file) {
+    return read(path.normalize(file), []);
+}
@@ -0,0 +1,221 @@
+/**
+ * Minimal XML support for the file formats we exchange, e.g. spreadsheets (XLSX) and QTI items.
+ * Documents are parsed into a tree of elements:
+ *
+ *   { name: 'row', attributes: { r: '1' }, children: [ <element>, 'text', ... ] }
+ *
+ * Comments, processing instructions and document type declarations are skipped, CDATA sections
+ * become text. Namespaces are not resolved, the helpers below match the local name of an element
+ * (without its prefix).
+ */
+
+const ENTITIES = {
+    'amp': '&',
+    'apos': '\'',
+    'gt': '>',
+    'lt': '<',
+    'quot': '"'
+};
+
+/**
+ * HTML elements that never have content. Texts of the configs are HTML, so only these are written
+ * as empty-element tags.
+ */
+const VOID_ELEMENTS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source',
+    'track', 'wbr'
+];
+
+module.exports = {
+    VOID_ELEMENTS,
+    child,
+    children,
+    decode,
+    escape,
+    parse,
+    stringify,
+    text
+}
+
+/**
+ * Replace the entity and character references of a text.
+ *
+ * @param {String} input Text with references, e.g. 'a &lt; b'
+ * @returns {String} Text without references
+ * @throws Error for unknown entities
+ */
+function decode(input) {
+    return input.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+        if (entity.startsWith('#x')) {
+            return String.fromCodePoint(parseInt(entity.substring(2), 16));
+        }
+        if (entity.startsWith('#')) {
+            return String.fromCodePoint(parseInt(entity.substring(1), 10));
+        }
+        if (!(entity in ENTITIES)) {
+            throw new Error('Unknown entity: ' + match);
+        }
+        return ENTITIES[entity];
+    });
+}
+
+/**
+ * Escape a text for use in XML content or attribute values.
+ *
+ * @param {String} input Text
+ * @returns {String} Escaped text
+ */
+function escape(input) {
+    return String(input).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse an XML document.
+ *
+ * @param {String} input XML text
+ * @returns {Object} Root element
+ * @throws Error if the document is not well-formed
+ */
+function parse(input) {
+    const tag = /<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    const attribute = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    const document = { name: null, attributes: {}, children: [] };
+    let stack = [document];
+    let index = 0;
+
+    const skip = (start, end) => {
+        const found = input.indexOf(end, start);
+        if (found === -1) {
+            throw new Error('Unterminated markup at position ' + start);
+        }
+        return found + end.length;
+    };
+    const append = value => {
+        // text outside of the root element is insignificant
+        if (stack.length > 1 && value.length > 0) {
+            stack[stack.length - 1].children.push(value);
+        }
+    };
+
+    while (index < input.length) {
+        const start = input.indexOf('<', index);
+        if (start === -1) {
+            append(decode(input.substring(index)));
+            break;
+        }
+        append(decode(input.substring(index, start)));
+
+        if (input.startsWith('<!--', start)) {
+            index = skip(start, '-->');
+        } else if (input.startsWith('<![CDATA[', start)) {
+            index = skip(start, ']]>');
+            append(input.substring(start + '<![CDATA['.length, index - ']]>'.length));
+        } else if (input.startsWith('<?', start)) {
+            index = skip(start, '?>');
+        } else if (input.startsWith('<!', start)) {
+            index = skip(start, '>');
+        } else {
+            tag.lastIndex = start;
+            const match = tag.exec(input);
+            if (!match) {
+                throw new Error('Invalid tag at position ' + start);
+            }
+            index = tag.lastIndex;
+
+            const current = stack[stack.length - 1];
+            if (match[1]) {
+                if (current.name !== match[2]) {
+                    throw new Error('Unexpected </' + match[2] + '> at position ' + start);
+                }
+                stack.pop();
+                continue;
+            }
+
+            let element = { name: match[2], attributes: {}, children: [] };
+            let found;
+            while ((found = attribute.exec(match[3])) !== null) {
+                element.attributes[found[1]] = decode(found[2] !== undefined ? found[2] : found[3]);
+            }
+            current.children.push(element);
+            if (!match[4]) {
+                stack.push(element);
+            }
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error('Unclosed element: <' + stack[stack.length - 1].name + '>');
+    }
+
+    const roots = document.children.filter(node => typeof node !== 'string');
+    if (roots.length !== 1) {
+        throw new Error('Document must have exactly one root element');
+    }
+    return roots[0];
+}
+
+/**
+ * Get the local name of an element, i.e. its name without namespace prefix.
+ *
+ * @param {Object} element Element
+ * @returns {String} Local name
+ */
+function localName(element) {
+    return element.name.substring(element.name.indexOf(':') + 1);
+}
+
+/**
+ * Get the child elements of an element.
+ *
+ * @param {Object} element Parent element
+ * @param {String} name Local name of the children, all children if omitted
+ * @returns {Array} Child elements in document order
+ */
+function children(element, name) {
+    return element.children.filter(node => typeof node !== 'string' &&
+        (name === undefined || localName(node) === name));
+}
+
+/**
+ * Get the first child element with a name.
+ *
+ * @param {Object} element Parent element
+ * @param {String} name Local name of the child
+ * @returns {Object} Child element, null if there is none
+ */
+function child(element, name) {
+    return children(element, name)[0] || null;
+}
+
+/**
+ * Get the text content of an element and all its descendants.
+ *
+ * @param {Object} element Element
+ * @returns {String} Text content
+ */
+function text(element) {
+    return element.children.map(node => typeof node === 'string' ? node : text(node)).join('');
+}
+
+/**
+ * Serialize a node and its descendants, e.g. to keep the markup of a text. Elements are written
+ * with their local name, as empty-element tag only if they are void (see VOID_ELEMENTS).
+ *
+ * @param {Object} node Element or text
+ * @returns {String} XML text
+ */
+function stringify(node) {
+    if (typeof node === 'string') {
+        return node.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    const name = localName(node);
+    const attributes = Object.keys(node.attributes).map(key =>
+        ' ' + key + '="' + escape(node.attributes[key]) + '"').join('');
+    if (node.children.length === 0 && VOID_ELEMENTS.includes(name)) {
+        return '<' + name + attributes + '/>';
+    }
+    return '<' + name + attributes + '>' + node.children.map(stringify).join('') + '</' + name +
+        '>';
+}
@@ -11,8 +11,10 @@ const fs = require('fs');
 const JSONUtils = require('./app/utils/json');
 const db = require('./app/db/db');
 const gc = require('./app/utils/gc');
+const norms = require('./app/core/user/norms');
 const logger = require('./app/utils/logger');
 const router = require('./app/core');
+const source = require('./app/utils/source');
 const overlord = require('./app/utils/overseer');
 const error = require('./app/shared/error');
 const CrashReporter = require('./app/utils/crashreporter');
@@ -155,6 +157,13 @@ function loadEnvironment() {
                 logger.error(err);
             });
         }, GC_OPTIONS);
+
+        // recompute the percentile norms of the courses which opted in
+        gc.addTask(() => {
+            norms.refresh().catch(err => {
+                logger.error(err);
+            });
+        });
         gc.start(GC_INTERVAL);
     }
 
@@ -242,23 +251,23 @@ async function loadFrontendResources(path) {
     for (const item of configFiles) {
         let resourceConfigs = [];
         const configName = item.split('.')[0];
-        if (!item.endsWith('.json')) {
-            // we only handle JSON files, so just exit in this case
+        if (!source.isSource(item)) {
+            // we only handle JSON and YAML files, so just exit in this case
             continue;
         }
 
         let resourceConfig;
         try {
-            resourceConfig = JSON.parse(fs.readFileSync(path + '/' + item));
+            resourceConfig = source.readSource(path + '/' + item);
         } catch (err) {
-            logger.warn('Not a valid JSON file: ' + item + ': ' + err);
+            logger.warn('Not a valid config source: ' + item + ': ' + err);
             continue;
         }
 
         // see what languages are available
         for (const lang of languageFiles) {
-            if (!lang.endsWith('.json')) {
-                // we only handle JSON files, so just exit in this case
+            if (!source.isSource(lang)) {
+                // we only handle JSON and YAML files, so just exit in this case
                 continue;
             }
 
@@ -275,9 +284,9 @@ async function loadFrontendResources(path) {
 
             let languageConfig;
             try {
-                languageConfig = JSON.parse(fs.readFileSync(i18nPath + '/' + lang));
+                languageConfig = source.readSource(i18nPath + '/' + lang);
             } catch (err) {
-                logger.warn('Not a valid JSON file: ' + lang + ': ' + err);
+                logger.warn('Not a valid config source: ' + lang + ': ' + err);
                 continue;
             }
 
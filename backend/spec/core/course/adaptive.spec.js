@@ -0,0 +1,66 @@
+const Adaptive = require('../../../app/core/course/adaptive');
+
+describe('Adaptive', () => {
+    beforeEach( () => {
+        // two tests on each of three difficulty levels
+        this.tests = [
+            { id: 1, difficulty: 1 },
+            { id: 2, difficulty: 1 },
+            { id: 3, difficulty: 2 },
+            { id: 4, difficulty: 2 },
+            { id: 5, difficulty: 3 },
+            { id: 6, difficulty: 3 }
+        ];
+        this.group = {
+            id: 2001,
+            tests: [1, 2, 3, 4, 5, 6],
+            select: 4,
+            adaptive: {}
+        };
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('level(group, tests, answers)', () => {
+        it('should start at the median or the configured difficulty', () => {
+            expect(Adaptive.level(this.group, this.tests, [])).toEqual(2);
+
+            this.group.adaptive.start = 3;
+
+            expect(Adaptive.level(this.group, this.tests, [])).toEqual(3);
+        });
+
+        it('should step up and down', () => {
+            expect(Adaptive.level(this.group, this.tests, [true])).toEqual(3);
+            expect(Adaptive.level(this.group, this.tests, [false])).toEqual(1);
+            expect(Adaptive.level(this.group, this.tests, [true, true, false])).toEqual(2);
+        });
+
+        it('should wait for the configured number of answers in a row', () => {
+            this.group.adaptive.up = 2;
+
+            expect(Adaptive.level(this.group, this.tests, [true])).toEqual(2);
+            expect(Adaptive.level(this.group, this.tests, [true, true])).toEqual(3);
+            expect(Adaptive.level(this.group, this.tests, [true, false, true])).toEqual(1);
+        });
+    });
+
+    describe('next(group, tests, presented, answers)', () => {
+        it('should pick a test that was not presented on the current level', () => {
+            expect(Adaptive.next(this.group, this.tests, [], [])).toEqual(3);
+            expect(Adaptive.next(this.group, this.tests, [3], [false])).toEqual(1);
+            expect(Adaptive.next(this.group, this.tests, [3, 1], [false, false])).toEqual(2);
+        });
+
+        it('should fall back to the closest level', () => {
+            expect(Adaptive.next(this.group, this.tests, [3, 5, 6], [true, true, true])).toEqual(4);
+        });
+
+        it('should stop after select tests', () => {
+            expect(Adaptive.next(this.group, this.tests, [3, 5, 6, 4], [true, true, true, true]))
+                .toBe(null);
+        });
+    });
+});
@@ -0,0 +1,42 @@
+const Bonus = require('../../../app/core/course/bonus');
+
+describe('Bonus', () => {
+    beforeEach( () => {
+        // speed test with a minute to answer and two bonus points
+        this.config = {
+            seconds: 60,
+            bonus: { points: 2 }
+        };
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('award(config, result, timing)', () => {
+        it('should scale the points with the time left and the score', () => {
+            const result = { score: 1, maxScore: 2 };
+
+            expect(Bonus.award(this.config, result, { active: 15000 })).toEqual(0.75);
+            expect(Bonus.award(this.config, { score: 2, maxScore: 2 }, { active: 0 })).toEqual(2);
+        });
+
+        it('should not award anything once the time is up', () => {
+            const result = { score: 2, maxScore: 2 };
+
+            expect(Bonus.award(this.config, result, { active: 90000 })).toEqual(0);
+        });
+
+        it('should not award anything for wrong answers', () => {
+            const result = { score: -1, maxScore: 2 };
+
+            expect(Bonus.award(this.config, result, { active: 1000 })).toEqual(0);
+            expect(Bonus.award(this.config, { score: 0, maxScore: 0 }, { active: 1000 }))
+                .toEqual(0);
+        });
+
+        it('should not award anything without timing', () => {
+            expect(Bonus.award(this.config, { score: 2, maxScore: 2 }, null)).toEqual(0);
+        });
+    });
+});
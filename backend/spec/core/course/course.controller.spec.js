@@ -2,8 +2,10 @@ const sinon = require('sinon');
 
 const CourseController = require('../../../app/core/course/course.controller');
 const CourseModel = require('../../../app/core/course/course.model');
+const UserModel = require('../../../app/core/user/user.model');
 const TestDocuments = require('./course.data');
 const error = require('../../../app/shared/error');
+const TestModelData = require('./testmodels/data');
 
 describe('CourseController', () => {
     beforeEach( () => {
@@ -99,7 +101,112 @@ describe('CourseController', () => {
             sinon.assert.calledOnce(this.res.status);
             sinon.assert.calledWith(this.res.status, 200);
             sinon.assert.calledOnce(this.res.status().json);
-            sinon.assert.calledWith(this.res.status().json, this.docs[0].configs[0].config);
+            sinon.assert.calledWith(this.res.status().json, sinon.match({
+                title: this.docs[0].configs[0].config.title,
+                tests: sinon.match.array
+            }));
+        });
+
+        it('should leave out the correct answers', async () => {
+            sinon.stub(CourseModel, 'findOne').resolves(this.docs[0]);
+
+            const req = {
+                body: {
+                    name: this.docs[0].name,
+                    language: this.docs[0].configs[0].language
+                }
+            };
+
+            await CourseController.loadConfig(req, this.res);
+            const config = this.res.status().json.firstCall.args[0];
+            const match = config.tests.find(test => test.category === 'match');
+
+            expect(config.tests.length).toEqual(this.docs[0].configs[0].config.tests.length);
+            expect(config.tests.every(test => test.options.every(option => !('correct' in option))))
+                .toBe(true);
+
+            expect(match.options.every(option => !('index' in option) && option.length > 0))
+                .toBe(true);
+        });
+
+        it('should leave out the feedback of the tests', async () => {
+            const course = JSON.parse(JSON.stringify(this.docs[0]));
+            course.configs[0].config.tests[0]['solution'] = 'solution';
+            course.configs[0].config.tests[0].options[0]['explanation'] = 'explanation';
+            sinon.stub(CourseModel, 'findOne').resolves(course);
+
+            const req = {
+                body: {
+                    name: course.name,
+                    language: course.configs[0].language
+                }
+            };
+
+            await CourseController.loadConfig(req, this.res);
+            const config = this.res.status().json.firstCall.args[0];
+
+            expect('solution' in config.tests[0]).toBe(false);
+            expect('explanation' in config.tests[0].options[0]).toBe(false);
+            expect(config.tests[0].options[0].text)
+                .toEqual(this.docs[0].configs[0].config.tests[0].options[0].text);
+
+            expect(course.configs[0].config.tests[0]['solution']).toEqual('solution');
+        });
+
+        it('should store the order of delivery of ordering tests for the user', async () => {
+            const course = JSON.parse(JSON.stringify(this.docs[0]));
+            course.configs[0].config.tests.push(TestModelData.configs['ordering']);
+            sinon.stub(CourseModel, 'findOne').resolves(course);
+            sinon.stub(UserModel, 'findOne').resolves({ pin: 12345678, journal: {} });
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            const req = {
+                body: {
+                    name: course.name,
+                    language: course.configs[0].language,
+                    pin: 12345678
+                }
+            };
+
+            await CourseController.loadConfig(req, this.res);
+            const config = this.res.status().json.firstCall.args[0];
+            const ordering = config.tests.find(test => test.category === 'ordering');
+            const permutation = UserModel.updateOne.firstCall.args[1]['journal.permutations'][1007];
+
+            expect(ordering.options.map(option => option.text)).toEqual(permutation.map(k =>
+                TestModelData.configs['ordering'].options[k].text));
+
+            expect(permutation).not.toEqual([0, 1, 2, 3]);
+            expect('permutation' in ordering).toBe(false);
+        });
+
+        it('should keep the order of delivery the user got first', async () => {
+            const course = JSON.parse(JSON.stringify(this.docs[0]));
+            course.configs[0].config.tests.push(TestModelData.configs['ordering']);
+            sinon.stub(CourseModel, 'findOne').resolves(course);
+            sinon.stub(UserModel, 'findOne').resolves({
+                pin: 12345678,
+                journal: { permutations: { 1007: [3, 2, 1, 0] } }
+            });
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            const req = {
+                body: {
+                    name: course.name,
+                    language: course.configs[0].language,
+                    pin: 12345678
+                }
+            };
+
+            await CourseController.loadConfig(req, this.res);
+            const config = this.res.status().json.firstCall.args[0];
+            const ordering = config.tests.find(test => test.category === 'ordering');
+
+            sinon.assert.notCalled(UserModel.updateOne);
+
+            expect(ordering.options.map(option => option.text)).toEqual([
+                'Print the result', 'Remove duplicates', 'Sort the elements', 'Read the input'
+            ]);
         });
     });
 
@@ -133,7 +133,15 @@ const CourseInstance = new CourseModel({
                     "elements": [
                         2001,
                         1002
-                    ]
+                    ],
+                    "evaluationTexts": {
+                        "scoreIndependent": "Logic",
+                        "scoreDependent": [
+                            [33, "Practice more"],
+                            [66, "Average"],
+                            [100, "Well done"]
+                        ]
+                    }
                 },
                 {
                     "id": 3002,
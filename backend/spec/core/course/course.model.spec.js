@@ -2,6 +2,7 @@ const sinon = require('sinon');
 
 const CourseModel = require('../../../app/core/course/course.model');
 const TestDocuments = require('./course.data');
+const TestModelData = require('./testmodels/data');
 
 describe('CourseModel', () => {
     beforeEach( () => {
@@ -15,6 +16,53 @@ describe('CourseModel', () => {
     });
 
 
+    describe('.statics.checkConfig(config)', () => {
+        it('should report every problem with its JSON pointer', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+
+            config['tests'][0]['options'][0]['correct'] = 0;
+            config['tests'][2]['id'] = config['tests'][3]['id'];
+            config['sets'][0]['elements'].push(9999);
+            const problems = CourseModel.checkConfig(config);
+
+            expect(problems).toContain(jasmine.objectContaining({
+                pointer: '/tests/0/options/0/correct',
+                test: config['tests'][0]['id']
+            }));
+
+            expect(problems).toContain(jasmine.objectContaining({
+                pointer: '/tests/3/id',
+                test: config['tests'][3]['id']
+            }));
+
+            expect(problems).toContain(jasmine.objectContaining({ pointer: '/sets/0/elements/2' }));
+        });
+
+        it('should report ranges that are not a whole number of steps', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+            const templateTest = JSON.parse(JSON.stringify(TestModelData.configs['template']));
+
+            templateTest['id'] = config['tests'][0]['id'];
+            templateTest['variables']['a'] = { min: 0, max: 1, step: 0.3 };
+            config['tests'][0] = templateTest;
+
+            expect(CourseModel.checkConfig(config)).toEqual([{
+                pointer: '/tests/0/variables/a',
+                message: 'Range must span a whole number of steps from min to max: a',
+                test: templateTest['id']
+            }]);
+        });
+
+        it('should report nothing for valid configs', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+
+            expect(CourseModel.checkConfig(config)).toEqual([]);
+        });
+    });
+
     describe('.statics.validateConfig(config)', () => {
         it('should return false for invalid configs (invalid config meta)', () => {
             // ugly hack to perform a deep copy of the actual config
@@ -56,6 +104,49 @@ describe('CourseModel', () => {
             expect(ret).toBe(false);
         });
 
+        it('should return false for invalid configs (speed bonus without time limit)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+
+            config['tests'][0]['bonus'] = { points: 1 };
+            delete config['tests'][0]['seconds'];
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(false);
+
+            config['tests'][0]['seconds'] = 30;
+
+            expect(CourseModel.validateConfig(config)).toBe(true);
+        });
+
+        it('should return false for invalid configs (single test config rejected by model)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+            const clozeTest = JSON.parse(JSON.stringify(TestModelData.configs['cloze']));
+
+            // valid against the schema, but there is no fourth choice
+            clozeTest['id'] = config['tests'][0]['id'];
+            clozeTest['options'][0]['correct'] = 3;
+            config['tests'][0] = clozeTest;
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for invalid configs (invalid formula in parameterized test)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+            const templateTest = JSON.parse(JSON.stringify(TestModelData.configs['template']));
+
+            // the formula references an unknown variable, so 'correct' is not replaced by a number
+            templateTest['id'] = config['tests'][0]['id'];
+            templateTest['options'][0]['correct'] = '{a*c}';
+            config['tests'][0] = templateTest;
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
         it('should return false for invalid configs (duplicated test group id)', () => {
             // ugly hack to perform a deep copy of the actual config
             const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
@@ -76,6 +167,29 @@ describe('CourseModel', () => {
             expect(ret).toBe(false);
         });
 
+        it('should return false for invalid configs (adaptive test group without difficulty)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+
+            config['testgroups'][1]['select'] = 1;
+            config['testgroups'][1]['adaptive'] = {};
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return true for valid configs (adaptive test group)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+
+            config['testgroups'][1]['select'] = 1;
+            config['testgroups'][1]['adaptive'] = { start: 1, up: 2 };
+            config['tests'].find(test => test.id === 1003).difficulty = 1;
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(true);
+        });
+
         it('should return false for invalid configs (duplicated test set id)', () => {
             // ugly hack to perform a deep copy of the actual config
             const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
@@ -116,6 +230,28 @@ describe('CourseModel', () => {
             expect(ret).toBe(false);
         });
 
+        it('should return false for invalid configs (invalid reference in recommendation)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+
+            config['recommendations'] = [
+                { outcome: 'recommended', text: '...', conditions: [{ set: 9999, min: 50 }] }
+            ];
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for invalid configs (invalid reference in rasch)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+
+            config['rasch'] = { difficulties: { 9999: 0.5 } };
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
         it('should return true for valid configs (no test groups)', () => {
             // ugly hack to perform a deep copy of the actual config
             const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
@@ -160,6 +296,41 @@ describe('CourseModel', () => {
             expect(ret).toBe(true);
         });
 
+        it('should return true for valid configs (parameterized test)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+            const templateTest = JSON.parse(JSON.stringify(TestModelData.configs['template']));
+
+            templateTest['id'] = config['tests'][0]['id'];
+            config['tests'][0] = templateTest;
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(true);
+        });
+
+        it('should return true for valid configs (recommendations)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+
+            config['recommendations'] = [
+                { outcome: 'recommended', text: '...', conditions: [{ set: 3001, min: 50 }] },
+                { outcome: 'not-recommended', text: '...' }
+            ];
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(true);
+        });
+
+        it('should return true for valid configs (rasch)', () => {
+            // ugly hack to perform a deep copy of the actual config
+            const config = JSON.parse(JSON.stringify(this.docs[0].configs[0].config));
+
+            config['rasch'] = { difficulties: { 1002: -0.5, 1003: 1 } };
+            const ret = CourseModel.validateConfig(config);
+
+            expect(ret).toBe(true);
+        });
+
         it('should return true for valid configs (unmodified)', () => {
             const ret = CourseModel.validateConfig(this.docs[0].configs[0].config);
 
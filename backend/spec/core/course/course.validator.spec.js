@@ -0,0 +1,131 @@
+const fs = require('fs');
+const sinon = require('sinon');
+const yaml = require('js-yaml');
+
+const CourseValidator = require('../../../app/core/course/course.validator');
+
+describe('CourseValidator', () => {
+    beforeEach( () => {
+        // course config with a language file, both as they would be read from disk
+        const config = {
+            title: 'IMIT',
+            validationSchema: '0',
+            tests: [{
+                id: 1001,
+                type: 'logic',
+                category: 'radio-buttons',
+                description: '?ref{1001-1}',
+                task: '?ref{1001-2}',
+                options: [{ text: 'yes', correct: 'yes' }],
+                evaluated: true
+            }]
+        };
+        this.files = {
+            'courses/imit.json': JSON.stringify(config, null, 2),
+            'courses/i18n/imit_en.json': JSON.stringify({
+                language: 'en',
+                '?refs': { '1001-1': 'description' }
+            }, null, 2)
+        };
+
+        sinon.stub(fs, 'readdirSync').returns(['imit_en.json', 'other_en.json']);
+        sinon.stub(fs, 'readFileSync').callsFake(file => {
+            if (!(file in this.files)) {
+                throw new Error('ENOENT: ' + file);
+            }
+            return this.files[file];
+        });
+    });
+
+    afterEach( () => {
+        // cleanup and remove stubs
+        sinon.restore();
+    });
+
+    describe('.validateFile(file)', () => {
+        it('should report every problem with its location', () => {
+            const problems = CourseValidator.validateFile('courses/imit.json');
+
+            expect(problems.length).toEqual(2);
+            expect(problems).toContain({
+                file: 'courses/imit.json',
+                line: 14,
+                column: 22,
+                pointer: '/tests/0/options/0/correct',
+                message: 'should be boolean',
+                test: 1001
+            });
+
+            expect(problems).toContain({
+                file: 'courses/imit.json',
+                line: 10,
+                column: 15,
+                pointer: '/tests/0/task',
+                message: 'Failed to resolve ref: 1001-2 with imit_en.json',
+                test: 1001
+            });
+        });
+
+        it('should report the location of JSON syntax errors', () => {
+            this.files['courses/imit.json'] = '{\n  "title": "IMIT",\n}';
+            const problems = CourseValidator.validateFile('courses/imit.json');
+
+            expect(problems.length).toEqual(1);
+            expect(problems[0].line).toEqual(3);
+            expect(problems[0].message).toContain('Not a valid JSON file');
+        });
+
+        it('should validate YAML sources without locations', () => {
+            const config = JSON.parse(this.files['courses/imit.json']);
+            this.files['courses/imit.yaml'] = yaml.safeDump(config);
+            const problems = CourseValidator.validateFile('courses/imit.yaml');
+
+            expect(problems.length).toEqual(2);
+            expect(problems).toContain({
+                file: 'courses/imit.yaml',
+                pointer: '/tests/0/options/0/correct',
+                message: 'should be boolean',
+                test: 1001
+            });
+        });
+
+        it('should report the location of YAML syntax errors', () => {
+            this.files['courses/imit.yaml'] = 'title: IMIT\ntests: [\n';
+            const problems = CourseValidator.validateFile('courses/imit.yaml');
+
+            expect(problems.length).toEqual(1);
+            expect(problems[0].line).toEqual(3);
+            expect(problems[0].message).toContain('Not a valid YAML file');
+        });
+
+        it('should report language files without language', () => {
+            this.files['courses/i18n/imit_en.json'] = '{}';
+            const problems = CourseValidator.validateFile('courses/imit.json');
+
+            expect(problems.map(problem => problem.message))
+                .toContain('Language config lacks "language" attribute');
+        });
+
+        it('should accept the example course', () => {
+            sinon.restore();
+
+            expect(CourseValidator.validateFile('./data/configs/courses/example.json')).toEqual([]);
+        });
+    });
+
+    describe('.format(problem)', () => {
+        it('should print the location, the test and the message', () => {
+            const problem = {
+                file: 'imit.json',
+                line: 12,
+                column: 21,
+                pointer: '/tests/0/options/1/correct',
+                message: 'should be boolean',
+                test: 1001
+            };
+
+            expect(CourseValidator.format(problem))
+                .toEqual('imit.json:12:21: /tests/0/options/1/correct (test 1001): should be boolean');
+        });
+    });
+});
@@ -0,0 +1,34 @@
+const feedback = require('../../../app/core/course/feedback');
+
+describe('Feedback', () => {
+    describe('.strip(test)', () => {
+        it('should remove the solution and the option explanations', () => {
+            const test = {
+                id: 1001,
+                task: 'task',
+                solution: 'solution',
+                options: [
+                    { text: 'a', correct: true, explanation: 'because' },
+                    { text: 'b', correct: false }
+                ]
+            };
+
+            expect(feedback.strip(test)).toEqual({
+                id: 1001,
+                task: 'task',
+                options: [
+                    { text: 'a', correct: true },
+                    { text: 'b', correct: false }
+                ]
+            });
+        });
+
+        it('should not modify the original config', () => {
+            const test = { id: 1001, solution: 'solution', options: [{ text: 'a', explanation: 'x' }] };
+            feedback.strip(test);
+
+            expect(test.solution).toEqual('solution');
+            expect(test.options[0].explanation).toEqual('x');
+        });
+    });
+});
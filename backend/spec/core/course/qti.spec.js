@@ -0,0 +1,266 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const QTI = require('../../../app/core/course/qti');
+
+/**
+ * Build a QTI item around an interaction.
+ */
+function item(declaration, body) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="i" ' +
+        'xml:lang="de">' + declaration + '<itemBody>' + body + '</itemBody></assessmentItem>';
+}
+
+describe('QTI', () => {
+    beforeEach( () => {
+        this.options = { title: 'QTI', validationSchema: 'QT([0-9])%9', type: 'qti' };
+        this.choice = {
+            href: 'choice.xml',
+            text: item('<responseDeclaration identifier="R" cardinality="single" ' +
+                'baseType="identifier"><correctResponse><value>B</value></correctResponse>' +
+                '</responseDeclaration>',
+            '<p>Look at <img src="img/graph.png"/></p><choiceInteraction responseIdentifier="R">' +
+                '<prompt>Pick <b>one</b></prompt><simpleChoice identifier="A">x</simpleChoice>' +
+                '<simpleChoice identifier="B">y &amp; z</simpleChoice></choiceInteraction>')
+        };
+        this.match = {
+            href: 'match.xml',
+            text: item('<responseDeclaration identifier="R" cardinality="multiple" ' +
+                'baseType="directedPair"><correctResponse><value>r1 c2</value>' +
+                '<value>r2 c1</value></correctResponse></responseDeclaration>',
+            '<matchInteraction responseIdentifier="R"><prompt>Rate</prompt><simpleMatchSet>' +
+                '<simpleAssociableChoice identifier="r1">2+2</simpleAssociableChoice>' +
+                '<simpleAssociableChoice identifier="r2">2*6</simpleAssociableChoice>' +
+                '</simpleMatchSet><simpleMatchSet>' +
+                '<simpleAssociableChoice identifier="c1">large</simpleAssociableChoice>' +
+                '<simpleAssociableChoice identifier="c2">small</simpleAssociableChoice>' +
+                '</simpleMatchSet></matchInteraction>')
+        };
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('importItems(items, options)', () => {
+        it('should map choice items to radio-buttons and multiple-choice', () => {
+            const multiple = {
+                href: 'multiple.xml',
+                text: item('<responseDeclaration identifier="R" cardinality="multiple"/>',
+                    '<choiceInteraction responseIdentifier="R"><simpleChoice identifier="A">a' +
+                    '</simpleChoice></choiceInteraction>')
+            };
+            const course = QTI.importItems([this.choice, multiple], this.options);
+
+            expect(course.skipped).toEqual([]);
+            expect(course.config).toEqual({
+                title: 'QTI',
+                validationSchema: 'QT([0-9])%9',
+                tests: [{
+                    id: 1001,
+                    type: 'qti',
+                    category: 'radio-buttons',
+                    description: '?ref{1001-1}',
+                    task: '?ref{1001-2}',
+                    options: [
+                        { text: '?ref{1001-3}' },
+                        { text: '?ref{1001-4}', correct: true }
+                    ],
+                    evaluated: true
+                }, {
+                    id: 1002,
+                    type: 'qti',
+                    category: 'multiple-choice',
+                    description: '',
+                    task: '',
+                    options: [{ text: '?ref{1002-1}' }],
+                    evaluated: false
+                }],
+                sets: [{ id: 3001, elements: [1001, 1002] }]
+            });
+
+            expect(course.languages).toEqual({
+                de: {
+                    language: 'de',
+                    '?refs': {
+                        '1001-1': '<p>Look at ``graph.png``</p>',
+                        '1001-2': 'Pick <b>one</b>',
+                        '1001-3': 'x',
+                        '1001-4': 'y &amp; z',
+                        '1002-1': 'a'
+                    }
+                }
+            });
+        });
+
+        it('should map match items to multiple-options', () => {
+            const course = QTI.importItems([this.match], this.options);
+
+            expect(course.config['tests'][0]['category']).toEqual('multiple-options');
+            expect(course.config['tests'][0]['options']).toEqual([
+                { text: '?ref{1001-2}', correct: 1 },
+                { text: '?ref{1001-3}', correct: 0 }
+            ]);
+
+            expect(course.config['tests'][0]['header']).toEqual(['?ref{1001-4}', '?ref{1001-5}']);
+            expect(course.items).toEqual({ '/tests/0': 'match.xml' });
+        });
+
+        it('should report items it cannot map', () => {
+            this.match.text = this.match.text.replace('<value>r2 c1</value>', '');
+            const course = QTI.importItems([
+                { href: 'missing.xml', text: null },
+                { href: 'broken.xml', text: '<assessmentItem>' },
+                { href: 'text.xml', text: item('', '<textEntryInteraction/>') },
+                { href: 'two.xml', text: item('', '<choiceInteraction/><choiceInteraction/>') },
+                this.match,
+                this.choice
+            ], Object.assign({ language: 'en' }, this.options));
+
+            expect(course.skipped).toEqual([
+                { item: 'missing.xml', message: 'Item file is missing' },
+                { item: 'broken.xml', message: 'Unclosed element: <assessmentItem>' },
+                {
+                    item: 'text.xml',
+                    message: 'Interaction is not supported: textEntryInteraction'
+                },
+                { item: 'two.xml', message: 'Item must have exactly one interaction, found 2' },
+                {
+                    item: 'match.xml',
+                    message: 'Every choice of the first match set needs exactly one correct ' +
+                        'match: r2'
+                }
+            ]);
+
+            expect(course.config['tests'].length).toEqual(1);
+            expect(Object.keys(course.languages)).toEqual(['en']);
+        });
+    });
+
+    describe('exportItem(test, language)', () => {
+        it('should keep the markup of the texts where possible', () => {
+            const exported = QTI.exportItem({
+                id: 1001,
+                category: 'radio-buttons',
+                description: 'See ``graph.png``<br>',
+                task: 'Pick &nbsp;one',
+                options: [{ text: 'a < b' }, { text: 'c', correct: true }],
+                seconds: 60
+            }, 'en');
+
+            expect(exported.identifier).toEqual('test-1001');
+            expect(exported.escaped).toEqual(['options/0']);
+            expect(exported.text).toContain('timeDependent="true"');
+            expect(exported.text).toContain(
+                '<div>See <img src="graph.png" alt="graph.png"/><br/></div>');
+
+            expect(exported.text).toContain('<prompt>Pick &#160;one</prompt>');
+            expect(exported.text).toContain('<simpleChoice identifier="choice-0">a &lt; b<');
+            expect(exported.text).toContain('<correctResponse><value>choice-1</value>');
+        });
+
+        it('should export tests that are not evaluated without correct response', () => {
+            const exported = QTI.exportItem({
+                id: 1002,
+                category: 'multiple-options',
+                task: 'Rate ``scale.png``',
+                header: ['agree', 'disagree'],
+                options: [{ text: 'x', correct: 0 }, { text: 'y' }],
+                evaluated: false
+            }, 'en');
+
+            expect(exported.text).toContain('<responseDeclaration identifier="RESPONSE" ' +
+                'cardinality="multiple" baseType="directedPair"></responseDeclaration>');
+
+            expect(exported.text).not.toContain('row-0 column-');
+            expect(exported.text).not.toContain('<mapping');
+            expect(exported.images).toEqual(['scale.png']);
+        });
+
+        it('should reject other categories', () => {
+            expect(() => QTI.exportItem({ id: 1, category: 'match' }, 'en')).toThrowError(
+                /Category cannot be exported: match/);
+        });
+    });
+
+    describe('createPackage(config, language)', () => {
+        it('should export tests that import again', () => {
+            const course = QTI.importItems([this.choice, this.match], this.options);
+            const refs = course.languages['de']['?refs'];
+            const resolve = text => text.replace(/\?ref\{([^}]*)\}/g, (match, ref) => refs[ref]);
+            let config = JSON.parse(JSON.stringify(course.config));
+            for (const test of config['tests']) {
+                test['description'] = resolve(test['description']);
+                test['task'] = resolve(test['task']);
+                test['options'].forEach(option => option['text'] = resolve(option['text']));
+                test['header'] = test['header'] ? test['header'].map(resolve) : undefined;
+            }
+            config['tests'].push({ id: 1003, category: 'match', options: [] });
+            const exported = QTI.createPackage(config, 'de');
+
+            expect(exported.items).toEqual(2);
+            expect(exported.skipped).toEqual([
+                { test: 1001, message: 'Image is not in the assets, exported without it: ' +
+                    'graph.png' },
+                { test: 1003, message: 'Category cannot be exported: match' }
+            ]);
+
+            const items = QTI.readPackage(exported.buffer);
+            const imported = QTI.importItems(items, this.options);
+
+            expect(items.map(entry => entry.href)).toEqual(
+                ['items/test-1001.xml', 'items/test-1002.xml']);
+
+            expect(imported.config).toEqual(course.config);
+            expect(imported.languages).toEqual(course.languages);
+        });
+
+        it('should package the images of the tests', () => {
+            const assets = fs.mkdtempSync(path.join(os.tmpdir(), 'qti-'));
+            fs.writeFileSync(path.join(assets, 'graph.png'), 'png');
+            const config = { tests: [1001, 1002].map(id => ({
+                id: id,
+                category: 'radio-buttons',
+                task: 'See ``graph.png`` and ``missing.png``',
+                options: [{ text: 'a', correct: true }, { text: '``../secret.png``' }]
+            })) };
+            const exported = QTI.createPackage(config, 'en', assets);
+            fs.unlinkSync(path.join(assets, 'graph.png'));
+            fs.rmdirSync(assets);
+
+            expect(exported.items).toEqual(2);
+            expect(exported.skipped).toEqual([1001, 1002].map(id => [
+                { test: id, message: 'Image is not in the assets, exported without it: ' +
+                    'missing.png' },
+                { test: id, message: 'Image is not in the assets, exported without it: ' +
+                    '../secret.png' }
+            ]).reduce((all, entries) => all.concat(entries), []));
+
+            const zip = new AdmZip(exported.buffer);
+
+            expect(zip.getEntries().map(entry => entry.entryName).sort()).toEqual([
+                'imsmanifest.xml', 'items/graph.png', 'items/test-1001.xml',
+                'items/test-1002.xml'
+            ]);
+
+            expect(zip.readAsText('imsmanifest.xml')).toContain(
+                '<file href="items/test-1002.xml"/><file href="items/graph.png"/>');
+        });
+
+        it('should not create empty packages', () => {
+            expect(QTI.createPackage({ tests: [] }, 'en').buffer).toBeNull();
+        });
+    });
+
+    describe('readPackage(buffer)', () => {
+        it('should require a manifest', () => {
+            const zip = new AdmZip();
+            zip.addFile('item.xml', Buffer.from(this.choice.text));
+
+            expect(() => QTI.readPackage(zip.toBuffer())).toThrowError(/imsmanifest.xml/);
+        });
+    });
+});
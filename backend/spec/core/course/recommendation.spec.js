@@ -0,0 +1,60 @@
+const Recommendation = require('../../../app/core/course/recommendation');
+
+describe('Recommendation', () => {
+    beforeEach( () => {
+        // logic and maths rules of a course
+        this.rules = [
+            {
+                outcome: 'recommended',
+                text: 'Well prepared',
+                conditions: [{ set: 3001, min: 50 }, { set: 3002, min: 40 }]
+            },
+            {
+                outcome: 'conditionally-recommended',
+                text: 'Practice maths',
+                conditions: [{ set: 3001, min: 50 }]
+            },
+            {
+                outcome: 'not-recommended',
+                text: 'Not prepared'
+            }
+        ];
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('recommend(rules, sets)', () => {
+        it('should return the first rule whose conditions all hold', () => {
+            const sets = [{ id: 3001, percentage: 60 }, { id: 3002, percentage: 40 }];
+
+            expect(Recommendation.recommend(this.rules, sets)).toEqual({
+                outcome: 'recommended',
+                text: 'Well prepared'
+            });
+        });
+
+        it('should fall through to later rules', () => {
+            const sets = [{ id: 3001, percentage: 60 }, { id: 3002, percentage: 30 }];
+
+            expect(Recommendation.recommend(this.rules, sets).outcome)
+                .toEqual('conditionally-recommended');
+
+            expect(Recommendation.recommend(this.rules, [{ id: 3001, percentage: 10 }]).outcome)
+                .toEqual('not-recommended');
+        });
+
+        it('should respect upper bounds and sets without a percentage', () => {
+            const rules = [{ outcome: 'recommended', text: '...', conditions: [{ set: 3001, max: 50 }] }];
+
+            expect(Recommendation.recommend(rules, [{ id: 3001, percentage: 50 }])).not.toBe(null);
+            expect(Recommendation.recommend(rules, [{ id: 3001, percentage: 51 }])).toBe(null);
+            expect(Recommendation.recommend(rules, [{ id: 3001, percentage: null }])).toBe(null);
+        });
+
+        it('should return null without rules', () => {
+            expect(Recommendation.recommend(undefined, [])).toBe(null);
+        });
+    });
+});
@@ -0,0 +1,104 @@
+const Ajv = require('ajv');
+
+const Scoring = require('../../../app/core/course/scoring');
+
+describe('Scoring', () => {
+    beforeEach( () => {
+        // raw result with two correct and one wrong answer out of four
+        this.result = {
+            score: 2,
+            correct: [0, 1],
+            wrong: [2]
+        };
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('resolve(course, test)', () => {
+        it('should fall back to the default policy', () => {
+            expect(Scoring.resolve(undefined, undefined)).toEqual({
+                mode: 'sum',
+                penalty: 0,
+                floor: true
+            });
+        });
+
+        it('should let the test override the course', () => {
+            const policy = Scoring.resolve({mode: 'partial', penalty: 1}, {penalty: 0.5});
+
+            expect(policy.mode).toEqual('partial');
+            expect(policy.penalty).toEqual(0.5);
+        });
+
+        it('should keep the points of the course with its mode', () => {
+            const course = {mode: 'partial', points: 2};
+
+            expect(Scoring.resolve(course, {penalty: 1}).points).toEqual(2);
+            expect(Scoring.resolve(course, {mode: 'sum'})).toEqual({
+                mode: 'sum',
+                penalty: 0,
+                floor: true
+            });
+        });
+    });
+
+    describe('SCORING_SCHEMA', () => {
+        it('should only accept points for all-or-nothing and partial credit', () => {
+            const validate = new Ajv().compile(Scoring.SCORING_SCHEMA);
+
+            expect(validate({mode: 'partial', points: 2})).toBe(true);
+            expect(validate({mode: 'all-or-nothing', points: 2})).toBe(true);
+            expect(validate({mode: 'sum', points: 2})).toBe(false);
+            expect(validate({points: 2})).toBe(false);
+            expect(validate({penalty: 1})).toBe(true);
+        });
+    });
+
+    describe('apply(policy, result, maxScore)', () => {
+        it('should keep the raw result by default', () => {
+            expect(Scoring.apply(Scoring.resolve(), this.result, 4)).toEqual({
+                score: 2,
+                maxScore: 4
+            });
+        });
+
+        it('should deduct the penalty per wrong answer', () => {
+            const policy = Scoring.resolve(undefined, {penalty: 0.5});
+
+            expect(Scoring.apply(policy, this.result, 4).score).toEqual(1.5);
+        });
+
+        it('should floor the score at zero', () => {
+            const policy = Scoring.resolve(undefined, {penalty: 3});
+
+            expect(Scoring.apply(policy, this.result, 4).score).toEqual(0);
+        });
+
+        it('should allow negative scores without floor', () => {
+            const policy = Scoring.resolve(undefined, {penalty: 3, floor: false});
+
+            expect(Scoring.apply(policy, this.result, 4).score).toEqual(-1);
+        });
+
+        it('should award all or nothing', () => {
+            const policy = Scoring.resolve(undefined, {mode: 'all-or-nothing', points: 2});
+            const perfect = {
+                score: 4,
+                correct: [0, 1, 2, 3],
+                wrong: []
+            };
+
+            expect(Scoring.apply(policy, this.result, 4)).toEqual({score: 0, maxScore: 2});
+            expect(Scoring.apply(policy, perfect, 4)).toEqual({score: 2, maxScore: 2});
+        });
+
+        it('should award proportional partial credit', () => {
+            const policy = Scoring.resolve(undefined, {mode: 'partial', points: 1, penalty: 1});
+
+            expect(Scoring.apply(policy, this.result, 4)).toEqual({score: 0.25, maxScore: 1});
+            expect(Scoring.apply(policy, this.result, 0)).toEqual({score: 0, maxScore: 1});
+        });
+    });
+});
@@ -0,0 +1,143 @@
+const Spreadsheet = require('../../../app/core/course/spreadsheet');
+
+describe('Spreadsheet', () => {
+    beforeEach( () => {
+        // two tests in two languages, one row per option
+        this.rows = [
+            ['category', 'type', 'evaluated', 'seconds', 'set', 'task:en', 'task:de', 'task',
+                'option:en', 'option:de', 'option', 'correct', 'header:en', 'header:de'],
+            ['radio-buttons', 'logic', 'yes', '', 'A', 'Pick', 'Wähle', '', 'four', 'vier', '',
+                '', '', ''],
+            ['', '', '', '', '', '', '', '', 'seven', 'sieben', '', 'x', '', ''],
+            [],
+            ['multiple-options', 'logic', 'no', '60', '', 'Rate', 'Schätze', '$$x$$', '', '',
+                '2+2', '0', 'small', 'klein'],
+            ['', '', '', '', '', '', '', '', '', '', '2*6', '1', 'large', 'groß']
+        ];
+        this.options = {
+            title: 'Bank',
+            validationSchema: 'BA([0-9])%9',
+            languages: { de: 'Deutsch' }
+        };
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('convert(rows, options)', () => {
+        it('should create tests, sets and refs', () => {
+            const course = Spreadsheet.convert(this.rows, this.options);
+
+            expect(course.problems).toEqual([]);
+            expect(course.config).toEqual({
+                title: 'Bank',
+                validationSchema: 'BA([0-9])%9',
+                tests: [{
+                    id: 1001,
+                    type: 'logic',
+                    category: 'radio-buttons',
+                    description: '',
+                    task: '?ref{1001-1}',
+                    options: [
+                        { text: '?ref{1001-2}' },
+                        { text: '?ref{1001-3}', correct: true }
+                    ],
+                    evaluated: true
+                }, {
+                    id: 1002,
+                    type: 'logic',
+                    category: 'multiple-options',
+                    description: '',
+                    task: '?ref{1002-1} $$x$$',
+                    options: [
+                        { text: '2+2', correct: 0 },
+                        { text: '2*6', correct: 1 }
+                    ],
+                    evaluated: false,
+                    seconds: 60,
+                    header: ['?ref{1002-2}', '?ref{1002-3}']
+                }],
+                sets: [{ id: 3001, elements: [1001, 1002] }]
+            });
+
+            expect(course.languages['en']).toEqual({
+                language: 'en',
+                '?refs': {
+                    '1001-1': 'Pick', '1001-2': 'four', '1001-3': 'seven',
+                    '1002-1': 'Rate', '1002-2': 'small', '1002-3': 'large'
+                }
+            });
+
+            expect(course.languages['de']['language']).toEqual('Deutsch');
+            expect(course.rows['/tests/1']).toEqual(5);
+            expect(course.rows['/tests/1/options/1']).toEqual(6);
+        });
+
+        it('should start a new set for a new set name', () => {
+            this.rows[4][4] = 'B';
+            const course = Spreadsheet.convert(this.rows, this.options);
+
+            expect(course.config['sets']).toEqual([
+                { id: 3001, elements: [1001] },
+                { id: 3002, elements: [1002] }
+            ]);
+        });
+
+        it('should report problems with their row', () => {
+            this.rows[0].push('points');
+            this.rows[1][2] = 'maybe';
+            this.rows[2][9] = '';
+            this.rows[5][11] = 'first';
+            this.rows.splice(1, 0, ['', '', '', '', '', '', '', '', 'orphan']);
+            const course = Spreadsheet.convert(this.rows, this.options);
+
+            expect(course.problems).toEqual([
+                { row: 1, message: 'Unknown column: points' },
+                { row: 2, message: 'Option without a test, start the test with a category' },
+                { row: 3, message: 'Not a yes/no value: evaluated' },
+                { row: 4, message: 'Missing translation: option:de' },
+                { row: 7, message: 'Not a header index: correct' }
+            ]);
+        });
+
+        it('should keep correct values strings unless the category expects a number', () => {
+            const rows = [
+                ['category', 'type', 'evaluated', 'task:en', 'option:en', 'correct'],
+                ['numeric', 'maths', 'yes', 'Compute', '6*7', '42'],
+                ['', '', '', '', 'Leading zeros', '007'],
+                ['cloze', 'language', 'yes', 'Agent [[1]]', 'gap', '007']
+            ];
+            const course = Spreadsheet.convert(rows, this.options);
+
+            expect(course.problems).toEqual([]);
+            expect(course.config.tests[0].options.map(option => option.correct)).toEqual([42, 7]);
+            expect(course.config.tests[1].options[0].correct).toEqual('007');
+        });
+
+        it('should report categories that cannot be written in a sheet', () => {
+            const rows = [
+                ['category', 'type', 'evaluated', 'task:en', 'option:en', 'correct'],
+                ['match', 'language', 'yes', 'Find', 'a text', 'text'],
+                ['numeric', 'maths', 'yes', 'Compute', '6*7', 'forty-two']
+            ];
+            const course = Spreadsheet.convert(rows, this.options);
+
+            expect(course.problems).toEqual([
+                { row: 2, message: 'Category cannot be written in a sheet: match, use one of ' +
+                    Spreadsheet.CATEGORIES.join(', ') },
+                { row: 3, message: 'Not a number: correct' }
+            ]);
+        });
+
+        it('should require a category and languages', () => {
+            const course = Spreadsheet.convert([['type', 'task']], this.options);
+
+            expect(course.problems).toEqual([
+                { row: 1, message: 'No language columns, e.g. task:en' },
+                { row: 1, message: 'Missing column: category' },
+                { row: 1, message: 'The sheet has no tests' }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+const Template = require('../../../app/core/course/template');
+const TestData = require('./testmodels/data');
+
+describe('Template', () => {
+    beforeEach( () => {
+        // dummy
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('count(variable)', () => {
+        it('should count the values of a range', () => {
+            expect(Template.count({min: 0.5, max: 2, step: 0.5})).toEqual(4);
+            expect(Template.count({min: 0.1, max: 0.3, step: 0.1})).toEqual(3);
+            expect(Template.count({min: 0, max: 1e9})).toEqual(1e9 + 1);
+        });
+
+        it('should return NaN for ranges that are not a whole number of steps', () => {
+            expect(Template.count({min: 0, max: 1, step: 0.3})).toBeNaN();
+            expect(Template.count({min: 2, max: 1})).toBeNaN();
+        });
+
+        it('should count the values of a list', () => {
+            expect(Template.count({values: [10, 100]})).toEqual(2);
+        });
+    });
+
+    describe('valueAt(variable, index)', () => {
+        it('should compute the values of a range', () => {
+            const variable = {min: 0.1, max: 0.3, step: 0.1};
+
+            expect([0, 1, 2].map(index => Template.valueAt(variable, index)))
+                .toEqual([0.1, 0.2, 0.3]);
+        });
+
+        it('should return the values of a list', () => {
+            expect(Template.valueAt({values: [10, 100]}, 1)).toEqual(100);
+        });
+    });
+
+    describe('includes(variable, value)', () => {
+        it('should check the values of a range by their position', () => {
+            const variable = {min: 0, max: 1e9, step: 0.5};
+
+            expect(Template.includes(variable, 0)).toBe(true);
+            expect(Template.includes(variable, 123456789.5)).toBe(true);
+            expect(Template.includes(variable, 1e9)).toBe(true);
+            expect(Template.includes(variable, 1e9 + 0.5)).toBe(false);
+            expect(Template.includes(variable, 0.25)).toBe(false);
+            expect(Template.includes(variable, -0.5)).toBe(false);
+            expect(Template.includes({min: 0.1, max: 0.3, step: 0.1}, 0.3)).toBe(true);
+        });
+    });
+
+    describe('validateValues(variables, values)', () => {
+        it('should accept values from the domains', () => {
+            const variables = TestData.configs['template'].variables;
+
+            expect(Template.validateValues(variables, {a: 9, b: 12})).toBe(true);
+        });
+
+        it('should reject missing or foreign values', () => {
+            const variables = TestData.configs['template'].variables;
+
+            expect(Template.validateValues(variables, {a: 10, b: 12})).toBe(false);
+            expect(Template.validateValues(variables, {a: 9})).toBe(false);
+            expect(Template.validateValues(variables, undefined)).toBe(false);
+        });
+    });
+
+    describe('apply(config, values)', () => {
+        it('should replace the placeholders', () => {
+            const config = Template.apply(TestData.configs['template'], {a: 3, b: 12});
+
+            expect(config.task).toEqual('Compute 3*12');
+            expect(config.options[0].text).toEqual('3*12 =');
+            expect(config.options[0].correct).toEqual(36);
+        });
+
+        it('should not alter the config', () => {
+            Template.apply(TestData.configs['template'], {a: 3, b: 12});
+
+            expect(TestData.configs['template'].task).toEqual('Compute {a}*{b}');
+        });
+
+        it('should leave other curly braces untouched', () => {
+            const config = Template.apply({
+                task: '?ref{1001-2}: $$x^{2} + {a}$$ {unknown} {not an expression}'
+            }, {a: 3});
+
+            expect(config.task).toEqual('?ref{1001-2}: $$x^{2} + 3$$ {unknown} {not an expression}');
+        });
+
+        it('should throw an error for results that are not finite', () => {
+            expect( () => Template.apply({task: '{1 / (a - 3)}'}, {a: 3}) ).toThrow();
+        });
+    });
+});
@@ -1,4 +1,7 @@
 const BaseTest = require('../../../../app/core/course/testmodels/base');
+const MultipleChoiceTest = require('../../../../app/core/course/testmodels/multiple_choice');
+const NumericTest = require('../../../../app/core/course/testmodels/numeric');
+const TestData = require('./data');
 
 describe('BaseTest', () => {
     beforeEach( () => {
@@ -25,6 +28,28 @@ describe('BaseTest', () => {
         });
     });
 
+    describe('.delivery(config)', () => {
+        it('should remove the correct answers and the feedback', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['radio-buttons']));
+            config['solution'] = 'solution';
+            config.options[0]['explanation'] = 'explanation';
+            const delivery = BaseTest.delivery(config);
+
+            expect('solution' in delivery).toBe(false);
+            expect(delivery.options.some(option => 'correct' in option)).toBe(false);
+            expect(delivery.options.some(option => 'explanation' in option)).toBe(false);
+            expect(delivery.options.map(option => option.text))
+                .toEqual(config.options.map(option => option.text));
+        });
+
+        it('should not modify the config', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['radio-buttons']));
+            BaseTest.delivery(config);
+
+            expect(config).toEqual(TestData.configs['radio-buttons']);
+        });
+    });
+
     describe('.maxScore (get)', () => {
         class SampleTest extends BaseTest {
             constructor(config) {
@@ -66,4 +91,36 @@ describe('BaseTest', () => {
             }).toThrow(new Error('calculateScore(...) not implemented'));
         });
     });
+
+    describe('.evaluate(log, context)', () => {
+        it('should apply the scoring policy of the test', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['numeric']));
+            config.scoring = {mode: 'partial', points: 6, penalty: 1};
+            const result = new NumericTest(config).evaluate(['12', '0.333', '1']);
+
+            expect(result.score).toEqual(2);
+            expect(result.maxScore).toEqual(6);
+            expect(result.correct).toEqual([0, 1]);
+            expect(result.wrong).toEqual([2]);
+        });
+
+        it('should apply the scoring policy of the course', () => {
+            const test = new NumericTest(TestData.configs['numeric']);
+            const result = test.evaluate(['12', '1', '1'], {scoring: {mode: 'all-or-nothing'}});
+
+            expect(result.score).toEqual(0);
+            expect(result.maxScore).toEqual(3);
+        });
+
+        it('should not penalize categories that deduct points on their own', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['multiple-choice']));
+            config.options = [{text: 'A', correct: true}, {text: 'B', correct: true}, {text: 'C'}];
+            // two correct selections minus one for the wrong one, no penalty on top
+            const result = new MultipleChoiceTest(config).evaluate([true, true, true],
+                {scoring: {penalty: 0.5}});
+
+            expect(result.score).toEqual(1);
+            expect(result.maxScore).toEqual(2);
+        });
+    });
 });
@@ -0,0 +1,187 @@
+const CancellationTest = require('../../../../app/core/course/testmodels/cancellation');
+const TestData = require('./data');
+
+describe('CancellationTest', () => {
+    beforeEach( () => {
+        // create a new object each time to ensure tests do not affect each other
+        this.CancellationTestInstance = new CancellationTest(TestData.configs['cancellation']);
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+
+    describe('.constructor()', () => {
+        it('should set the name', () => {
+            expect(CancellationTest.name).toEqual('cancellation');
+        });
+
+        it('should throw an error for invalid configs', () => {
+            expect( () => {
+                new CancellationTest({})
+            }).toThrow(new Error('Invalid test config'));
+        });
+    });
+
+    describe('.name (get)', () => {
+        it('should return the test name', () => {
+            expect(CancellationTest.name).toEqual('cancellation');
+        });
+    });
+
+    describe('.schema (get)', () => {
+        it('should set the schema id', () => {
+            expect(CancellationTest.schema['$id']).toEqual('CancellationTest');
+        });
+    });
+
+    describe('.delivery(config)', () => {
+        it('should keep the targets, which the frontend needs for the grid', () => {
+            const delivery = CancellationTest.delivery(TestData.configs['cancellation']);
+
+            expect(delivery.options).toEqual(TestData.configs['cancellation'].options);
+        });
+    });
+
+    describe('.maxScore (get)', () => {
+        it('should return the number of targets', () => {
+            // 40% of 12 cells
+            expect(this.CancellationTestInstance.maxScore).toEqual(5);
+        });
+
+        it('should respect the hit weight', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cancellation']));
+            config.targetRatio = 0.5;
+            config.weights = {hits: 2};
+
+            expect(new CancellationTest(config).maxScore).toEqual(12);
+        });
+    });
+
+    describe('.loadConfig()', () => {
+        it('should return false for a missing time limit', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cancellation']));
+            delete config.seconds;
+            const ret = this.CancellationTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false without distractors', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cancellation']));
+            config.options.forEach(opt => opt.correct = true);
+            const ret = this.CancellationTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should accept a scoring policy next to the weights', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cancellation']));
+            config.weights = {falseAlarms: 0};
+            config.scoring = {mode: 'partial', points: 1, penalty: 0.5};
+            const ret = this.CancellationTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+
+        it('should return false for weights in the scoring policy', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cancellation']));
+            config.scoring = {falseAlarms: 0, penalty: 0.5};
+
+            expect(this.CancellationTestInstance.loadConfig(config)).toBe(false);
+        });
+
+        it('should return true for valid configs', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cancellation']));
+            const ret = this.CancellationTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+    });
+
+    describe('.random(seed)', () => {
+        it('should yield the same sequence as the frontend', () => {
+            const random = CancellationTest.random(12345);
+
+            expect(random()).toBeCloseTo(0.27749012, 8);
+            expect(random()).toBeCloseTo(0.72558468, 8);
+        });
+    });
+
+    describe('.generateGrid(seed)', () => {
+        it('should generate the same grid for the same seed', () => {
+            const grid = this.CancellationTestInstance.generateGrid(12345);
+
+            expect(grid).toEqual([0, 2, 1, 1, 0, 1, 2, 2, 0, 0, 0, 1]);
+            expect(this.CancellationTestInstance.generateGrid(12345)).toEqual(grid);
+        });
+
+        it('should place the exact number of targets', () => {
+            const grid = this.CancellationTestInstance.generateGrid(42);
+
+            expect(grid.filter(symbol => symbol === 0).length).toEqual(5);
+        });
+    });
+
+    describe('.calculateResult(log, context)', () => {
+        it('should calculate correct result', () => {
+            const log = [true, false, false, false, true, false, false, false, true, true, true, false];
+            const result = this.CancellationTestInstance.calculateResult(log, {seed: 12345});
+
+            expect(result.score).toEqual(5);
+            expect(result.correct).toEqual([0, 4, 8, 9, 10]);
+            expect(result.wrong).toEqual([]);
+        });
+
+        it('should subtract false alarms', () => {
+            const log = [true, true, true, false, false, false, false, false, false, false, false, false];
+            const result = this.CancellationTestInstance.calculateResult(log, {seed: 12345});
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([0]);
+            expect(result.wrong).toEqual([1, 2]);
+        });
+
+        it('should apply the configured weights', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cancellation']));
+            config.weights = {hits: 2, misses: -1, falseAlarms: 0};
+            const log = [true, true, false, false, true, false, false, false, true, false, false, false];
+            const result = new CancellationTest(config).calculateResult(log, {seed: 12345});
+
+            // 3 hits, 2 misses, 1 false alarm
+            expect(result.score).toEqual(4);
+        });
+
+        it('should penalize false alarms only once', () => {
+            // 3 hits, 1 false alarm
+            const log = [true, true, false, false, true, false,
+                false, false, true, false, false, false];
+            let config = JSON.parse(JSON.stringify(TestData.configs['cancellation']));
+            config.scoring = {penalty: 0.5};
+
+            expect(new CancellationTest(config).evaluate(log, {seed: 12345}).score).toEqual(2);
+
+            config.weights = {falseAlarms: 0};
+
+            expect(new CancellationTest(config).evaluate(log, {seed: 12345}).score).toEqual(2.5);
+        });
+
+        it('should ignore tests that were not started', () => {
+            const log = new Array(12).fill(null);
+            const result = this.CancellationTestInstance.calculateResult(log, {seed: 12345});
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([]);
+        });
+
+        it('should not score without a seed', () => {
+            const log = new Array(12).fill(true);
+            const result = this.CancellationTestInstance.calculateResult(log, {});
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const ClozeTest = require('../../../../app/core/course/testmodels/cloze');
+const TestData = require('./data');
+
+describe('ClozeTest', () => {
+    beforeEach( () => {
+        // create a new object each time to ensure tests do not affect each other
+        this.ClozeTestInstance = new ClozeTest(TestData.configs['cloze']);
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+
+    describe('.constructor()', () => {
+        it('should set the name', () => {
+            expect(ClozeTest.name).toEqual('cloze');
+        });
+
+        it('should throw an error for invalid configs', () => {
+            expect( () => {
+                new ClozeTest({})
+            }).toThrow(new Error('Invalid test config'));
+        });
+    });
+
+    describe('.name (get)', () => {
+        it('should return the test name', () => {
+            expect(ClozeTest.name).toEqual('cloze');
+        });
+    });
+
+    describe('.schema (get)', () => {
+        it('should set the schema id', () => {
+            expect(ClozeTest.schema['$id']).toEqual('ClozeTest');
+        });
+    });
+
+    describe('.maxScore (get)', () => {
+        it('should return n for n gaps', () => {
+            expect(this.ClozeTestInstance.maxScore)
+                .toEqual(TestData.configs['cloze'].options.length);
+        });
+    });
+
+    describe('.loadConfig()', () => {
+        it('should return false for missing correct values', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cloze']));
+            delete config.options[1].correct;
+            const ret = this.ClozeTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for unknown choices', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cloze']));
+            config.options[0].correct = 3;
+            const ret = this.ClozeTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for non-string answers of free-text gaps', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cloze']));
+            config.options[1].correct = 0;
+            const ret = this.ClozeTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return true for valid configs', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['cloze']));
+            const ret = this.ClozeTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+    });
+
+    describe('.calculateResult(log)', () => {
+        it('should calculate correct result', () => {
+            const log = [1, ' WAS '];
+            const result = this.ClozeTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(2);
+            expect(result.correct).toEqual([0, 1]);
+            expect(result.wrong).toEqual([]);
+        });
+
+        it('should score every gap on its own', () => {
+            const log = [2, 'was'];
+            const result = this.ClozeTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(1);
+            expect(result.correct).toEqual([1]);
+            expect(result.wrong).toEqual([0]);
+        });
+
+        it('should ignore empty gaps', () => {
+            const log = [null, ''];
+            const result = this.ClozeTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([]);
+        });
+    });
+});
@@ -71,11 +71,265 @@ const MatchTestConfig = {
     seconds: 10
 };
 
+const NumericTestConfig = {
+    id: 1005,
+    type: "maths",
+    category: "numeric",
+    description: "",
+    task: "",
+    options: [{
+        text: "2*6",
+        correct: 12
+    }, {
+        text: "1/3",
+        correct: 0.333,
+        tolerance: {
+            absolute: 0.001
+        }
+    }, {
+        text: "Speed of light",
+        correct: 300000,
+        tolerance: {
+            relative: 0.01
+        },
+        unit: "km/s"
+    }],
+    evaluated: true
+};
+
+const ShortAnswerTestConfig = {
+    id: 1006,
+    type: "language",
+    category: "short-answer",
+    description: "",
+    task: "",
+    options: [{
+        text: "Capital of France",
+        answers: [{
+            value: "Paris"
+        }]
+    }, {
+        text: "Plural of 'mouse'",
+        answers: [{
+            value: "mice",
+            mode: "ignore-case",
+            points: 2
+        }, {
+            value: "mouses",
+            points: 0
+        }]
+    }, {
+        text: "Any colour of the German flag",
+        answers: [{
+            value: "black|red|gold",
+            mode: "regex"
+        }]
+    }],
+    evaluated: true
+};
+
+const OrderingTestConfig = {
+    id: 1007,
+    type: "logic",
+    category: "ordering",
+    description: "",
+    task: "",
+    options: [{
+        text: "Read the input"
+    }, {
+        text: "Sort the elements"
+    }, {
+        text: "Remove duplicates"
+    }, {
+        text: "Print the result"
+    }],
+    evaluated: true
+};
+
+const PairsTestConfig = {
+    id: 1008,
+    type: "language",
+    category: "pairs",
+    description: "",
+    task: "",
+    targets: [
+        "dog",
+        "cat",
+        "horse",
+        "cow"
+    ],
+    options: [{
+        text: "Hund",
+        correct: 0
+    }, {
+        text: "Katze",
+        correct: 1
+    }, {
+        text: "Kater",
+        correct: 1
+    }],
+    evaluated: true
+};
+
+const ClozeTestConfig = {
+    id: 1009,
+    type: "language",
+    category: "cloze",
+    description: "",
+    task: "The cat [[1]] on the mat, because it [[2]] tired.",
+    options: [{
+        choices: ["sit", "sat", "sitted"],
+        correct: 1
+    }, {
+        text: "verb",
+        correct: "was",
+        ignoreCase: true
+    }],
+    evaluated: true
+};
+
+const LikertTestConfig = {
+    id: 1010,
+    type: "interests",
+    category: "likert",
+    description: "",
+    task: "",
+    scale: [
+        "strongly disagree",
+        "disagree",
+        "neutral",
+        "agree",
+        "strongly agree"
+    ],
+    options: [{
+        text: "I enjoy solving puzzles",
+        dimension: "logic"
+    }, {
+        text: "I like to write small programs",
+        dimension: "programming"
+    }, {
+        text: "Programming bores me",
+        dimension: "programming",
+        reverse: true
+    }],
+    evaluated: true
+};
+
+const HotspotTestConfig = {
+    id: 1011,
+    type: "biology",
+    category: "hotspot",
+    description: "",
+    task: "",
+    image: "cell.png",
+    options: [{
+        text: "Nucleus",
+        regions: [{
+            shape: "circle",
+            x: 0.5,
+            y: 0.5,
+            radius: 0.1
+        }]
+    }, {
+        text: "Cell membrane",
+        regions: [{
+            shape: "rect",
+            x: 0,
+            y: 0,
+            width: 1,
+            height: 0.05
+        }, {
+            shape: "polygon",
+            points: [[0, 1], [1, 1], [0.5, 0.9]]
+        }]
+    }],
+    evaluated: true
+};
+
+const EstimateTestConfig = {
+    id: 1012,
+    type: "geography",
+    category: "estimate",
+    description: "",
+    task: "",
+    falloff: {
+        type: "linear",
+        range: 200
+    },
+    options: [{
+        text: "Length of the Rhine",
+        correct: 1230,
+        min: 0,
+        max: 3000,
+        step: 10,
+        unit: "km"
+    }, {
+        text: "Height of the Zugspitze",
+        correct: 2962,
+        min: 0,
+        max: 5000,
+        unit: "m"
+    }],
+    evaluated: true
+};
+
+const CancellationTestConfig = {
+    id: 1013,
+    type: "concentration",
+    category: "cancellation",
+    description: "",
+    task: "",
+    seconds: 60,
+    rows: 3,
+    columns: 4,
+    options: [{
+        text: "d''",
+        correct: true
+    }, {
+        text: "d'"
+    }, {
+        text: "p''"
+    }],
+    evaluated: true
+};
+
+const TemplateTestConfig = {
+    id: 1014,
+    type: "math",
+    category: "numeric",
+    description: "",
+    task: "Compute {a}*{b}",
+    variables: {
+        a: {
+            min: 2,
+            max: 9
+        },
+        b: {
+            values: [12, 15, 18]
+        }
+    },
+    options: [{
+        text: "{a}*{b} =",
+        correct: "{a*b}"
+    }],
+    evaluated: true
+};
+
 module.exports = {
     configs: {
         'multiple-choice': MultipleChoiceTestConfig,
         'multiple-options': MultipleOptionTestConfig,
         'radio-buttons': RadioButtonTestConfig,
-        'match': MatchTestConfig
+        'match': MatchTestConfig,
+        'numeric': NumericTestConfig,
+        'short-answer': ShortAnswerTestConfig,
+        'ordering': OrderingTestConfig,
+        'pairs': PairsTestConfig,
+        'cloze': ClozeTestConfig,
+        'likert': LikertTestConfig,
+        'hotspot': HotspotTestConfig,
+        'estimate': EstimateTestConfig,
+        'cancellation': CancellationTestConfig,
+        'template': TemplateTestConfig
     }
 }
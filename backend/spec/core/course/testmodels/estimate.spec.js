@@ -0,0 +1,140 @@
+const EstimateTest = require('../../../../app/core/course/testmodels/estimate');
+const TestData = require('./data');
+
+describe('EstimateTest', () => {
+    beforeEach( () => {
+        // create a new object each time to ensure tests do not affect each other
+        this.EstimateTestInstance = new EstimateTest(TestData.configs['estimate']);
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+
+    describe('.constructor()', () => {
+        it('should set the name', () => {
+            expect(EstimateTest.name).toEqual('estimate');
+        });
+
+        it('should throw an error for invalid configs', () => {
+            expect( () => {
+                new EstimateTest({})
+            }).toThrow(new Error('Invalid test config'));
+        });
+    });
+
+    describe('.name (get)', () => {
+        it('should return the test name', () => {
+            expect(EstimateTest.name).toEqual('estimate');
+        });
+    });
+
+    describe('.schema (get)', () => {
+        it('should set the schema id', () => {
+            expect(EstimateTest.schema['$id']).toEqual('EstimateTest');
+        });
+    });
+
+    describe('.maxScore (get)', () => {
+        it('should return n for n options', () => {
+            expect(this.EstimateTestInstance.maxScore)
+                .toEqual(TestData.configs['estimate'].options.length);
+        });
+    });
+
+    describe('.loadConfig()', () => {
+        it('should return false for a missing falloff', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['estimate']));
+            delete config.falloff;
+            const ret = this.EstimateTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for falloff parameters of another type', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['estimate']));
+            config.falloff = {type: 'gaussian', range: 200};
+            const ret = this.EstimateTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for correct values out of range', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['estimate']));
+            config.options[0].correct = 4000;
+            const ret = this.EstimateTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return true for valid configs', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['estimate']));
+            const ret = this.EstimateTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+    });
+
+    describe('.credit(distance, falloff)', () => {
+        it('should decrease linearly', () => {
+            const falloff = {type: 'linear', range: 200};
+
+            expect(EstimateTest.credit(0, falloff)).toEqual(1);
+            expect(EstimateTest.credit(50, falloff)).toEqual(0.75);
+            expect(EstimateTest.credit(300, falloff)).toEqual(0);
+        });
+
+        it('should award the narrowest matching band', () => {
+            const falloff = {type: 'step', bands: [
+                {distance: 100, credit: 0.5},
+                {distance: 10, credit: 1}
+            ]};
+
+            expect(EstimateTest.credit(10, falloff)).toEqual(1);
+            expect(EstimateTest.credit(11, falloff)).toEqual(0.5);
+            expect(EstimateTest.credit(101, falloff)).toEqual(0);
+        });
+
+        it('should follow a bell curve', () => {
+            const falloff = {type: 'gaussian', sigma: 10};
+
+            expect(EstimateTest.credit(0, falloff)).toEqual(1);
+            expect(EstimateTest.credit(10, falloff)).toBeCloseTo(0.6065, 4);
+        });
+    });
+
+    describe('.calculateResult(log)', () => {
+        it('should calculate fractional results', () => {
+            const log = [
+                1230,
+                3012
+            ];
+            const result = this.EstimateTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(1.75);
+            expect(result.correct).toEqual([0, 1]);
+            expect(result.wrong).toEqual([]);
+        });
+
+        it('should round the score', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['estimate']));
+            config.falloff = {type: 'linear', range: 300};
+            const result = new EstimateTest(config).calculateResult([1330, null]);
+
+            expect(result.score).toEqual(0.67);
+        });
+
+        it('should mark values without credit as wrong', () => {
+            const log = [
+                2000,
+                null
+            ];
+            const result = this.EstimateTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([0]);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+const HotspotTest = require('../../../../app/core/course/testmodels/hotspot');
+const TestData = require('./data');
+
+describe('HotspotTest', () => {
+    beforeEach( () => {
+        // create a new object each time to ensure tests do not affect each other
+        this.HotspotTestInstance = new HotspotTest(TestData.configs['hotspot']);
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+
+    describe('.constructor()', () => {
+        it('should set the name', () => {
+            expect(HotspotTest.name).toEqual('hotspot');
+        });
+
+        it('should throw an error for invalid configs', () => {
+            expect( () => {
+                new HotspotTest({})
+            }).toThrow(new Error('Invalid test config'));
+        });
+    });
+
+    describe('.name (get)', () => {
+        it('should return the test name', () => {
+            expect(HotspotTest.name).toEqual('hotspot');
+        });
+    });
+
+    describe('.schema (get)', () => {
+        it('should set the schema id', () => {
+            expect(HotspotTest.schema['$id']).toEqual('HotspotTest');
+        });
+    });
+
+    describe('.delivery(config)', () => {
+        it('should remove the regions', () => {
+            const delivery = HotspotTest.delivery(TestData.configs['hotspot']);
+
+            expect(delivery.options.some(option => 'regions' in option)).toBe(false);
+            expect(delivery.image).toEqual(TestData.configs['hotspot'].image);
+        });
+    });
+
+    describe('.maxScore (get)', () => {
+        it('should return n for n options', () => {
+            expect(this.HotspotTestInstance.maxScore)
+                .toEqual(TestData.configs['hotspot'].options.length);
+        });
+    });
+
+    describe('.loadConfig()', () => {
+        it('should return false for a missing image', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['hotspot']));
+            delete config.image;
+            const ret = this.HotspotTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for unknown shapes', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['hotspot']));
+            config.options[0].regions[0].shape = 'triangle';
+            const ret = this.HotspotTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for absolute coordinates', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['hotspot']));
+            config.options[0].regions[0].x = 250;
+            const ret = this.HotspotTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return true for valid configs', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['hotspot']));
+            const ret = this.HotspotTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+    });
+
+    describe('.contains(x, y, region)', () => {
+        it('should detect points inside of polygons', () => {
+            const region = TestData.configs['hotspot'].options[1].regions[1];
+
+            expect(HotspotTest.contains(0.5, 0.95, region)).toBe(true);
+            expect(HotspotTest.contains(0.1, 0.91, region)).toBe(false);
+        });
+    });
+
+    describe('.calculateResult(log)', () => {
+        it('should calculate correct result', () => {
+            const log = [
+                [0.55, 0.45],
+                [0.5, 0.95]
+            ];
+            const result = this.HotspotTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(2);
+            expect(result.correct).toEqual([0, 1]);
+            expect(result.wrong).toEqual([]);
+        });
+
+        it('should mark clicks outside of the regions as wrong', () => {
+            const log = [
+                [0.65, 0.5],
+                null
+            ];
+            const result = this.HotspotTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([0]);
+        });
+    });
+});
@@ -0,0 +1,112 @@
+const LikertTest = require('../../../../app/core/course/testmodels/likert');
+const TestData = require('./data');
+
+describe('LikertTest', () => {
+    beforeEach( () => {
+        // create a new object each time to ensure tests do not affect each other
+        this.LikertTestInstance = new LikertTest(TestData.configs['likert']);
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+
+    describe('.constructor()', () => {
+        it('should set the name', () => {
+            expect(LikertTest.name).toEqual('likert');
+        });
+
+        it('should throw an error for invalid configs', () => {
+            expect( () => {
+                new LikertTest({})
+            }).toThrow(new Error('Invalid test config'));
+        });
+    });
+
+    describe('.name (get)', () => {
+        it('should return the test name', () => {
+            expect(LikertTest.name).toEqual('likert');
+        });
+    });
+
+    describe('.schema (get)', () => {
+        it('should set the schema id', () => {
+            expect(LikertTest.schema['$id']).toEqual('LikertTest');
+        });
+    });
+
+    describe('.maxScore (get)', () => {
+        it('should return 0 for unscored tests', () => {
+            expect(this.LikertTestInstance.maxScore).toEqual(0);
+        });
+
+        it('should return the highest coded rating per statement for scored tests', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['likert']));
+            config.scored = true;
+            this.LikertTestInstance.loadConfig(config);
+
+            expect(this.LikertTestInstance.maxScore).toEqual(12);
+        });
+    });
+
+    describe('.loadConfig()', () => {
+        it('should return false for missing dimensions', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['likert']));
+            delete config.options[0].dimension;
+            const ret = this.LikertTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for a missing scale', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['likert']));
+            delete config.scale;
+            const ret = this.LikertTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return true for valid configs', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['likert']));
+            const ret = this.LikertTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+    });
+
+    describe('.calculateResult(log)', () => {
+        it('should average the coded ratings per dimension', () => {
+            // 'agree', 'strongly agree', 'disagree' (reverse-coded: 'agree')
+            const log = [3, 4, 1];
+            const result = this.LikertTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([]);
+            expect(result.dimensions).toEqual([
+                { name: 'logic', average: 4, answered: 1 },
+                { name: 'programming', average: 4.5, answered: 2 }
+            ]);
+        });
+
+        it('should score the coded ratings of scored tests', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['likert']));
+            config.scored = true;
+            this.LikertTestInstance.loadConfig(config);
+            const result = this.LikertTestInstance.calculateResult([3, 4, 1]);
+
+            expect(result.score).toEqual(10);
+        });
+
+        it('should ignore statements that were not rated', () => {
+            const log = [null, 0, false];
+            const result = this.LikertTestInstance.calculateResult(log);
+
+            expect(result.dimensions).toEqual([
+                { name: 'logic', average: null, answered: 0 },
+                { name: 'programming', average: 1, answered: 1 }
+            ]);
+        });
+    });
+});
@@ -36,6 +36,15 @@ describe('MatchTest', () => {
         });
     });
 
+    describe('.delivery(config)', () => {
+        it('should replace the substring by its length', () => {
+            const delivery = MatchTest.delivery(TestData.configs['match']);
+
+            expect(delivery.options[0]).toEqual({ text: 'ABC DEF GHI DEF', length: 3 });
+            expect(delivery.options[1]).toEqual({ text: 'Yes No Maybe', length: 1 });
+        });
+    });
+
     describe('.maxScore (get)', () => {
         it('should return n for n correct options', () => {
             let expectedMaxScore = 0;
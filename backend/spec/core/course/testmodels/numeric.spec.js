@@ -0,0 +1,152 @@
+const NumericTest = require('../../../../app/core/course/testmodels/numeric');
+const TestData = require('./data');
+
+describe('NumericTest', () => {
+    beforeEach( () => {
+        // create a new object each time to ensure tests do not affect each other
+        this.NumericTestInstance = new NumericTest(TestData.configs['numeric']);
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+
+    describe('.constructor()', () => {
+        it('should set the name', () => {
+            expect(NumericTest.name).toEqual('numeric');
+        });
+
+        it('should throw an error for invalid configs', () => {
+            expect( () => {
+                new NumericTest({})
+            }).toThrow(new Error('Invalid test config'));
+        });
+    });
+
+    describe('.name (get)', () => {
+        it('should return the test name', () => {
+            expect(NumericTest.name).toEqual('numeric');
+        });
+    });
+
+    describe('.schema (get)', () => {
+        it('should set the schema id', () => {
+            expect(NumericTest.schema['$id']).toEqual('NumericTest');
+        });
+    });
+
+    describe('.delivery(config)', () => {
+        it('should remove the correct values and tolerances', () => {
+            const delivery = NumericTest.delivery(TestData.configs['numeric']);
+
+            expect(delivery.options).toEqual([
+                { text: '2*6' },
+                { text: '1/3' },
+                { text: 'Speed of light', unit: 'km/s' }
+            ]);
+        });
+    });
+
+    describe('.maxScore (get)', () => {
+        it('should return n for n correct options', () => {
+            expect(this.NumericTestInstance.maxScore)
+                .toEqual(TestData.configs['numeric'].options.length);
+        });
+    });
+
+    describe('.loadConfig()', () => {
+        it('should return false for missing correct values', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['numeric']));
+            delete config.options[0].correct;
+            const ret = this.NumericTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for unknown tolerance types', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['numeric']));
+            config.options[0].tolerance = { percent: 5 };
+            const ret = this.NumericTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return true for valid configs', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['numeric']));
+            const ret = this.NumericTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+    });
+
+    describe('.calculateResult(log)', () => {
+        it('should calculate correct result', () => {
+            const log = [
+                '12',
+                '0,3334',
+                299000
+            ];
+            const result = this.NumericTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(3);
+            expect(result.correct).toEqual([0, 1, 2]);
+            expect(result.wrong).toEqual([]);
+        });
+
+        it('should mark values outside the tolerance as wrong', () => {
+            const log = [
+                '12.1',
+                '0.335',
+                '290000'
+            ];
+            const result = this.NumericTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([0, 1, 2]);
+        });
+
+        it('should ignore empty inputs and non-numbers', () => {
+            const log = [
+                null,
+                '',
+                'twelve'
+            ];
+            const result = this.NumericTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([]);
+        });
+
+        it('should ignore inputs that are no decimal numbers', () => {
+            let config = JSON.parse(JSON.stringify(TestData.configs['numeric']));
+            config['options'][0]['correct'] = 26;
+            config['options'][1]['correct'] = 0;
+            config['options'][2]['correct'] = 1000;
+            const result = new NumericTest(config).calculateResult(['0x1A', '  ', '1e3']);
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([]);
+        });
+    });
+
+    describe('.parseInput(input)', () => {
+        it('should parse decimal numbers with point or comma', () => {
+            expect(NumericTest.parseInput(' -12,5 ')).toEqual(-12.5);
+            expect(NumericTest.parseInput('+.5')).toEqual(0.5);
+            expect(NumericTest.parseInput('3.')).toEqual(3);
+            expect(NumericTest.parseInput(42)).toEqual(42);
+        });
+
+        it('should reject everything else', () => {
+            for (const input of ['', '0x1A', '1e3', 'Infinity', '1,000.5', '1 000', '-', true]) {
+                expect(NumericTest.parseInput(input)).toBeNaN();
+            }
+
+            expect(NumericTest.parseInput(Infinity)).toBeNaN();
+        });
+    });
+});
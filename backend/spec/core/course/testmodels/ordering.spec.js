@@ -0,0 +1,194 @@
+const OrderingTest = require('../../../../app/core/course/testmodels/ordering');
+const TestData = require('./data');
+
+describe('OrderingTest', () => {
+    beforeEach( () => {
+        // create a new object each time to ensure tests do not affect each other
+        this.OrderingTestInstance = new OrderingTest(TestData.configs['ordering']);
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+
+    describe('.constructor()', () => {
+        it('should set the name', () => {
+            expect(OrderingTest.name).toEqual('ordering');
+        });
+
+        it('should throw an error for invalid configs', () => {
+            expect( () => {
+                new OrderingTest({})
+            }).toThrow(new Error('Invalid test config'));
+        });
+    });
+
+    describe('.name (get)', () => {
+        it('should return the test name', () => {
+            expect(OrderingTest.name).toEqual('ordering');
+        });
+    });
+
+    describe('.schema (get)', () => {
+        it('should set the schema id', () => {
+            expect(OrderingTest.schema['$id']).toEqual('OrderingTest');
+        });
+    });
+
+    describe('.permutation(length)', () => {
+        it('should never draw the correct order', () => {
+            for (let k = 0; k < 20; k++) {
+                const permutation = OrderingTest.permutation(2);
+
+                expect(permutation).toEqual([1, 0]);
+            }
+
+            const permutation = OrderingTest.permutation(4);
+
+            expect(OrderingTest.isPermutation(permutation, 4)).toBe(true);
+            expect(permutation).not.toEqual([0, 1, 2, 3]);
+        });
+    });
+
+    describe('.delivery(config)', () => {
+        it('should deliver the options in the order of the permutation', () => {
+            const config = Object.assign({}, TestData.configs['ordering'], {
+                permutation: [2, 0, 3, 1]
+            });
+            const delivered = OrderingTest.delivery(config);
+
+            expect(delivered.options.map(option => option.text)).toEqual([
+                'Remove duplicates', 'Read the input', 'Print the result', 'Sort the elements'
+            ]);
+
+            expect(delivered.options).not.toEqual(TestData.configs['ordering'].options);
+            expect('permutation' in delivered).toBe(false);
+
+            // the user restores the correct order of the delivered options
+            const log = [1, 3, 0, 2];
+            const result = this.OrderingTestInstance.calculateResult(log, {
+                permutation: config.permutation
+            });
+
+            expect(result.score).toEqual(4);
+            expect(result.correct).toEqual([0, 1, 2, 3]);
+        });
+    });
+
+    describe('.maxScore (get)', () => {
+        it('should return n for n options', () => {
+            expect(this.OrderingTestInstance.maxScore)
+                .toEqual(TestData.configs['ordering'].options.length);
+        });
+
+        it('should return 1 for all-or-nothing scoring', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['ordering']));
+            config.orderScoring = 'all-or-nothing';
+            this.OrderingTestInstance.loadConfig(config);
+
+            expect(this.OrderingTestInstance.maxScore).toEqual(1);
+        });
+    });
+
+    describe('.loadConfig()', () => {
+        it('should return false for unknown scoring modes', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['ordering']));
+            config.orderScoring = 'random';
+            const ret = this.OrderingTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should accept a scoring mode together with a scoring policy', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['ordering']));
+            config.orderScoring = 'subsequence';
+            config.scoring = {mode: 'partial', points: 1};
+            const ret = this.OrderingTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+            expect(this.OrderingTestInstance.orderScoring).toEqual('subsequence');
+            expect(this.OrderingTestInstance.evaluate([3, 0, 1, 2]).score).toEqual(0.75);
+        });
+
+        it('should return false for scoring modes in the scoring policy', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['ordering']));
+            config.scoring = 'subsequence';
+
+            expect(this.OrderingTestInstance.loadConfig(config)).toBe(false);
+        });
+
+        it('should return false for less than two options', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['ordering']));
+            config.options = config.options.slice(0, 1);
+            const ret = this.OrderingTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return true for valid configs', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['ordering']));
+            const ret = this.OrderingTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+    });
+
+    describe('.calculateResult(log)', () => {
+        it('should award a point per correct position', () => {
+            const log = [0, 2, 1, 3];
+            const result = this.OrderingTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(2);
+            expect(result.correct).toEqual([0, 3]);
+            expect(result.wrong).toEqual([1, 2]);
+        });
+
+        it('should award a point per option in the longest ordered subsequence', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['ordering']));
+            config.orderScoring = 'subsequence';
+            this.OrderingTestInstance.loadConfig(config);
+            // 'Print the result' was moved to the front, the others are still in order
+            const log = [3, 0, 1, 2];
+            const result = this.OrderingTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(3);
+            expect(result.correct).toEqual([1, 2, 3]);
+            expect(result.wrong).toEqual([0]);
+        });
+
+        it('should award a single point for the correct order only', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['ordering']));
+            config.orderScoring = 'all-or-nothing';
+            this.OrderingTestInstance.loadConfig(config);
+
+            expect(this.OrderingTestInstance.calculateResult([0, 1, 2, 3]).score).toEqual(1);
+            expect(this.OrderingTestInstance.calculateResult([0, 1, 3, 2]).score).toEqual(0);
+        });
+
+        it('should map the log back to the options of the config', () => {
+            const context = { permutation: [3, 2, 1, 0] };
+            const result = this.OrderingTestInstance.calculateResult([3, 1, 2, 0], context);
+
+            expect(result.score).toEqual(2);
+            expect(result.correct).toEqual([0, 3]);
+            expect(result.wrong).toEqual([1, 2]);
+
+            const invalid = { permutation: [3, 2, 1, 1] };
+
+            expect(this.OrderingTestInstance.calculateResult([3, 2, 1, 0], invalid).score)
+                .toEqual(0);
+        });
+
+        it('should ignore unanswered tests and invalid permutations', () => {
+            for (const log of [[null, null, null, null], [false, false, false, false],
+                [0, 0, 1, 2], [0, 1, 2]]) {
+                const result = this.OrderingTestInstance.calculateResult(log);
+
+                expect(result.score).toEqual(0);
+                expect(result.correct).toEqual([]);
+                expect(result.wrong).toEqual([]);
+            }
+        });
+    });
+});
@@ -0,0 +1,99 @@
+const PairsTest = require('../../../../app/core/course/testmodels/pairs');
+const TestData = require('./data');
+
+describe('PairsTest', () => {
+    beforeEach( () => {
+        // create a new object each time to ensure tests do not affect each other
+        this.PairsTestInstance = new PairsTest(TestData.configs['pairs']);
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+
+    describe('.constructor()', () => {
+        it('should set the name', () => {
+            expect(PairsTest.name).toEqual('pairs');
+        });
+
+        it('should throw an error for invalid configs', () => {
+            expect( () => {
+                new PairsTest({})
+            }).toThrow(new Error('Invalid test config'));
+        });
+    });
+
+    describe('.name (get)', () => {
+        it('should return the test name', () => {
+            expect(PairsTest.name).toEqual('pairs');
+        });
+    });
+
+    describe('.schema (get)', () => {
+        it('should set the schema id', () => {
+            expect(PairsTest.schema['$id']).toEqual('PairsTest');
+        });
+    });
+
+    describe('.maxScore (get)', () => {
+        it('should return n for n options', () => {
+            expect(this.PairsTestInstance.maxScore)
+                .toEqual(TestData.configs['pairs'].options.length);
+        });
+    });
+
+    describe('.loadConfig()', () => {
+        it('should return false for missing targets', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['pairs']));
+            delete config.targets;
+            const ret = this.PairsTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for unknown targets', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['pairs']));
+            config.options[0].correct = config.targets.length;
+            const ret = this.PairsTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return true for valid configs', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['pairs']));
+            const ret = this.PairsTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+    });
+
+    describe('.calculateResult(log)', () => {
+        it('should calculate correct result', () => {
+            const log = [0, 1, 1];
+            const result = this.PairsTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(3);
+            expect(result.correct).toEqual([0, 1, 2]);
+            expect(result.wrong).toEqual([]);
+        });
+
+        it('should give partial credit', () => {
+            const log = [0, 3, null];
+            const result = this.PairsTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(1);
+            expect(result.correct).toEqual([0]);
+            expect(result.wrong).toEqual([1]);
+        });
+
+        it('should ignore unanswered options', () => {
+            const log = [null, false, null];
+            const result = this.PairsTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([]);
+        });
+    });
+});
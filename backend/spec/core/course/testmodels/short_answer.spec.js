@@ -0,0 +1,126 @@
+const ShortAnswerTest = require('../../../../app/core/course/testmodels/short_answer');
+const TestData = require('./data');
+
+describe('ShortAnswerTest', () => {
+    beforeEach( () => {
+        // create a new object each time to ensure tests do not affect each other
+        this.ShortAnswerTestInstance = new ShortAnswerTest(TestData.configs['short-answer']);
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+
+    describe('.constructor()', () => {
+        it('should set the name', () => {
+            expect(ShortAnswerTest.name).toEqual('short-answer');
+        });
+
+        it('should throw an error for invalid configs', () => {
+            expect( () => {
+                new ShortAnswerTest({})
+            }).toThrow(new Error('Invalid test config'));
+        });
+    });
+
+    describe('.name (get)', () => {
+        it('should return the test name', () => {
+            expect(ShortAnswerTest.name).toEqual('short-answer');
+        });
+    });
+
+    describe('.schema (get)', () => {
+        it('should set the schema id', () => {
+            expect(ShortAnswerTest.schema['$id']).toEqual('ShortAnswerTest');
+        });
+    });
+
+    describe('.delivery(config)', () => {
+        it('should remove the accepted answers', () => {
+            const delivery = ShortAnswerTest.delivery(TestData.configs['short-answer']);
+
+            expect(delivery.options.some(option => 'answers' in option)).toBe(false);
+        });
+    });
+
+    describe('.maxScore (get)', () => {
+        it('should return the sum of the best answer points of each option', () => {
+            expect(this.ShortAnswerTestInstance.maxScore).toEqual(4);
+        });
+    });
+
+    describe('.loadConfig()', () => {
+        it('should return false for missing answers', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['short-answer']));
+            delete config.options[0].answers;
+            const ret = this.ShortAnswerTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for unknown modes', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['short-answer']));
+            config.options[0].answers[0].mode = 'fuzzy';
+            const ret = this.ShortAnswerTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return false for invalid regular expressions', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['short-answer']));
+            config.options[2].answers[0].value = '(black';
+            const ret = this.ShortAnswerTestInstance.loadConfig(config);
+
+            expect(ret).toBe(false);
+        });
+
+        it('should return true for valid configs', () => {
+            const config = JSON.parse(JSON.stringify(TestData.configs['short-answer']));
+            const ret = this.ShortAnswerTestInstance.loadConfig(config);
+
+            expect(ret).toBe(true);
+        });
+    });
+
+    describe('.calculateResult(log)', () => {
+        it('should calculate correct result', () => {
+            const log = [
+                ' Paris ',
+                'MICE',
+                'gold'
+            ];
+            const result = this.ShortAnswerTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(4);
+            expect(result.correct).toEqual([0, 1, 2]);
+            expect(result.wrong).toEqual([]);
+        });
+
+        it('should respect case and anchor regular expressions', () => {
+            const log = [
+                'paris',
+                'mouses',
+                'goldfish'
+            ];
+            const result = this.ShortAnswerTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(0);
+            expect(result.correct).toEqual([]);
+            expect(result.wrong).toEqual([0, 1, 2]);
+        });
+
+        it('should ignore empty inputs', () => {
+            const log = [
+                null,
+                '   ',
+                'red'
+            ];
+            const result = this.ShortAnswerTestInstance.calculateResult(log);
+
+            expect(result.score).toEqual(1);
+            expect(result.correct).toEqual([2]);
+            expect(result.wrong).toEqual([]);
+        });
+    });
+});
@@ -1,5 +1,7 @@
 const sinon = require('sinon');
 
+const CourseModel = require('../../../app/core/course/course.model');
+const CourseData = require('./../course/course.data');
 const JournalController = require('../../../app/core/user/journal.controller');
 const UserModel = require('../../../app/core/user/user.model');
 const TestDocuments = require('./user.data');
@@ -210,4 +212,271 @@ describe('JournalController', () => {
             sinon.assert.calledOnce(this.res.status().send);
         });
     });
+
+    describe('.loadTiming(req, res)', () => {
+        it('should return HTTP 404 for invalid pins  ', async () => {
+            sinon.stub(UserModel, 'findOne').resolves(null);
+
+            await JournalController.loadTiming({ body: { pin: 'dummy' } }, this.res);
+            sinon.assert.calledWith(this.res.status, 404);
+            sinon.assert.calledWith(this.res.status().json,
+                { error: error.ServerError.E_DBQUERY });
+        });
+
+        it('should load an empty timing for new journals', async () => {
+            const user = JSON.parse(JSON.stringify(this.docs[0]));
+            delete user.journal.timing;
+            sinon.stub(UserModel, 'findOne').resolves(user);
+
+            await JournalController.loadTiming({ body: { pin: user.pin } }, this.res);
+            sinon.assert.calledWith(this.res.status, 200);
+            sinon.assert.calledWith(this.res.status().json, { tests: [] });
+        });
+    });
+
+    describe('.startTiming(req, res)', () => {
+        it('should return HTTP 400 for invalid test ids', async () => {
+            sinon.stub(UserModel, 'findOne').resolves(this.docs[0]);
+
+            for (const id of [undefined, null, {}, '1003.active', '$where']) {
+                await JournalController.startTiming({ body: { pin: this.docs[0].pin, id: id } },
+                    this.res);
+            }
+
+            sinon.assert.notCalled(UserModel.findOne);
+            sinon.assert.alwaysCalledWith(this.res.status, 400);
+        });
+
+        it('should not open visits of locked results', async () => {
+            const user = JSON.parse(JSON.stringify(this.docs[0]));
+            user.result = { validationCode: 'dummy' };
+            sinon.stub(UserModel, 'findOne').resolves(user);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            await JournalController.startTiming({ body: { pin: user.pin, id: 1003 } }, this.res);
+            sinon.assert.notCalled(UserModel.updateOne);
+            sinon.assert.calledWith(this.res.status, 403);
+        });
+
+        it('should open the visit by the clock of the server', async () => {
+            sinon.useFakeTimers(new Date('2019-06-01T10:00:00.000Z'));
+            sinon.stub(UserModel, 'findOne').resolves(this.docs[0]);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            await JournalController.startTiming({ body: { pin: this.docs[0].pin, id: 1003 } },
+                this.res);
+            sinon.assert.calledWith(UserModel.updateOne, {
+                pin: this.docs[0].pin,
+                'journal.visits.1003': { $exists: false }
+            }, {
+                'journal.visits.1003': new Date('2019-06-01T10:00:00.000Z')
+            });
+            sinon.assert.calledWith(this.res.status, 200);
+        });
+
+        it('should keep the start of an open visit', async () => {
+            const clock = sinon.useFakeTimers(new Date('2019-06-01T10:00:00.000Z'));
+            const user = JSON.parse(JSON.stringify(this.docs[0]));
+            const req = { body: { pin: user.pin, id: 1003 } };
+            sinon.stub(UserModel, 'findOne').resolves(user);
+            // apply the updates like the database does
+            sinon.stub(UserModel, 'updateOne').callsFake((filter, update) => {
+                const visit = filter['journal.visits.1003'];
+                if (visit && visit.$exists === false && user.journal.visits &&
+                    user.journal.visits[1003]) {
+                    return Promise.resolve({ n: 0 });
+                }
+                if ('journal.visits.1003' in update) {
+                    user.journal.visits = { 1003: update['journal.visits.1003'] };
+                }
+                if ('journal.timing' in update) {
+                    user.journal.timing = update['journal.timing'];
+                }
+                return Promise.resolve({ n: 1 });
+            });
+
+            await JournalController.startTiming(req, this.res);
+            clock.tick(60000);
+            await JournalController.startTiming(req, this.res);
+            clock.tick(500);
+            await JournalController.saveTiming(req, this.res);
+
+            expect(user.journal.timing.tests).toEqual([jasmine.objectContaining({
+                id: 1003,
+                active: 60500
+            })]);
+        });
+    });
+
+    describe('.saveTiming(req, res)', () => {
+        beforeEach( () => {
+            this.req = {
+                body: {
+                    pin: this.docs[0].pin,
+                    id: 1003
+                }
+            };
+            this.user = JSON.parse(JSON.stringify(this.docs[0]));
+            this.user.journal.visits = { 1003: '2019-06-01T10:00:00.000Z' };
+            sinon.useFakeTimers(new Date('2019-06-01T10:00:01.500Z'));
+        });
+
+        it('should return HTTP 400 for invalid visits', async () => {
+            sinon.stub(UserModel, 'findOne').resolves(this.user);
+            this.req.body.id = { $gt: '' };
+
+            await JournalController.saveTiming(this.req, this.res);
+            sinon.assert.notCalled(UserModel.findOne);
+            sinon.assert.calledWith(this.res.status, 400);
+            sinon.assert.calledWith(this.res.status().json, { error: error.ServerError.E_INVAL });
+        });
+
+        it('should return HTTP 400 if the test has no open visit', async () => {
+            sinon.stub(UserModel, 'findOne').resolves(this.user);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+            this.req.body.id = 1005;
+
+            await JournalController.saveTiming(this.req, this.res);
+            sinon.assert.notCalled(UserModel.updateOne);
+            sinon.assert.calledWith(this.res.status, 400);
+        });
+
+        it('should return HTTP 403 for locked results', async () => {
+            this.user.result = { validationCode: 'dummy' };
+            sinon.stub(UserModel, 'findOne').resolves(this.user);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            await JournalController.saveTiming(this.req, this.res);
+            sinon.assert.notCalled(UserModel.updateOne);
+            sinon.assert.calledWith(this.res.status, 403);
+        });
+
+        it('should record the first visit of a test', async () => {
+            sinon.stub(UserModel, 'findOne').resolves(this.user);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            await JournalController.saveTiming(this.req, this.res);
+            sinon.assert.calledWith(UserModel.updateOne, sinon.match.any, sinon.match({
+                'journal.timing': {
+                    tests: [{
+                        id: 1003,
+                        firstView: new Date('2019-06-01T10:00:00.000Z'),
+                        active: 1500,
+                        revisits: 0
+                    }]
+                },
+                $unset: { 'journal.visits.1003': '' }
+            }));
+            sinon.assert.calledWith(this.res.status, 200);
+        });
+
+        it('should count revisits and sum up the active time', async () => {
+            const firstView = '2019-06-01T09:00:00.000Z';
+            this.user.journal.timing = {
+                tests: [{ id: 1003, firstView: firstView, active: 2000, revisits: 0 }]
+            };
+            sinon.stub(UserModel, 'findOne').resolves(this.user);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            await JournalController.saveTiming(this.req, this.res);
+            sinon.assert.calledWith(UserModel.updateOne, sinon.match.any, sinon.match({
+                'journal.timing': {
+                    tests: [{ id: 1003, firstView: firstView, active: 3500, revisits: 1 }]
+                }
+            }));
+            sinon.assert.calledWith(this.res.status, 200);
+        });
+
+        it('should ignore the durations reported by the browser', async () => {
+            sinon.stub(UserModel, 'findOne').resolves(this.user);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+            this.req.body.start = '2019-06-01T10:00:01.500Z';
+            this.req.body.duration = 0;
+
+            await JournalController.saveTiming(this.req, this.res);
+            sinon.assert.calledWith(UserModel.updateOne, sinon.match.any, sinon.match({
+                'journal.timing': {
+                    tests: [sinon.match({ active: 1500 })]
+                }
+            }));
+        });
+    });
+
+    describe('.arrange(config, setConfig, tests)', () => {
+        it('should sort the tests by the set elements they belong to', () => {
+            const config = CourseData[0].configs[0]['config'];
+            const setConfig = { id: 3002, elements: [2002, 1005] };
+
+            expect(JournalController.arrange(config, setConfig, [1005, 1003]))
+                .toEqual([1003, 1005]);
+        });
+    });
+
+    describe('.nextTest(req, res)', () => {
+        beforeEach( () => {
+            // group 2002 of set 3002 adaptively picks two of the tests 1003 and 1006
+            this.course = JSON.parse(JSON.stringify(CourseData[0]));
+            const config = this.course.configs[0]['config'];
+            config.testgroups[1] = {
+                id: 2002,
+                tests: [1003, 1006],
+                select: 2,
+                adaptive: { up: 1, down: 1 }
+            };
+            config.tests.find(test => test.id === 1003).difficulty = 1;
+            config.tests.find(test => test.id === 1006).difficulty = 2;
+
+            this.req = {
+                body: {
+                    pin: this.docs[0].pin,
+                    set: 3002,
+                    group: 2002
+                }
+            };
+        });
+
+        it('should return HTTP 404 for unknown pins', async () => {
+            sinon.stub(UserModel, 'findOne').resolves(null);
+
+            await JournalController.nextTest(this.req, this.res);
+            sinon.assert.calledWith(this.res.status, 404);
+        });
+
+        it('should return HTTP 400 for groups that are not adaptive', async () => {
+            this.course.configs[0]['config'].testgroups[1] = { id: 2002, tests: [1003] };
+            sinon.stub(UserModel, 'findOne').resolves(this.docs[0]);
+            sinon.stub(CourseModel, 'findOne').resolves(this.course);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            await JournalController.nextTest(this.req, this.res);
+            sinon.assert.notCalled(UserModel.updateOne);
+            sinon.assert.calledWith(this.res.status, 400);
+            sinon.assert.calledWith(this.res.status().json, { error: error.ServerError.E_INVAL });
+        });
+
+        it('should add the next test to the journal structure', async () => {
+            sinon.stub(UserModel, 'findOne').resolves(this.docs[0]);
+            sinon.stub(CourseModel, 'findOne').resolves(this.course);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            await JournalController.nextTest(this.req, this.res);
+            sinon.assert.calledOnce(UserModel.updateOne);
+            sinon.assert.calledWith(UserModel.updateOne, sinon.match.any, sinon.match(update =>
+                JSON.stringify(update['journal.structure'].sets[1].tests) === '[1005,1003,1006]'));
+            sinon.assert.calledWith(this.res.status, 200);
+            sinon.assert.calledWith(this.res.status().json, { id: 1006 });
+        });
+
+        it('should not add tests to complete groups', async () => {
+            this.course.configs[0]['config'].testgroups[1].select = 1;
+            sinon.stub(UserModel, 'findOne').resolves(this.docs[0]);
+            sinon.stub(CourseModel, 'findOne').resolves(this.course);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            await JournalController.nextTest(this.req, this.res);
+            sinon.assert.notCalled(UserModel.updateOne);
+            sinon.assert.calledWith(this.res.status, 200);
+            sinon.assert.calledWith(this.res.status().json, { id: null });
+        });
+    });
 });
@@ -0,0 +1,98 @@
+const sinon = require('sinon');
+
+const CourseModel = require('../../../app/core/course/course.model');
+const CourseData = require('./../course/course.data');
+const UserModel = require('../../../app/core/user/user.model');
+const norms = require('../../../app/core/user/norms');
+
+describe('Norms', () => {
+    beforeEach( () => {
+        // locked results of other users
+        this.locked = [
+            { result: { sets: [{ id: 3001, percentage: 20 }, { id: 3002, percentage: null }] } },
+            { result: { sets: [{ id: 3001, percentage: 80 }] } },
+            { result: { sets: [{ id: 3001, percentage: 50 }] } }
+        ];
+    });
+
+    afterEach( () => {
+        // cleanup and remove stubs
+        sinon.restore();
+        norms.reset();
+    });
+
+    describe('.percentileRank(sorted, value)', () => {
+        it('should count lower values and half of the equal ones', () => {
+            expect(norms.percentileRank([10, 20, 20, 40], 20)).toEqual(50);
+            expect(norms.percentileRank([10, 20, 20, 40], 50)).toEqual(100);
+            expect(norms.percentileRank([10, 20, 20, 40], 5)).toEqual(0);
+        });
+
+        it('should return null for empty distributions', () => {
+            expect(norms.percentileRank([], 20)).toBe(null);
+        });
+    });
+
+    describe('.compute(course, language)', () => {
+        it('should sort the percentages of the locked results per set', async () => {
+            sinon.stub(UserModel, 'find').resolves(this.locked);
+            const entry = await norms.compute('IMIT', 'en');
+
+            sinon.assert.calledWith(UserModel.find, sinon.match({
+                'journal.structure.course': 'IMIT',
+                'journal.structure.language': 'en',
+                'result.validationCode': { '$ne': null }
+            }));
+
+            expect(entry.cohort).toEqual(3);
+            expect(entry.sets).toEqual({ 3001: [20, 50, 80] });
+        });
+    });
+
+    describe('.distribution(course, language)', () => {
+        it('should compute missing distributions once and cache them', async () => {
+            sinon.stub(UserModel, 'find').resolves(this.locked);
+            await norms.distribution('IMIT', 'en');
+            const entry = await norms.distribution('IMIT', 'en');
+
+            sinon.assert.calledOnce(UserModel.find);
+
+            expect(entry.cohort).toEqual(3);
+        });
+    });
+
+    describe('.refresh()', () => {
+        it('should only recompute courses with norms', async () => {
+            const course = JSON.parse(JSON.stringify(CourseData[0]));
+            course.configs[0].config['norms'] = { minCohort: 2 };
+            course.configs.push({ language: 'de', config: { title: 'IMIT' } });
+            sinon.stub(CourseModel, 'find').resolves([course]);
+            sinon.stub(UserModel, 'find').resolves(this.locked);
+            const count = await norms.refresh();
+
+            expect(count).toEqual(1);
+            sinon.assert.calledOnce(UserModel.find);
+        });
+    });
+
+    describe('.percentiles(norms, entry, sets)', () => {
+        it('should rank the sets once the cohort is large enough', () => {
+            const entry = { cohort: 3, sets: { 3001: [20, 50, 80] } };
+            const sets = [{ id: 3001, percentage: 60 }, { id: 3002, percentage: null }];
+
+            expect(norms.percentiles({ minCohort: 3 }, entry, sets))
+                .toEqual({ 3001: 66.67, 3002: null });
+
+            expect(norms.percentiles({ minCohort: 4 }, entry, sets))
+                .toEqual({ 3001: null, 3002: null });
+        });
+
+        it('should not rank sets with fewer percentages than the minimum cohort', () => {
+            const entry = { cohort: 40, sets: { 3001: [20, 50, 80], 3002: [10, 30, 60, 90] } };
+            const sets = [{ id: 3001, percentage: 60 }, { id: 3002, percentage: 60 }];
+
+            expect(norms.percentiles({ minCohort: 4 }, entry, sets))
+                .toEqual({ 3001: null, 3002: 62.5 });
+        });
+    });
+});
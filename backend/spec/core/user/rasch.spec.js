@@ -0,0 +1,114 @@
+const rasch = require('../../../app/core/user/rasch');
+
+describe('Rasch', () => {
+    describe('.probability(theta, difficulty)', () => {
+        it('should be one half if ability and difficulty match', () => {
+            expect(rasch.probability(1, 1)).toEqual(0.5);
+            expect(rasch.probability(2, 1)).toBeGreaterThan(0.5);
+        });
+    });
+
+    describe('.solved(result)', () => {
+        it('should only count tests with full score', () => {
+            expect(rasch.solved({ score: 2, maxScore: 2 })).toBe(true);
+            expect(rasch.solved({ score: 1, maxScore: 2 })).toBe(false);
+            expect(rasch.solved({ score: 0, maxScore: 0 })).toBe(false);
+        });
+
+        it('should ignore the speed bonus', () => {
+            expect(rasch.solved({ score: 2.5, maxScore: 4, bonus: 0.5, maxBonus: 2 })).toBe(true);
+            expect(rasch.solved({ score: 2.5, maxScore: 4, bonus: 1.5, maxBonus: 2 })).toBe(false);
+        });
+    });
+
+    describe('.estimate(difficulties, answers)', () => {
+        it('should return null without items', () => {
+            expect(rasch.estimate([], [])).toBe(null);
+        });
+
+        it('should find the maximum likelihood estimate', () => {
+            // half of the items of average difficulty solved
+            const ability = rasch.estimate([0, 0, 0, 0], [true, false, true, false]);
+
+            expect(ability.theta).toEqual(0);
+            expect(ability.se).toEqual(1);
+        });
+
+        it('should be symmetric for symmetric difficulties', () => {
+            const low = rasch.estimate([-1, 0, 1], [true, false, false]);
+            const high = rasch.estimate([-1, 0, 1], [true, true, false]);
+
+            expect(low.theta).toEqual(-high.theta);
+            expect(low.se).toEqual(high.se);
+        });
+
+        it('should return finite estimates for extreme scores', () => {
+            const all = rasch.estimate([-1, 0, 1], [true, true, true]);
+            const none = rasch.estimate([-1, 0, 1], [false, false, false]);
+
+            expect(Number.isFinite(all.theta)).toBe(true);
+            expect(all.theta).toBeGreaterThan(1);
+            expect(none.theta).toEqual(-all.theta);
+        });
+    });
+
+    describe('.abilities(config, structure, tests)', () => {
+        beforeEach( () => {
+            this.structure = {
+                sets: [{ set: 3001, tests: [1001, 1002] }, { set: 3002, tests: [1003] }]
+            };
+            this.tests = [
+                { id: 1001, score: 1, maxScore: 1 },
+                { id: 1002, score: 0, maxScore: 2 }
+            ];
+        });
+
+        it('should return null for courses without difficulties', () => {
+            expect(rasch.abilities({}, this.structure, this.tests)).toBe(null);
+        });
+
+        it('should estimate every set from its evaluated tests with difficulties', () => {
+            const config = { rasch: { difficulties: { 1001: 0, 1002: 0, 1003: 0 } } };
+            const abilities = rasch.abilities(config, this.structure, this.tests);
+
+            expect(abilities).toEqual([
+                { set: 3001, theta: 0, se: 1.4142, items: 2 },
+                { set: 3002, theta: null, se: null, items: 0 }
+            ]);
+        });
+    });
+
+    describe('.calibrate(persons)', () => {
+        it('should order the items by the share of persons that solved them', () => {
+            const persons = [
+                { a: true, b: true, c: false },
+                { a: true, b: false, c: false },
+                { a: true, b: true, c: true },
+                { a: false, b: true, c: false },
+                { a: true, b: false, c: true }
+            ];
+            const calibration = rasch.calibrate(persons);
+            const difficulties = calibration.difficulties;
+
+            expect(calibration.persons).toEqual(4);
+            expect(calibration.skipped).toEqual([]);
+            expect(difficulties['a']).toBeLessThan(difficulties['b']);
+            expect(difficulties['b']).toBeLessThan(difficulties['c']);
+            expect(Math.abs(difficulties['a'] + difficulties['b'] + difficulties['c']))
+                .toBeLessThan(0.001);
+        });
+
+        it('should skip items solved by everyone or no one', () => {
+            const persons = [
+                { a: true, b: true, c: false },
+                { a: true, b: false, c: false },
+                { a: true, b: true, c: false }
+            ];
+            const calibration = rasch.calibrate(persons);
+
+            expect(calibration.skipped).toEqual(['a', 'b', 'c']);
+            expect(calibration.difficulties).toEqual({});
+            expect(calibration.persons).toEqual(0);
+        });
+    });
+});
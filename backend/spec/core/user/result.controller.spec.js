@@ -6,6 +6,7 @@ const UserModel = require('../../../app/core/user/user.model');
 const ResultController = require('../../../app/core/user/result.controller');
 const TestDocuments = require('./user.data');
 const error = require('../../../app/shared/error');
+const TestModelData = require('../course/testmodels/data');
 
 describe('ResultController', () => {
     beforeEach( () => {
@@ -89,6 +90,342 @@ describe('ResultController', () => {
 
             expect(result).toEqual(expectedResult);
         });
+
+        it('should report the dimensions of profile tests', () => {
+            const config = {
+                tests: [TestModelData.configs['likert']]
+            };
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1010] }] },
+                log: { sets: [{ maps: [{ key: 1010, val: [3, 4, 1] }] }] }
+            };
+
+            const result = ResultController.calculate(config, journal);
+
+            expect(result.length).toEqual(1);
+            expect(result[0].score).toEqual(0);
+            expect(result[0].maxScore).toEqual(0);
+            expect(result[0].dimensions).toEqual([
+                { name: 'logic', average: 4, answered: 1 },
+                { name: 'programming', average: 4.5, answered: 2 }
+            ]);
+        });
+
+        it('should pass the seeds of generated tests', () => {
+            const config = {
+                tests: [TestModelData.configs['cancellation']]
+            };
+            // grid for seed 12345: [0, 2, 1, 1, 0, 1, 2, 2, 0, 0, 0, 1], targets have index 0
+            const log = [true, true, false, false, true, false, false, false, true, false, false, false];
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1013] }], seeds: { 1013: 12345 } },
+                log: { sets: [{ maps: [{ key: 1013, val: log }] }] }
+            };
+
+            const result = ResultController.calculate(config, journal);
+
+            expect(result.length).toEqual(1);
+            expect(result[0].correctOptions).toEqual([0, 4, 8]);
+            expect(result[0].wrongOptions).toEqual([1]);
+            expect(result[0].score).toEqual(2);
+        });
+
+        it('should evaluate ordering tests in the order of delivery of the user', () => {
+            const config = {
+                tests: [TestModelData.configs['ordering']]
+            };
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1007] }] },
+                log: { sets: [{ maps: [{ key: 1007, val: [3, 2, 0, 1] }] }] },
+                permutations: { 1007: [3, 2, 1, 0] }
+            };
+
+            const result = ResultController.calculate(config, journal);
+
+            expect(result[0].score).toEqual(2);
+            expect(result[0].correctOptions).toEqual([0, 1]);
+        });
+
+        it('should evaluate parameterized tests with the values of the user', () => {
+            const config = {
+                tests: [TestModelData.configs['template']]
+            };
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1014] }], values: { 1014: { a: 7, b: 15 } } },
+                log: { sets: [{ maps: [{ key: 1014, val: ['105'] }] }] }
+            };
+
+            const result = ResultController.calculate(config, journal);
+
+            expect(result.length).toEqual(1);
+            expect(result[0].score).toEqual(1);
+            expect(result[0].correctOptions).toEqual([0]);
+        });
+
+        it('should store the scores under the scoring policy', () => {
+            const numeric = JSON.parse(JSON.stringify(TestModelData.configs['numeric']));
+            numeric.scoring = {penalty: 0.5};
+            const config = {
+                scoring: {mode: 'partial', points: 1},
+                tests: [numeric]
+            };
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1005] }] },
+                log: { sets: [{ maps: [{ key: 1005, val: ['12', '1', '300000'] }] }] }
+            };
+
+            const result = ResultController.calculate(config, journal);
+
+            expect(result.length).toEqual(1);
+            // (2 correct - 0.5 * 1 wrong) / 3
+            expect(result[0].score).toEqual(0.5);
+            expect(result[0].maxScore).toEqual(1);
+            expect(result[0].wrongOptions).toEqual([1]);
+        });
+
+        it('should add the speed bonus for the time left', () => {
+            const numeric = JSON.parse(JSON.stringify(TestModelData.configs['numeric']));
+            numeric.seconds = 60;
+            numeric.bonus = {points: 3};
+            const config = {
+                tests: [numeric]
+            };
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1005] }] },
+                log: { sets: [{ maps: [{ key: 1005, val: ['12', '1', '300000'] }] }] },
+                timing: { tests: [{ id: 1005, firstView: new Date(), active: 30000, revisits: 0 }] }
+            };
+
+            const result = ResultController.calculate(config, journal);
+
+            // 3 points * half of the time left * 2 of 3 answers correct
+            expect(result[0].bonus).toEqual(1);
+            expect(result[0].maxBonus).toEqual(3);
+            expect(result[0].score).toEqual(3);
+            expect(result[0].maxScore).toEqual(6);
+        });
+
+        it('should not award a speed bonus without timing', () => {
+            const numeric = JSON.parse(JSON.stringify(TestModelData.configs['numeric']));
+            numeric.seconds = 60;
+            numeric.bonus = {points: 3};
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1005] }] },
+                log: { sets: [{ maps: [{ key: 1005, val: ['12', '1', '300000'] }] }] }
+            };
+
+            const result = ResultController.calculate({ tests: [numeric] }, journal);
+
+            expect(result[0].bonus).toEqual(0);
+            expect(result[0].score).toEqual(2);
+            expect(result[0].maxScore).toEqual(6);
+        });
+
+        it('should return null for values that were not drawn from the variables', () => {
+            const config = {
+                tests: [TestModelData.configs['template']]
+            };
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1014] }], values: { 1014: { a: 1, b: 15 } } },
+                log: { sets: [{ maps: [{ key: 1014, val: ['15'] }] }] }
+            };
+
+            const result = ResultController.calculate(config, journal);
+
+            expect(result).toBe(null);
+        });
+    });
+
+    describe('.weigh(config, structure, tests)', () => {
+        it('should count every point the same without weights', () => {
+            const config = this.courses[0].configs[0]['config'];
+            const journal = this.users[0].journal;
+            const tests = ResultController.calculate(config, journal);
+
+            const result = ResultController.weigh(config, journal.structure, tests);
+
+            expect(result.sets).toEqual([
+                { id: 3001, score: 1, maxScore: 2, percentage: 50 },
+                { id: 3002, score: 1, maxScore: 4, percentage: 25 },
+                { id: 3003, score: 1, maxScore: 2, percentage: 50 }
+            ]);
+
+            expect(result.percentage).toEqual(37.5);
+        });
+
+        it('should apply the weights of tests, test groups and sets', () => {
+            const config = JSON.parse(JSON.stringify(this.courses[0].configs[0]['config']));
+            // 1005 is a single test of set 3002, 1003 is picked from test group 2002
+            config.tests.find(test => test.id === 1005).weight = 2;
+            config.testgroups.find(group => group.id === 2002).weight = 4;
+            config.sets.find(set => set.id === 3003).weight = 0;
+            const journal = this.users[0].journal;
+            const tests = ResultController.calculate(config, journal);
+
+            const result = ResultController.weigh(config, journal.structure, tests);
+
+            expect(result.sets[1]).toEqual({ id: 3002, score: 2, maxScore: 10, percentage: 20 });
+            expect(result.sets[2].percentage).toEqual(50);
+            // set 3003 does not count
+            expect(result.percentage).toEqual(25);
+        });
+
+        it('should not report a percentage for sets without a max score', () => {
+            const config = {
+                tests: [TestModelData.configs['likert']]
+            };
+            const structure = { sets: [{ set: 'set0', tests: [1010] }] };
+            const tests = [{ id: '1010', score: 0, maxScore: 0 }];
+
+            const result = ResultController.weigh(config, structure, tests);
+
+            expect(result.sets[0].percentage).toBe(null);
+            expect(result.percentage).toBe(null);
+        });
+    });
+
+    describe('.aggregate(config, journal, tests, distribution)', () => {
+        it('should group the results by set and resolve the evaluation texts', () => {
+            const config = this.courses[0].configs[0]['config'];
+            const journal = this.users[0].journal;
+            const tests = ResultController.calculate(config, journal);
+
+            const result = ResultController.aggregate(config, journal, tests);
+
+            expect(result.sets.map(set => set.id)).toEqual([3001, 3002, 3003]);
+            expect(result.sets[0].tests.map(test => test.id)).toEqual(['1002']);
+            expect(result.sets[0].percentage).toEqual(50);
+            expect(result.sets[0].evaluationTexts).toEqual({
+                scoreIndependent: 'Logic',
+                scoreDependent: 'Average'
+            });
+
+            expect(result.sets[1].evaluationTexts).toEqual({
+                scoreIndependent: null,
+                scoreDependent: null
+            });
+
+            expect(result.percentage).toEqual(37.5);
+        });
+
+        it('should include the test configs and logs', () => {
+            const config = this.courses[0].configs[0]['config'];
+            const journal = this.users[0].journal;
+            const tests = ResultController.calculate(config, journal);
+
+            const test = ResultController.aggregate(config, journal, tests).sets[0].tests[0];
+
+            expect(test.score).toEqual(1);
+            expect(test.maxScore).toEqual(2);
+            expect(test.weight).toEqual(1);
+            expect(test.test.category).toEqual('multiple-options');
+            expect(JSON.parse(JSON.stringify(test.log))).toEqual([[true, false, false], [false, true, false]]);
+        });
+
+        it('should only include the feedback of the tests in locked results', () => {
+            const config = JSON.parse(JSON.stringify(this.courses[0].configs[0]['config']));
+            config.tests.find(test => test.id === 1002)['solution'] = 'solution';
+            config.tests.find(test => test.id === 1002).options[0]['explanation'] = 'explanation';
+            const journal = this.users[0].journal;
+            const tests = ResultController.calculate(config, journal);
+
+            const running = ResultController.aggregate(config, journal, tests, null, false);
+            const locked = ResultController.aggregate(config, journal, tests, null, true);
+
+            expect('solution' in running.sets[0].tests[0].test).toBe(false);
+            expect('explanation' in running.sets[0].tests[0].test.options[0]).toBe(false);
+            expect(locked.sets[0].tests[0].test['solution']).toEqual('solution');
+            expect(locked.sets[0].tests[0].test.options[0]['explanation']).toEqual('explanation');
+        });
+
+        it('should calculate subtotals per type', () => {
+            const config = JSON.parse(JSON.stringify(this.courses[0].configs[0]['config']));
+            config.tests.find(test => test.id === 1006).type = 'maths';
+            const journal = this.users[0].journal;
+            const tests = ResultController.calculate(config, journal);
+
+            const result = ResultController.aggregate(config, journal, tests);
+
+            expect(result.types).toEqual([
+                { type: 'logic', score: 2, maxScore: 6, percentage: 33.33 },
+                { type: 'maths', score: 1, maxScore: 2, percentage: 50 }
+            ]);
+        });
+
+        it('should present parameterized tests with the values of the user', () => {
+            const config = {
+                tests: [TestModelData.configs['template']]
+            };
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1014] }], values: { 1014: { a: 7, b: 15 } } },
+                log: { sets: [{ maps: [{ key: 1014, val: ['105'] }] }] }
+            };
+            const tests = ResultController.calculate(config, journal);
+
+            const test = ResultController.aggregate(config, journal, tests).sets[0].tests[0];
+
+            expect(test.test.task).toEqual('Compute 7*15');
+            expect(test.test.values).toEqual({ a: 7, b: 15 });
+        });
+
+        it('should present ordering tests in the order of delivery of the user', () => {
+            const config = {
+                tests: [TestModelData.configs['ordering']]
+            };
+            const journal = {
+                structure: { sets: [{ set: 'set0', tests: [1007] }] },
+                log: { sets: [{ maps: [{ key: 1007, val: [3, 2, 0, 1] }] }] },
+                permutations: { 1007: [3, 2, 1, 0] }
+            };
+            const tests = ResultController.calculate(config, journal);
+
+            const test = ResultController.aggregate(config, journal, tests).sets[0].tests[0];
+
+            expect(test.test.options.map(option => option.text)).toEqual([
+                'Print the result', 'Remove duplicates', 'Sort the elements', 'Read the input'
+            ]);
+
+            expect(test.test.permutation).toBeUndefined();
+        });
+
+        it('should skip sets without evaluated tests', () => {
+            const config = this.courses[0].configs[0]['config'];
+            const journal = this.users[0].journal;
+
+            const result = ResultController.aggregate(config, journal, []);
+
+            expect(result.sets).toEqual([]);
+            expect(result.types).toEqual([]);
+            expect(result.percentage).toBe(null);
+        });
+
+        it('should rank the sets of courses with norms', () => {
+            const config = JSON.parse(JSON.stringify(this.courses[0].configs[0]['config']));
+            config['norms'] = { minCohort: 2 };
+            const journal = this.users[0].journal;
+            const tests = ResultController.calculate(config, journal);
+            const distribution = { cohort: 2, sets: { 3001: [25, 100], 3002: [0, 25] } };
+
+            const result = ResultController.aggregate(config, journal, tests, distribution);
+
+            expect(result.sets.map(set => set.percentile)).toEqual([50, 75, null]);
+        });
+
+        it('should not rank the sets of small cohorts or courses without norms', () => {
+            const config = JSON.parse(JSON.stringify(this.courses[0].configs[0]['config']));
+            config['norms'] = { minCohort: 3 };
+            const journal = this.users[0].journal;
+            const tests = ResultController.calculate(config, journal);
+            const distribution = { cohort: 2, sets: { 3001: [25, 100] } };
+
+            expect(ResultController.aggregate(config, journal, tests, distribution).sets[0]
+                .percentile).toBe(null);
+
+            delete config['norms'];
+
+            expect('percentile' in ResultController.aggregate(config, journal, tests,
+                distribution).sets[0]).toBe(false);
+        });
     });
 
     describe('.generateValidationCode(schema)', () => {
@@ -140,6 +477,7 @@ describe('ResultController', () => {
         });
 
         it('should load result from the DB', async () => {
+            sinon.stub(CourseModel, 'findOne').resolves(this.courses[0]);
             sinon.stub(UserModel, 'findOne').resolves(this.users[0]);
 
             const req = {
@@ -153,7 +491,11 @@ describe('ResultController', () => {
             sinon.assert.calledOnce(this.res.status);
             sinon.assert.calledWith(this.res.status, 200);
             sinon.assert.calledOnce(this.res.status().json);
-            sinon.assert.calledWith(this.res.status().json, sinon.match.array.deepEquals([]));
+            sinon.assert.calledWith(this.res.status().json, sinon.match({
+                sets: sinon.match.array.deepEquals([]),
+                percentage: null,
+                recommendation: null
+            }));
         });
     });
 
@@ -206,6 +548,29 @@ describe('ResultController', () => {
             sinon.assert.calledOnce(this.res.status().json);
         });
 
+        it('should store the recommendation with the validation code', async () => {
+            const course = JSON.parse(JSON.stringify(this.courses[0]));
+            course.configs[0].config['recommendations'] = [
+                { outcome: 'recommended', text: '...', conditions: [{ set: 3001, min: 50 }] },
+                { outcome: 'not-recommended', text: 'Not prepared' }
+            ];
+            sinon.stub(CourseModel, 'findOne').resolves(course);
+            sinon.stub(UserModel, 'findOne').resolves(this.users[0]);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            const req = {
+                body: {
+                    pin: this.users[0].pin
+                }
+            };
+
+            // the user has no stored results, so only the fallback rule matches
+            await ResultController.lock(req, this.res);
+            sinon.assert.calledWith(UserModel.updateOne, sinon.match.any, sinon.match({
+                'result.recommendation': { outcome: 'not-recommended', text: 'Not prepared' }
+            }));
+        });
+
         it('should not overwrite existing validation codes', async () => {
             const userInstance = new UserModel({
                 pin: 12345678,
@@ -279,8 +644,94 @@ describe('ResultController', () => {
             sinon.assert.calledOnce(UserModel.findOne);
             sinon.assert.calledOnce(CourseModel.findOne);
             sinon.assert.calledOnce(UserModel.updateOne);
+            sinon.assert.calledWith(UserModel.updateOne, sinon.match.any, sinon.match({
+                'result.percentage': 37.5
+            }));
             sinon.assert.calledOnce(this.res.status);
             sinon.assert.calledWith(this.res.status, 200);
+            sinon.assert.calledOnce(this.res.status().json);
+            sinon.assert.calledWith(this.res.status().json, sinon.match({
+                percentage: 37.5,
+                sets: sinon.match.array
+            }));
+        });
+
+        it('should not return the answers of the tests in unlocked results', async () => {
+            const course = JSON.parse(JSON.stringify(this.courses[0]));
+            const tests = course.configs[0].config.tests;
+            const index = id => tests.findIndex(test => test.id === id);
+            tests[index(1005)] = TestModelData.configs['numeric'];
+            tests[index(1006)] = TestModelData.configs['short-answer'];
+            const user = JSON.parse(JSON.stringify(this.users[0]));
+            user.journal.log.sets[1].maps[0].val = ['12', '1', '300000'];
+            user.journal.log.sets[2].maps[0].val = ['Paris', 'mice', 'red'];
+            sinon.stub(CourseModel, 'findOne').resolves(course);
+            sinon.stub(UserModel, 'findOne').resolves(user);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            const req = {
+                body: {
+                    pin: user.pin
+                }
+            };
+
+            await ResultController.update(req, this.res);
+            const sets = this.res.status().json.firstCall.args[0].sets;
+            const numeric = sets[1].tests.find(test => String(test.id) === '1005');
+            const shortAnswer = sets[2].tests.find(test => String(test.id) === '1006');
+
+            expect(numeric.score).toEqual(2);
+            expect(numeric.test.options.map(option => option.text)).toEqual(
+                ['2*6', '1/3', 'Speed of light']);
+            for (const option of numeric.test.options) {
+                expect('correct' in option).toBe(false);
+                expect('tolerance' in option).toBe(false);
+            }
+
+            expect(shortAnswer.score).toEqual(4);
+            for (const option of shortAnswer.test.options) {
+                expect('answers' in option).toBe(false);
+            }
+        });
+
+        it('should store Rasch ability estimates for courses with difficulties', async () => {
+            const course = JSON.parse(JSON.stringify(this.courses[0]));
+            course.configs[0].config['rasch'] = {
+                difficulties: { 1002: 0, 1003: 0, 1005: 0 }
+            };
+            sinon.stub(CourseModel, 'findOne').resolves(course);
+            sinon.stub(UserModel, 'findOne').resolves(this.users[0]);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            const req = {
+                body: {
+                    pin: this.users[0].pin
+                }
+            };
+
+            await ResultController.update(req, this.res);
+            const fields = UserModel.updateOne.firstCall.args[1];
+
+            // 1002, 1003 and 1005 are not solved completely
+            expect(fields['result.abilities'].map(ability => ability.items)).toEqual([1, 2, 0]);
+            expect(fields['result.abilities'][0].theta).toBeLessThan(0);
+            expect(fields['result.abilities'][2].theta).toBe(null);
+        });
+
+        it('should not store ability estimates for courses without difficulties', async () => {
+            sinon.stub(CourseModel, 'findOne').resolves(this.courses[0]);
+            sinon.stub(UserModel, 'findOne').resolves(this.users[0]);
+            sinon.stub(UserModel, 'updateOne').resolves(null);
+
+            const req = {
+                body: {
+                    pin: this.users[0].pin
+                }
+            };
+
+            await ResultController.update(req, this.res);
+
+            expect('result.abilities' in UserModel.updateOne.firstCall.args[1]).toBe(false);
         });
     });
 });
@@ -0,0 +1,60 @@
+const Expression = require('../../app/utils/expression');
+
+describe('Expression', () => {
+    beforeEach( () => {
+        // dummy
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('parse(source)', () => {
+        it('should respect operator precedence', () => {
+            const tree = Expression.parse('1 + 2 * 3 ^ 2');
+
+            expect(Expression.evaluate(tree, {})).toEqual(19);
+        });
+
+        it('should throw an error for invalid expressions', () => {
+            expect( () => Expression.parse('1 +') ).toThrow();
+            expect( () => Expression.parse('a b') ).toThrow();
+            expect( () => Expression.parse('1; process.exit()') ).toThrow();
+        });
+
+        it('should only allow known functions', () => {
+            expect( () => Expression.parse('round(a)') ).not.toThrow();
+            expect( () => Expression.parse('require(1)') ).toThrow();
+            expect( () => Expression.parse('constructor(1)') ).toThrow();
+            expect( () => Expression.parse('round(1, 2, 3)') ).toThrow();
+        });
+    });
+
+    describe('evaluate(tree, scope)', () => {
+        it('should evaluate variables and functions', () => {
+            const tree = Expression.parse('round(a / b, 2) - -max(1, c) % 4');
+
+            expect(Expression.evaluate(tree, {a: 10, b: 3, c: 6})).toEqual(5.33);
+        });
+
+        it('should throw an error for unknown variables', () => {
+            const tree = Expression.parse('a + toString');
+
+            expect( () => Expression.evaluate(tree, {a: 1}) ).toThrow();
+        });
+    });
+
+    describe('variables(tree)', () => {
+        it('should return the used variables without constants', () => {
+            const tree = Expression.parse('max(a, 2 * pi * r)');
+
+            expect(Expression.variables(tree)).toEqual(['a', 'r']);
+        });
+    });
+
+    describe('format(value)', () => {
+        it('should remove floating point noise', () => {
+            expect(Expression.format(0.1 + 0.2)).toEqual(0.3);
+        });
+    });
+});
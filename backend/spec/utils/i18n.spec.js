@@ -0,0 +1,166 @@
+const fs = require('fs');
+const sinon = require('sinon');
+
+const I18n = require('../../app/utils/i18n');
+
+describe('I18n', () => {
+    beforeEach( () => {
+        // no problems at all
+        this.clean = { missing: [], unused: [], markers: [], html: [] };
+
+        // config with two languages
+        this.config = {
+            title: '?ref{title}',
+            tests: [{
+                id: 1001,
+                description: '?ref{1001-1}',
+                task: '?ref{1001-2} $$x^2$$'
+            }],
+            '?refs': {
+                'shared': 'not translated'
+            }
+        };
+        this.languages = {
+            en: {
+                language: 'English',
+                '?refs': {
+                    'title': 'Title',
+                    '1001-1': 'Look at ``map.png`` and $$\\sum x$$',
+                    '1001-2': 'Solve <b>this</b>'
+                }
+            },
+            de: {
+                language: 'Deutsch',
+                '?refs': {
+                    'title': 'Titel',
+                    '1001-1': 'Schau dir ``map.png`` an',
+                    'old': 'Nicht mehr benutzt <i>kursiv'
+                }
+            }
+        };
+    });
+
+    afterEach( () => {
+        // cleanup and remove stubs
+        sinon.restore();
+    });
+
+    describe('markers(text)', () => {
+        it('should find LaTeX equations and images', () => {
+            expect(I18n.markers('a $$x$$ b ``img.png`` c $$y$$')).toEqual(
+                ['$$x$$', '``img.png``', '$$y$$']);
+
+            expect(I18n.markers('plain text')).toEqual([]);
+        });
+    });
+
+    describe('tags(text)', () => {
+        it('should accept balanced, void and self-closing tags', () => {
+            expect(I18n.tags('<p>a <b>b</b><br>c<br/><img src="x"></p>')).toEqual([]);
+        });
+
+        it('should report unclosed and unexpected tags', () => {
+            expect(I18n.tags('<b>a <i>b</b>')).toEqual(['Unclosed <i>']);
+            expect(I18n.tags('a</p><u>')).toEqual(['Unexpected </p>', 'Unclosed <u>']);
+        });
+    });
+
+    describe('checkConfig(config, languages, reference)', () => {
+        it('should report the problems of every language', () => {
+            const result = I18n.checkConfig(this.config, this.languages, 'en');
+
+            expect(result.reference).toEqual('en');
+            expect(result.languages['en']).toEqual(this.clean);
+            expect(result.languages['de']).toEqual({
+                missing: ['1001-2'],
+                unused: ['old'],
+                markers: [{
+                    ref: '1001-1',
+                    expected: ['``map.png``', '$$\\sum x$$'],
+                    found: ['``map.png``']
+                }],
+                html: [{ ref: 'old', message: 'Unclosed <i>' }]
+            });
+        });
+
+        it('should default to the first language in alphabetical order', () => {
+            const result = I18n.checkConfig(this.config, this.languages);
+
+            expect(result.reference).toEqual('de');
+            expect(result.languages['en'].markers.length).toEqual(1);
+            expect(result.languages['de'].markers).toEqual([]);
+        });
+
+        it('should resolve refs with the config refs and nested refs', () => {
+            this.config.footer = '?ref{shared}';
+            this.languages.de['?refs']['1001-2'] = '?ref{nested}';
+            this.languages.de['?refs']['nested'] = 'Aufgabe';
+            this.languages.de['?refs']['1001-1'] += ' $$\\sum x$$';
+            delete this.languages.de['?refs']['old'];
+            const result = I18n.checkConfig(this.config, this.languages, 'en');
+
+            expect(result.languages['de']).toEqual(this.clean);
+        });
+    });
+
+    describe('checkDirectory(dir, reference)', () => {
+        it('should check every config with its language files', () => {
+            sinon.stub(fs, 'readdirSync').callsFake(dir =>
+                dir === 'courses' ? ['example.json', 'README.md'] :
+                    ['example_en.json', 'example_de.json', 'other_en.json']);
+            sinon.stub(fs, 'readFileSync').callsFake(file => {
+                switch (file) {
+                case 'courses/example.json':
+                    return JSON.stringify(this.config);
+                case 'courses/i18n/example_en.json':
+                    return JSON.stringify(this.languages.en);
+                default:
+                    return '{ invalid';
+                }
+            });
+
+            const reports = I18n.checkDirectory('courses', 'en');
+
+            expect(reports.length).toEqual(1);
+            expect(reports[0].file).toEqual('courses/example.json');
+            expect(reports[0].files).toEqual({
+                en: 'courses/i18n/example_en.json',
+                de: 'courses/i18n/example_de.json'
+            });
+
+            expect(reports[0].errors.length).toEqual(1);
+            expect(reports[0].errors[0]).toContain('courses/i18n/example_de.json');
+            expect(Object.keys(reports[0].languages)).toEqual(['en']);
+            expect(I18n.count(reports)).toEqual(1);
+        });
+
+        it('should report a missing directory', () => {
+            sinon.stub(fs, 'readdirSync').throws(new Error('ENOENT: courses'));
+
+            const reports = I18n.checkDirectory('courses');
+
+            expect(reports).toEqual([{ file: 'courses', files: {}, errors: ['ENOENT: courses'],
+                reference: null, languages: {} }]);
+        });
+    });
+
+    describe('format(reports)', () => {
+        it('should print one line per problem', () => {
+            const reports = [Object.assign({
+                file: 'example.json',
+                files: { en: 'i18n/example_en.json', de: 'i18n/example_de.json' },
+                errors: []
+            }, I18n.checkConfig(this.config, this.languages, 'en'))];
+
+            expect(I18n.format(reports)).toEqual([
+                'i18n/example_de.json: missing ref: 1001-2',
+                'i18n/example_de.json: unused ref: old',
+                'i18n/example_de.json: 1001-1: markers differ from en: ["``map.png``"] ' +
+                    'instead of ["``map.png``","$$\\\\sum x$$"]',
+                'i18n/example_de.json: old: Unclosed <i>'
+            ]);
+
+            expect(I18n.count(reports)).toEqual(4);
+        });
+    });
+});
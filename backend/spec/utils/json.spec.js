@@ -92,4 +92,35 @@ describe('JSONUtils', () => {
             expect(output).toEqual(expectedOutput);
         });
     });
+
+    describe('locate(text)', () => {
+        it('should find the line and column of every value', () => {
+            const text = '{\n  "a": [1, {"b/c": "x"}],\n  "d": "e\\""\n}';
+            const positions = JSONUtils.locate(text);
+
+            expect(positions['']).toEqual({ offset: 0, line: 1, column: 1 });
+            expect(positions['/a/0']).toEqual({ offset: 10, line: 2, column: 9 });
+            expect(positions['/a/1/b~1c']).toEqual({ offset: 21, line: 2, column: 20 });
+            expect(positions['/d']).toEqual({ offset: 35, line: 3, column: 8 });
+        });
+
+        it('should return no positions for invalid JSON', () => {
+            expect(JSONUtils.locate('{"a": }')).toEqual({});
+        });
+    });
+
+    describe('findReferences(input)', () => {
+        it('should find the references in values and keys', () => {
+            const input = {
+                'a': ['?ref{1001} and ?ref{1002}'],
+                '?ref{1003}': 'value'
+            };
+
+            expect(JSONUtils.findReferences(input)).toEqual([
+                { pointer: '/a/0', ref: '1001' },
+                { pointer: '/a/0', ref: '1002' },
+                { pointer: '/?ref{1003}', ref: null }
+            ]);
+        });
+    });
 });
@@ -0,0 +1,67 @@
+const AdmZip = require('adm-zip');
+
+const Sheet = require('../../app/utils/sheet');
+
+describe('Sheet', () => {
+    beforeEach( () => {
+        // minimal workbook with shared, inline and boolean cells
+        this.workbook = new AdmZip();
+        this.workbook.addFile('xl/workbook.xml', Buffer.from(
+            '<workbook xmlns:r="r"><sheets><sheet name="Bank" r:id="rId1"/></sheets></workbook>'));
+        this.workbook.addFile('xl/_rels/workbook.xml.rels', Buffer.from(
+            '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/>' +
+            '</Relationships>'));
+        this.workbook.addFile('xl/sharedStrings.xml', Buffer.from(
+            '<sst><si><t>category</t></si><si><r><t>radio-</t></r><r><rPr/><t>buttons</t></r>' +
+            '</si></sst>'));
+        this.workbook.addFile('xl/worksheets/sheet1.xml', Buffer.from(
+            '<worksheet><sheetData>' +
+            '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>seconds</t>' +
+            '</is></c></row>' +
+            '<row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3" t="b"><v>1</v></c>' +
+            '<c r="C3"><v>60</v></c></row>' +
+            '</sheetData></worksheet>'));
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('parseCsv(text)', () => {
+        it('should parse quoted cells', () => {
+            const rows = Sheet.parseCsv('a,"b, ""c""",d\r\n"multi\nline",,\n');
+
+            expect(rows).toEqual([['a', 'b, "c"', 'd'], ['multi\nline', '', '']]);
+        });
+
+        it('should detect semicolons and tabs as delimiter', () => {
+            expect(Sheet.parseCsv('\uFEFFa;b,c;d')).toEqual([['a', 'b,c', 'd']]);
+            expect(Sheet.parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+        });
+    });
+
+    describe('readXlsx(buffer)', () => {
+        it('should read the cells of the first sheet', () => {
+            const rows = Sheet.readXlsx(this.workbook.toBuffer());
+
+            expect(rows).toEqual([
+                ['category', '', 'seconds'],
+                [],
+                ['radio-buttons', 'TRUE', '60']
+            ]);
+        });
+
+        it('should reject files that are no workbooks', () => {
+            const zip = new AdmZip();
+            zip.addFile('word/document.xml', Buffer.from('<document/>'));
+
+            expect(() => Sheet.readXlsx(zip.toBuffer())).toThrowError(/xl\/workbook.xml/);
+        });
+    });
+
+    describe('readSheet(file)', () => {
+        it('should reject unknown formats', () => {
+            expect(() => Sheet.readSheet('bank.ods')).toThrowError(/Unknown spreadsheet format/);
+        });
+    });
+});
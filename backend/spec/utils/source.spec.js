@@ -0,0 +1,126 @@
+const fs = require('fs');
+const sinon = require('sinon');
+
+const Source = require('../../app/utils/source');
+
+describe('Source', () => {
+    beforeEach( () => {
+        // course split into several files
+        this.files = {
+            'cs/cs.yaml': [
+                'title: CS',
+                'tests:',
+                '  - ?include: tests/*.yaml',
+                '  - id: 1003',
+                'sets:',
+                '  ?include: sets.json'
+            ].join('\n'),
+            'cs/tests/a.yaml': '- id: 1001\n- id: 1002\n',
+            'cs/tests/b.yaml': 'id: 1004\n',
+            'cs/sets.json': '[{ "id": 3001, "elements": [1001] }]',
+            'cs/i18n/cs_en.yaml': 'language: en\n?refs:\n  ?include: refs\n',
+            'cs/i18n/refs/a.yaml': '1001-1: first\n',
+            'cs/i18n/refs/b.json': '{ "1001-2": "second" }'
+        };
+        this.dirs = {
+            'cs/tests': ['b.yaml', 'a.yaml', 'notes.txt'],
+            'cs/i18n/refs': ['b.json', 'a.yaml', 'README.md']
+        };
+
+        sinon.stub(fs, 'readFileSync').callsFake(file => {
+            if (!(file in this.files)) {
+                throw new Error('ENOENT: ' + file);
+            }
+            return this.files[file];
+        });
+        sinon.stub(fs, 'readdirSync').callsFake(dir => this.dirs[dir] || []);
+        sinon.stub(fs, 'statSync').callsFake(file => {
+            if (!(file in this.files) && !(file in this.dirs)) {
+                throw new Error('ENOENT: ' + file);
+            }
+            return { isDirectory: () => file in this.dirs };
+        });
+    });
+
+    afterEach( () => {
+        // cleanup and remove stubs
+        sinon.restore();
+    });
+
+    describe('isSource(file)', () => {
+        it('should accept JSON and YAML files', () => {
+            expect(Source.isSource('example.json')).toBe(true);
+            expect(Source.isSource('i18n/example_en.YAML')).toBe(true);
+            expect(Source.isSource('example.yml')).toBe(true);
+            expect(Source.isSource('README.md')).toBe(false);
+        });
+    });
+
+    describe('parse(text, file)', () => {
+        it('should parse JSON and YAML', () => {
+            expect(Source.parse('{ "id": 1001 }', 'a.json')).toEqual({ id: 1001 });
+            expect(Source.parse('id: 1001\ntags: [a, b]', 'a.yaml')).toEqual(
+                { id: 1001, tags: ['a', 'b'] });
+        });
+
+        it('should keep parsing JSON files as JSON', () => {
+            expect(() => Source.parse('id: 1001', 'a.json')).toThrow();
+        });
+    });
+
+    describe('readSource(file)', () => {
+        it('should read plain sources without includes', () => {
+            expect(Source.readSource('cs/sets.json')).toEqual([{ id: 3001, elements: [1001] }]);
+        });
+
+        it('should merge included files into arrays', () => {
+            const config = Source.readSource('cs/cs.yaml');
+
+            expect(config).toEqual({
+                title: 'CS',
+                tests: [{ id: 1001 }, { id: 1002 }, { id: 1004 }, { id: 1003 }],
+                sets: [{ id: 3001, elements: [1001] }]
+            });
+        });
+
+        it('should merge the objects of an included directory', () => {
+            const config = Source.readSource('cs/i18n/cs_en.yaml');
+
+            expect(config).toEqual({
+                language: 'en',
+                '?refs': { '1001-1': 'first', '1001-2': 'second' }
+            });
+        });
+
+        it('should reject duplicate keys of included objects', () => {
+            this.files['cs/i18n/refs/b.json'] = '{ "1001-1": "again" }';
+
+            expect(() => Source.readSource('cs/i18n/cs_en.yaml')).toThrowError(
+                /Duplicate key: 1001-1/);
+        });
+
+        it('should reject includes with other keys', () => {
+            this.files['cs/sets.json'] = '[{ "?include": "a.yaml", "id": 3001 }]';
+
+            expect(() => Source.readSource('cs/sets.json')).toThrowError(/must be the only key/);
+        });
+
+        it('should reject includes without matching files', () => {
+            this.files['cs/sets.json'] = '[{ "?include": "sets/*.yaml" }]';
+
+            expect(() => Source.readSource('cs/sets.json')).toThrowError(/No files match include/);
+        });
+
+        it('should reject circular includes', () => {
+            this.files['cs/tests/b.yaml'] = '?include: ../cs.yaml\n';
+
+            expect(() => Source.readSource('cs/cs.yaml')).toThrowError(/Circular include/);
+        });
+
+        it('should name the file that failed to parse', () => {
+            this.files['cs/tests/a.yaml'] = '- id: [1001\n';
+
+            expect(() => Source.readSource('cs/cs.yaml')).toThrowError(/^cs\/tests\/a.yaml: /);
+        });
+    });
+});
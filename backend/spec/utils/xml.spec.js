@@ -0,0 +1,61 @@
+const XML = require('../../app/utils/xml');
+
+describe('XML', () => {
+    beforeEach( () => {
+        // dummy
+    });
+
+    afterEach( () => {
+        // dummy
+    });
+
+    describe('parse(input)', () => {
+        it('should parse elements, attributes and text', () => {
+            const root = XML.parse('<?xml version="1.0"?>\n<!-- comment -->\n' +
+                '<x:sheet a="1" b=\'two\'><row r="1"><c>a &amp; b</c><c/></row>' +
+                '<t><![CDATA[<raw>]]> &#x41;&#66;</t></x:sheet>');
+
+            expect(root.name).toEqual('x:sheet');
+            expect(root.attributes).toEqual({ a: '1', b: 'two' });
+            expect(XML.children(root, 'row')[0].children).toEqual([
+                { name: 'c', attributes: {}, children: ['a & b'] },
+                { name: 'c', attributes: {}, children: [] }
+            ]);
+
+            expect(XML.text(XML.child(root, 't'))).toEqual('<raw> AB');
+        });
+
+        it('should match elements by their local name', () => {
+            const root = XML.parse('<a:root><b:item/><item/><other/></a:root>');
+
+            expect(XML.children(root, 'item').length).toEqual(2);
+            expect(XML.children(root).length).toEqual(3);
+            expect(XML.child(root, 'missing')).toBeNull();
+        });
+
+        it('should reject documents that are not well-formed', () => {
+            expect(() => XML.parse('<a><b></a>')).toThrowError(/Unexpected <\/a>/);
+            expect(() => XML.parse('<a>')).toThrowError(/Unclosed element/);
+            expect(() => XML.parse('<a/><b/>')).toThrowError(/exactly one root/);
+            expect(() => XML.parse('<a>&nbsp;</a>')).toThrowError(/Unknown entity/);
+        });
+    });
+
+    describe('escape(input)', () => {
+        it('should escape markup characters', () => {
+            expect(XML.escape('<a href="x">Tom & Jerry\'s</a>')).toEqual(
+                '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&apos;s&lt;/a&gt;');
+        });
+    });
+
+    describe('stringify(node)', () => {
+        it('should write parsed markup back', () => {
+            const root = XML.parse('<q:div class="a &amp; b"><p>1 &lt; 2</p><br/><b/></q:div>');
+
+            expect(XML.stringify(root)).toEqual(
+                '<div class="a &amp; b"><p>1 &lt; 2</p><br/><b></b></div>');
+
+            expect(XML.stringify('"quoted"')).toEqual('"quoted"');
+        });
+    });
+});